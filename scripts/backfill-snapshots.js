@@ -0,0 +1,88 @@
+import mongoose from 'mongoose';
+import { connectDB, disconnectDB } from '../src/config/db.js';
+import PortfolioSnapshot from '../src/models/portfolio-snapshot.js';
+import SnapshotService from '../src/services/snapshot-service.js';
+import DateUtils from '../src/utils/date-utils.js';
+
+// Printed when the command line cannot be parsed
+const USAGE = 'Usage: node scripts/backfill-snapshots.js [--from DD-MM-YYYY] [--to DD-MM-YYYY] [--user <userId>]';
+
+class SnapshotBackfill {
+  // Read --from, --to and --user from the command line
+  static parseArgs(args) {
+    const options = {};
+
+    for (let i = 0; i < args.length; i += 2) {
+      const [flag, value] = [args[i], args[i + 1]];
+      if (!value) {
+        throw new Error(`${flag} needs a value`);
+      }
+
+      if (flag === '--from' || flag === '--to') {
+        const date = DateUtils.parseApiDate(value);
+        if (!date || isNaN(date.getTime())) {
+          throw new Error(`${flag} must be a date in DD-MM-YYYY format`);
+        }
+        options[flag.slice(2)] = date;
+      } else if (flag === '--user') {
+        if (!mongoose.Types.ObjectId.isValid(value)) {
+          throw new Error('--user must be a valid user ID');
+        }
+        options.userId = new mongoose.Types.ObjectId(value);
+      } else {
+        throw new Error(`Unknown option ${flag}`);
+      }
+    }
+
+    return options;
+  }
+
+  static async run() {
+    let options;
+    try {
+      options = this.parseArgs(process.argv.slice(2));
+    } catch (error) {
+      console.error(error.message);
+      console.error(USAGE);
+      process.exitCode = 1;
+      return;
+    }
+
+    try {
+      console.log('Starting portfolio snapshot backfill...');
+      console.log('==========================================');
+
+      await connectDB();
+      console.log('Database connected');
+
+      await PortfolioSnapshot.syncIndexes();
+      console.log('Indexes synced');
+
+      // Snapshots in the range are replaced, so the backfill can be re-run safely
+      const summary = await SnapshotService.backfill(options);
+      console.log(`Wrote ${summary.snapshots} snapshots for ${summary.users} users (${summary.failed} failed)`);
+
+      if (summary.failed > 0) {
+        process.exitCode = 1;
+      }
+
+      console.log('\n==========================================');
+      console.log('Portfolio snapshot backfill completed!');
+      console.log('==========================================');
+
+    } catch (error) {
+      console.error('Portfolio snapshot backfill failed:', error);
+      process.exitCode = 1;
+    } finally {
+      await disconnectDB();
+      console.log('Database disconnected');
+    }
+  }
+}
+
+// Run if called directly (not when imported)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  SnapshotBackfill.run();
+}
+
+export default SnapshotBackfill;
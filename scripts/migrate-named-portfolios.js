@@ -0,0 +1,64 @@
+import { connectDB, disconnectDB } from '../src/config/db.js';
+import Portfolio from '../src/models/Portfolio.js';
+import NamedPortfolio from '../src/models/named-portfolio.js';
+import NamedPortfolioService from '../src/services/named-portfolio-service.js';
+
+// Unique index that allowed one position per user per scheme before named portfolios
+const LEGACY_INDEX = 'userId_1_schemeCode_1';
+
+class NamedPortfolioMigration {
+  static async run() {
+    try {
+      console.log('Starting named portfolio migration...');
+      console.log('==========================================');
+
+      await connectDB();
+      console.log('Database connected');
+
+      // The legacy index has the same keys as the new non-unique one, so it is dropped before indexes are synced
+      const indexes = await Portfolio.collection.indexes();
+      const legacyIndex = indexes.find(index => index.name === LEGACY_INDEX && index.unique);
+      if (legacyIndex) {
+        await Portfolio.collection.dropIndex(LEGACY_INDEX);
+        console.log(`Dropped legacy unique index ${LEGACY_INDEX}`);
+      }
+
+      // Every existing position moves into its user's default portfolio
+      const userIds = await Portfolio.distinct('userId', { namedPortfolioId: { $exists: false } });
+      let movedCount = 0;
+
+      for (const userId of userIds) {
+        const namedPortfolio = await NamedPortfolioService.getDefault(userId);
+        const { modifiedCount } = await Portfolio.updateMany(
+          { userId, namedPortfolioId: { $exists: false } },
+          { $set: { namedPortfolioId: namedPortfolio._id } }
+        );
+        movedCount += modifiedCount;
+      }
+
+      console.log(`Moved ${movedCount} fund positions of ${userIds.length} users into their default portfolios`);
+
+      await NamedPortfolio.syncIndexes();
+      await Portfolio.syncIndexes();
+      console.log('Indexes synced');
+
+      console.log('\n==========================================');
+      console.log('Named portfolio migration completed successfully!');
+      console.log('==========================================');
+
+    } catch (error) {
+      console.error('Named portfolio migration failed:', error);
+      process.exitCode = 1;
+    } finally {
+      await disconnectDB();
+      console.log('Database disconnected');
+    }
+  }
+}
+
+// Run if called directly (not when imported)
+if (import.meta.url === `file://${process.argv[1]}`) {
+  NamedPortfolioMigration.run();
+}
+
+export default NamedPortfolioMigration;
@@ -20,6 +20,9 @@ const config = {
   loginRateLimitMax: parseInt(process.env.LOGIN_RATE_LIMIT_MAX) || 5,
   portfolioRateLimitMax: parseInt(process.env.PORTFOLIO_RATE_LIMIT_MAX) || 10,
   
+  // Idempotency keys on portfolio mutations
+  idempotencyKeyTtlHours: parseInt(process.env.IDEMPOTENCY_KEY_TTL_HOURS) || 24,
+  
   // Security (from full-project)
   bcryptRounds: 12,
   
@@ -29,6 +32,9 @@ const config = {
   
   // Cron Jobs
   cronSchedule: process.env.CRON_SCHEDULE || '0 0 * * *', // Daily at 12:00 AM IST
+  sipCronSchedule: process.env.SIP_CRON_SCHEDULE || '30 0 * * *', // Daily at 12:30 AM IST, after NAV update
+  swpCronSchedule: process.env.SWP_CRON_SCHEDULE || '45 0 * * *', // Daily at 12:45 AM IST, after NAV update
+  stpCronSchedule: process.env.STP_CRON_SCHEDULE || '0 1 * * *', // Daily at 1:00 AM IST, after NAV update
   
   // Admin User Configuration
   ADMIN_NAME: process.env.ADMIN_NAME || 'Admin',
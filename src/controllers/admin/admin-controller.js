@@ -7,6 +7,7 @@ import FundLatestNav from '../../models/fund-latest-nav.js';
 import AdminRequest from '../../requests/admin/admin-request.js';
 import AdminResponse from '../../responses/admin/admin-response.js';
 import CronService from '../../services/cron-service.js';
+import SnapshotService from '../../services/snapshot-service.js';
 import CustomValidationError from '../../exceptions/custom-validation-error.js';
 import config from '../../config/env.js';
 
@@ -314,25 +315,83 @@ class AdminController {
     }
   }
 
-  // Helper method to calculate total investment value
-  static async calculateTotalInvestmentValue() {
+  // POST /api/admin/cron/run-sip-execution - Manually trigger SIP instalment execution
+  static async runSipExecution(req, res) {
     try {
-      const result = await Portfolio.aggregate([
-        { $unwind: '$holdings' },
-        { $unwind: '$holdings.lots' },
-        {
-          $group: {
-            _id: null,
-            totalValue: { 
-              $sum: { 
-                $multiply: ['$holdings.lots.units', '$holdings.lots.pricePerUnit'] 
-              } 
-            }
-          }
-        }
-      ]);
+      // Run SIP execution in background
+      CronService.executeDueSips().catch(error => {
+        console.error('Manual SIP execution failed:', error);
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'SIP execution job started. Check logs for progress.'
+      });
+
+    } catch (error) {
+      console.error('Error starting manual SIP execution:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start SIP execution',
+        error: isDevelopment ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  // POST /api/admin/cron/run-swp-execution - Manually trigger SWP withdrawal execution
+  static async runSwpExecution(req, res) {
+    try {
+      // Run SWP execution in background
+      CronService.executeDueSwps().catch(error => {
+        console.error('Manual SWP execution failed:', error);
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'SWP execution job started. Check logs for progress.'
+      });
 
-      return result.length > 0 ? result[0].totalValue : 0;
+    } catch (error) {
+      console.error('Error starting manual SWP execution:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start SWP execution',
+        error: isDevelopment ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  // POST /api/admin/cron/run-stp-execution - Manually trigger STP transfer execution
+  static async runStpExecution(req, res) {
+    try {
+      // Run STP execution in background
+      CronService.executeDueStps().catch(error => {
+        console.error('Manual STP execution failed:', error);
+      });
+
+      res.status(202).json({
+        success: true,
+        message: 'STP execution job started. Check logs for progress.'
+      });
+
+    } catch (error) {
+      console.error('Error starting manual STP execution:', error);
+
+      res.status(500).json({
+        success: false,
+        message: 'Failed to start STP execution',
+        error: isDevelopment ? error.message : 'Internal server error'
+      });
+    }
+  }
+
+  // Helper method to calculate assets under management from each user's snapshot of the last settled day
+  static async calculateTotalInvestmentValue() {
+    try {
+      const totals = await SnapshotService.getSettledTotals();
+      return totals.reduce((sum, total) => sum + total.totalValue, 0);
     } catch (error) {
       console.error('Error calculating total investment value:', error);
       return 0;
@@ -375,18 +434,34 @@ class AdminController {
     }
   }
 
-  // Helper method to get portfolio distribution
+  // Helper method to get portfolio distribution by each user's latest snapshot value
   static async getPortfolioDistribution() {
     try {
-      // This would require current NAV data to calculate portfolio values
-      // For now, return a placeholder implementation
-      return {
+      const distribution = {
         '0-10000': 0,
         '10000-50000': 0,
         '50000-100000': 0,
         '100000-500000': 0,
         '500000+': 0
       };
+
+      const totals = await SnapshotService.getSettledTotals();
+      // Users who have redeemed everything hold no portfolio value
+      totals.filter(({ totalValue }) => totalValue > 0).forEach(({ totalValue }) => {
+        if (totalValue < 10000) {
+          distribution['0-10000']++;
+        } else if (totalValue < 50000) {
+          distribution['10000-50000']++;
+        } else if (totalValue < 100000) {
+          distribution['50000-100000']++;
+        } else if (totalValue < 500000) {
+          distribution['100000-500000']++;
+        } else {
+          distribution['500000+']++;
+        }
+      });
+
+      return distribution;
     } catch (error) {
       console.error('Error getting portfolio distribution:', error);
       return {};
@@ -0,0 +1,169 @@
+import BenchmarkService from '../../services/benchmark-service.js';
+import NamedPortfolioService from '../../services/named-portfolio-service.js';
+import BenchmarkRequest from '../../requests/user/benchmark-request.js';
+import BenchmarkResponse from '../../responses/user/benchmark-response.js';
+import PortfolioResponse from '../../responses/user/portfolio-response.js';
+import CustomValidationError from '../../exceptions/custom-validation-error.js';
+
+class BenchmarkController {
+  // GET /api/benchmarks - List shared benchmarks and the user's own
+  static async getBenchmarks(req, res) {
+    try {
+      const benchmarks = await BenchmarkService.listBenchmarks(req.user.id);
+
+      res.status(200).json(
+        BenchmarkResponse.formatBenchmarkListResponse(benchmarks)
+      );
+
+    } catch (error) {
+      BenchmarkController.handleError(res, error, 'Failed to fetch benchmarks. Please try again.');
+    }
+  }
+
+  // POST /api/benchmarks - Designate an index fund as a benchmark
+  static async createBenchmark(req, res) {
+    try {
+      const validationResult = BenchmarkRequest.validateCreateBenchmark(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      const benchmark = await BenchmarkService.createSchemeBenchmark(req.user.id, validationResult.data, {
+        isAdmin: req.user.role === 'admin'
+      });
+
+      res.status(201).json(
+        BenchmarkResponse.formatBenchmarkResponse(benchmark, 'Benchmark created successfully')
+      );
+
+    } catch (error) {
+      BenchmarkController.handleError(res, error, 'Failed to create benchmark. Please try again.');
+    }
+  }
+
+  // POST /api/benchmarks/import - Create a benchmark from an index CSV
+  static async importBenchmark(req, res) {
+    try {
+      const validationResult = BenchmarkRequest.validateImportQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      // The CSV is sent as a text/csv body or as { csv } in JSON
+      const csvText = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+      if (!csvText || typeof csvText !== 'string') {
+        return res.status(400).json(
+          BenchmarkResponse.formatErrorResponse('Send the CSV as a text/csv body or as a csv field in JSON')
+        );
+      }
+
+      const benchmark = await BenchmarkService.importIndexBenchmark(req.user.id, validationResult.data, csvText, {
+        isAdmin: req.user.role === 'admin'
+      });
+
+      res.status(201).json(
+        BenchmarkResponse.formatBenchmarkResponse(benchmark, 'Benchmark imported successfully')
+      );
+
+    } catch (error) {
+      BenchmarkController.handleError(res, error, 'Failed to import benchmark. Please try again.');
+    }
+  }
+
+  // DELETE /api/benchmarks/:id - Delete a benchmark
+  static async deleteBenchmark(req, res) {
+    try {
+      const validationResult = BenchmarkRequest.validateBenchmarkId(req.params.id);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid benchmark ID', validationResult.errors);
+      }
+
+      await BenchmarkService.deleteBenchmark(req.user.id, validationResult.data.id, {
+        isAdmin: req.user.role === 'admin'
+      });
+
+      res.status(200).json({
+        success: true,
+        message: 'Benchmark deleted successfully'
+      });
+
+    } catch (error) {
+      BenchmarkController.handleError(res, error, 'Failed to delete benchmark. Please try again.');
+    }
+  }
+
+  // GET /api/portfolio/history/benchmark - Compare the portfolio with its cash flows invested in a benchmark
+  static async compareWithBenchmark(req, res) {
+    try {
+      const userId = req.portfolioUserId;
+
+      const validationResult = BenchmarkRequest.validateCompareQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      const { benchmarkId, portfolioId, ...range } = validationResult.data;
+      const namedPortfolio = portfolioId ? await NamedPortfolioService.resolve(userId, portfolioId) : null;
+
+      const comparison = await BenchmarkService.compare(userId, req.user.id, benchmarkId, {
+        ...range,
+        namedPortfolioId: namedPortfolio?._id
+      });
+
+      if (!comparison) {
+        return res.status(200).json(
+          PortfolioResponse.formatEmptyPortfolioResponse('Your portfolio has no transactions in the selected date range')
+        );
+      }
+
+      res.status(200).json(
+        BenchmarkResponse.formatComparisonResponse(comparison, namedPortfolio)
+      );
+
+    } catch (error) {
+      BenchmarkController.handleError(res, error, 'Failed to compare with benchmark. Please try again.');
+    }
+  }
+
+  // Send the error response for a failed benchmark request
+  static handleError(res, error, message) {
+    console.error('Benchmark error:', error);
+
+    if (error instanceof CustomValidationError) {
+      return res.status(400).json(
+        BenchmarkResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+      );
+    }
+
+    if (
+      ['Benchmark not found with the provided ID', 'Portfolio not found with the provided ID'].includes(error.message) ||
+      error.message.startsWith('Fund not found with scheme code')
+    ) {
+      return res.status(404).json(
+        BenchmarkResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    if (error.message.startsWith('Only admins can')) {
+      return res.status(403).json(
+        BenchmarkResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    if (
+      ['Only index funds and ETFs can be used as benchmarks', 'Benchmark has no values in the selected date range'].includes(error.message) ||
+      error.message.startsWith('No NAV history found') ||
+      error.message.startsWith('CSV ')
+    ) {
+      return res.status(400).json(
+        BenchmarkResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    res.status(500).json(
+      BenchmarkResponse.formatErrorResponse(message)
+    );
+  }
+}
+
+export default BenchmarkController;
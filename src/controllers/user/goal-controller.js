@@ -0,0 +1,144 @@
+import GoalService from '../../services/goal-service.js';
+import FundRepository from '../../repositories/fund-repository.js';
+import GoalRequest from '../../requests/user/goal-request.js';
+import GoalResponse from '../../responses/user/goal-response.js';
+import CustomValidationError from '../../exceptions/custom-validation-error.js';
+
+class GoalController {
+  // GET /api/goals - List user's goals with progress
+  static async getGoals(req, res) {
+    try {
+      const entries = await GoalService.listGoals(req.user.id);
+      const schemeNames = await GoalController.getSchemeNames(entries);
+
+      res.status(200).json(
+        GoalResponse.formatGoalListResponse(entries, schemeNames)
+      );
+
+    } catch (error) {
+      GoalController.handleError(res, error, 'Failed to fetch goals. Please try again.');
+    }
+  }
+
+  // POST /api/goals - Create a goal
+  static async createGoal(req, res) {
+    try {
+      const validationResult = GoalRequest.validateCreateGoal(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      const goal = await GoalService.createGoal(req.user.id, validationResult.data);
+      const entry = await GoalService.getGoalWithProgress(req.user.id, goal._id);
+      const schemeNames = await GoalController.getSchemeNames([entry]);
+
+      res.status(201).json(
+        GoalResponse.formatGoalResponse(entry.goal, entry.progress, schemeNames, 'Goal created successfully')
+      );
+
+    } catch (error) {
+      GoalController.handleError(res, error, 'Failed to create goal. Please try again.');
+    }
+  }
+
+  // GET /api/goals/:id - Get a goal with progress
+  static async getGoal(req, res) {
+    try {
+      const goalId = GoalController.validateGoalId(req);
+      const entry = await GoalService.getGoalWithProgress(req.user.id, goalId);
+      const schemeNames = await GoalController.getSchemeNames([entry]);
+
+      res.status(200).json(
+        GoalResponse.formatGoalResponse(entry.goal, entry.progress, schemeNames)
+      );
+
+    } catch (error) {
+      GoalController.handleError(res, error, 'Failed to fetch goal. Please try again.');
+    }
+  }
+
+  // PATCH /api/goals/:id - Update a goal or replace its linked holdings and SIPs
+  static async updateGoal(req, res) {
+    try {
+      const goalId = GoalController.validateGoalId(req);
+      const validationResult = GoalRequest.validateUpdateGoal(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      await GoalService.updateGoal(req.user.id, goalId, validationResult.data);
+      const entry = await GoalService.getGoalWithProgress(req.user.id, goalId);
+      const schemeNames = await GoalController.getSchemeNames([entry]);
+
+      res.status(200).json(
+        GoalResponse.formatGoalResponse(entry.goal, entry.progress, schemeNames, 'Goal updated successfully')
+      );
+
+    } catch (error) {
+      GoalController.handleError(res, error, 'Failed to update goal. Please try again.');
+    }
+  }
+
+  // DELETE /api/goals/:id - Delete a goal
+  static async deleteGoal(req, res) {
+    try {
+      const goalId = GoalController.validateGoalId(req);
+      await GoalService.deleteGoal(req.user.id, goalId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Goal deleted successfully'
+      });
+
+    } catch (error) {
+      GoalController.handleError(res, error, 'Failed to delete goal. Please try again.');
+    }
+  }
+
+  // Validate the goal ID route parameter
+  static validateGoalId(req) {
+    const validationResult = GoalRequest.validateGoalId(req.params.id);
+    if (!validationResult.isValid) {
+      throw new CustomValidationError('Invalid goal ID', validationResult.errors);
+    }
+
+    return validationResult.data.id;
+  }
+
+  // Resolve scheme names of the linked holdings and SIPs for display
+  static async getSchemeNames(entries) {
+    const schemeCodes = entries.flatMap(entry => [
+      ...entry.progress.holdings.map(holding => holding.schemeCode),
+      ...entry.progress.sips.map(sip => sip.schemeCode)
+    ]);
+
+    const funds = await FundRepository.findBySchemeCodes([...new Set(schemeCodes)]);
+    return Object.fromEntries(funds.map(fund => [fund.schemeCode, fund.schemeName]));
+  }
+
+  // Send the error response for a failed goal request
+  static handleError(res, error, message) {
+    console.error('Goal error:', error);
+
+    if (error instanceof CustomValidationError) {
+      return res.status(400).json(
+        GoalResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+      );
+    }
+
+    if (
+      ['Goal not found with the provided ID', 'SIP not found with the provided ID', 'Portfolio not found with the provided ID'].includes(error.message) ||
+      error.message.startsWith('Fund not found with scheme code')
+    ) {
+      return res.status(404).json(
+        GoalResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    res.status(500).json(
+      GoalResponse.formatErrorResponse(message)
+    );
+  }
+}
+
+export default GoalController;
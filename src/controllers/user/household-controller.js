@@ -0,0 +1,216 @@
+import HouseholdService from '../../services/household-service.js';
+import HouseholdRequest from '../../requests/user/household-request.js';
+import HouseholdResponse from '../../responses/user/household-response.js';
+import CustomValidationError from '../../exceptions/custom-validation-error.js';
+
+class HouseholdController {
+  // GET /api/households - List user's households and invitations
+  static async getHouseholds(req, res) {
+    try {
+      const { households, users } = await HouseholdService.listHouseholds(req.user.id);
+
+      res.status(200).json(
+        HouseholdResponse.formatHouseholdListResponse(households, users)
+      );
+
+    } catch (error) {
+      HouseholdController.handleError(res, error, 'Failed to fetch households. Please try again.');
+    }
+  }
+
+  // POST /api/households - Create a household owned by the user
+  static async createHousehold(req, res) {
+    try {
+      const validationResult = HouseholdRequest.validateCreateHousehold(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      const household = await HouseholdService.createHousehold(req.user.id, validationResult.data);
+      const users = await HouseholdService.getMemberUsers([household]);
+
+      res.status(201).json(
+        HouseholdResponse.formatHouseholdResponse(household, users, 'Household created successfully')
+      );
+
+    } catch (error) {
+      HouseholdController.handleError(res, error, 'Failed to create household. Please try again.');
+    }
+  }
+
+  // GET /api/households/:id - Get a household with its members
+  static async getHousehold(req, res) {
+    try {
+      const { id } = HouseholdController.validateIds(req);
+      const { household, users } = await HouseholdService.getHousehold(req.user.id, id);
+
+      res.status(200).json(
+        HouseholdResponse.formatHouseholdResponse(household, users)
+      );
+
+    } catch (error) {
+      HouseholdController.handleError(res, error, 'Failed to fetch household. Please try again.');
+    }
+  }
+
+  // DELETE /api/households/:id - Delete a household (owner only)
+  static async deleteHousehold(req, res) {
+    try {
+      const { id } = HouseholdController.validateIds(req);
+      await HouseholdService.deleteHousehold(req.user.id, id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Household deleted successfully'
+      });
+
+    } catch (error) {
+      HouseholdController.handleError(res, error, 'Failed to delete household. Please try again.');
+    }
+  }
+
+  // POST /api/households/:id/members - Invite a registered user by email (owner only)
+  static async inviteMember(req, res) {
+    try {
+      const { id } = HouseholdController.validateIds(req);
+      const validationResult = HouseholdRequest.validateInviteMember(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      await HouseholdService.inviteMember(req.user.id, id, validationResult.data.email);
+      const { household, users } = await HouseholdService.getHousehold(req.user.id, id);
+
+      res.status(201).json(
+        HouseholdResponse.formatHouseholdResponse(household, users, 'Invitation sent successfully')
+      );
+
+    } catch (error) {
+      HouseholdController.handleError(res, error, 'Failed to invite member. Please try again.');
+    }
+  }
+
+  // DELETE /api/households/:id/members/:userId - Remove a member, leave, or decline an invitation
+  static async removeMember(req, res) {
+    try {
+      const { id, userId } = HouseholdController.validateIds(req);
+      await HouseholdService.removeMember(req.user.id, id, userId);
+
+      res.status(200).json({
+        success: true,
+        message: userId === req.user.id ? 'You have left the household' : 'Member removed successfully'
+      });
+
+    } catch (error) {
+      HouseholdController.handleError(res, error, 'Failed to remove member. Please try again.');
+    }
+  }
+
+  // POST /api/households/:id/join - Accept an invitation and grant access to your portfolio
+  static async joinHousehold(req, res) {
+    try {
+      const { id } = HouseholdController.validateIds(req);
+      const validationResult = HouseholdRequest.validateJoinHousehold(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      await HouseholdService.joinHousehold(req.user.id, id, validationResult.data.permission);
+      const { household, users } = await HouseholdService.getHousehold(req.user.id, id);
+
+      res.status(200).json(
+        HouseholdResponse.formatHouseholdResponse(household, users, 'Joined household successfully')
+      );
+
+    } catch (error) {
+      HouseholdController.handleError(res, error, 'Failed to join household. Please try again.');
+    }
+  }
+
+  // PATCH /api/households/:id/permission - Change the access you grant the other members
+  static async updatePermission(req, res) {
+    try {
+      const { id } = HouseholdController.validateIds(req);
+      const validationResult = HouseholdRequest.validateUpdatePermission(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      await HouseholdService.updatePermission(req.user.id, id, validationResult.data.permission);
+      const { household, users } = await HouseholdService.getHousehold(req.user.id, id);
+
+      res.status(200).json(
+        HouseholdResponse.formatHouseholdResponse(household, users, 'Permission updated successfully')
+      );
+
+    } catch (error) {
+      HouseholdController.handleError(res, error, 'Failed to update permission. Please try again.');
+    }
+  }
+
+  // GET /api/households/:id/summary - Get aggregated value, allocation and XIRR across members
+  static async getSummary(req, res) {
+    try {
+      const { id } = HouseholdController.validateIds(req);
+      const summary = await HouseholdService.getSummary(req.user.id, id);
+
+      res.status(200).json(
+        HouseholdResponse.formatSummaryResponse(summary)
+      );
+
+    } catch (error) {
+      HouseholdController.handleError(res, error, 'Failed to fetch household summary. Please try again.');
+    }
+  }
+
+  // Validate the household ID and optional member ID route parameters
+  static validateIds(req) {
+    const validationResult = HouseholdRequest.validateIds(req.params);
+    if (!validationResult.isValid) {
+      throw new CustomValidationError('Invalid household or member ID', validationResult.errors);
+    }
+
+    return validationResult.data;
+  }
+
+  // Send the error response for a failed household request
+  static handleError(res, error, message) {
+    console.error('Household error:', error);
+
+    if (error instanceof CustomValidationError) {
+      return res.status(400).json(
+        HouseholdResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+      );
+    }
+
+    if (['Household not found', 'User not found with the provided email', 'Member not found in this household'].includes(error.message)) {
+      return res.status(404).json(
+        HouseholdResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    if (error.message.startsWith('Only the household owner can') || error.message === 'Only active members can view the household summary') {
+      return res.status(403).json(
+        HouseholdResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    if (['User is already a member of this household', 'You are already an active member of this household'].includes(error.message)) {
+      return res.status(409).json(
+        HouseholdResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    if (['The owner cannot leave the household. Delete it instead.', 'Only active members can grant access. Join the household first.'].includes(error.message)) {
+      return res.status(400).json(
+        HouseholdResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    res.status(500).json(
+      HouseholdResponse.formatErrorResponse(message)
+    );
+  }
+}
+
+export default HouseholdController;
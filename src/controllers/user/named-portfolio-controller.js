@@ -0,0 +1,136 @@
+import NamedPortfolioService from '../../services/named-portfolio-service.js';
+import NamedPortfolioRequest from '../../requests/user/named-portfolio-request.js';
+import NamedPortfolioResponse from '../../responses/user/named-portfolio-response.js';
+import CustomValidationError from '../../exceptions/custom-validation-error.js';
+
+class NamedPortfolioController {
+  // GET /api/portfolios - List user's named portfolios
+  static async getPortfolios(req, res) {
+    try {
+      const entries = await NamedPortfolioService.listPortfolios(req.portfolioUserId);
+
+      res.status(200).json(
+        NamedPortfolioResponse.formatPortfolioListResponse(entries)
+      );
+
+    } catch (error) {
+      NamedPortfolioController.handleError(res, error, 'Failed to fetch portfolios. Please try again.');
+    }
+  }
+
+  // POST /api/portfolios - Create a named portfolio
+  static async createPortfolio(req, res) {
+    try {
+      const validationResult = NamedPortfolioRequest.validateCreatePortfolio(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      const portfolio = await NamedPortfolioService.createPortfolio(req.portfolioUserId, validationResult.data);
+
+      res.status(201).json(
+        NamedPortfolioResponse.formatPortfolioResponse(portfolio, 0, 'Portfolio created successfully')
+      );
+
+    } catch (error) {
+      NamedPortfolioController.handleError(res, error, 'Failed to create portfolio. Please try again.');
+    }
+  }
+
+  // GET /api/portfolios/:id - Get a named portfolio
+  static async getPortfolio(req, res) {
+    try {
+      const portfolioId = NamedPortfolioController.validatePortfolioId(req);
+      const { portfolio, fundCount } = await NamedPortfolioService.getPortfolio(req.portfolioUserId, portfolioId);
+
+      res.status(200).json(
+        NamedPortfolioResponse.formatPortfolioResponse(portfolio, fundCount)
+      );
+
+    } catch (error) {
+      NamedPortfolioController.handleError(res, error, 'Failed to fetch portfolio. Please try again.');
+    }
+  }
+
+  // PATCH /api/portfolios/:id - Rename a named portfolio or change its description
+  static async updatePortfolio(req, res) {
+    try {
+      const portfolioId = NamedPortfolioController.validatePortfolioId(req);
+      const validationResult = NamedPortfolioRequest.validateUpdatePortfolio(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      await NamedPortfolioService.updatePortfolio(req.portfolioUserId, portfolioId, validationResult.data);
+      const { portfolio, fundCount } = await NamedPortfolioService.getPortfolio(req.portfolioUserId, portfolioId);
+
+      res.status(200).json(
+        NamedPortfolioResponse.formatPortfolioResponse(portfolio, fundCount, 'Portfolio updated successfully')
+      );
+
+    } catch (error) {
+      NamedPortfolioController.handleError(res, error, 'Failed to update portfolio. Please try again.');
+    }
+  }
+
+  // DELETE /api/portfolios/:id - Delete an empty named portfolio
+  static async deletePortfolio(req, res) {
+    try {
+      const portfolioId = NamedPortfolioController.validatePortfolioId(req);
+      await NamedPortfolioService.deletePortfolio(req.portfolioUserId, portfolioId);
+
+      res.status(200).json({
+        success: true,
+        message: 'Portfolio deleted successfully'
+      });
+
+    } catch (error) {
+      NamedPortfolioController.handleError(res, error, 'Failed to delete portfolio. Please try again.');
+    }
+  }
+
+  // Validate the portfolio ID route parameter
+  static validatePortfolioId(req) {
+    const validationResult = NamedPortfolioRequest.validatePortfolioId(req.params.id);
+    if (!validationResult.isValid) {
+      throw new CustomValidationError('Invalid portfolio ID', validationResult.errors);
+    }
+
+    return validationResult.data.id;
+  }
+
+  // Send the error response for a failed portfolio request
+  static handleError(res, error, message) {
+    console.error('Named portfolio error:', error);
+
+    if (error instanceof CustomValidationError) {
+      return res.status(400).json(
+        NamedPortfolioResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+      );
+    }
+
+    if (error.message === 'Portfolio not found with the provided ID') {
+      return res.status(404).json(
+        NamedPortfolioResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    if (error.message === 'A portfolio with this name already exists') {
+      return res.status(409).json(
+        NamedPortfolioResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    if (['The default portfolio cannot be deleted', 'Only an empty portfolio can be deleted. Remove its funds first.'].includes(error.message)) {
+      return res.status(400).json(
+        NamedPortfolioResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    res.status(500).json(
+      NamedPortfolioResponse.formatErrorResponse(message)
+    );
+  }
+}
+
+export default NamedPortfolioController;
@@ -3,11 +3,23 @@ import PortfolioRepository from '../../repositories/portfolio-repository.js';
 import TransactionRepository from '../../repositories/transaction-repository.js';
 import NavService from '../../services/nav-service.js';
 import PortfolioService from '../../services/portfolio-service.js';
+import NamedPortfolioService from '../../services/named-portfolio-service.js';
+import DividendService from '../../services/dividend-service.js';
+import CapitalGainsService from '../../services/capital-gains-service.js';
+import PerformanceService from '../../services/performance-service.js';
+import ImportService from '../../services/import-service.js';
+import CasService from '../../services/cas-service.js';
+import ExportService from '../../services/export-service.js';
+import AllocationService from '../../services/allocation-service.js';
 import PortfolioRequest from '../../requests/user/portfolio-request.js';
 import PortfolioResponse from '../../responses/user/portfolio-response.js';
+import ExportResponse from '../../responses/user/export-response.js';
 import CustomValidationError from '../../exceptions/custom-validation-error.js';
+import HoldingConflictError from '../../exceptions/holding-conflict-error.js';
 import PortfolioHelpers from '../../helpers/portfolio-helpers.js';
 import DateUtils from '../../utils/date-utils.js';
+import CsvUtils from '../../utils/csv-utils.js';
+import XlsxUtils from '../../utils/xlsx-utils.js';
 
 class PortfolioController {
   // POST /api/portfolio/add - Add mutual fund to user's portfolio
@@ -19,8 +31,9 @@ class PortfolioController {
         throw new CustomValidationError('Validation failed', validationResult.errors);
       }
 
-      const { schemeCode, units } = validationResult.data;
-      const userId = req.user.id;
+      const { schemeCode, date, portfolioId = null } = validationResult.data;
+      const userId = req.portfolioUserId;
+      const transactionDate = date ? DateUtils.parseApiDate(date) : new Date();
 
       // Check if fund exists
       const fund = await FundRepository.findBySchemeCode(schemeCode);
@@ -31,29 +44,41 @@ class PortfolioController {
         });
       }
 
-      // Get latest NAV for the fund
-      const navData = await NavService.getLatestNav(schemeCode);
-      if (!navData || !navData.success || !navData.data || !navData.data.nav) {
+      // Get the NAV applicable on the transaction date (latest NAV when not backdated)
+      const navData = await PortfolioService.getApplicableNav(schemeCode, date ? transactionDate : null);
+      if (!navData.success) {
         return res.status(400).json({
           success: false,
-          message: 'Unable to fetch current NAV for this fund. Please try again later.'
+          message: navData.error
         });
       }
 
+      // Resolve units to allot when the purchase is given as an amount
+      const order = PortfolioHelpers.resolveOrderUnits(validationResult.data, navData.data.nav, 'BUY');
+      if (order.units <= 0) {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse('Amount is too small to allot any units at the applicable NAV')
+        );
+      }
+
       // Add units to portfolio using service
-      const result = await PortfolioService.addUnits(userId, schemeCode, units, navData.data.nav, new Date());
+      const result = await PortfolioService.addUnits(userId, schemeCode, order.units, navData.data.nav, transactionDate, {
+        namedPortfolioId: portfolioId
+      });
 
       // Format response with appropriate message
       const responseData = PortfolioResponse.formatAddFundResponse({
         portfolioId: result.portfolioId,
         schemeCode,
         schemeName: fund.schemeName,
-        units,
-        addedAt: new Date(),
+        units: order.units,
+        addedAt: transactionDate,
+        navDate: navData.data.navDate,
         isNewPortfolio: result.isNewPortfolio,
         transactionId: result.transaction._id,
         nav: navData.data.nav,
-        amount: units * navData.data.nav
+        amount: order.amount,
+        requestedAmount: order.requestedAmount
       });
 
       res.status(201).json(responseData);
@@ -67,19 +92,42 @@ class PortfolioController {
         );
       }
       
+      // The requested named portfolio does not belong to the user
+      if (error.message === 'Portfolio not found with the provided ID') {
+        return res.status(404).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      // Another request changed the holding and retries did not settle it
+      if (error instanceof HoldingConflictError) {
+        return res.status(409).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
       res.status(500).json(
         PortfolioResponse.formatErrorResponse('Failed to add fund to portfolio. Please try again.')
       );
     }
   }
 
-  // GET /api/portfolio/value - Get current portfolio value with P&L calculation
+  // GET /api/portfolio/value - Get current portfolio value with P&L calculation (?portfolioId= for one portfolio)
   static async getPortfolioValue(req, res) {
     try {
-      const userId = req.user.id;
+      const userId = req.portfolioUserId;
+
+      const validationResult = PortfolioRequest.validatePortfolioQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      // Without a portfolio ID every named portfolio is combined
+      const { portfolioId } = validationResult.data;
+      const namedPortfolio = portfolioId ? await NamedPortfolioService.resolve(userId, portfolioId) : null;
 
       // Calculate portfolio value using service
-      const portfolioValue = await PortfolioService.calculatePortfolioValue(userId);
+      const portfolioValue = await PortfolioService.calculatePortfolioValue(userId, { namedPortfolioId: portfolioId });
       
       if (!portfolioValue.holdings || portfolioValue.holdings.length === 0) {
         return res.status(200).json(
@@ -88,38 +136,103 @@ class PortfolioController {
       }
 
       res.status(200).json(
-        PortfolioResponse.formatPortfolioValueResponse(portfolioValue)
+        PortfolioResponse.formatPortfolioValueResponse({ ...portfolioValue, portfolio: namedPortfolio })
       );
 
     } catch (error) {
       console.error('Get portfolio value error:', error);
       
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          PortfolioResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+      
+      // The requested named portfolio does not belong to the user
+      if (error.message === 'Portfolio not found with the provided ID') {
+        return res.status(404).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
       res.status(500).json(
         PortfolioResponse.formatErrorResponse('Failed to fetch portfolio value. Please try again.')
       );
     }
   }
 
-  // GET /api/portfolio/list - Get user's complete portfolio
+  // GET /api/portfolio/allocation - Get allocation by asset class, category and fund house (?portfolioId= for one portfolio)
+  static async getAllocation(req, res) {
+    try {
+      const userId = req.portfolioUserId;
+
+      const validationResult = PortfolioRequest.validatePortfolioQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      const { portfolioId } = validationResult.data;
+      const namedPortfolio = portfolioId ? await NamedPortfolioService.resolve(userId, portfolioId) : null;
+
+      const allocation = await AllocationService.getAllocation(userId, { namedPortfolioId: portfolioId });
+      
+      if (allocation.holdings.length === 0) {
+        return res.status(200).json(
+          PortfolioResponse.formatEmptyPortfolioResponse('Your portfolio is empty')
+        );
+      }
+
+      res.status(200).json(
+        PortfolioResponse.formatAllocationResponse({ ...allocation, portfolio: namedPortfolio })
+      );
+
+    } catch (error) {
+      console.error('Get allocation error:', error);
+      
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          PortfolioResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+      
+      // The requested named portfolio does not belong to the user
+      if (error.message === 'Portfolio not found with the provided ID') {
+        return res.status(404).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      res.status(500).json(
+        PortfolioResponse.formatErrorResponse('Failed to fetch portfolio allocation. Please try again.')
+      );
+    }
+  }
+
+  // GET /api/portfolio/list - Get user's complete portfolio (?portfolioId= for one portfolio)
   static async getPortfolioList(req, res) {
     try {
-      const userId = req.user.id;
-      const { page = 1, limit = 20, sortBy = 'investmentAmount', sortOrder = 'desc' } = req.query;
+      const userId = req.portfolioUserId;
+      const { page = 1, limit = 20, sortBy = 'investmentAmount', sortOrder = 'desc', portfolioId } = req.query;
 
       // Validate query parameters
       const validatedQuery = PortfolioRequest.validateListQuery({
         page: parseInt(page),
         limit: parseInt(limit),
         sortBy,
-        sortOrder
+        sortOrder,
+        portfolioId
       });
 
       if (!validatedQuery.isValid) {
         throw new CustomValidationError('Invalid query parameters', validatedQuery.errors);
       }
 
+      // Without a portfolio ID every named portfolio is listed
+      const namedPortfolio = portfolioId ? await NamedPortfolioService.resolve(userId, portfolioId) : null;
+      const portfolioNames = await NamedPortfolioService.getNames(userId);
+
       // Get user's portfolio using repository
-      const portfolioData = await PortfolioRepository.getUserPortfoliosWithDetails(userId);
+      const portfolioData = await PortfolioRepository.getUserPortfoliosWithDetails(userId, portfolioId);
       
       if (!portfolioData || portfolioData.length === 0) {
         return res.status(200).json(
@@ -139,10 +252,12 @@ class PortfolioController {
           const recentTransactions = await PortfolioService.getTransactionHistory(
             userId, 
             item.portfolio.schemeCode,
-            { page: 1, limit: 5 }
+            { page: 1, limit: 5, namedPortfolioId: item.portfolio.namedPortfolioId }
           );
           
           holdings.push({
+            portfolioId: item.portfolio.namedPortfolioId,
+            portfolioName: portfolioNames.get(String(item.portfolio.namedPortfolioId)) || null,
             schemeCode: item.portfolio.schemeCode,
             schemeName: item.fund.schemeName,
             units: item.holding.totalUnits,
@@ -164,6 +279,7 @@ class PortfolioController {
       }
 
       const responseData = {
+        portfolio: namedPortfolio,
         totalHoldings: holdings.length,
         holdings: holdings
       };
@@ -181,30 +297,42 @@ class PortfolioController {
         );
       }
       
+      // The requested named portfolio does not belong to the user
+      if (error.message === 'Portfolio not found with the provided ID') {
+        return res.status(404).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
       res.status(500).json(
         PortfolioResponse.formatErrorResponse('Failed to fetch portfolio. Please try again.')
       );
     }
   }
 
-  // GET /api/portfolio/history - Get portfolio value history
+  // GET /api/portfolio/history - Get portfolio value history (?portfolioId= for one portfolio)
   static async getPortfolioHistory(req, res) {
     try {
-      const userId = req.user.id;
-      const { days = 30, interval = 'daily' } = req.query;
+      const userId = req.portfolioUserId;
 
       // Validate query parameters
-      const validatedQuery = PortfolioRequest.validateHistoryQuery({
-        days: parseInt(days),
-        interval
-      });
+      const validatedQuery = PortfolioRequest.validateHistoryQuery(req.query);
 
       if (!validatedQuery.isValid) {
         throw new CustomValidationError('Invalid query parameters', validatedQuery.errors);
       }
 
+      // Without a portfolio ID every named portfolio is combined
+      const { portfolioId } = validatedQuery.data;
+      if (portfolioId) {
+        await NamedPortfolioService.resolve(userId, portfolioId);
+      }
+
       // Get portfolio history
-      const history = await PortfolioHelpers.getPortfolioValueHistory(userId, validatedQuery.data);
+      const history = await PortfolioHelpers.getPortfolioValueHistory(userId, {
+        ...validatedQuery.data,
+        namedPortfolioId: validatedQuery.data.portfolioId
+      });
       
       if (!history.status) {
         return res.status(500).json(
@@ -225,17 +353,53 @@ class PortfolioController {
         );
       }
       
+      // The requested named portfolio does not belong to the user
+      if (error.message === 'Portfolio not found with the provided ID') {
+        return res.status(404).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
       res.status(500).json(
         PortfolioResponse.formatErrorResponse('Failed to fetch portfolio history. Please try again.')
       );
     }
   }
 
-  // DELETE /api/portfolio/remove/:schemeCode - Remove fund from portfolio
+  // GET /api/portfolio/performance - Get time-weighted return and daily performance series
+  static async getPerformance(req, res) {
+    try {
+      const validationResult = PortfolioRequest.validatePerformanceQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      const performance = await PerformanceService.getPerformance(req.portfolioUserId, validationResult.data.period);
+
+      res.status(200).json(
+        PortfolioResponse.formatPerformanceResponse(performance)
+      );
+
+    } catch (error) {
+      console.error('Get portfolio performance error:', error);
+      
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          PortfolioResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+      
+      res.status(500).json(
+        PortfolioResponse.formatErrorResponse('Failed to fetch portfolio performance. Please try again.')
+      );
+    }
+  }
+
+  // DELETE /api/portfolio/remove/:schemeCode - Remove fund from portfolio (?portfolioId= for a portfolio other than the default)
   static async removeFund(req, res) {
     try {
       const { schemeCode } = req.params;
-      const userId = req.user.id;
+      const userId = req.portfolioUserId;
 
       // Validate scheme code
       const validationResult = PortfolioRequest.validateSchemeCode(parseInt(schemeCode));
@@ -243,8 +407,19 @@ class PortfolioController {
         throw new CustomValidationError('Invalid scheme code', validationResult.errors);
       }
 
+      const queryValidation = PortfolioRequest.validatePortfolioQuery(req.query);
+      if (!queryValidation.isValid) {
+        throw new CustomValidationError('Invalid query parameters', queryValidation.errors);
+      }
+
       // Remove fund using service
-      const result = await PortfolioService.removeFund(userId, parseInt(schemeCode));
+      const result = await PortfolioService.removeFund(userId, parseInt(schemeCode), queryValidation.data.portfolioId);
+
+      if (result.message === 'Portfolio not found with the provided ID') {
+        return res.status(404).json(
+          PortfolioResponse.formatErrorResponse(result.message)
+        );
+      }
 
       if (!result.status) {
         return res.status(400).json(
@@ -281,8 +456,9 @@ class PortfolioController {
         throw new CustomValidationError('Validation failed', validationResult.errors);
       }
 
-      const { schemeCode, units } = validationResult.data;
-      const userId = req.user.id;
+      const { schemeCode, date, portfolioId = null } = validationResult.data;
+      const userId = req.portfolioUserId;
+      const transactionDate = date ? DateUtils.parseApiDate(date) : new Date();
 
       // Check if fund exists
       const fund = await FundRepository.findBySchemeCode(schemeCode);
@@ -293,27 +469,42 @@ class PortfolioController {
         });
       }
 
-      // Get latest NAV for the fund
-      const navData = await NavService.getLatestNav(schemeCode);
-      if (!navData || !navData.success || !navData.data || !navData.data.nav) {
+      // Get the NAV applicable on the transaction date (latest NAV when not backdated)
+      const navData = await PortfolioService.getApplicableNav(schemeCode, date ? transactionDate : null);
+      if (!navData.success) {
         return res.status(400).json({
           success: false,
-          message: 'Unable to fetch current NAV for this fund. Please try again later.'
+          message: navData.error
         });
       }
 
+      // Resolve units to redeem when the sale is given as an amount, at most the units held
+      const heldUnits = validationResult.data.amount
+        ? await PortfolioService.getHeldUnits(userId, schemeCode, portfolioId)
+        : null;
+      const order = PortfolioHelpers.resolveOrderUnits(validationResult.data, navData.data.nav, 'SELL', heldUnits);
+      if (order.units <= 0) {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse('Amount is too small to redeem any units at the applicable NAV')
+        );
+      }
+
       // Sell units using service
-      const result = await PortfolioService.removeUnits(userId, schemeCode, units, navData.data.nav, new Date());
+      const result = await PortfolioService.removeUnits(userId, schemeCode, order.units, navData.data.nav, transactionDate, {
+        namedPortfolioId: portfolioId
+      });
 
       // Format response
       const responseData = PortfolioResponse.formatSellFundResponse({
         schemeCode,
         schemeName: fund.schemeName,
-        units,
+        units: order.units,
         nav: navData.data.nav,
-        saleAmount: units * navData.data.nav,
+        saleAmount: result.transaction.amount,
+        requestedAmount: order.requestedAmount,
         realizedPL: result.realizedPL,
-        date: new Date(),
+        date: transactionDate,
+        navDate: navData.data.navDate,
         transactionId: result.transaction._id
       });
 
@@ -327,12 +518,543 @@ class PortfolioController {
           PortfolioResponse.formatValidationErrorResponse('Invalid request data', error.errors)
         );
       }
+
+      if (error.message === 'Insufficient units to sell' || error.message === 'Portfolio not found') {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      // The requested named portfolio does not belong to the user
+      if (error.message === 'Portfolio not found with the provided ID') {
+        return res.status(404).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      // Another request changed the holding and retries did not settle it
+      if (error instanceof HoldingConflictError) {
+        return res.status(409).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
       
       res.status(500).json(
         PortfolioResponse.formatErrorResponse('Failed to sell fund from portfolio. Please try again.')
       );
     }
   }
+
+  // POST /api/portfolio/switch - Switch units or an amount from one fund to another
+  static async switchFund(req, res) {
+    try {
+      // Validate request
+      const validationResult = PortfolioRequest.validateSwitchFund(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      const { fromSchemeCode, toSchemeCode, date, portfolioId = null } = validationResult.data;
+      const userId = req.portfolioUserId;
+      const transactionDate = date ? DateUtils.parseApiDate(date) : new Date();
+
+      // Check if both funds exist
+      const [fromFund, toFund] = await Promise.all([
+        FundRepository.findBySchemeCode(fromSchemeCode),
+        FundRepository.findBySchemeCode(toSchemeCode)
+      ]);
+      if (!fromFund || !toFund) {
+        return res.status(404).json({
+          success: false,
+          message: `Fund not found with the provided scheme code ${!fromFund ? fromSchemeCode : toSchemeCode}`
+        });
+      }
+
+      // Both legs are priced at the NAVs applicable on the switch date
+      const fromNavData = await PortfolioService.getApplicableNav(fromSchemeCode, date ? transactionDate : null);
+      if (!fromNavData.success) {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse(fromNavData.error)
+        );
+      }
+
+      const toNavData = await PortfolioService.getApplicableNav(toSchemeCode, date ? transactionDate : null);
+      if (!toNavData.success) {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse(toNavData.error)
+        );
+      }
+
+      // Redeem from the source fund, at most the units held, then invest the proceeds in the target fund
+      const heldUnits = validationResult.data.amount
+        ? await PortfolioService.getHeldUnits(userId, fromSchemeCode, portfolioId)
+        : null;
+      const { sell: sellOrder, buy: buyOrder } = PortfolioHelpers.resolveSwitchOrder(
+        validationResult.data,
+        fromNavData.data.nav,
+        toNavData.data.nav,
+        heldUnits
+      );
+      if (sellOrder.units <= 0) {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse('Amount is too small to redeem any units at the applicable NAV')
+        );
+      }
+
+      if (buyOrder.units <= 0) {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse('Switch amount is too small to allot any units in the target fund')
+        );
+      }
+
+      const result = await PortfolioService.switchUnits(
+        userId,
+        { schemeCode: fromSchemeCode, units: sellOrder.units, nav: fromNavData.data.nav },
+        { schemeCode: toSchemeCode, units: buyOrder.units, nav: toNavData.data.nav },
+        transactionDate,
+        { namedPortfolioId: portfolioId }
+      );
+
+      // Format response
+      const responseData = PortfolioResponse.formatSwitchFundResponse({
+        switchId: result.switchId,
+        requestedAmount: sellOrder.requestedAmount,
+        realizedPL: result.realizedPL,
+        date: transactionDate,
+        from: {
+          transactionId: result.sellTransaction._id,
+          schemeCode: fromSchemeCode,
+          schemeName: fromFund.schemeName,
+          units: sellOrder.units,
+          nav: fromNavData.data.nav,
+          navDate: fromNavData.data.navDate,
+          amount: result.sellTransaction.amount
+        },
+        to: {
+          transactionId: result.buyTransaction._id,
+          schemeCode: toSchemeCode,
+          schemeName: toFund.schemeName,
+          units: buyOrder.units,
+          nav: toNavData.data.nav,
+          navDate: toNavData.data.navDate,
+          amount: result.buyTransaction.amount
+        }
+      });
+
+      res.status(200).json(responseData);
+
+    } catch (error) {
+      console.error('Switch fund error:', error);
+      
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          PortfolioResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+        );
+      }
+
+      if (error.message === 'Insufficient units to sell' || error.message === 'Portfolio not found') {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      // The requested named portfolio does not belong to the user
+      if (error.message === 'Portfolio not found with the provided ID') {
+        return res.status(404).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      // Another request changed the holding and retries did not settle it
+      if (error instanceof HoldingConflictError) {
+        return res.status(409).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      res.status(500).json(
+        PortfolioResponse.formatErrorResponse('Failed to switch fund. Please try again.')
+      );
+    }
+  }
+
+  // POST /api/portfolio/dividend - Record an IDCW payout or reinvestment
+  static async recordDividend(req, res) {
+    try {
+      // Validate request
+      const validationResult = PortfolioRequest.validateDividend(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      const { schemeCode, option, amount, date, portfolioId = null } = validationResult.data;
+      const userId = req.portfolioUserId;
+      const exDate = date ? DateUtils.parseApiDate(date) : new Date();
+
+      // Check if fund exists
+      const fund = await FundRepository.findBySchemeCode(schemeCode);
+      if (!fund) {
+        return res.status(404).json({
+          success: false,
+          message: 'Fund not found with the provided scheme code'
+        });
+      }
+
+      // Dividends are recorded at the ex-dividend date NAV
+      const navData = await PortfolioService.getApplicableNav(schemeCode, date ? exDate : null);
+      if (!navData.success) {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse(navData.error)
+        );
+      }
+
+      const result = await DividendService.recordDividend(userId, schemeCode, option, amount, navData.data.nav, exDate, {
+        namedPortfolioId: portfolioId
+      });
+
+      res.status(201).json(
+        PortfolioResponse.formatDividendResponse({
+          transactionId: result.transaction._id,
+          schemeCode,
+          schemeName: fund.schemeName,
+          type: result.transaction.type,
+          amount,
+          units: result.transaction.units,
+          nav: navData.data.nav,
+          navDate: navData.data.navDate,
+          date: exDate
+        })
+      );
+
+    } catch (error) {
+      console.error('Record dividend error:', error);
+      
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          PortfolioResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+        );
+      }
+
+      if (['Portfolio not found', 'No units held on the ex-dividend date', 'Dividend is too small to reinvest any units'].includes(error.message)) {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      // The requested named portfolio does not belong to the user
+      if (error.message === 'Portfolio not found with the provided ID') {
+        return res.status(404).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      // Another request changed the holding and retries did not settle it
+      if (error instanceof HoldingConflictError) {
+        return res.status(409).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      res.status(500).json(
+        PortfolioResponse.formatErrorResponse('Failed to record dividend. Please try again.')
+      );
+    }
+  }
+
+  // GET /api/portfolio/dividends - Get dividend income by financial year
+  static async getDividendReport(req, res) {
+    try {
+      const validationResult = PortfolioRequest.validateFinancialYearQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      const { fy } = validationResult.data;
+      const years = await DividendService.getDividendReport(req.portfolioUserId, fy || null);
+
+      res.status(200).json(
+        PortfolioResponse.formatDividendReportResponse(years, fy || null)
+      );
+
+    } catch (error) {
+      console.error('Get dividend report error:', error);
+      
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          PortfolioResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+      
+      res.status(500).json(
+        PortfolioResponse.formatErrorResponse('Failed to fetch dividend report. Please try again.')
+      );
+    }
+  }
+
+  // GET /api/portfolio/capital-gains - Get FIFO capital gains for a financial year (JSON or CSV)
+  static async getCapitalGains(req, res) {
+    try {
+      const validationResult = PortfolioRequest.validateCapitalGainsQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      // Default to the current financial year
+      const financialYear = validationResult.data.fy || DateUtils.getFinancialYear(new Date());
+      const report = await CapitalGainsService.getCapitalGainsReport(req.portfolioUserId, financialYear);
+
+      if (validationResult.data.format === 'csv') {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        res.setHeader('Content-Disposition', `attachment; filename="capital-gains-${financialYear}.csv"`);
+        return res.status(200).send(PortfolioResponse.formatCapitalGainsCsv(report));
+      }
+
+      res.status(200).json(
+        PortfolioResponse.formatCapitalGainsResponse(report)
+      );
+
+    } catch (error) {
+      console.error('Get capital gains error:', error);
+      
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          PortfolioResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+      
+      res.status(500).json(
+        PortfolioResponse.formatErrorResponse('Failed to fetch capital gains report. Please try again.')
+      );
+    }
+  }
+
+  // GET /api/portfolio/capital-gains/schedule-112a - Export ITR Schedule 112A CSV for a financial year
+  static async getSchedule112A(req, res) {
+    try {
+      const validationResult = PortfolioRequest.validateFinancialYearQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      // Default to the current financial year
+      const financialYear = validationResult.data.fy || DateUtils.getFinancialYear(new Date());
+      const lots = await CapitalGainsService.getSchedule112ALots(req.portfolioUserId, financialYear);
+
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="schedule-112a-${financialYear}.csv"`);
+      res.status(200).send(PortfolioResponse.formatSchedule112ACsv(lots));
+
+    } catch (error) {
+      console.error('Get Schedule 112A error:', error);
+      
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          PortfolioResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+      
+      res.status(500).json(
+        PortfolioResponse.formatErrorResponse('Failed to export Schedule 112A. Please try again.')
+      );
+    }
+  }
+
+  // POST /api/portfolio/import - Preview or record historical transactions from a CSV
+  static async importTransactions(req, res) {
+    try {
+      const validationResult = PortfolioRequest.validateImportQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      // The CSV is sent as a text/csv body or as { csv } in JSON
+      const csvText = typeof req.body === 'string' ? req.body : req.body && req.body.csv;
+      if (!csvText || typeof csvText !== 'string') {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse('Send the CSV as a text/csv body or as a csv field in JSON')
+        );
+      }
+
+      const { dryRun, portfolioId = null } = validationResult.data;
+      const result = await ImportService.importTransactions(req.portfolioUserId, csvText, { dryRun, namedPortfolioId: portfolioId });
+
+      res.status(result.committed ? 201 : 200).json(
+        PortfolioResponse.formatImportResponse(result)
+      );
+
+    } catch (error) {
+      console.error('Import transactions error:', error);
+      
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          PortfolioResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+
+      if (error.message.startsWith('CSV ') || error.message === 'Insufficient units to sell') {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse(
+            error.message === 'Insufficient units to sell'
+              ? 'The portfolio changed since the preview; run the import again to review it'
+              : error.message
+          )
+        );
+      }
+      
+      // The requested named portfolio does not belong to the user
+      if (error.message === 'Portfolio not found with the provided ID') {
+        return res.status(404).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      // Another request changed the holding and retries did not settle it
+      if (error instanceof HoldingConflictError) {
+        return res.status(409).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      res.status(500).json(
+        PortfolioResponse.formatErrorResponse('Failed to import transactions. Please try again.')
+      );
+    }
+  }
+
+  // POST /api/portfolio/import/cas - Preview or record the transactions of a CAS text export
+  static async importCas(req, res) {
+    try {
+      const validationResult = PortfolioRequest.validateImportQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      // The statement is sent as a text/plain body or as { text } in JSON
+      const statementText = typeof req.body === 'string' ? req.body : req.body && req.body.text;
+      if (!statementText || typeof statementText !== 'string') {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse('Send the statement as a text/plain body or as a text field in JSON')
+        );
+      }
+
+      const { dryRun, portfolioId = null } = validationResult.data;
+      const result = await CasService.importStatement(req.portfolioUserId, statementText, { dryRun, namedPortfolioId: portfolioId });
+
+      res.status(result.committed ? 201 : 200).json(
+        PortfolioResponse.formatCasImportResponse(result)
+      );
+
+    } catch (error) {
+      console.error('Import CAS error:', error);
+      
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          PortfolioResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+
+      if (error.message.startsWith('CAS ') || error.message === 'Insufficient units to sell') {
+        return res.status(400).json(
+          PortfolioResponse.formatErrorResponse(
+            error.message === 'Insufficient units to sell'
+              ? 'The portfolio changed since the preview; run the import again to review it'
+              : error.message
+          )
+        );
+      }
+      
+      // The requested named portfolio does not belong to the user
+      if (error.message === 'Portfolio not found with the provided ID') {
+        return res.status(404).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      // Another request changed the holding and retries did not settle it
+      if (error instanceof HoldingConflictError) {
+        return res.status(409).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      res.status(500).json(
+        PortfolioResponse.formatErrorResponse('Failed to import the statement. Please try again.')
+      );
+    }
+  }
+
+  // GET /api/portfolio/export/:dataset - Download holdings, the transaction ledger or value history as CSV or XLSX
+  static async exportData(req, res) {
+    try {
+      const validationResult = PortfolioRequest.validateExportQuery(req.params.dataset, req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid request parameters', validationResult.errors);
+      }
+
+      const { dataset, fileType, format, schemeCode, days, startDate, endDate, portfolioId = null } = validationResult.data;
+      const userId = req.portfolioUserId;
+
+      // Without a portfolio ID every named portfolio is exported
+      if (portfolioId) {
+        await NamedPortfolioService.resolve(userId, portfolioId);
+      }
+
+      let records;
+      if (dataset === 'holdings') {
+        records = await ExportService.getHoldings(userId, portfolioId);
+      } else if (dataset === 'transactions') {
+        records = ExportService.getTransactions(userId, schemeCode, portfolioId);
+      } else {
+        records = await ExportService.getValueHistory(userId, { days, startDate, endDate, namedPortfolioId: portfolioId });
+      }
+
+      const headers = ExportResponse.getHeaders(dataset);
+      const rows = ExportResponse.toRows(dataset, records, format === 'display');
+
+      res.status(200);
+      res.setHeader('Content-Disposition', `attachment; filename="${ExportResponse.getFileName(dataset, fileType)}"`);
+
+      if (fileType === 'xlsx') {
+        res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+        await XlsxUtils.writeWorkbook(res, ExportResponse.getSheetName(dataset), headers, rows);
+      } else {
+        res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+        // Spreadsheet apps need a byte order mark to read the rupee sign as UTF-8
+        if (format === 'display') {
+          res.write('\uFEFF');
+        }
+        await CsvUtils.writeCsv(res, headers, rows);
+      }
+
+      res.end();
+
+    } catch (error) {
+      console.error('Export portfolio data error:', error);
+
+      // Once streaming has started the status is already sent, so the download is cut short instead
+      if (res.headersSent) {
+        res.destroy(error);
+        return;
+      }
+      
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          PortfolioResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+      
+      // The requested named portfolio does not belong to the user
+      if (error.message === 'Portfolio not found with the provided ID') {
+        return res.status(404).json(
+          PortfolioResponse.formatErrorResponse(error.message)
+        );
+      }
+      
+      res.status(500).json(
+        PortfolioResponse.formatErrorResponse('Failed to export portfolio data. Please try again.')
+      );
+    }
+  }
 }
 
 export default PortfolioController;
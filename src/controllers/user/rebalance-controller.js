@@ -0,0 +1,128 @@
+import RebalanceService from '../../services/rebalance-service.js';
+import NamedPortfolioService from '../../services/named-portfolio-service.js';
+import RebalanceRequest from '../../requests/user/rebalance-request.js';
+import RebalanceResponse from '../../responses/user/rebalance-response.js';
+import CustomValidationError from '../../exceptions/custom-validation-error.js';
+
+class RebalanceController {
+  // GET /api/portfolio/rebalance/target - Get the target allocation
+  static async getTarget(req, res) {
+    try {
+      const userId = req.portfolioUserId;
+      const namedPortfolio = await RebalanceController.resolvePortfolio(req, userId);
+      const target = await RebalanceService.getTarget(userId, namedPortfolio?._id);
+
+      res.status(200).json(
+        RebalanceResponse.formatTargetResponse(target, namedPortfolio)
+      );
+
+    } catch (error) {
+      RebalanceController.handleError(res, error, 'Failed to fetch target allocation. Please try again.');
+    }
+  }
+
+  // PUT /api/portfolio/rebalance/target - Set or replace the target allocation
+  static async setTarget(req, res) {
+    try {
+      const userId = req.portfolioUserId;
+      const namedPortfolio = await RebalanceController.resolvePortfolio(req, userId);
+
+      const validationResult = RebalanceRequest.validateTarget(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      const target = await RebalanceService.setTarget(userId, namedPortfolio?._id, validationResult.data);
+
+      res.status(200).json(
+        RebalanceResponse.formatTargetResponse(target, namedPortfolio, 'Target allocation saved successfully')
+      );
+
+    } catch (error) {
+      RebalanceController.handleError(res, error, 'Failed to save target allocation. Please try again.');
+    }
+  }
+
+  // DELETE /api/portfolio/rebalance/target - Remove the target allocation
+  static async deleteTarget(req, res) {
+    try {
+      const userId = req.portfolioUserId;
+      const namedPortfolio = await RebalanceController.resolvePortfolio(req, userId);
+      await RebalanceService.deleteTarget(userId, namedPortfolio?._id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Target allocation removed successfully'
+      });
+
+    } catch (error) {
+      RebalanceController.handleError(res, error, 'Failed to remove target allocation. Please try again.');
+    }
+  }
+
+  // GET /api/portfolio/rebalance - Get drift from the target and suggested orders
+  static async getRebalancePlan(req, res) {
+    try {
+      const userId = req.portfolioUserId;
+
+      const validationResult = RebalanceRequest.validateRebalanceQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      const { portfolioId, mode, amount, taxAware } = validationResult.data;
+      const namedPortfolio = portfolioId ? await NamedPortfolioService.resolve(userId, portfolioId) : null;
+
+      const plan = await RebalanceService.getRebalancePlan(userId, {
+        namedPortfolioId: namedPortfolio?._id,
+        mode,
+        amount,
+        taxAware
+      });
+
+      res.status(200).json(
+        RebalanceResponse.formatRebalanceResponse(plan, namedPortfolio)
+      );
+
+    } catch (error) {
+      RebalanceController.handleError(res, error, 'Failed to calculate rebalancing. Please try again.');
+    }
+  }
+
+  // Resolve the named portfolio selected by ?portfolioId; null when the target covers all portfolios
+  static async resolvePortfolio(req, userId) {
+    const validationResult = RebalanceRequest.validatePortfolioQuery(req.query);
+    if (!validationResult.isValid) {
+      throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+    }
+
+    const { portfolioId } = validationResult.data;
+    return portfolioId ? NamedPortfolioService.resolve(userId, portfolioId) : null;
+  }
+
+  // Send the error response for a failed rebalance request
+  static handleError(res, error, message) {
+    console.error('Rebalance error:', error);
+
+    if (error instanceof CustomValidationError) {
+      return res.status(400).json(
+        RebalanceResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+      );
+    }
+
+    if (
+      ['No target allocation is set for this portfolio', 'Portfolio not found with the provided ID'].includes(error.message) ||
+      error.message.startsWith('Fund not found with scheme code')
+    ) {
+      return res.status(404).json(
+        RebalanceResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    res.status(500).json(
+      RebalanceResponse.formatErrorResponse(message)
+    );
+  }
+}
+
+export default RebalanceController;
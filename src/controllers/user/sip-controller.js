@@ -0,0 +1,209 @@
+import FundRepository from '../../repositories/fund-repository.js';
+import SipRepository from '../../repositories/sip-repository.js';
+import SipService from '../../services/sip-service.js';
+import SipRequest from '../../requests/user/sip-request.js';
+import SipResponse from '../../responses/user/sip-response.js';
+import CustomValidationError from '../../exceptions/custom-validation-error.js';
+
+class SipController {
+  // POST /api/sips - Create a SIP
+  static async createSip(req, res) {
+    try {
+      // Validate request
+      const validationResult = SipRequest.validateCreateSip(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      const userId = req.user.id;
+
+      // Check if fund exists
+      const fund = await FundRepository.findBySchemeCode(validationResult.data.schemeCode);
+      if (!fund) {
+        return res.status(404).json(
+          SipResponse.formatErrorResponse('Fund not found with the provided scheme code')
+        );
+      }
+
+      const result = await SipService.createSip(userId, validationResult.data);
+      if (!result.status) {
+        return res.status(400).json(
+          SipResponse.formatErrorResponse(result.message)
+        );
+      }
+
+      res.status(201).json(
+        SipResponse.formatSipResponse(result.data, fund.schemeName, 'SIP created successfully')
+      );
+
+    } catch (error) {
+      console.error('Create SIP error:', error);
+
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          SipResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+        );
+      }
+
+      res.status(500).json(
+        SipResponse.formatErrorResponse('Failed to create SIP. Please try again.')
+      );
+    }
+  }
+
+  // GET /api/sips - List user's SIPs
+  static async getSips(req, res) {
+    try {
+      const validationResult = SipRequest.validateListQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      const sips = await SipRepository.findByUserId(req.user.id, validationResult.data);
+
+      // Resolve scheme names for display
+      const funds = await FundRepository.findBySchemeCodes([...new Set(sips.map(sip => sip.schemeCode))]);
+      const schemeNames = Object.fromEntries(funds.map(fund => [fund.schemeCode, fund.schemeName]));
+
+      res.status(200).json(
+        SipResponse.formatSipListResponse(sips, schemeNames)
+      );
+
+    } catch (error) {
+      console.error('Get SIPs error:', error);
+
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          SipResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+
+      res.status(500).json(
+        SipResponse.formatErrorResponse('Failed to fetch SIPs. Please try again.')
+      );
+    }
+  }
+
+  // GET /api/sips/:id - Get SIP with upcoming instalments and execution history
+  static async getSip(req, res) {
+    try {
+      const sip = await SipController.findUserSip(req);
+      if (!sip) {
+        return res.status(404).json(
+          SipResponse.formatErrorResponse('SIP not found')
+        );
+      }
+
+      const fund = await FundRepository.findBySchemeCode(sip.schemeCode);
+
+      res.status(200).json(
+        SipResponse.formatSipDetailResponse(sip, fund ? fund.schemeName : null)
+      );
+
+    } catch (error) {
+      console.error('Get SIP error:', error);
+
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          SipResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+
+      res.status(500).json(
+        SipResponse.formatErrorResponse('Failed to fetch SIP. Please try again.')
+      );
+    }
+  }
+
+  // PUT /api/sips/:id - Update SIP amount, instalment day or end date
+  static async updateSip(req, res) {
+    try {
+      const validationResult = SipRequest.validateUpdateSip(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      await SipController.runSipAction(req, res, sip => SipService.updateSip(sip, validationResult.data), 'SIP updated successfully');
+
+    } catch (error) {
+      SipController.handleActionError(res, error, 'Failed to update SIP. Please try again.');
+    }
+  }
+
+  // POST /api/sips/:id/pause - Pause an active SIP
+  static async pauseSip(req, res) {
+    try {
+      await SipController.runSipAction(req, res, sip => SipService.pauseSip(sip), 'SIP paused successfully');
+    } catch (error) {
+      SipController.handleActionError(res, error, 'Failed to pause SIP. Please try again.');
+    }
+  }
+
+  // POST /api/sips/:id/resume - Resume a paused SIP
+  static async resumeSip(req, res) {
+    try {
+      await SipController.runSipAction(req, res, sip => SipService.resumeSip(sip), 'SIP resumed successfully');
+    } catch (error) {
+      SipController.handleActionError(res, error, 'Failed to resume SIP. Please try again.');
+    }
+  }
+
+  // DELETE /api/sips/:id - Cancel a SIP (execution history is kept)
+  static async cancelSip(req, res) {
+    try {
+      await SipController.runSipAction(req, res, sip => SipService.cancelSip(sip), 'SIP cancelled successfully');
+    } catch (error) {
+      SipController.handleActionError(res, error, 'Failed to cancel SIP. Please try again.');
+    }
+  }
+
+  // Load the SIP in the route parameter, scoped to the authenticated user
+  static async findUserSip(req) {
+    const validationResult = SipRequest.validateSipId(req.params.id);
+    if (!validationResult.isValid) {
+      throw new CustomValidationError('Invalid SIP ID', validationResult.errors);
+    }
+
+    return SipRepository.findByIdForUser(validationResult.data.id, req.user.id);
+  }
+
+  // Run a lifecycle action on the user's SIP and send the result
+  static async runSipAction(req, res, action, successMessage) {
+    const sip = await SipController.findUserSip(req);
+    if (!sip) {
+      return res.status(404).json(
+        SipResponse.formatErrorResponse('SIP not found')
+      );
+    }
+
+    const result = await action(sip);
+    if (!result.status) {
+      return res.status(400).json(
+        SipResponse.formatErrorResponse(result.message)
+      );
+    }
+
+    const fund = await FundRepository.findBySchemeCode(sip.schemeCode);
+
+    res.status(200).json(
+      SipResponse.formatSipResponse(result.data, fund ? fund.schemeName : null, successMessage)
+    );
+  }
+
+  // Send the error response for a failed SIP action
+  static handleActionError(res, error, message) {
+    console.error('SIP action error:', error);
+
+    if (error instanceof CustomValidationError) {
+      return res.status(400).json(
+        SipResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+      );
+    }
+
+    res.status(500).json(
+      SipResponse.formatErrorResponse(message)
+    );
+  }
+}
+
+export default SipController;
@@ -0,0 +1,247 @@
+import FundRepository from '../../repositories/fund-repository.js';
+import StpRepository from '../../repositories/stp-repository.js';
+import StpService from '../../services/stp-service.js';
+import StpRequest from '../../requests/user/stp-request.js';
+import StpResponse from '../../responses/user/stp-response.js';
+import CustomValidationError from '../../exceptions/custom-validation-error.js';
+
+class StpController {
+  // POST /api/stps - Create an STP
+  static async createStp(req, res) {
+    try {
+      // Validate request
+      const validationResult = StpRequest.validateCreateStp(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      const userId = req.user.id;
+      const { fromSchemeCode, toSchemeCode } = validationResult.data;
+
+      // Check if both funds exist
+      const schemeNames = await StpController.getSchemeNames([fromSchemeCode, toSchemeCode]);
+      const missingSchemeCode = [fromSchemeCode, toSchemeCode].find(schemeCode => !schemeNames[schemeCode]);
+      if (missingSchemeCode) {
+        return res.status(404).json(
+          StpResponse.formatErrorResponse(`Fund not found with the provided scheme code ${missingSchemeCode}`)
+        );
+      }
+
+      const result = await StpService.createStp(userId, validationResult.data);
+      if (!result.status) {
+        return res.status(400).json(
+          StpResponse.formatErrorResponse(result.message)
+        );
+      }
+
+      res.status(201).json(
+        StpResponse.formatStpResponse(result.data, schemeNames, 'STP created successfully')
+      );
+
+    } catch (error) {
+      console.error('Create STP error:', error);
+
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          StpResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+        );
+      }
+
+      res.status(500).json(
+        StpResponse.formatErrorResponse('Failed to create STP. Please try again.')
+      );
+    }
+  }
+
+  // GET /api/stps - List user's STPs
+  static async getStps(req, res) {
+    try {
+      const validationResult = StpRequest.validateListQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      const stps = await StpRepository.findByUserId(req.user.id, validationResult.data);
+      const schemeNames = await StpController.getSchemeNames(
+        stps.flatMap(stp => [stp.fromSchemeCode, stp.toSchemeCode])
+      );
+
+      res.status(200).json(
+        StpResponse.formatStpListResponse(stps, schemeNames)
+      );
+
+    } catch (error) {
+      console.error('Get STPs error:', error);
+
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          StpResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+
+      res.status(500).json(
+        StpResponse.formatErrorResponse('Failed to fetch STPs. Please try again.')
+      );
+    }
+  }
+
+  // GET /api/stps/:id - Get STP status with upcoming transfers and totals
+  static async getStp(req, res) {
+    try {
+      const stp = await StpController.findUserStp(req);
+      if (!stp) {
+        return res.status(404).json(
+          StpResponse.formatErrorResponse('STP not found')
+        );
+      }
+
+      const schemeNames = await StpController.getSchemeNames([stp.fromSchemeCode, stp.toSchemeCode]);
+
+      res.status(200).json(
+        StpResponse.formatStpStatusResponse(stp, schemeNames)
+      );
+
+    } catch (error) {
+      console.error('Get STP error:', error);
+
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          StpResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+
+      res.status(500).json(
+        StpResponse.formatErrorResponse('Failed to fetch STP. Please try again.')
+      );
+    }
+  }
+
+  // GET /api/stps/:id/transfers - Get STP transfer history
+  static async getTransfers(req, res) {
+    try {
+      const stp = await StpController.findUserStp(req);
+      if (!stp) {
+        return res.status(404).json(
+          StpResponse.formatErrorResponse('STP not found')
+        );
+      }
+
+      const schemeNames = await StpController.getSchemeNames([stp.fromSchemeCode, stp.toSchemeCode]);
+
+      res.status(200).json(
+        StpResponse.formatTransferHistoryResponse(stp, schemeNames)
+      );
+
+    } catch (error) {
+      console.error('Get STP transfers error:', error);
+
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          StpResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+
+      res.status(500).json(
+        StpResponse.formatErrorResponse('Failed to fetch STP transfers. Please try again.')
+      );
+    }
+  }
+
+  // PUT /api/stps/:id - Update STP amount, transfer day or end date
+  static async updateStp(req, res) {
+    try {
+      const validationResult = StpRequest.validateUpdateStp(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      await StpController.runStpAction(req, res, stp => StpService.updateStp(stp, validationResult.data), 'STP updated successfully');
+
+    } catch (error) {
+      StpController.handleActionError(res, error, 'Failed to update STP. Please try again.');
+    }
+  }
+
+  // POST /api/stps/:id/pause - Pause an active STP
+  static async pauseStp(req, res) {
+    try {
+      await StpController.runStpAction(req, res, stp => StpService.pauseStp(stp), 'STP paused successfully');
+    } catch (error) {
+      StpController.handleActionError(res, error, 'Failed to pause STP. Please try again.');
+    }
+  }
+
+  // POST /api/stps/:id/resume - Resume a paused STP
+  static async resumeStp(req, res) {
+    try {
+      await StpController.runStpAction(req, res, stp => StpService.resumeStp(stp), 'STP resumed successfully');
+    } catch (error) {
+      StpController.handleActionError(res, error, 'Failed to resume STP. Please try again.');
+    }
+  }
+
+  // DELETE /api/stps/:id - Cancel an STP (transfer history is kept)
+  static async cancelStp(req, res) {
+    try {
+      await StpController.runStpAction(req, res, stp => StpService.cancelStp(stp), 'STP cancelled successfully');
+    } catch (error) {
+      StpController.handleActionError(res, error, 'Failed to cancel STP. Please try again.');
+    }
+  }
+
+  // Load the STP in the route parameter, scoped to the authenticated user
+  static async findUserStp(req) {
+    const validationResult = StpRequest.validateStpId(req.params.id);
+    if (!validationResult.isValid) {
+      throw new CustomValidationError('Invalid STP ID', validationResult.errors);
+    }
+
+    return StpRepository.findByIdForUser(validationResult.data.id, req.user.id);
+  }
+
+  // Resolve scheme names for display, keyed by scheme code
+  static async getSchemeNames(schemeCodes) {
+    const funds = await FundRepository.findBySchemeCodes([...new Set(schemeCodes)]);
+    return Object.fromEntries(funds.map(fund => [fund.schemeCode, fund.schemeName]));
+  }
+
+  // Run a lifecycle action on the user's STP and send the result
+  static async runStpAction(req, res, action, successMessage) {
+    const stp = await StpController.findUserStp(req);
+    if (!stp) {
+      return res.status(404).json(
+        StpResponse.formatErrorResponse('STP not found')
+      );
+    }
+
+    const result = await action(stp);
+    if (!result.status) {
+      return res.status(400).json(
+        StpResponse.formatErrorResponse(result.message)
+      );
+    }
+
+    const schemeNames = await StpController.getSchemeNames([stp.fromSchemeCode, stp.toSchemeCode]);
+
+    res.status(200).json(
+      StpResponse.formatStpResponse(result.data, schemeNames, successMessage)
+    );
+  }
+
+  // Send the error response for a failed STP action
+  static handleActionError(res, error, message) {
+    console.error('STP action error:', error);
+
+    if (error instanceof CustomValidationError) {
+      return res.status(400).json(
+        StpResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+      );
+    }
+
+    res.status(500).json(
+      StpResponse.formatErrorResponse(message)
+    );
+  }
+}
+
+export default StpController;
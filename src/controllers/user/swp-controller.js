@@ -0,0 +1,257 @@
+import FundRepository from '../../repositories/fund-repository.js';
+import SwpRepository from '../../repositories/swp-repository.js';
+import TransactionRepository from '../../repositories/transaction-repository.js';
+import SwpService from '../../services/swp-service.js';
+import SwpRequest from '../../requests/user/swp-request.js';
+import SwpResponse from '../../responses/user/swp-response.js';
+import CustomValidationError from '../../exceptions/custom-validation-error.js';
+
+class SwpController {
+  // POST /api/swps - Create an SWP
+  static async createSwp(req, res) {
+    try {
+      // Validate request
+      const validationResult = SwpRequest.validateCreateSwp(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      const userId = req.user.id;
+
+      // Check if fund exists
+      const fund = await FundRepository.findBySchemeCode(validationResult.data.schemeCode);
+      if (!fund) {
+        return res.status(404).json(
+          SwpResponse.formatErrorResponse('Fund not found with the provided scheme code')
+        );
+      }
+
+      const result = await SwpService.createSwp(userId, validationResult.data);
+      if (!result.status) {
+        return res.status(400).json(
+          SwpResponse.formatErrorResponse(result.message)
+        );
+      }
+
+      res.status(201).json(
+        SwpResponse.formatSwpResponse(result.data, fund.schemeName, 'SWP created successfully')
+      );
+
+    } catch (error) {
+      console.error('Create SWP error:', error);
+
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          SwpResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+        );
+      }
+
+      res.status(500).json(
+        SwpResponse.formatErrorResponse('Failed to create SWP. Please try again.')
+      );
+    }
+  }
+
+  // GET /api/swps - List user's SWPs
+  static async getSwps(req, res) {
+    try {
+      const validationResult = SwpRequest.validateListQuery(req.query);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Invalid query parameters', validationResult.errors);
+      }
+
+      const swps = await SwpRepository.findByUserId(req.user.id, validationResult.data);
+
+      // Resolve scheme names for display
+      const funds = await FundRepository.findBySchemeCodes([...new Set(swps.map(swp => swp.schemeCode))]);
+      const schemeNames = Object.fromEntries(funds.map(fund => [fund.schemeCode, fund.schemeName]));
+
+      res.status(200).json(
+        SwpResponse.formatSwpListResponse(swps, schemeNames)
+      );
+
+    } catch (error) {
+      console.error('Get SWPs error:', error);
+
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          SwpResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+
+      res.status(500).json(
+        SwpResponse.formatErrorResponse('Failed to fetch SWPs. Please try again.')
+      );
+    }
+  }
+
+  // GET /api/swps/:id - Get SWP with withdrawal totals
+  static async getSwp(req, res) {
+    try {
+      const swp = await SwpController.findUserSwp(req);
+      if (!swp) {
+        return res.status(404).json(
+          SwpResponse.formatErrorResponse('SWP not found')
+        );
+      }
+
+      const fund = await FundRepository.findBySchemeCode(swp.schemeCode);
+      const transactionsById = await SwpController.loadWithdrawalTransactions(swp);
+
+      res.status(200).json(
+        SwpResponse.formatSwpDetailResponse(swp, fund ? fund.schemeName : null, transactionsById)
+      );
+
+    } catch (error) {
+      console.error('Get SWP error:', error);
+
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          SwpResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+
+      res.status(500).json(
+        SwpResponse.formatErrorResponse('Failed to fetch SWP. Please try again.')
+      );
+    }
+  }
+
+  // GET /api/swps/:id/withdrawals - List upcoming and past withdrawals with realized gain
+  static async getWithdrawals(req, res) {
+    try {
+      const swp = await SwpController.findUserSwp(req);
+      if (!swp) {
+        return res.status(404).json(
+          SwpResponse.formatErrorResponse('SWP not found')
+        );
+      }
+
+      const fund = await FundRepository.findBySchemeCode(swp.schemeCode);
+      const transactionsById = await SwpController.loadWithdrawalTransactions(swp);
+
+      res.status(200).json(
+        SwpResponse.formatWithdrawalsResponse(swp, fund ? fund.schemeName : null, transactionsById)
+      );
+
+    } catch (error) {
+      console.error('Get SWP withdrawals error:', error);
+
+      if (error instanceof CustomValidationError) {
+        return res.status(400).json(
+          SwpResponse.formatValidationErrorResponse('Invalid request parameters', error.errors)
+        );
+      }
+
+      res.status(500).json(
+        SwpResponse.formatErrorResponse('Failed to fetch SWP withdrawals. Please try again.')
+      );
+    }
+  }
+
+  // PUT /api/swps/:id - Update SWP amount, withdrawal day or end date
+  static async updateSwp(req, res) {
+    try {
+      const validationResult = SwpRequest.validateUpdateSwp(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      await SwpController.runSwpAction(req, res, swp => SwpService.updateSwp(swp, validationResult.data), 'SWP updated successfully');
+
+    } catch (error) {
+      SwpController.handleActionError(res, error, 'Failed to update SWP. Please try again.');
+    }
+  }
+
+  // POST /api/swps/:id/pause - Pause an active SWP
+  static async pauseSwp(req, res) {
+    try {
+      await SwpController.runSwpAction(req, res, swp => SwpService.pauseSwp(swp), 'SWP paused successfully');
+    } catch (error) {
+      SwpController.handleActionError(res, error, 'Failed to pause SWP. Please try again.');
+    }
+  }
+
+  // POST /api/swps/:id/resume - Resume a paused SWP
+  static async resumeSwp(req, res) {
+    try {
+      await SwpController.runSwpAction(req, res, swp => SwpService.resumeSwp(swp), 'SWP resumed successfully');
+    } catch (error) {
+      SwpController.handleActionError(res, error, 'Failed to resume SWP. Please try again.');
+    }
+  }
+
+  // DELETE /api/swps/:id - Cancel an SWP (execution history is kept)
+  static async cancelSwp(req, res) {
+    try {
+      await SwpController.runSwpAction(req, res, swp => SwpService.cancelSwp(swp), 'SWP cancelled successfully');
+    } catch (error) {
+      SwpController.handleActionError(res, error, 'Failed to cancel SWP. Please try again.');
+    }
+  }
+
+  // Load the SWP in the route parameter, scoped to the authenticated user
+  static async findUserSwp(req) {
+    const validationResult = SwpRequest.validateSwpId(req.params.id);
+    if (!validationResult.isValid) {
+      throw new CustomValidationError('Invalid SWP ID', validationResult.errors);
+    }
+
+    return SwpRepository.findByIdForUser(validationResult.data.id, req.user.id);
+  }
+
+  // Load the SELL transactions of executed withdrawals, keyed by ID
+  static async loadWithdrawalTransactions(swp) {
+    const transactionIds = swp.executions
+      .filter(execution => execution.transactionId)
+      .map(execution => execution.transactionId);
+
+    if (transactionIds.length === 0) {
+      return {};
+    }
+
+    const transactions = await TransactionRepository.findByIds(transactionIds);
+    return Object.fromEntries(transactions.map(transaction => [String(transaction._id), transaction]));
+  }
+
+  // Run a lifecycle action on the user's SWP and send the result
+  static async runSwpAction(req, res, action, successMessage) {
+    const swp = await SwpController.findUserSwp(req);
+    if (!swp) {
+      return res.status(404).json(
+        SwpResponse.formatErrorResponse('SWP not found')
+      );
+    }
+
+    const result = await action(swp);
+    if (!result.status) {
+      return res.status(400).json(
+        SwpResponse.formatErrorResponse(result.message)
+      );
+    }
+
+    const fund = await FundRepository.findBySchemeCode(swp.schemeCode);
+
+    res.status(200).json(
+      SwpResponse.formatSwpResponse(result.data, fund ? fund.schemeName : null, successMessage)
+    );
+  }
+
+  // Send the error response for a failed SWP action
+  static handleActionError(res, error, message) {
+    console.error('SWP action error:', error);
+
+    if (error instanceof CustomValidationError) {
+      return res.status(400).json(
+        SwpResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+      );
+    }
+
+    res.status(500).json(
+      SwpResponse.formatErrorResponse(message)
+    );
+  }
+}
+
+export default SwpController;
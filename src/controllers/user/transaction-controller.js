@@ -1,34 +1,45 @@
 import TransactionRepository from '../../repositories/transaction-repository.js';
+import TransactionService from '../../services/transaction-service.js';
+import PortfolioService from '../../services/portfolio-service.js';
+import NamedPortfolioService from '../../services/named-portfolio-service.js';
 import TransactionRequest from '../../requests/user/transaction-request.js';
 import TransactionResponse from '../../responses/user/transaction-response.js';
 import CustomValidationError from '../../exceptions/custom-validation-error.js';
+import HoldingConflictError from '../../exceptions/holding-conflict-error.js';
 
 class TransactionController {
-  // GET /api/transactions - Get user's transaction history
+  // GET /api/transactions - Get user's transaction history (?portfolioId= for one portfolio)
   static async getTransactions(req, res) {
     try {
-      const userId = req.user.id;
-      const { schemeCode, page = 1, limit = 50, type } = req.query;
+      const userId = req.portfolioUserId;
+      const { schemeCode, page = 1, limit = 50, type, portfolioId } = req.query;
 
       // Validate query parameters
       const validatedQuery = TransactionRequest.validateTransactionQuery({
         schemeCode: schemeCode ? parseInt(schemeCode) : null,
         page: parseInt(page),
         limit: parseInt(limit),
-        type
+        type,
+        portfolioId
       });
 
       if (!validatedQuery.isValid) {
         throw new CustomValidationError('Invalid query parameters', validatedQuery.errors);
       }
 
+      // Without a portfolio ID transactions of every named portfolio are listed
+      if (validatedQuery.data.portfolioId) {
+        await NamedPortfolioService.resolve(userId, validatedQuery.data.portfolioId);
+      }
+
       // Get transaction history
       const transactions = await TransactionRepository.getUserTransactionHistory(
         userId, 
         validatedQuery.data.schemeCode,
         {
           page: validatedQuery.data.page,
-          limit: validatedQuery.data.limit
+          limit: validatedQuery.data.limit,
+          namedPortfolioId: validatedQuery.data.portfolioId
         }
       );
 
@@ -51,12 +62,165 @@ class TransactionController {
         );
       }
       
+      if (error.message === 'Portfolio not found with the provided ID') {
+        return res.status(404).json(
+          TransactionResponse.formatErrorResponse(error.message)
+        );
+      }
+      
       res.status(500).json(
         TransactionResponse.formatErrorResponse('Failed to fetch transactions. Please try again.')
       );
     }
   }
 
+  // PATCH /api/transactions/:id - Correct a transaction and rebuild its holding
+  static async updateTransaction(req, res) {
+    try {
+      const transactionId = TransactionController.validateTransactionId(req);
+      const validationResult = TransactionRequest.validateUpdateTransaction(req.body);
+      if (!validationResult.isValid) {
+        throw new CustomValidationError('Validation failed', validationResult.errors);
+      }
+
+      const found = await TransactionService.getUserTransaction(req.portfolioUserId, transactionId);
+      if (!found) {
+        return res.status(404).json(
+          TransactionResponse.formatErrorResponse('Transaction not found')
+        );
+      }
+
+      const changes = { ...validationResult.data };
+      const changeError = TransactionService.validateChanges(found.transaction, changes);
+      if (changeError) {
+        return res.status(400).json(
+          TransactionResponse.formatErrorResponse(changeError)
+        );
+      }
+
+      // A transaction moved to another date is re-priced at that date's NAV unless a NAV is given
+      if (changes.date && changes.nav === undefined) {
+        const navData = await PortfolioService.getApplicableNav(found.portfolio.schemeCode, changes.date);
+        if (!navData.success) {
+          return res.status(400).json(
+            TransactionResponse.formatErrorResponse(navData.error)
+          );
+        }
+        changes.nav = navData.data.nav;
+      }
+
+      const result = await TransactionService.updateTransaction(req.portfolioUserId, transactionId, changes);
+
+      res.status(200).json(
+        TransactionResponse.formatTransactionChangeResponse('Transaction updated successfully', [result.transaction], result.holdings)
+      );
+
+    } catch (error) {
+      TransactionController.handleChangeError(res, error, 'Failed to update transaction. Please try again.');
+    }
+  }
+
+  // DELETE /api/transactions/:id - Cancel a transaction (both legs of a switch) and rebuild holdings
+  static async cancelTransaction(req, res) {
+    try {
+      const transactionId = TransactionController.validateTransactionId(req);
+      const result = await TransactionService.cancelTransaction(req.portfolioUserId, transactionId);
+
+      res.status(200).json(
+        TransactionResponse.formatTransactionChangeResponse('Transaction cancelled successfully', result.transactions, result.holdings)
+      );
+
+    } catch (error) {
+      TransactionController.handleChangeError(res, error, 'Failed to cancel transaction. Please try again.');
+    }
+  }
+
+  // POST /api/transactions/:id/undo - Undo the latest edit or cancellation of a transaction
+  static async undoTransaction(req, res) {
+    try {
+      const transactionId = TransactionController.validateTransactionId(req);
+      const result = await TransactionService.undoLastChange(req.portfolioUserId, transactionId);
+
+      res.status(200).json(
+        TransactionResponse.formatTransactionChangeResponse('Transaction change undone successfully', result.transactions, result.holdings)
+      );
+
+    } catch (error) {
+      TransactionController.handleChangeError(res, error, 'Failed to undo transaction change. Please try again.');
+    }
+  }
+
+  // GET /api/transactions/:id/revisions - Get the audit history of a transaction
+  static async getRevisions(req, res) {
+    try {
+      const transactionId = TransactionController.validateTransactionId(req);
+      const revisions = await TransactionService.getRevisions(req.portfolioUserId, transactionId);
+
+      // A transaction without revisions must still belong to the user
+      if (revisions.length === 0 && !(await TransactionService.getUserTransaction(req.portfolioUserId, transactionId))) {
+        return res.status(404).json(
+          TransactionResponse.formatErrorResponse('Transaction not found')
+        );
+      }
+
+      res.status(200).json(
+        TransactionResponse.formatRevisionsResponse(transactionId, revisions)
+      );
+
+    } catch (error) {
+      TransactionController.handleChangeError(res, error, 'Failed to fetch transaction revisions. Please try again.');
+    }
+  }
+
+  // Validate the transaction ID route parameter
+  static validateTransactionId(req) {
+    const validationResult = TransactionRequest.validateTransactionId(req.params.id);
+    if (!validationResult.isValid) {
+      throw new CustomValidationError('Invalid transaction ID', validationResult.errors);
+    }
+
+    return validationResult.data.id;
+  }
+
+  // Send the error response for a failed transaction change
+  static handleChangeError(res, error, message) {
+    console.error('Transaction change error:', error);
+
+    if (error instanceof CustomValidationError) {
+      return res.status(400).json(
+        TransactionResponse.formatValidationErrorResponse('Invalid request data', error.errors)
+      );
+    }
+
+    if (error instanceof HoldingConflictError) {
+      return res.status(409).json(
+        TransactionResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    if (error.message === 'Transaction not found') {
+      return res.status(404).json(
+        TransactionResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    // The ledger replay found a later sale selling more units than were held
+    if (error.message === 'Insufficient units to sell') {
+      return res.status(400).json(
+        TransactionResponse.formatErrorResponse('This change would leave a later sale selling more units than were held')
+      );
+    }
+
+    if (['No changes to undo', 'Dividend is too small to reinvest any units', 'The fund has since been removed from the portfolio'].includes(error.message)) {
+      return res.status(400).json(
+        TransactionResponse.formatErrorResponse(error.message)
+      );
+    }
+
+    res.status(500).json(
+      TransactionResponse.formatErrorResponse(message)
+    );
+  }
 }
 
 export default TransactionController;
@@ -1,8 +1,12 @@
 export class CustomValidationError extends Error {
-  constructor(errors) {
-    super('Validation failed');
+  // Accepts (errors) or (message, errors)
+  constructor(messageOrErrors, errors) {
+    const hasMessage = errors !== undefined;
+    super(hasMessage ? messageOrErrors : 'Validation failed');
     this.name = 'CustomValidationError';
-    this.errors = Array.isArray(errors) ? errors : [errors];
+
+    const details = hasMessage ? errors : messageOrErrors;
+    this.errors = Array.isArray(details) ? details : [details];
   }
 
   // Create from Joi validation error
@@ -0,0 +1,9 @@
+export class HoldingConflictError extends Error {
+  // Raised when a holding changed between being read and written by the same request
+  constructor(message = 'The holding was changed by another request. Please try again.') {
+    super(message);
+    this.name = 'HoldingConflictError';
+  }
+}
+
+export default HoldingConflictError;
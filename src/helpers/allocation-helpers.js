@@ -0,0 +1,34 @@
+// Asset allocation helpers: classify AMFI scheme categories into asset classes and SEBI sub-categories
+
+// Asset class of each AMFI scheme category prefix, e.g. "Equity Scheme - Large Cap Fund"
+const ASSET_CLASSES = {
+  'equity': 'EQUITY',
+  'debt': 'DEBT',
+  'hybrid': 'HYBRID',
+  'solution oriented': 'SOLUTION',
+  'other': 'OTHER'
+};
+
+const CATEGORY_PATTERN = /^\s*(equity|debt|hybrid|solution oriented|other)\s+schemes?\s*-\s*(.+?)\s*$/i;
+
+class AllocationHelpers {
+  // Classify a scheme category into { assetClass, subCategory }; null when it does not follow the
+  // "<Asset class> Scheme - <Sub-category>" naming of SEBI's categorisation
+  static classifyCategory(schemeCategory) {
+    if (!schemeCategory || typeof schemeCategory !== 'string') {
+      return null;
+    }
+
+    const match = schemeCategory.match(CATEGORY_PATTERN);
+    if (!match) {
+      return null;
+    }
+
+    return {
+      assetClass: ASSET_CLASSES[match[1].toLowerCase()],
+      subCategory: match[2]
+    };
+  }
+}
+
+export default AllocationHelpers;
@@ -0,0 +1,100 @@
+// Benchmark helpers: index CSV parsing and replaying a portfolio's cash flows into a benchmark
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+// Index fund and ETF categories, or scheme names that name an index
+const INDEX_CATEGORY_PATTERN = /index|etf/i;
+const INDEX_NAME_PATTERN = /\bindex\b|\betf\b|\bnifty\b|\bsensex\b/i;
+
+class BenchmarkHelpers {
+  // Whether a fund tracks an index and can stand in for it as a benchmark
+  static isIndexFund(fund) {
+    return Boolean(fund) && (
+      INDEX_CATEGORY_PATTERN.test(fund.schemeCategory || '') || INDEX_NAME_PATTERN.test(fund.schemeName || '')
+    );
+  }
+
+  // Parse an index date: DD-MM-YYYY, YYYY-MM-DD, or exchange style 01-Jan-2024 and 01 Jan 2024
+  static parseIndexDate(text) {
+    let match = /^(\d{1,2})[-/.](\d{1,2})[-/.](\d{4})$/.exec(text);
+    let parts = match ? [Number(match[3]), Number(match[2]) - 1, Number(match[1])] : null;
+
+    if (!parts && (match = /^(\d{4})-(\d{1,2})-(\d{1,2})$/.exec(text))) {
+      parts = [Number(match[1]), Number(match[2]) - 1, Number(match[3])];
+    }
+
+    if (!parts && (match = /^(\d{1,2})[-\s]([A-Za-z]{3})[-\s](\d{4})$/.exec(text))) {
+      const month = MONTHS[match[2].toLowerCase()];
+      parts = month === undefined ? null : [Number(match[3]), month, Number(match[1])];
+    }
+
+    if (!parts) {
+      return null;
+    }
+
+    const [year, month, day] = parts;
+    const date = new Date(year, month, day);
+    return date.getMonth() === month && date.getDate() === day ? date : null;
+  }
+
+  // Parse an index value, allowing thousands separators; null unless it is a positive number
+  static parseIndexValue(text) {
+    const value = Number(String(text).replace(/,/g, ''));
+    return Number.isFinite(value) && value > 0 ? value : null;
+  }
+
+  // Value of a series on each date: the last entry on or before it, or null before the series starts
+  // Series entries are { date, value } and both inputs are oldest first
+  static alignValues(series, dates) {
+    let index = -1;
+
+    return dates.map(date => {
+      while (index + 1 < series.length && series[index + 1].date <= date) {
+        index++;
+      }
+      return index >= 0 ? series[index].value : null;
+    });
+  }
+
+  // Replay daily net flows into a benchmark: money in buys benchmark units at the day's value, money out redeems them
+  // The opening value is invested at the opening price; a redemption larger than the benchmark holding stops at zero
+  // Returns daily { date, value, netFlow } points, netFlow being the flow actually applied
+  static simulateFlows(points, prices, openingValue, openingPrice) {
+    let units = openingPrice > 0 ? openingValue / openingPrice : 0;
+
+    return points.map((point, index) => {
+      const price = prices[index];
+      const netFlow = Math.max(point.netFlow, -units * price);
+      units += netFlow / price;
+
+      return { date: point.date, value: units * price, netFlow };
+    });
+  }
+
+  // Investor cash flows for XIRR: the opening value as an investment, daily flows, and the closing value as an inflow
+  static buildCashFlows(opening, points) {
+    const cashFlows = [];
+
+    if (opening && opening.value > 0) {
+      cashFlows.push({ amount: -opening.value, date: opening.date });
+    }
+
+    points.forEach(point => {
+      if (point.netFlow !== 0) {
+        cashFlows.push({ amount: -point.netFlow, date: point.date });
+      }
+    });
+
+    const last = points[points.length - 1];
+    if (last.value > 0) {
+      cashFlows.push({ amount: last.value, date: last.date });
+    }
+
+    return cashFlows;
+  }
+}
+
+export default BenchmarkHelpers;
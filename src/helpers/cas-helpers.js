@@ -0,0 +1,160 @@
+// Parsing helpers for the text export of a CAMS/KFintech Consolidated Account Statement (CAS)
+
+const MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, may: 4, jun: 5,
+  jul: 6, aug: 7, sep: 8, oct: 9, nov: 10, dec: 11
+};
+
+// Statement numbers use thousands separators and show negatives in parentheses
+const NUMBER = '\\(?-?[\\d,]+\\.\\d+\\)?';
+const DATE = '\\d{2}-[A-Za-z]{3}-\\d{4}';
+
+const FOLIO_PATTERN = /Folio\s*No\s*:\s*(.+?)(?:\s{2,}|\s+PAN\b|\s+KYC\b|$)/i;
+const ISIN_PATTERN = /ISIN\s*:\s*(INF[A-Z0-9]{9})/i;
+const PERIOD_PATTERN = new RegExp(`(${DATE})\\s+to\\s+(${DATE})`, 'i');
+const OPENING_PATTERN = new RegExp(`Opening\\s+Unit\\s+Balance\\s*:?\\s*(${NUMBER})`, 'i');
+const CLOSING_PATTERN = new RegExp(`Closing\\s+Unit\\s+Balance\\s*:?\\s*(${NUMBER})`, 'i');
+const TRANSACTION_PATTERN = new RegExp(`^(${DATE})\\s+(.+?)\\s+(${NUMBER})\\s+(${NUMBER})\\s+(${NUMBER})\\s+(${NUMBER})$`);
+const AMOUNT_ONLY_PATTERN = new RegExp(`^(${DATE})\\s+(.+?)\\s+(${NUMBER})$`);
+
+const TAX_PATTERN = /stamp\s*duty|\bstt\b|securities transaction tax|\btds\b|tax deducted/i;
+const DIVIDEND_PATTERN = /idcw|dividend/i;
+
+class CasHelpers {
+  // Parse a statement date such as 01-Jan-2024
+  static parseDate(text) {
+    const [day, month, year] = text.split('-');
+    const monthIndex = MONTHS[month.toLowerCase()];
+
+    if (monthIndex === undefined) {
+      return null;
+    }
+
+    const date = new Date(Number(year), monthIndex, Number(day));
+    return date.getDate() === Number(day) ? date : null;
+  }
+
+  // Parse a statement number, e.g. (1,234.500) is -1234.5
+  static parseNumber(text) {
+    const negative = /^\(.*\)$/.test(text) || text.startsWith('-');
+    const value = parseFloat(text.replace(/[(),-]/g, ''));
+    return negative ? -value : value;
+  }
+
+  // Parse the statement text into its period and schemes, each with folio, ISIN, balances and transactions
+  // Transaction lines keep their line number so results can point back to the statement
+  static parseStatement(text) {
+    const lines = (text || '').replace(/^\uFEFF/, '').split(/\r?\n/);
+    const schemes = [];
+    let periodEnd = null;
+    let folio = null;
+    let scheme = null;
+
+    lines.forEach((rawLine, index) => {
+      const line = rawLine.trim().replace(/\s+/g, ' ');
+      if (!line) {
+        return;
+      }
+
+      // The statement period heads the document, before the first folio
+      const period = !periodEnd && schemes.length === 0 && line.match(PERIOD_PATTERN);
+      if (period) {
+        periodEnd = this.parseDate(period[2]);
+        return;
+      }
+
+      const folioMatch = line.match(FOLIO_PATTERN);
+      if (folioMatch) {
+        folio = folioMatch[1].trim();
+        scheme = null;
+        return;
+      }
+
+      const isinMatch = line.match(ISIN_PATTERN);
+      if (isinMatch) {
+        scheme = {
+          folio,
+          isin: isinMatch[1].toUpperCase(),
+          schemeName: this.parseSchemeName(line),
+          openingUnits: null,
+          closingUnits: null,
+          transactions: []
+        };
+        schemes.push(scheme);
+        return;
+      }
+
+      if (!scheme) {
+        return;
+      }
+
+      const opening = line.match(OPENING_PATTERN);
+      if (opening) {
+        scheme.openingUnits = this.parseNumber(opening[1]);
+        return;
+      }
+
+      const closing = line.match(CLOSING_PATTERN);
+      if (closing) {
+        scheme.closingUnits = this.parseNumber(closing[1]);
+        return;
+      }
+
+      const transaction = line.match(TRANSACTION_PATTERN);
+      if (transaction) {
+        scheme.transactions.push({
+          line: index + 1,
+          date: this.parseDate(transaction[1]),
+          description: transaction[2],
+          amount: this.parseNumber(transaction[3]),
+          units: this.parseNumber(transaction[4]),
+          nav: this.parseNumber(transaction[5]),
+          balance: this.parseNumber(transaction[6])
+        });
+        return;
+      }
+
+      const amountOnly = line.match(AMOUNT_ONLY_PATTERN);
+      if (amountOnly) {
+        scheme.transactions.push({
+          line: index + 1,
+          date: this.parseDate(amountOnly[1]),
+          description: amountOnly[2],
+          amount: this.parseNumber(amountOnly[3]),
+          units: null,
+          nav: null,
+          balance: null
+        });
+      }
+    });
+
+    return { periodEnd, schemes };
+  }
+
+  // Take the scheme name from its heading, dropping the leading product code and the ISIN suffix
+  static parseSchemeName(line) {
+    return line
+      .replace(/\s*-?\s*ISIN\s*:.*$/i, '')
+      .replace(/^[A-Z0-9]+\s*-\s*/, '')
+      .trim() || null;
+  }
+
+  // Classify a statement transaction; null for lines that are not recorded, such as stamp duty
+  static classifyTransaction(description, units) {
+    if (units === null) {
+      return DIVIDEND_PATTERN.test(description) && !TAX_PATTERN.test(description) ? 'DIVIDEND_PAYOUT' : null;
+    }
+
+    if (units === 0) {
+      return null;
+    }
+
+    if (units > 0 && DIVIDEND_PATTERN.test(description) && /reinvest/i.test(description)) {
+      return 'DIVIDEND_REINVEST';
+    }
+
+    return units > 0 ? 'BUY' : 'SELL';
+  }
+}
+
+export default CasHelpers;
@@ -1,15 +1,17 @@
 // FIFO (First In, First Out) calculation helpers for portfolio management
+import MathUtils from '../utils/math-utils.js';
 
 class FifoHelpers {
-  // Calculate FIFO sell operation - returns remaining lots and realized P/L
+  // Calculate FIFO sell operation - returns remaining lots, realized P/L and the lot portions consumed
   static calculateFifoSell(lots, unitsToSell, currentPrice) {
     if (!lots || lots.length === 0 || unitsToSell <= 0) {
-      return { remainingLots: lots || [], realizedPL: 0, unitsSold: 0, remainingToSell: unitsToSell };
+      return { remainingLots: lots || [], realizedPL: 0, unitsSold: 0, remainingToSell: unitsToSell, matchedLots: [] };
     }
 
     let remainingToSell = unitsToSell;
     let realizedPL = 0;
     let unitsSold = 0;
+    const matchedLots = [];
     const remainingLots = JSON.parse(JSON.stringify(lots)); // Deep copy to avoid mutation
 
     // FIFO: Remove from oldest lots first
@@ -19,6 +21,7 @@ class FifoHelpers {
       if (lot.units <= remainingToSell) {
         // Sell entire lot
         realizedPL += (currentPrice - lot.pricePerUnit) * lot.units;
+        matchedLots.push(this.toMatchedLot(lot, lot.units, currentPrice));
         remainingToSell -= lot.units;
         unitsSold += lot.units;
         remainingLots.splice(i, 1);
@@ -26,6 +29,7 @@ class FifoHelpers {
       } else {
         // Partial lot sale
         realizedPL += (currentPrice - lot.pricePerUnit) * remainingToSell;
+        matchedLots.push(this.toMatchedLot(lot, remainingToSell, currentPrice));
         unitsSold += remainingToSell;
         lot.units -= remainingToSell;
         remainingToSell = 0;
@@ -36,7 +40,19 @@ class FifoHelpers {
       remainingLots,
       realizedPL,
       unitsSold,
-      remainingToSell // In case there weren't enough units
+      remainingToSell, // In case there weren't enough units
+      matchedLots
+    };
+  }
+
+  // Describe the portion of a lot consumed by a sale
+  static toMatchedLot(lot, units, salePrice) {
+    return {
+      acquiredOn: new Date(lot.date),
+      units,
+      pricePerUnit: lot.pricePerUnit,
+      salePrice,
+      realizedPL: (salePrice - lot.pricePerUnit) * units
     };
   }
 
@@ -121,6 +137,76 @@ class FifoHelpers {
     return lots.filter(lot => lot.units > 0);
   }
 
+  // Apply one transaction to a position's { totalUnits, investedValue } under the average-cost method of Holding documents
+  // Purchases and reinvested dividends add their cost; a sale keeps the average NAV of the units left
+  static applyToPosition(position, transaction) {
+    const { type, units, nav } = transaction;
+
+    if (type === 'BUY' || type === 'DIVIDEND_REINVEST') {
+      return {
+        totalUnits: MathUtils.roundTo(position.totalUnits + units, 3),
+        investedValue: position.investedValue + units * nav
+      };
+    }
+
+    if (type === 'SELL') {
+      const avgNav = position.totalUnits > 0 ? position.investedValue / position.totalUnits : 0;
+      const totalUnits = Math.max(MathUtils.roundTo(position.totalUnits - units, 3), 0);
+      return { totalUnits, investedValue: totalUnits * avgNav };
+    }
+
+    return { totalUnits: position.totalUnits, investedValue: position.investedValue };
+  }
+
+  // Replay a date-ordered transaction ledger into FIFO lots.
+  // Holding values follow the average-cost method used for Holding documents,
+  // while realized P/L of every SELL is computed against the FIFO lots.
+  // Reinvested dividends open a new lot like a BUY; dividend payouts leave units unchanged.
+  static replayLedger(transactions) {
+    let lots = [];
+    let totalUnits = 0;
+    let investedValue = 0;
+    let oversold = null;
+    const realizedPL = new Map();
+    const matchedLots = new Map();
+
+    for (const transaction of transactions || []) {
+      const units = transaction.units;
+
+      if (transaction.type === 'BUY' || transaction.type === 'DIVIDEND_REINVEST') {
+        lots = this.addLot(lots, {
+          date: transaction.date,
+          units,
+          pricePerUnit: transaction.nav
+        });
+        ({ totalUnits, investedValue } = this.applyToPosition({ totalUnits, investedValue }, transaction));
+      } else if (transaction.type === 'SELL') {
+        if (units > totalUnits && !oversold) {
+          oversold = transaction;
+        }
+
+        const sell = this.calculateFifoSell(lots, units, transaction.nav);
+        lots = this.cleanupLots(sell.remainingLots.map(lot => ({
+          ...lot,
+          units: MathUtils.roundTo(lot.units, 3)
+        })));
+        realizedPL.set(String(transaction._id), sell.realizedPL);
+        matchedLots.set(String(transaction._id), sell.matchedLots);
+        ({ totalUnits, investedValue } = this.applyToPosition({ totalUnits, investedValue }, transaction));
+      }
+    }
+
+    return {
+      lots,
+      totalUnits,
+      investedValue,
+      avgNav: totalUnits > 0 ? investedValue / totalUnits : 0,
+      realizedPL,
+      matchedLots,
+      oversold
+    };
+  }
+
   // Get oldest lot (for FIFO operations)
   static getOldestLot(lots) {
     if (!lots || lots.length === 0) {
@@ -0,0 +1,157 @@
+// Goal planning helpers: projections at an expected return and the odds of reaching a target
+import MathUtils from '../utils/math-utils.js';
+import DateUtils from '../utils/date-utils.js';
+
+const MS_PER_MONTH = (365.25 / 12) * 24 * 60 * 60 * 1000;
+
+// Projections stop after 50 years
+const MAX_PROJECTION_MONTHS = 600;
+
+// NAV points needed before a history says anything about volatility
+const MIN_HISTORY_POINTS = 20;
+
+class GoalHelpers {
+  // Instalments per month for each SIP frequency
+  static MONTHLY_FACTORS = {
+    weekly: 52 / 12,
+    monthly: 1,
+    quarterly: 1 / 3
+  };
+
+  // Monthly rate equivalent to an annual return in percent
+  static monthlyRate(annualReturn) {
+    return Math.pow(1 + annualReturn / 100, 1 / 12) - 1;
+  }
+
+  // Whole months from one date to another; 0 when the second date is not later
+  static monthsBetween(fromDate, toDate) {
+    return Math.max(0, Math.floor((toDate - fromDate) / MS_PER_MONTH));
+  }
+
+  // Value after some months of a present value plus monthly contributions ({ monthlyAmount, months }),
+  // each running for its own number of months; contributions are invested at the start of each month
+  static projectValue(presentValue, contributions, rate, months) {
+    let value = presentValue;
+
+    for (let month = 0; month < months; month++) {
+      value += this.getContribution(contributions, month);
+      value *= 1 + rate;
+    }
+
+    return value;
+  }
+
+  // First date on which the projection reaches the target, or null when it does not within 50 years
+  static projectCompletionDate(presentValue, contributions, rate, target, fromDate) {
+    let value = presentValue;
+
+    for (let month = 0; month <= MAX_PROJECTION_MONTHS; month++) {
+      if (value >= target) {
+        return DateUtils.addMonths(fromDate, month);
+      }
+
+      value += this.getContribution(contributions, month);
+      value *= 1 + rate;
+    }
+
+    return null;
+  }
+
+  // Additional monthly investment, from now to the target date, that closes a projected shortfall
+  static requiredMonthlyInvestment(shortfall, rate, months) {
+    if (shortfall <= 0) {
+      return 0;
+    }
+
+    if (months <= 0) {
+      return null;
+    }
+
+    if (rate === 0) {
+      return shortfall / months;
+    }
+
+    // Future value of one rupee invested at the start of each month
+    const annuityFactor = ((Math.pow(1 + rate, months) - 1) / rate) * (1 + rate);
+    return shortfall / annuityFactor;
+  }
+
+  // Annual return in percent needed to reach the target by the target date with the current contributions;
+  // null when it is out of reach even at 100% a year
+  static requiredAnnualReturn(presentValue, contributions, target, months) {
+    const projectAt = annualReturn => this.projectValue(presentValue, contributions, this.monthlyRate(annualReturn), months);
+
+    let low = -90;
+    let high = 100;
+
+    if (projectAt(high) < target) {
+      return null;
+    }
+
+    if (projectAt(low) >= target) {
+      return low;
+    }
+
+    for (let i = 0; i < 60; i++) {
+      const mid = (low + high) / 2;
+      if (projectAt(mid) >= target) {
+        high = mid;
+      } else {
+        low = mid;
+      }
+    }
+
+    return high;
+  }
+
+  // Chance that the annualised return over the years to the target date is at least the required return,
+  // treating the annual log return as normal with the given mean and volatility (decimals, not percent)
+  static probabilityOfReturn(requiredReturn, meanLogReturn, volatility, years) {
+    if (years <= 0 || !volatility) {
+      return null;
+    }
+
+    const z = (Math.log(1 + requiredReturn / 100) - meanLogReturn) / (volatility / Math.sqrt(years));
+    return 1 - MathUtils.normalCdf(z);
+  }
+
+  // Annualised mean log return and volatility of a NAV history ({ nav, date }, in any order)
+  // Returns null when the history is too short to say anything
+  static calculateReturnStats(history) {
+    const points = history
+      .filter(entry => entry.nav > 0)
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+
+    if (points.length < MIN_HISTORY_POINTS) {
+      return null;
+    }
+
+    const days = (new Date(points[points.length - 1].date) - new Date(points[0].date)) / (24 * 60 * 60 * 1000);
+    if (days <= 0) {
+      return null;
+    }
+
+    const logReturns = [];
+    for (let i = 1; i < points.length; i++) {
+      logReturns.push(Math.log(points[i].nav / points[i - 1].nav));
+    }
+
+    const years = days / 365;
+    const periodsPerYear = logReturns.length / years;
+
+    return {
+      days,
+      meanLogReturn: MathUtils.sum(logReturns) / years,
+      volatility: MathUtils.standardDeviation(logReturns) * Math.sqrt(periodsPerYear)
+    };
+  }
+
+  // Total of the contributions still running in a month
+  static getContribution(contributions, month) {
+    return contributions.reduce((sum, contribution) => (
+      month < contribution.months ? sum + contribution.monthlyAmount : sum
+    ), 0);
+  }
+}
+
+export default GoalHelpers;
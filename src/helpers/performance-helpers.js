@@ -0,0 +1,107 @@
+// Time-weighted return helpers for daily portfolio valuations
+import DateUtils from '../utils/date-utils.js';
+
+// Supported performance periods, SI being since inception
+const PERIODS = ['1M', '3M', '6M', 'YTD', '1Y', '3Y', '5Y', 'SI'];
+
+const PERIOD_MONTHS = { '1M': 1, '3M': 3, '6M': 6, '1Y': 12, '3Y': 36, '5Y': 60 };
+
+class PerformanceHelpers {
+  static PERIODS = PERIODS;
+
+  // Get the valuation date a period is measured from; null means since inception
+  static getPeriodStartDate(period, endDate) {
+    if (period === 'SI') {
+      return null;
+    }
+
+    if (period === 'YTD') {
+      return new Date(endDate.getFullYear() - 1, 11, 31);
+    }
+
+    return DateUtils.startOfDay(DateUtils.addMonths(endDate, -PERIOD_MONTHS[period]));
+  }
+
+  // Return of one day with that day's net external flow removed; flows are valued at the day's closing NAV
+  static getDailyReturn(previousValue, value, netFlow) {
+    if (previousValue <= 0) {
+      return 0;
+    }
+
+    return (value - netFlow) / previousValue - 1;
+  }
+
+  // Chain daily sub-period returns over the points after startDate
+  // Points are daily { date, value, netFlow }, oldest first; returns are in percent
+  static calculateTimeWeightedReturn(points, startDate = null) {
+    if (!points || points.length === 0) {
+      return null;
+    }
+
+    // The period opens at the last valuation on or before its start date
+    let baseIndex = 0;
+    if (startDate) {
+      while (baseIndex + 1 < points.length && points[baseIndex + 1].date <= startDate) {
+        baseIndex++;
+      }
+    }
+
+    let growth = 1;
+    const series = [{ ...points[baseIndex], dailyReturn: 0, cumulativeReturn: 0 }];
+
+    for (let i = baseIndex + 1; i < points.length; i++) {
+      const dailyReturn = this.getDailyReturn(points[i - 1].value, points[i].value, points[i].netFlow);
+      growth *= 1 + dailyReturn;
+
+      series.push({
+        ...points[i],
+        dailyReturn: dailyReturn * 100,
+        cumulativeReturn: (growth - 1) * 100
+      });
+    }
+
+    const first = series[0];
+    const last = series[series.length - 1];
+    const days = DateUtils.daysBetween(first.date, last.date);
+
+    return {
+      startDate: first.date,
+      endDate: last.date,
+      twr: (growth - 1) * 100,
+      annualisedTwr: this.annualiseReturn(growth, days),
+      series
+    };
+  }
+
+  // Largest fall from a running peak of a time-weighted return series, in percent (0 or negative)
+  // Flows are already removed from the cumulative return, so contributions do not hide a fall
+  static calculateMaxDrawdown(series) {
+    let peak = null;
+    let result = { maxDrawdown: 0, peakDate: null, troughDate: null };
+
+    series.forEach(point => {
+      const growth = 1 + point.cumulativeReturn / 100;
+      if (!peak || growth > peak.growth) {
+        peak = { growth, date: point.date };
+      }
+
+      const drawdown = peak.growth > 0 ? (growth / peak.growth - 1) * 100 : 0;
+      if (drawdown < result.maxDrawdown) {
+        result = { maxDrawdown: drawdown, peakDate: peak.date, troughDate: point.date };
+      }
+    });
+
+    return result;
+  }
+
+  // Annualise a growth factor over a number of days; returns under a year are not annualised
+  static annualiseReturn(growth, days) {
+    if (days < 365 || growth <= 0) {
+      return null;
+    }
+
+    return (Math.pow(growth, 365 / days) - 1) * 100;
+  }
+}
+
+export default PerformanceHelpers;
@@ -1,9 +1,14 @@
 // Portfolio-specific business logic helpers
 import MathUtils from '../utils/math-utils.js';
+import DateUtils from '../utils/date-utils.js';
 import FormatUtils from '../utils/format-utils.js';
 import CurrencyUtils from '../utils/currency-utils.js';
 import FifoHelpers from './fifo-helpers.js';
 
+// Longest ranges shown day by day and week by week when no interval is requested; longer ranges are monthly
+const DAILY_HISTORY_MAX_DAYS = 366;
+const WEEKLY_HISTORY_MAX_DAYS = 1096;
+
 class PortfolioHelpers {
   // Calculate average cost for a holding (delegated to FifoHelpers)
   static calculateAverageCost(lots) {
@@ -50,6 +55,50 @@ class PortfolioHelpers {
     };
   }
 
+  // Build investor cash flows from a ledger for XIRR: purchases are outflows, redemptions and
+  // dividend payouts inflows; reinvested dividends never leave the fund so they are skipped
+  static buildCashFlows(transactions, currentValue = 0, asOf = new Date()) {
+    const cashFlows = [];
+
+    transactions.forEach(tx => {
+      if (tx.type === 'BUY') {
+        cashFlows.push({ amount: -tx.amount, date: tx.date });
+      } else if (tx.type === 'SELL' || tx.type === 'DIVIDEND_PAYOUT') {
+        cashFlows.push({ amount: tx.amount, date: tx.date });
+      }
+    });
+
+    // Current market value is the terminal inflow
+    if (currentValue > 0) {
+      cashFlows.push({ amount: currentValue, date: asOf });
+    }
+
+    return cashFlows;
+  }
+
+  // Group valued holdings by a key (member, category, ...) into their share of total current value,
+  // largest first; holdings without a key fall under 'Other'
+  static calculateAllocation(holdings, getKey) {
+    const totalValue = holdings.reduce((sum, holding) => sum + holding.currentValue, 0);
+    const groups = new Map();
+
+    holdings.forEach(holding => {
+      const key = getKey(holding) || 'Other';
+      const group = groups.get(key) || { key, investedValue: 0, currentValue: 0, fundCount: 0 };
+      group.investedValue += holding.investedValue;
+      group.currentValue += holding.currentValue;
+      group.fundCount += 1;
+      groups.set(key, group);
+    });
+
+    return [...groups.values()]
+      .map(group => ({
+        ...group,
+        percentage: totalValue > 0 ? (group.currentValue / totalValue) * 100 : 0
+      }))
+      .sort((a, b) => b.currentValue - a.currentValue);
+  }
+
   // Calculate portfolio performance over time
   static calculatePortfolioHistory(holdings, navHistory, days = 30) {
     // This would calculate portfolio value for each day based on NAV history
@@ -107,12 +156,17 @@ class PortfolioHelpers {
   }
 
   // Calculate units from amount and NAV
-  static calculateUnitsFromAmount(amount, nav) {
+  // Purchases are allotted rounded down so the invested amount never exceeds the
+  // requested amount; redemptions round up so the payout covers the requested amount.
+  static calculateUnitsFromAmount(amount, nav, rounding = 'down') {
     if (!amount || !nav || nav <= 0) {
       return 0;
     }
     
-    return parseFloat((amount / nav).toFixed(3)); // 3 decimal places for units
+    const units = amount / nav;
+    return rounding === 'up'
+      ? MathUtils.ceilTo(units, 3)
+      : MathUtils.floorTo(units, 3); // 3 decimal places for units
   }
 
   // Calculate amount from units and NAV
@@ -124,123 +178,89 @@ class PortfolioHelpers {
     return parseFloat((units * nav).toFixed(2)); // 2 decimal places for amount
   }
 
-  // Get portfolio value history over time (cumulative of all funds)
+  // Resolve an order given in units or amount into the units to transact at a NAV
+  // Sale units are rounded up, so they are capped at the units held to let an amount redeem the whole holding
+  static resolveOrderUnits(order, nav, type = 'BUY', heldUnits = null) {
+    const { units, amount } = order;
+
+    if (units) {
+      return {
+        units,
+        requestedAmount: null,
+        amount: this.calculateAmountFromUnits(units, nav)
+      };
+    }
+
+    const roundedUnits = this.calculateUnitsFromAmount(amount, nav, type === 'SELL' ? 'up' : 'down');
+    const resolvedUnits = type === 'SELL' && heldUnits !== null ? Math.min(roundedUnits, heldUnits) : roundedUnits;
+
+    return {
+      units: resolvedUnits,
+      requestedAmount: amount,
+      amount: this.calculateAmountFromUnits(resolvedUnits, nav)
+    };
+  }
+
+  // Resolve a switch into units redeemed from the source fund and units allotted in the target fund
+  static resolveSwitchOrder(order, fromNav, toNav, heldUnits = null) {
+    const sell = this.resolveOrderUnits(order, fromNav, 'SELL', heldUnits);
+    const buy = this.resolveOrderUnits({ amount: sell.amount }, toNav, 'BUY');
+
+    return { sell, buy };
+  }
+
+  // Get portfolio value history over time (cumulative of all funds, in one named portfolio or all of them)
+  // Each date replays the transaction ledger up to its close, so it uses the units actually held and their
+  // average-cost invested value on that date, priced at the NAV on or before it
   static async getPortfolioValueHistory(userId, options = {}) {
     try {
-      const { days = 30, startDate, endDate } = options;
+      const { days = 30, startDate, endDate, interval = 'auto', namedPortfolioId = null } = options;
       
       // Import required modules
-      const Portfolio = (await import('../models/Portfolio.js')).default;
-      const Holding = (await import('../models/holding.js')).default;
-      const FundNavHistory = (await import('../models/fund-nav-history.js')).default;
-      const DateUtils = (await import('../utils/date-utils.js')).default;
-      
-      // Get user's portfolios with holdings
-      const portfolios = await Portfolio.find({ userId });
-      
-      if (!portfolios || portfolios.length === 0) {
-        return {
-          status: true,
-          data: []
-        };
-      }
+      const PortfolioRepository = (await import('../repositories/portfolio-repository.js')).default;
+      const TransactionRepository = (await import('../repositories/transaction-repository.js')).default;
+      const SnapshotService = (await import('../services/snapshot-service.js')).default;
       
-      // Get all holdings for the user's portfolios
-      const portfolioIds = portfolios.map(p => p._id);
-      const holdings = await Holding.find({ portfolioId: { $in: portfolioIds } });
+      // Get user's portfolios; without any transactions there is no history
+      const portfolios = await PortfolioRepository.findByUserId(userId, namedPortfolioId);
+      const firstTransaction = portfolios.length > 0
+        ? await TransactionRepository.findFirstByPortfolioIds(portfolios.map(p => p._id))
+        : null;
       
-      if (!holdings || holdings.length === 0) {
+      if (!firstTransaction) {
         return {
           status: true,
           data: []
         };
       }
       
-      // Get unique scheme codes from holdings
-      const schemeCodes = [...new Set(holdings.map(h => h.schemeCode))];
-      
-      // Get historical NAV data for all funds
-      const navHistoryData = await FundNavHistory.find({ 
-        schemeCode: { $in: schemeCodes } 
-      });
-      
-      // Create a map of scheme code to NAV history for quick lookup
-      const navHistoryMap = {};
-      navHistoryData.forEach(fund => {
-        if (fund.history && fund.history.length > 0) {
-          // Sort history by date (newest first) for efficient lookup
-          fund.history.sort((a, b) => new Date(b.date) - new Date(a.date));
-          navHistoryMap[fund.schemeCode] = fund.history;
-        }
-      });
-      
-      // Generate date range
-      let dateRange = [];
+      // Generate date range, downsampled for long ranges
+      let start;
+      let end;
       if (startDate && endDate) {
-        const start = DateUtils.parseApiDate(startDate);
-        const end = DateUtils.parseApiDate(endDate);
-        const current = new Date(start);
-        
-        while (current <= end) {
-          dateRange.push(new Date(current));
-          current.setDate(current.getDate() + 1);
-        }
+        start = DateUtils.parseApiDate(startDate);
+        end = DateUtils.parseApiDate(endDate);
       } else {
-        // Generate last N days
-        for (let i = days - 1; i >= 0; i--) {
-          const date = new Date();
-          date.setDate(date.getDate() - i);
-          dateRange.push(date);
-        }
+        end = DateUtils.startOfDay(new Date());
+        start = new Date(end);
+        start.setDate(start.getDate() - (days - 1));
       }
       
-      const history = [];
+      const dates = this.getHistoryDates(start, end, interval === 'auto' ? this.getHistoryInterval(start, end) : interval);
       
-      // For each date, calculate total portfolio value using historical NAVs
-      for (const date of dateRange) {
-        let totalInvestment = 0;
-        let currentValue = 0;
-        
-        for (const holding of holdings) {
-          // Only calculate for holdings that existed on or before this date
-          const holdingStartDate = new Date(holding.createdAt);
-          if (date < holdingStartDate) {
-            continue; // Skip if holding didn't exist on this date
-          }
-          
-          totalInvestment += holding.investedValue;
-          
-          // Get historical NAV for this date
-          const navHistory = navHistoryMap[holding.schemeCode];
-          let navForDate = null;
-          
-          if (navHistory) {
-            // Find the NAV for this specific date or the closest previous date
-            for (const navEntry of navHistory) {
-              const navDate = new Date(navEntry.date);
-              if (navDate <= date) {
-                navForDate = navEntry.nav;
-                break;
-              }
-            }
-          }
-          
-          // If no historical NAV found, use average NAV as fallback
-          if (navForDate === null) {
-            navForDate = holding.avgNav;
-          }
-          
-          currentValue += holding.totalUnits * navForDate;
-        }
-        
-        const profitLoss = currentValue - totalInvestment;
+      // Daily snapshots of the whole ledger; days not yet snapshotted are computed and stored on the way
+      const snapshots = await SnapshotService.getSnapshots(userId, dates);
+      
+      const history = snapshots.map(snapshot => {
+        const { totalInvestment, totalValue } = SnapshotService.getTotals(snapshot, namedPortfolioId);
         
-        history.push({
-          date: DateUtils.formatToApiDate(date),
-          totalValue: parseFloat(currentValue.toFixed(2)),
-          profitLoss: parseFloat(profitLoss.toFixed(2))
-        });
-      }
+        return {
+          date: DateUtils.formatToApiDate(snapshot.date),
+          totalInvestment: parseFloat(totalInvestment.toFixed(2)),
+          totalValue: parseFloat(totalValue.toFixed(2)),
+          profitLoss: parseFloat((totalValue - totalInvestment).toFixed(2))
+        };
+      });
       
       return {
         status: true,
@@ -255,6 +275,37 @@ class PortfolioHelpers {
       };
     }
   }
+
+  // Choose the spacing of history points from the length of the range
+  static getHistoryInterval(start, end) {
+    const days = Math.round((end - start) / (1000 * 60 * 60 * 24)) + 1;
+
+    if (days <= DAILY_HISTORY_MAX_DAYS) {
+      return 'daily';
+    }
+
+    return days <= WEEKLY_HISTORY_MAX_DAYS ? 'weekly' : 'monthly';
+  }
+
+  // Dates of history points from start to end, oldest first
+  // Weekly and monthly points step back from the end date so the latest value is always included
+  static getHistoryDates(start, end, interval = 'daily') {
+    const dates = [];
+    const last = DateUtils.startOfDay(end);
+
+    for (let step = 0; ; step++) {
+      const date = interval === 'monthly'
+        ? DateUtils.addMonths(last, -step)
+        : new Date(last.getFullYear(), last.getMonth(), last.getDate() - step * (interval === 'weekly' ? 7 : 1));
+
+      if (date < start) {
+        break;
+      }
+      dates.push(date);
+    }
+
+    return dates.reverse();
+  }
 }
 
 export default PortfolioHelpers;
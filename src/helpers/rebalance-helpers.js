@@ -0,0 +1,80 @@
+// Rebalancing helpers: drift from a target mix and the trades that restore it
+
+// Rounding slack when comparing drift with the tolerance band, in percentage points
+const DRIFT_EPSILON = 1e-9;
+
+class RebalanceHelpers {
+  // Compare current values by bucket (asset class or scheme) with target weights
+  // Buckets held without a target have a 0% target; targetValue is measured against the total after new money
+  static calculateDrift(values, targets, tolerance, newMoney = 0) {
+    const totalValue = [...values.values()].reduce((sum, value) => sum + value, 0);
+    const newTotal = totalValue + newMoney;
+    const keys = [...new Set([...targets.keys(), ...values.keys()])];
+
+    return keys.map(key => {
+      const currentValue = values.get(key) || 0;
+      const currentPercent = totalValue > 0 ? (currentValue / totalValue) * 100 : 0;
+      const targetPercent = targets.get(key) || 0;
+      const drift = currentPercent - targetPercent;
+
+      return {
+        key,
+        currentValue,
+        currentPercent,
+        targetPercent,
+        drift,
+        withinBand: Math.abs(drift) <= tolerance + DRIFT_EPSILON,
+        targetValue: (targetPercent / 100) * newTotal
+      };
+    });
+  }
+
+  // Trade per bucket that brings every bucket back to its target: positive buys, negative sells
+  static calculateFullTrades(buckets) {
+    return new Map(buckets.map(bucket => [bucket.key, bucket.targetValue - bucket.currentValue]));
+  }
+
+  // Split fresh money across buckets below target in proportion to their shortfall, without selling
+  static calculateNewMoneyTrades(buckets, amount) {
+    const shortfalls = buckets.map(bucket => Math.max(0, bucket.targetValue - bucket.currentValue));
+    const totalShortfall = shortfalls.reduce((sum, shortfall) => sum + shortfall, 0);
+
+    return new Map(buckets.map((bucket, index) => [
+      bucket.key,
+      totalShortfall > 0 ? (amount * shortfalls[index]) / totalShortfall : 0
+    ]));
+  }
+
+  // Split an amount across positions in proportion to their current value, or equally when none has value
+  static splitProportionally(amount, positions, getValue = position => position.currentValue) {
+    const totalValue = positions.reduce((sum, position) => sum + getValue(position), 0);
+
+    return positions.map(position => ({
+      position,
+      amount: totalValue > 0 ? (amount * getValue(position)) / totalValue : amount / positions.length
+    }));
+  }
+
+  // Split a sale across positions, drawing first on units that would sell as long-term
+  // Sales are FIFO, so only the value of each position's oldest lots up to its first short-term lot
+  // (longTermValue) sells as long-term; the rest of the sale is spread over the remaining value
+  static splitTaxAware(amount, positions) {
+    const taken = new Map(positions.map(position => [position, 0]));
+    let remaining = amount;
+
+    for (const position of [...positions].sort((a, b) => b.longTermValue - a.longTermValue)) {
+      const take = Math.min(remaining, position.longTermValue);
+      taken.set(position, take);
+      remaining -= take;
+    }
+
+    if (remaining > 0) {
+      this.splitProportionally(remaining, positions, position => position.currentValue - taken.get(position))
+        .forEach(split => taken.set(split.position, taken.get(split.position) + split.amount));
+    }
+
+    return positions.map(position => ({ position, amount: taken.get(position) }));
+  }
+}
+
+export default RebalanceHelpers;
@@ -0,0 +1,81 @@
+// Scheduling helpers for systematic plans (SIP and similar instalment-based plans)
+import DateUtils from '../utils/date-utils.js';
+
+class ScheduleHelpers {
+  // Months between instalments for month-based frequencies
+  static FREQUENCY_MONTHS = {
+    monthly: 1,
+    quarterly: 3
+  };
+
+  // Build the instalment date of a month-based plan for the given month offset from its start
+  static getMonthlyDate(plan, monthOffset) {
+    const start = new Date(plan.startDate);
+    return new Date(start.getFullYear(), start.getMonth() + monthOffset, plan.dayOfMonth);
+  }
+
+  // Get the first scheduled instalment date on or after fromDate
+  static getFirstScheduledDate(plan, fromDate = plan.startDate) {
+    const from = DateUtils.startOfDay(fromDate < plan.startDate ? plan.startDate : fromDate);
+
+    if (plan.frequency === 'weekly') {
+      const date = DateUtils.startOfDay(plan.startDate);
+      while (date < from) {
+        date.setDate(date.getDate() + 7);
+      }
+      return date;
+    }
+
+    const step = this.FREQUENCY_MONTHS[plan.frequency];
+    let offset = 0;
+    let date = this.getMonthlyDate(plan, offset);
+
+    while (date < from) {
+      offset += step;
+      date = this.getMonthlyDate(plan, offset);
+    }
+
+    return date;
+  }
+
+  // Get the scheduled instalment date following the given one
+  static getNextScheduledDate(plan, scheduledDate) {
+    const next = DateUtils.startOfDay(scheduledDate);
+    next.setDate(next.getDate() + 1);
+    return this.getFirstScheduledDate(plan, next);
+  }
+
+  // Instalments falling on non-trading days run on the next trading day
+  static getExecutionDate(scheduledDate) {
+    const date = DateUtils.startOfDay(scheduledDate);
+
+    while (!DateUtils.isTradingDay(date)) {
+      date.setDate(date.getDate() + 1);
+    }
+
+    return date;
+  }
+
+  // Check whether a scheduled date is past the plan's end date
+  static isPastEndDate(plan, scheduledDate) {
+    return Boolean(plan.endDate) && scheduledDate > DateUtils.endOfDay(new Date(plan.endDate));
+  }
+
+  // List the next scheduled instalments of a plan
+  static getUpcomingDates(plan, count = 5) {
+    const dates = [];
+    let scheduledDate = plan.nextInstalmentDate ? new Date(plan.nextInstalmentDate) : null;
+
+    while (scheduledDate && dates.length < count && !this.isPastEndDate(plan, scheduledDate)) {
+      dates.push({
+        scheduledDate,
+        executionDate: this.getExecutionDate(scheduledDate)
+      });
+      scheduledDate = this.getNextScheduledDate(plan, scheduledDate);
+    }
+
+    return dates;
+  }
+}
+
+export default ScheduleHelpers;
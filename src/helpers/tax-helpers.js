@@ -0,0 +1,83 @@
+// Indian capital gains tax helpers for mutual fund redemptions
+import DateUtils from '../utils/date-utils.js';
+
+// Units of equity funds bought on or before this date are grandfathered (Section 112A)
+const GRANDFATHERING_DATE = new Date(2018, 0, 31);
+
+// Specified fund units bought on or after this date are always short-term (Section 50AA)
+const SPECIFIED_FUND_START_DATE = new Date(2023, 3, 1);
+
+// Until this date every non-equity fund was a specified fund; for sales from it only debt-oriented funds
+// (more than 65% in debt and money market instruments) are
+const SPECIFIED_FUND_REDEFINED_DATE = new Date(2025, 3, 1);
+
+// Non-equity long-term threshold dropped from 36 to 24 months for sales from this date
+const DEBT_HOLDING_PERIOD_CHANGE_DATE = new Date(2024, 6, 23);
+
+// Hybrid and passive categories taxed as equity-oriented funds
+const EQUITY_ORIENTED_CATEGORIES = ['ELSS', 'Aggressive Hybrid', 'Arbitrage', 'Equity Savings'];
+const PASSIVE_CATEGORIES = ['Index Funds', 'Other ETFs'];
+
+// Categories investing more than 65% in debt; index funds, ETFs and FoFs are matched by name instead
+const DEBT_ORIENTED_CATEGORIES = ['Debt Scheme', 'Conservative Hybrid'];
+const DEBT_NAME_PATTERN = /debt|gilt|bond|g-sec|gsec|sdl|liquid|overnight|money market|treasury|crisil.?ibx/i;
+
+class TaxHelpers {
+  static GRANDFATHERING_DATE = GRANDFATHERING_DATE;
+
+  // Classify a fund as EQUITY, DEBT (debt-oriented) or OTHER (any other non-equity fund, such as
+  // balanced advantage, multi asset, gold, silver and overseas FoFs) from its scheme category
+  static getFundTaxType(fund) {
+    const category = (fund && fund.schemeCategory) || '';
+    const name = (fund && fund.schemeName) || '';
+
+    if (category.startsWith('Equity Scheme') || EQUITY_ORIENTED_CATEGORIES.some(type => category.includes(type))) {
+      return 'EQUITY';
+    }
+
+    // Index funds and ETFs track either equity or debt indices; the scheme name tells them apart
+    if (PASSIVE_CATEGORIES.some(type => category.includes(type)) && !DEBT_NAME_PATTERN.test(name) && !/gold|silver/i.test(name)) {
+      return 'EQUITY';
+    }
+
+    if (DEBT_ORIENTED_CATEGORIES.some(type => category.includes(type)) || DEBT_NAME_PATTERN.test(name)) {
+      return 'DEBT';
+    }
+
+    return 'OTHER';
+  }
+
+  // Classify a matched lot as STCG or LTCG by fund type and holding period
+  static classifyGain(taxType, acquiredOn, soldOn) {
+    if (taxType === 'EQUITY') {
+      return soldOn > DateUtils.addMonths(acquiredOn, 12) ? 'LTCG' : 'STCG';
+    }
+
+    const isSpecifiedFund = taxType === 'DEBT' || soldOn < SPECIFIED_FUND_REDEFINED_DATE;
+    if (isSpecifiedFund && acquiredOn >= SPECIFIED_FUND_START_DATE) {
+      return 'STCG';
+    }
+
+    const thresholdMonths = soldOn >= DEBT_HOLDING_PERIOD_CHANGE_DATE ? 24 : 36;
+    return soldOn > DateUtils.addMonths(acquiredOn, thresholdMonths) ? 'LTCG' : 'STCG';
+  }
+
+  // Check whether a lot qualifies for the 31-Jan-2018 grandfathering rule; any time on that day qualifies
+  static isGrandfathered(taxType, term, acquiredOn) {
+    return taxType === 'EQUITY' && term === 'LTCG' && DateUtils.startOfDay(acquiredOn) <= GRANDFATHERING_DATE;
+  }
+
+  // Cost per unit under grandfathering: higher of actual cost and the lower of FMV and sale price
+  static getGrandfatheredCost(actualCost, fairMarketValue, salePrice) {
+    return Math.max(actualCost, Math.min(fairMarketValue, salePrice));
+  }
+
+  // Number of days a lot was held
+  static getHoldingDays(acquiredOn, soldOn) {
+    const start = Date.UTC(acquiredOn.getFullYear(), acquiredOn.getMonth(), acquiredOn.getDate());
+    const end = Date.UTC(soldOn.getFullYear(), soldOn.getMonth(), soldOn.getDate());
+    return Math.round((end - start) / (1000 * 60 * 60 * 24));
+  }
+}
+
+export default TaxHelpers;
@@ -0,0 +1,46 @@
+import HouseholdService from '../services/household-service.js';
+
+// Methods that only read a portfolio; any other method needs MANAGE access
+const READ_METHODS = ['GET', 'HEAD'];
+
+// Resolve whose portfolio a request acts on: the caller's own, or a household member's given as ?memberId=
+// when that member has granted the caller READ (for reads) or MANAGE (for changes) access
+export const householdAccess = async (req, res, next) => {
+  const { memberId } = req.query;
+
+  if (memberId === undefined || memberId === req.user.id) {
+    req.portfolioUserId = req.user.id;
+    return next();
+  }
+
+  if (typeof memberId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(memberId)) {
+    return res.status(400).json({
+      success: false,
+      message: 'Member ID must be a valid ID'
+    });
+  }
+
+  try {
+    const permission = READ_METHODS.includes(req.method) ? 'READ' : 'MANAGE';
+    const allowed = await HouseholdService.hasAccess(req.user.id, memberId, permission);
+
+    if (!allowed) {
+      return res.status(403).json({
+        success: false,
+        message: permission === 'READ'
+          ? 'Access denied. This member has not shared their portfolio with you.'
+          : 'Access denied. This member has not allowed you to manage their portfolio.'
+      });
+    }
+
+    req.portfolioUserId = memberId;
+    next();
+
+  } catch (error) {
+    console.error('Household access error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to verify household access. Please try again.'
+    });
+  }
+};
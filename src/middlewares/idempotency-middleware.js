@@ -0,0 +1,104 @@
+import crypto from 'crypto';
+import config from '../config/env.js';
+import IdempotencyKeyRepository from '../repositories/idempotency-key-repository.js';
+
+// Responses that are not final: the client may retry them with the same key
+const RETRYABLE_STATUSES = [409, 429];
+
+// Serialize a value with object keys sorted so equal payloads hash the same
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+
+  return JSON.stringify(value ?? null);
+};
+
+// Hash of what the key is bound to: method, URL and body
+const hashRequest = (req) => crypto
+  .createHash('sha256')
+  .update(`${req.method} ${req.originalUrl} ${canonicalJson(req.body || {})}`)
+  .digest('hex');
+
+// Idempotency-Key support: the first response for a key is stored and replayed for 24 hours
+export const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+
+  if (key === undefined) {
+    return next();
+  }
+
+  if (!key.trim() || key.length > 255) {
+    return res.status(400).json({
+      success: false,
+      message: 'Idempotency-Key header must be between 1 and 255 characters'
+    });
+  }
+
+  try {
+    const userId = req.user.id;
+    const requestHash = hashRequest(req);
+    const expiresAt = new Date(Date.now() + config.idempotencyKeyTtlHours * 60 * 60 * 1000);
+
+    const record = await IdempotencyKeyRepository.reserve(userId, key, requestHash, expiresAt);
+
+    if (!record) {
+      const existing = await IdempotencyKeyRepository.findActive(userId, key);
+
+      if (existing && existing.requestHash !== requestHash) {
+        return res.status(422).json({
+          success: false,
+          message: 'Idempotency-Key has already been used with a different request'
+        });
+      }
+
+      if (existing && existing.status === 'COMPLETED') {
+        res.set('Idempotent-Replayed', 'true');
+        return res.status(existing.responseStatus).json(existing.responseBody);
+      }
+
+      // Still being processed, or released between the two lookups
+      return res.status(409).json({
+        success: false,
+        message: 'A request with this Idempotency-Key is already in progress. Please retry shortly.'
+      });
+    }
+
+    // Store the response before it is sent, so a retry arriving right after sees it
+    const sendJson = res.json.bind(res);
+    let settled = false;
+
+    res.json = (body) => {
+      settled = true;
+      const persist = res.statusCode >= 500 || RETRYABLE_STATUSES.includes(res.statusCode)
+        ? IdempotencyKeyRepository.release(record._id)
+        : IdempotencyKeyRepository.complete(record._id, res.statusCode, body);
+
+      persist
+        .catch(error => console.error('Idempotency key update error:', error))
+        .finally(() => sendJson(body));
+
+      return res;
+    };
+
+    // A request that ends without a JSON response (e.g. the client disconnected) frees its key
+    res.on('close', () => {
+      if (!settled) {
+        IdempotencyKeyRepository.release(record._id).catch(error => console.error('Idempotency key release error:', error));
+      }
+    });
+
+    next();
+
+  } catch (error) {
+    console.error('Idempotency middleware error:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Failed to process Idempotency-Key. Please try again.'
+    });
+  }
+};
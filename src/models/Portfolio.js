@@ -7,6 +7,12 @@ const PortfolioSchema = new mongoose.Schema({
     required: true,
     index: true
   },
+  namedPortfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NamedPortfolio',
+    required: true,
+    index: true
+  },
   schemeCode: {
     type: Number,
     required: true,
@@ -27,7 +33,8 @@ const PortfolioSchema = new mongoose.Schema({
 });
 
 // Compound indexes for efficient queries
-PortfolioSchema.index({ userId: 1, schemeCode: 1 }, { unique: true }); // One portfolio per user per scheme
+PortfolioSchema.index({ namedPortfolioId: 1, schemeCode: 1 }, { unique: true }); // One position per named portfolio per scheme
+PortfolioSchema.index({ userId: 1, schemeCode: 1 });
 
 const Portfolio = mongoose.model('Portfolio', PortfolioSchema);
 
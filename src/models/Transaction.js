@@ -9,7 +9,7 @@ const TransactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['BUY', 'SELL'],
+    enum: ['BUY', 'SELL', 'DIVIDEND_PAYOUT', 'DIVIDEND_REINVEST'],
     required: true,
     index: true
   },
@@ -33,6 +33,24 @@ const TransactionSchema = new mongoose.Schema({
     required: true,
     default: Date.now,
     index: true
+  },
+  realizedPL: {
+    type: Number,
+    default: null // FIFO realized P&L, set on SELL transactions
+  },
+  switchId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null, // Shared by the SELL and BUY legs of a fund switch
+    index: true
+  },
+  // SIP, SWP or STP instalment the transaction executed, so an instalment is never recorded twice
+  planId: {
+    type: mongoose.Schema.Types.ObjectId,
+    default: null
+  },
+  instalmentDate: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true
@@ -41,6 +59,10 @@ const TransactionSchema = new mongoose.Schema({
 // Compound indexes for efficient queries
 TransactionSchema.index({ portfolioId: 1, date: -1 });
 TransactionSchema.index({ portfolioId: 1, type: 1, date: -1 });
+TransactionSchema.index(
+  { planId: 1, instalmentDate: 1, type: 1 },
+  { unique: true, partialFilterExpression: { planId: { $type: 'objectId' } } }
+); // One ledger entry (or switch leg) per plan instalment
 
 const Transaction = mongoose.model('Transaction', TransactionSchema);
 
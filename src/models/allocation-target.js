@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+
+const TargetWeightSchema = new mongoose.Schema({
+  // Asset class the weight applies to, when targets are set by asset class
+  assetClass: {
+    type: String,
+    enum: ['EQUITY', 'DEBT', 'HYBRID', 'SOLUTION', 'OTHER']
+  },
+  // Scheme the weight applies to, when targets are set per scheme
+  schemeCode: {
+    type: Number
+  },
+  percent: {
+    type: Number,
+    required: true,
+    min: 0,
+    max: 100
+  }
+}, { _id: false });
+
+const AllocationTargetSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Named portfolio the target applies to; all of the user's portfolios combined when null
+  namedPortfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NamedPortfolio',
+    default: null
+  },
+  basis: {
+    type: String,
+    enum: ['ASSET_CLASS', 'SCHEME'],
+    required: true
+  },
+  targets: {
+    type: [TargetWeightSchema],
+    required: true
+  },
+  // Drift allowed either side of each target, in percentage points
+  tolerance: {
+    type: Number,
+    min: 0,
+    max: 50,
+    default: 5
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for efficient queries
+AllocationTargetSchema.index({ userId: 1, namedPortfolioId: 1 }, { unique: true }); // One target per user per portfolio scope
+
+const AllocationTarget = mongoose.model('AllocationTarget', AllocationTargetSchema);
+
+export default AllocationTarget;
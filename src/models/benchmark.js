@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+const BenchmarkValueSchema = new mongoose.Schema({
+  date: {
+    type: Date,
+    required: true
+  },
+  value: {
+    type: Number,
+    required: true,
+    min: 0
+  }
+}, { _id: false });
+
+const BenchmarkSchema = new mongoose.Schema({
+  // Owner of a private benchmark; shared benchmarks designated by an admin have no owner
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  // SCHEME reads an index fund's NAVs from FundNavHistory; INDEX_CSV keeps uploaded index values
+  source: {
+    type: String,
+    enum: ['SCHEME', 'INDEX_CSV'],
+    required: true
+  },
+  schemeCode: {
+    type: Number,
+    default: null
+  },
+  values: {
+    type: [BenchmarkValueSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for efficient queries
+BenchmarkSchema.index({ userId: 1, name: 1 }); // Benchmarks visible to a user, by name
+
+const Benchmark = mongoose.model('Benchmark', BenchmarkSchema);
+
+export default Benchmark;
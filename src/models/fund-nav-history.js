@@ -25,7 +25,12 @@ const FundNavHistorySchema = new mongoose.Schema({
       required: true
     },
     _id: false
-  }]
+  }],
+  // When the full history was last fetched; a gap before it is one the API cannot fill either
+  fullHistorySyncedAt: {
+    type: Date,
+    default: null
+  }
 }, {
   timestamps: true
 });
@@ -115,6 +120,45 @@ FundNavHistorySchema.statics.addNavEntry = async function(fundId, schemeCode, na
   }
 };
 
+// Static method to get the NAV on a date, or the nearest earlier entry when the date was not a trading day
+FundNavHistorySchema.statics.getNavOnOrBefore = async function(schemeCode, date) {
+  const doc = await this.findOne({ schemeCode });
+  if (!doc || !doc.history) return null;
+
+  let nearest = null;
+  for (const entry of doc.history) {
+    if (entry.date <= date && (!nearest || entry.date > nearest.date)) {
+      nearest = entry;
+    }
+  }
+
+  return nearest;
+};
+
+// Static method to get when the full NAV history was last fetched, or null when it never was
+FundNavHistorySchema.statics.getFullHistorySyncedAt = async function(schemeCode) {
+  const doc = await this.findOne({ schemeCode }).select('fullHistorySyncedAt').lean();
+  return doc?.fullHistorySyncedAt || null;
+};
+
+// Static method to merge a full NAV history into the stored one (one entry per day, newest first)
+FundNavHistorySchema.statics.mergeHistory = async function(fundId, schemeCode, navHistoryArray) {
+  const existing = await this.findOne({ fundId });
+  const byDay = new Map();
+
+  for (const entry of [...(existing?.history || []), ...navHistoryArray]) {
+    byDay.set(new Date(entry.date).toISOString().split('T')[0], { nav: entry.nav, date: entry.date });
+  }
+
+  const history = [...byDay.values()].sort((a, b) => new Date(b.date) - new Date(a.date));
+
+  return this.findOneAndUpdate(
+    { fundId },
+    { fundId, schemeCode, $set: { history, fullHistorySyncedAt: new Date() } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
 // Backward compatibility method for bulk operations
 FundNavHistorySchema.statics.bulkUpsertByFundId = async function(historyData) {
   // Group history data by fundId
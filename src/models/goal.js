@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+const GoalHoldingSchema = new mongoose.Schema({
+  schemeCode: {
+    type: Number,
+    required: true
+  },
+  // Named portfolio the fund is held in; the fund across all of the user's portfolios when null
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NamedPortfolio',
+    default: null
+  },
+  // Share of the holding earmarked for the goal, so one holding can fund several goals
+  allocationPercent: {
+    type: Number,
+    min: 1,
+    max: 100,
+    default: 100
+  }
+}, { _id: false });
+
+const GoalSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  targetAmount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  targetDate: {
+    type: Date,
+    required: true
+  },
+  // Expected annual return in percent, used for projections
+  expectedReturn: {
+    type: Number,
+    min: 0,
+    max: 50,
+    default: 12
+  },
+  linkedHoldings: {
+    type: [GoalHoldingSchema],
+    default: []
+  },
+  linkedSipIds: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Sip'
+  }]
+}, {
+  timestamps: true
+});
+
+const Goal = mongoose.model('Goal', GoalSchema);
+
+export default Goal;
@@ -29,7 +29,8 @@ const HoldingSchema = new mongoose.Schema({
     min: 0
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  optimisticConcurrency: true // Saves fail with a VersionError if the holding changed since it was read
 });
 
 // Compound indexes for efficient queries
@@ -0,0 +1,64 @@
+import mongoose from 'mongoose';
+
+const HouseholdMemberSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: ['OWNER', 'MEMBER'],
+    default: 'MEMBER'
+  },
+  status: {
+    type: String,
+    enum: ['INVITED', 'ACTIVE'],
+    default: 'INVITED'
+  },
+  // Access this member grants the other active members to their own portfolio
+  permission: {
+    type: String,
+    enum: ['READ', 'MANAGE'],
+    default: 'READ'
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  invitedAt: {
+    type: Date,
+    default: Date.now
+  },
+  joinedAt: {
+    type: Date
+  }
+}, { _id: false });
+
+const HouseholdSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  ownerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  members: {
+    type: [HouseholdMemberSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for efficient queries
+HouseholdSchema.index({ 'members.userId': 1, 'members.status': 1 }); // Households and invitations of a user
+
+const Household = mongoose.model('Household', HouseholdSchema);
+
+export default Household;
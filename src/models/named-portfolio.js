@@ -0,0 +1,35 @@
+import mongoose from 'mongoose';
+
+const NamedPortfolioSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+    maxlength: 60
+  },
+  description: {
+    type: String,
+    trim: true,
+    maxlength: 250,
+    default: null
+  },
+  isDefault: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for efficient queries
+NamedPortfolioSchema.index({ userId: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } }); // Names are unique per user, ignoring case
+NamedPortfolioSchema.index({ userId: 1 }, { unique: true, partialFilterExpression: { isDefault: true } }); // One default portfolio per user
+
+const NamedPortfolio = mongoose.model('NamedPortfolio', NamedPortfolioSchema);
+
+export default NamedPortfolio;
@@ -0,0 +1,81 @@
+import mongoose from 'mongoose';
+
+const SnapshotPositionSchema = new mongoose.Schema({
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: true
+  },
+  namedPortfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'NamedPortfolio',
+    default: null
+  },
+  schemeCode: {
+    type: Number,
+    required: true
+  },
+  units: {
+    type: Number,
+    required: true
+  },
+  // Cost of the units held, at average cost
+  investedValue: {
+    type: Number,
+    required: true
+  },
+  // NAV on or before the day, or the last transaction NAV before the first stored NAV
+  nav: {
+    type: Number,
+    default: null
+  },
+  value: {
+    type: Number,
+    required: true
+  },
+  // Money in (purchases) less money out (redemptions and payouts) on the day
+  netFlow: {
+    type: Number,
+    default: 0
+  }
+}, { _id: false });
+
+const PortfolioSnapshotSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Start of the day the snapshot values the portfolio at the close of
+  date: {
+    type: Date,
+    required: true
+  },
+  totalValue: {
+    type: Number,
+    required: true
+  },
+  totalInvestment: {
+    type: Number,
+    required: true
+  },
+  netFlow: {
+    type: Number,
+    default: 0
+  },
+  // Every position of every named portfolio held on the day or traded on it
+  positions: {
+    type: [SnapshotPositionSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+// Compound indexes for efficient queries
+PortfolioSnapshotSchema.index({ userId: 1, date: 1 }, { unique: true }); // One snapshot per user per day
+PortfolioSnapshotSchema.index({ date: 1 }); // Snapshots of every user on a day
+
+const PortfolioSnapshot = mongoose.model('PortfolioSnapshot', PortfolioSnapshotSchema);
+
+export default PortfolioSnapshot;
@@ -0,0 +1,131 @@
+import mongoose from 'mongoose';
+
+const StpExecutionSchema = new mongoose.Schema({
+  scheduledDate: {
+    type: Date,
+    required: true
+  },
+  executionDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['SUCCESS', 'FAILED'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    min: 0
+  },
+  fromUnits: {
+    type: Number,
+    min: 0
+  },
+  fromNav: {
+    type: Number,
+    min: 0
+  },
+  toUnits: {
+    type: Number,
+    min: 0
+  },
+  toNav: {
+    type: Number,
+    min: 0
+  },
+  realizedPL: {
+    type: Number
+  },
+  switchId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  sellTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  buyTransactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const StpSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  fromSchemeCode: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  toSchemeCode: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  frequency: {
+    type: String,
+    enum: ['weekly', 'monthly'],
+    required: true
+  },
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 28 // Valid in every month
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED', 'EXHAUSTED', 'FAILED'],
+    default: 'ACTIVE',
+    index: true
+  },
+  endedReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  nextInstalmentDate: {
+    type: Date,
+    default: null
+  },
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  executions: [StpExecutionSchema]
+}, {
+  timestamps: true
+});
+
+// Compound indexes for efficient queries
+StpSchema.index({ status: 1, nextInstalmentDate: 1 }); // Due instalments lookup for cron job
+StpSchema.index({ userId: 1, status: 1 });
+
+const Stp = mongoose.model('Stp', StpSchema);
+
+export default Stp;
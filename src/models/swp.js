@@ -0,0 +1,111 @@
+import mongoose from 'mongoose';
+
+const SwpExecutionSchema = new mongoose.Schema({
+  scheduledDate: {
+    type: Date,
+    required: true
+  },
+  executionDate: {
+    type: Date,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['SUCCESS', 'FAILED'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    min: 0
+  },
+  units: {
+    type: Number,
+    min: 0
+  },
+  nav: {
+    type: Number,
+    min: 0
+  },
+  realizedPL: {
+    type: Number
+  },
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction'
+  },
+  failureReason: {
+    type: String,
+    trim: true
+  },
+  processedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+const SwpSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  schemeCode: {
+    type: Number,
+    required: true,
+    index: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  frequency: {
+    type: String,
+    enum: ['weekly', 'monthly', 'quarterly'],
+    required: true
+  },
+  dayOfMonth: {
+    type: Number,
+    min: 1,
+    max: 28 // Valid in every month
+  },
+  startDate: {
+    type: Date,
+    required: true
+  },
+  endDate: {
+    type: Date,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED', 'EXHAUSTED', 'FAILED'],
+    default: 'ACTIVE',
+    index: true
+  },
+  endedReason: {
+    type: String,
+    trim: true,
+    default: null
+  },
+  nextInstalmentDate: {
+    type: Date,
+    default: null
+  },
+  pausedAt: {
+    type: Date,
+    default: null
+  },
+  executions: [SwpExecutionSchema]
+}, {
+  timestamps: true
+});
+
+// Compound indexes for efficient queries
+SwpSchema.index({ status: 1, nextInstalmentDate: 1 }); // Due instalments lookup for cron job
+SwpSchema.index({ userId: 1, status: 1 });
+
+const Swp = mongoose.model('Swp', SwpSchema);
+
+export default Swp;
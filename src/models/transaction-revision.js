@@ -0,0 +1,63 @@
+import mongoose from 'mongoose';
+
+// Transaction fields captured in a revision; null when the transaction did not exist
+const TransactionSnapshotSchema = new mongoose.Schema({
+  type: {
+    type: String,
+    enum: ['BUY', 'SELL', 'DIVIDEND_PAYOUT', 'DIVIDEND_REINVEST']
+  },
+  units: Number,
+  nav: Number,
+  amount: Number,
+  date: Date,
+  realizedPL: Number,
+  switchId: mongoose.Schema.Types.ObjectId,
+  planId: mongoose.Schema.Types.ObjectId,
+  instalmentDate: Date,
+  createdAt: Date
+}, { _id: false });
+
+const TransactionRevisionSchema = new mongoose.Schema({
+  transactionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true,
+    index: true
+  },
+  portfolioId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Portfolio',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    index: true
+  },
+  action: {
+    type: String,
+    enum: ['EDIT', 'CANCEL', 'UNDO'],
+    required: true
+  },
+  groupId: {
+    type: mongoose.Schema.Types.ObjectId,
+    required: true, // Shared by revisions made in one change, e.g. both legs of a cancelled switch
+    index: true
+  },
+  before: {
+    type: TransactionSnapshotSchema,
+    default: null
+  },
+  after: {
+    type: TransactionSnapshotSchema,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+TransactionRevisionSchema.index({ transactionId: 1, createdAt: -1 });
+
+const TransactionRevision = mongoose.model('TransactionRevision', TransactionRevisionSchema);
+
+export default TransactionRevision;
@@ -25,6 +25,11 @@ const UserSchema = new mongoose.Schema({
     type: String,
     enum: ['user', 'admin'],
     default: 'user'
+  },
+  // Incremented by every ledger change that deletes stored snapshots, so a snapshot computed before it is not stored
+  snapshotVersion: {
+    type: Number,
+    default: 0
   }
 }, { 
   timestamps: true 
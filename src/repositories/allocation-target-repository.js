@@ -0,0 +1,57 @@
+import AllocationTarget from '../models/allocation-target.js';
+
+class AllocationTargetRepository {
+  /**
+   * Find the target allocation of a user for a named portfolio, or for all portfolios when none is given
+   */
+  static async findByUser(userId, namedPortfolioId = null) {
+    try {
+      return await AllocationTarget.findOne({ userId, namedPortfolioId: namedPortfolioId || null });
+    } catch (error) {
+      console.error('Error finding allocation target:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace the target allocation of a user for a portfolio scope
+   */
+  static async upsert(userId, namedPortfolioId, targetData) {
+    try {
+      return await AllocationTarget.findOneAndUpdate(
+        { userId, namedPortfolioId: namedPortfolioId || null },
+        { $set: targetData },
+        { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      console.error('Error saving allocation target:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the target allocation of a user for a portfolio scope
+   */
+  static async deleteByUser(userId, namedPortfolioId = null) {
+    try {
+      return await AllocationTarget.deleteOne({ userId, namedPortfolioId: namedPortfolioId || null });
+    } catch (error) {
+      console.error('Error deleting allocation target:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete the target allocation of a named portfolio
+   */
+  static async deleteByNamedPortfolio(namedPortfolioId, options = {}) {
+    try {
+      return await AllocationTarget.deleteOne({ namedPortfolioId }, { session: options.session || null });
+    } catch (error) {
+      console.error('Error deleting allocation target:', error);
+      throw error;
+    }
+  }
+}
+
+export default AllocationTargetRepository;
@@ -0,0 +1,56 @@
+import Benchmark from '../models/benchmark.js';
+
+class BenchmarkRepository {
+  /**
+   * Create new benchmark
+   */
+  static async create(benchmarkData) {
+    try {
+      const benchmark = new Benchmark(benchmarkData);
+      return await benchmark.save();
+    } catch (error) {
+      console.error('Error creating benchmark:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the shared benchmarks and those owned by a user, without their values
+   */
+  static async findVisibleToUser(userId) {
+    try {
+      return await Benchmark.find({ $or: [{ userId: null }, { userId }] })
+        .select('-values')
+        .sort({ userId: 1, name: 1 });
+    } catch (error) {
+      console.error('Error finding benchmarks:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a benchmark by ID when it is shared or owned by the user
+   */
+  static async findVisibleById(benchmarkId, userId) {
+    try {
+      return await Benchmark.findOne({ _id: benchmarkId, $or: [{ userId: null }, { userId }] });
+    } catch (error) {
+      console.error('Error finding benchmark by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete benchmark by ID
+   */
+  static async deleteById(benchmarkId) {
+    try {
+      return await Benchmark.findByIdAndDelete(benchmarkId);
+    } catch (error) {
+      console.error('Error deleting benchmark:', error);
+      throw error;
+    }
+  }
+}
+
+export default BenchmarkRepository;
@@ -298,6 +298,33 @@ class FundRepository {
       throw error;
     }
   }
+
+  // Find fund by ISIN of either its growth or dividend reinvestment option (used internally)
+  static async findByIsin(isin) {
+    try {
+      return await Fund.findOne({ $or: [{ isinGrowth: isin }, { isinDivReinvestment: isin }] });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find funds by scheme codes (used internally)
+  static async findBySchemeCodes(schemeCodes) {
+    try {
+      return await Fund.find({ schemeCode: { $in: schemeCodes } });
+    } catch (error) {
+      throw error;
+    }
+  }
+
+  // Find funds in exactly the given scheme category (used internally)
+  static async findByExactCategory(schemeCategory, limit = 25) {
+    try {
+      return await Fund.find({ schemeCategory }).select('schemeCode schemeCategory').limit(limit);
+    } catch (error) {
+      throw error;
+    }
+  }
 }
 
 export default FundRepository;
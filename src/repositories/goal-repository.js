@@ -0,0 +1,70 @@
+import Goal from '../models/goal.js';
+
+class GoalRepository {
+  /**
+   * Create new goal
+   */
+  static async create(goalData) {
+    try {
+      const goal = new Goal(goalData);
+      return await goal.save();
+    } catch (error) {
+      console.error('Error creating goal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find goal by ID for a user
+   */
+  static async findByIdForUser(goalId, userId) {
+    try {
+      return await Goal.findOne({ _id: goalId, userId });
+    } catch (error) {
+      console.error('Error finding goal by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all goals of a user, nearest target date first
+   */
+  static async findByUserId(userId) {
+    try {
+      return await Goal.find({ userId }).sort({ targetDate: 1, createdAt: 1 });
+    } catch (error) {
+      console.error('Error finding goals by user ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update goal by ID for a user
+   */
+  static async updateByIdForUser(goalId, userId, updateData) {
+    try {
+      return await Goal.findOneAndUpdate(
+        { _id: goalId, userId },
+        { $set: updateData },
+        { new: true, runValidators: true }
+      );
+    } catch (error) {
+      console.error('Error updating goal:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete goal by ID for a user
+   */
+  static async deleteByIdForUser(goalId, userId) {
+    try {
+      return await Goal.deleteOne({ _id: goalId, userId });
+    } catch (error) {
+      console.error('Error deleting goal:', error);
+      throw error;
+    }
+  }
+}
+
+export default GoalRepository;
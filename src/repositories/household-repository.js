@@ -0,0 +1,123 @@
+import Household from '../models/household.js';
+
+class HouseholdRepository {
+  /**
+   * Create new household
+   */
+  static async create(householdData) {
+    try {
+      const household = new Household(householdData);
+      return await household.save();
+    } catch (error) {
+      console.error('Error creating household:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find household by ID
+   */
+  static async findById(id) {
+    try {
+      return await Household.findById(id);
+    } catch (error) {
+      console.error('Error finding household by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find households a user belongs to or is invited to
+   */
+  static async findByMember(userId) {
+    try {
+      return await Household.find({ 'members.userId': userId }).sort({ createdAt: 1 });
+    } catch (error) {
+      console.error('Error finding households by member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find households where both users are active members
+   */
+  static async findSharedByActiveMembers(userId, otherUserId) {
+    try {
+      return await Household.find({
+        members: {
+          $all: [
+            { $elemMatch: { userId, status: 'ACTIVE' } },
+            { $elemMatch: { userId: otherUserId, status: 'ACTIVE' } }
+          ]
+        }
+      });
+    } catch (error) {
+      console.error('Error finding shared households:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Add a member unless the user is already in the household; returns null when they are
+   */
+  static async addMember(id, member) {
+    try {
+      return await Household.findOneAndUpdate(
+        { _id: id, 'members.userId': { $ne: member.userId } },
+        { $push: { members: member } },
+        { new: true }
+      );
+    } catch (error) {
+      console.error('Error adding household member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a member in a given status; returns null when there is no such member
+   */
+  static async updateMember(id, userId, status, updates) {
+    try {
+      const set = Object.fromEntries(Object.entries(updates).map(([field, value]) => [`members.$.${field}`, value]));
+
+      return await Household.findOneAndUpdate(
+        { _id: id, members: { $elemMatch: { userId, status } } },
+        { $set: set },
+        { new: true }
+      );
+    } catch (error) {
+      console.error('Error updating household member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Remove a member from a household
+   */
+  static async removeMember(id, userId) {
+    try {
+      return await Household.findOneAndUpdate(
+        { _id: id },
+        { $pull: { members: { userId } } },
+        { new: true }
+      );
+    } catch (error) {
+      console.error('Error removing household member:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete household by ID
+   */
+  static async deleteById(id) {
+    try {
+      return await Household.deleteOne({ _id: id });
+    } catch (error) {
+      console.error('Error deleting household:', error);
+      throw error;
+    }
+  }
+}
+
+export default HouseholdRepository;
@@ -0,0 +1,61 @@
+import IdempotencyKey from '../models/idempotency-key.js';
+
+class IdempotencyKeyRepository {
+  /**
+   * Find an unexpired idempotency key of a user
+   */
+  static async findActive(userId, key) {
+    try {
+      return await IdempotencyKey.findOne({ userId, key, expiresAt: { $gt: new Date() } });
+    } catch (error) {
+      console.error('Error finding idempotency key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Reserve a key for a request in progress; returns null when the key is already taken
+   */
+  static async reserve(userId, key, requestHash, expiresAt) {
+    try {
+      // An expired record not yet removed by the TTL monitor does not block the key
+      await IdempotencyKey.deleteOne({ userId, key, expiresAt: { $lte: new Date() } });
+      return await IdempotencyKey.create({ userId, key, requestHash, expiresAt });
+    } catch (error) {
+      if (error.code === 11000) {
+        return null;
+      }
+      console.error('Error reserving idempotency key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Store the response sent for a key
+   */
+  static async complete(id, responseStatus, responseBody) {
+    try {
+      return await IdempotencyKey.updateOne(
+        { _id: id },
+        { status: 'COMPLETED', responseStatus, responseBody }
+      );
+    } catch (error) {
+      console.error('Error completing idempotency key:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Release a key so the request can be retried
+   */
+  static async release(id) {
+    try {
+      return await IdempotencyKey.deleteOne({ _id: id });
+    } catch (error) {
+      console.error('Error releasing idempotency key:', error);
+      throw error;
+    }
+  }
+}
+
+export default IdempotencyKeyRepository;
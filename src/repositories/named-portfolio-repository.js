@@ -0,0 +1,97 @@
+import NamedPortfolio from '../models/named-portfolio.js';
+
+// Case-insensitive comparison used by the unique name index
+const NAME_COLLATION = { locale: 'en', strength: 2 };
+
+class NamedPortfolioRepository {
+  /**
+   * Find all named portfolios of a user, default first
+   */
+  static async findByUserId(userId) {
+    try {
+      return await NamedPortfolio.find({ userId }).sort({ isDefault: -1, createdAt: 1 });
+    } catch (error) {
+      console.error('Error finding named portfolios by user ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a named portfolio by ID within a user's portfolios
+   */
+  static async findByIdAndUser(id, userId, options = {}) {
+    try {
+      return await NamedPortfolio.findOne({ _id: id, userId }).session(options.session || null);
+    } catch (error) {
+      console.error('Error finding named portfolio by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find a user's portfolio by name, ignoring case
+   */
+  static async findByName(userId, name) {
+    try {
+      return await NamedPortfolio.findOne({ userId, name }).collation(NAME_COLLATION);
+    } catch (error) {
+      console.error('Error finding named portfolio by name:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the user's default portfolio, creating it when missing
+   */
+  static async findOrCreateDefault(userId, name, options = {}) {
+    try {
+      return await NamedPortfolio.findOneAndUpdate(
+        { userId, isDefault: true },
+        { $setOnInsert: { userId, name, isDefault: true } },
+        { upsert: true, new: true, session: options.session || null }
+      );
+    } catch (error) {
+      console.error('Error finding or creating default portfolio:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create new named portfolio
+   */
+  static async create(portfolioData) {
+    try {
+      const portfolio = new NamedPortfolio(portfolioData);
+      return await portfolio.save();
+    } catch (error) {
+      console.error('Error creating named portfolio:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Update a named portfolio
+   */
+  static async updateById(id, updates) {
+    try {
+      return await NamedPortfolio.findByIdAndUpdate(id, { $set: updates }, { new: true, runValidators: true });
+    } catch (error) {
+      console.error('Error updating named portfolio:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete named portfolio by ID
+   */
+  static async deleteById(id, options = {}) {
+    try {
+      return await NamedPortfolio.deleteOne({ _id: id }, { session: options.session || null });
+    } catch (error) {
+      console.error('Error deleting named portfolio:', error);
+      throw error;
+    }
+  }
+}
+
+export default NamedPortfolioRepository;
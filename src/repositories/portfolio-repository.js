@@ -4,11 +4,11 @@ import Fund from '../models/funds.js';
 
 class PortfolioRepository {
   /**
-   * Find portfolio by user ID and scheme code
+   * Find portfolio by user ID and scheme code within a named portfolio
    */
-  static async findByUserAndScheme(userId, schemeCode) {
+  static async findByUserAndScheme(userId, schemeCode, namedPortfolioId) {
     try {
-      return await Portfolio.findOne({ userId, schemeCode });
+      return await Portfolio.findOne({ userId, namedPortfolioId, schemeCode });
     } catch (error) {
       console.error('Error finding portfolio by user and scheme:', error);
       throw error;
@@ -29,17 +29,29 @@ class PortfolioRepository {
   }
 
   /**
-   * Find all portfolios by user ID
+   * Find all portfolios by user ID, optionally within one named portfolio
    */
-  static async findByUserId(userId) {
+  static async findByUserId(userId, namedPortfolioId = null) {
     try {
-      return await Portfolio.find({ userId });
+      return await Portfolio.find({ userId, ...(namedPortfolioId && { namedPortfolioId }) });
     } catch (error) {
       console.error('Error finding portfolios by user ID:', error);
       throw error;
     }
   }
 
+  /**
+   * Find the IDs of every user with at least one fund position
+   */
+  static async findUserIds() {
+    try {
+      return await Portfolio.distinct('userId');
+    } catch (error) {
+      console.error('Error finding portfolio user IDs:', error);
+      throw error;
+    }
+  }
+
   /**
    * Delete portfolio by ID
    */
@@ -116,9 +128,9 @@ class PortfolioRepository {
   /**
    * Get portfolio with holdings and fund details
    */
-  static async getWithHoldingsAndFund(userId, schemeCode) {
+  static async getWithHoldingsAndFund(userId, schemeCode, namedPortfolioId) {
     try {
-      const portfolio = await this.findByUserAndScheme(userId, schemeCode);
+      const portfolio = await this.findByUserAndScheme(userId, schemeCode, namedPortfolioId);
       if (!portfolio) return null;
 
       const [holding, fund] = await Promise.all([
@@ -138,11 +150,11 @@ class PortfolioRepository {
   }
 
   /**
-   * Get all user portfolios with holdings and fund details
+   * Get all user portfolios with holdings and fund details, optionally within one named portfolio
    */
-  static async getUserPortfoliosWithDetails(userId) {
+  static async getUserPortfoliosWithDetails(userId, namedPortfolioId = null) {
     try {
-      const portfolios = await this.findByUserId(userId);
+      const portfolios = await this.findByUserId(userId, namedPortfolioId);
       const result = [];
 
       for (const portfolio of portfolios) {
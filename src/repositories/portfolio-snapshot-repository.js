@@ -0,0 +1,80 @@
+import PortfolioSnapshot from '../models/portfolio-snapshot.js';
+
+class PortfolioSnapshotRepository {
+  /**
+   * Find the snapshots of a user between two dates (oldest first)
+   */
+  static async findByUserInRange(userId, startDate, endDate) {
+    try {
+      return await PortfolioSnapshot.find({ userId, date: { $gte: startDate, $lte: endDate } })
+        .sort({ date: 1 })
+        .lean();
+    } catch (error) {
+      console.error('Error finding portfolio snapshots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the date of a user's latest snapshot, or null when there are none
+   */
+  static async findLatestDateByUser(userId) {
+    try {
+      const latest = await PortfolioSnapshot.findOne({ userId }).sort({ date: -1 }).select('date').lean();
+      return latest ? latest.date : null;
+    } catch (error) {
+      console.error('Error finding latest portfolio snapshot:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the totals of every user's snapshot on a day
+   */
+  static async findTotalsOnDate(date) {
+    try {
+      return await PortfolioSnapshot.find({ date })
+        .select('userId totalValue totalInvestment')
+        .lean();
+    } catch (error) {
+      console.error('Error finding portfolio snapshot totals:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Create or replace snapshots, one per user per day
+   */
+  static async upsertMany(snapshots, options = {}) {
+    try {
+      if (snapshots.length === 0) {
+        return null;
+      }
+
+      return await PortfolioSnapshot.bulkWrite(snapshots.map(snapshot => ({
+        replaceOne: {
+          filter: { userId: snapshot.userId, date: snapshot.date },
+          replacement: snapshot,
+          upsert: true
+        }
+      })), { ordered: false, session: options.session || null });
+    } catch (error) {
+      console.error('Error saving portfolio snapshots:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Delete a user's snapshots on and after a date
+   */
+  static async deleteFromDate(userId, date, options = {}) {
+    try {
+      return await PortfolioSnapshot.deleteMany({ userId, date: { $gte: date } }, { session: options.session || null });
+    } catch (error) {
+      console.error('Error deleting portfolio snapshots:', error);
+      throw error;
+    }
+  }
+}
+
+export default PortfolioSnapshotRepository;
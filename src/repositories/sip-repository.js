@@ -0,0 +1,90 @@
+import Sip from '../models/sip.js';
+
+class SipRepository {
+  /**
+   * Create new SIP
+   */
+  static async create(sipData) {
+    try {
+      const sip = new Sip(sipData);
+      return await sip.save();
+    } catch (error) {
+      console.error('Error creating SIP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find SIP by ID for a user
+   */
+  static async findByIdForUser(sipId, userId) {
+    try {
+      return await Sip.findOne({ _id: sipId, userId });
+    } catch (error) {
+      console.error('Error finding SIP by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find SIPs of a user by IDs
+   */
+  static async findByIdsForUser(sipIds, userId) {
+    try {
+      return await Sip.find({ _id: { $in: sipIds }, userId });
+    } catch (error) {
+      console.error('Error finding SIPs by IDs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all SIPs of a user
+   */
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { status } = options;
+      const query = { userId };
+
+      if (status) {
+        query.status = status;
+      }
+
+      return await Sip.find(query)
+        .select('-executions')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      console.error('Error finding SIPs by user ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find active SIPs with an instalment due on or before the given date
+   */
+  static async findDue(date) {
+    try {
+      return await Sip.find({
+        status: 'ACTIVE',
+        nextInstalmentDate: { $ne: null, $lte: date }
+      }).sort({ nextInstalmentDate: 1 });
+    } catch (error) {
+      console.error('Error finding due SIPs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count SIPs by criteria
+   */
+  static async countByCriteria(criteria = {}) {
+    try {
+      return await Sip.countDocuments(criteria);
+    } catch (error) {
+      console.error('Error counting SIPs:', error);
+      throw error;
+    }
+  }
+}
+
+export default SipRepository;
@@ -0,0 +1,78 @@
+import Stp from '../models/stp.js';
+
+class StpRepository {
+  /**
+   * Create new STP
+   */
+  static async create(stpData) {
+    try {
+      const stp = new Stp(stpData);
+      return await stp.save();
+    } catch (error) {
+      console.error('Error creating STP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find STP by ID for a user
+   */
+  static async findByIdForUser(stpId, userId) {
+    try {
+      return await Stp.findOne({ _id: stpId, userId });
+    } catch (error) {
+      console.error('Error finding STP by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all STPs of a user
+   */
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { status } = options;
+      const query = { userId };
+
+      if (status) {
+        query.status = status;
+      }
+
+      return await Stp.find(query)
+        .select('-executions')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      console.error('Error finding STPs by user ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find active STPs with an instalment due on or before the given date
+   */
+  static async findDue(date) {
+    try {
+      return await Stp.find({
+        status: 'ACTIVE',
+        nextInstalmentDate: { $ne: null, $lte: date }
+      }).sort({ nextInstalmentDate: 1 });
+    } catch (error) {
+      console.error('Error finding due STPs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count STPs by criteria
+   */
+  static async countByCriteria(criteria = {}) {
+    try {
+      return await Stp.countDocuments(criteria);
+    } catch (error) {
+      console.error('Error counting STPs:', error);
+      throw error;
+    }
+  }
+}
+
+export default StpRepository;
@@ -0,0 +1,78 @@
+import Swp from '../models/swp.js';
+
+class SwpRepository {
+  /**
+   * Create new SWP
+   */
+  static async create(swpData) {
+    try {
+      const swp = new Swp(swpData);
+      return await swp.save();
+    } catch (error) {
+      console.error('Error creating SWP:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find SWP by ID for a user
+   */
+  static async findByIdForUser(swpId, userId) {
+    try {
+      return await Swp.findOne({ _id: swpId, userId });
+    } catch (error) {
+      console.error('Error finding SWP by ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find all SWPs of a user
+   */
+  static async findByUserId(userId, options = {}) {
+    try {
+      const { status } = options;
+      const query = { userId };
+
+      if (status) {
+        query.status = status;
+      }
+
+      return await Swp.find(query)
+        .select('-executions')
+        .sort({ createdAt: -1 });
+    } catch (error) {
+      console.error('Error finding SWPs by user ID:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find active SWPs with an instalment due on or before the given date
+   */
+  static async findDue(date) {
+    try {
+      return await Swp.find({
+        status: 'ACTIVE',
+        nextInstalmentDate: { $ne: null, $lte: date }
+      }).sort({ nextInstalmentDate: 1 });
+    } catch (error) {
+      console.error('Error finding due SWPs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Count SWPs by criteria
+   */
+  static async countByCriteria(criteria = {}) {
+    try {
+      return await Swp.countDocuments(criteria);
+    } catch (error) {
+      console.error('Error counting SWPs:', error);
+      throw error;
+    }
+  }
+}
+
+export default SwpRepository;
@@ -38,21 +38,23 @@ class TransactionRepository {
    */
   static async getUserTransactionHistory(userId, schemeCode = null, options = {}) {
     try {
-      const { page = 1, limit = 50 } = options;
+      const { page = 1, limit = 50, stream = false, namedPortfolioId = null } = options;
       const skip = (page - 1) * limit;
 
-      let query = {};
-      
-      if (schemeCode) {
-        const portfolio = await Portfolio.findOne({ userId, schemeCode });
-        if (!portfolio) {
-          return [];
-        }
-        query.portfolioId = portfolio._id;
-      } else {
-        const portfolios = await Portfolio.find({ userId });
-        const portfolioIds = portfolios.map(p => p._id);
-        query.portfolioId = { $in: portfolioIds };
+      // The same scheme may be held in several named portfolios
+      const portfolios = await Portfolio.find({
+        userId,
+        ...(schemeCode && { schemeCode }),
+        ...(namedPortfolioId && { namedPortfolioId })
+      });
+      const query = { portfolioId: { $in: portfolios.map(p => p._id) } };
+
+      // Exports read the whole ledger through a cursor instead of one page at a time
+      if (stream) {
+        return Transaction.find(query)
+          .sort({ date: -1, createdAt: -1 })
+          .populate('portfolioId')
+          .cursor();
       }
 
       const transactions = await Transaction.find(query)
@@ -110,6 +112,71 @@ class TransactionRepository {
     }
   }
 
+  /**
+   * Find transactions of several portfolios, optionally by type and date range (oldest first)
+   */
+  static async findByPortfolioIds(portfolioIds, options = {}) {
+    try {
+      const { types, startDate, endDate } = options;
+      const query = { portfolioId: { $in: portfolioIds } };
+
+      if (types) {
+        query.type = { $in: types };
+      }
+
+      if (startDate || endDate) {
+        query.date = {};
+        if (startDate) {
+          query.date.$gte = startDate;
+        }
+        if (endDate) {
+          query.date.$lte = endDate;
+        }
+      }
+
+      return await Transaction.find(query).sort({ date: 1, createdAt: 1 });
+    } catch (error) {
+      console.error('Error finding transactions by portfolio IDs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the earliest transaction of several portfolios
+   */
+  static async findFirstByPortfolioIds(portfolioIds) {
+    try {
+      return await Transaction.findOne({ portfolioId: { $in: portfolioIds } }).sort({ date: 1, createdAt: 1 });
+    } catch (error) {
+      console.error('Error finding first transaction by portfolio IDs:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find the transactions recorded for a SIP, SWP or STP instalment
+   */
+  static async findByInstalment(planId, instalmentDate) {
+    try {
+      return await Transaction.find({ planId, instalmentDate });
+    } catch (error) {
+      console.error('Error finding transactions by instalment:', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Find transactions by IDs
+   */
+  static async findByIds(transactionIds) {
+    try {
+      return await Transaction.find({ _id: { $in: transactionIds } });
+    } catch (error) {
+      console.error('Error finding transactions by IDs:', error);
+      throw error;
+    }
+  }
+
   /**
    * Get all transactions with pagination (admin)
    */
@@ -68,6 +68,42 @@ class UserRepository {
     }
   }
 
+  // Get the version of a user's snapshots; null for users created before snapshots were versioned
+  static async findSnapshotVersion(userId) {
+    try {
+      const user = await User.findById(userId).select('snapshotVersion').lean();
+      return user?.snapshotVersion ?? null;
+    } catch (error) {
+      console.error('Error finding user snapshot version:', error);
+      throw error;
+    }
+  }
+
+  // Mark a user's stored snapshots as outdated, in the same transaction as the ledger change
+  static async incrementSnapshotVersion(userId, options = {}) {
+    try {
+      await User.updateOne({ _id: userId }, { $inc: { snapshotVersion: 1 } }, { session: options.session || null });
+    } catch (error) {
+      console.error('Error incrementing user snapshot version:', error);
+      throw error;
+    }
+  }
+
+  // Write the user in the current transaction if the snapshot version is unchanged, so a concurrent ledger change conflicts
+  static async touchIfSnapshotVersion(userId, version, options = {}) {
+    try {
+      const result = await User.updateOne(
+        { _id: userId, snapshotVersion: version },
+        { $set: { updatedAt: new Date() } },
+        { session: options.session || null }
+      );
+      return result.matchedCount > 0;
+    } catch (error) {
+      console.error('Error touching user snapshot version:', error);
+      throw error;
+    }
+  }
+
   // Find users with query and pagination
   static async findWithQuery(query, options = {}) {
     try {
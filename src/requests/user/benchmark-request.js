@@ -0,0 +1,121 @@
+import Joi from 'joi';
+import PortfolioRequest from './portfolio-request.js';
+
+class BenchmarkRequest {
+  // Whether a benchmark is shared with every user; only admins can share
+  static sharedField = Joi.boolean()
+    .default(false)
+    .messages({
+      'boolean.base': 'shared must be true or false'
+    });
+
+  // Validation schema for designating an index fund as a benchmark
+  static createBenchmarkSchema = Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(60)
+      .optional()
+      .messages({
+        'string.base': 'Name must be a string',
+        'string.empty': 'Name cannot be empty',
+        'string.max': 'Name cannot exceed 60 characters'
+      }),
+    schemeCode: Joi.number()
+      .integer()
+      .min(100000)
+      .max(999999)
+      .required()
+      .messages({
+        'number.base': 'Scheme code must be a number',
+        'number.integer': 'Scheme code must be an integer',
+        'number.min': 'Scheme code must be at least 100000',
+        'number.max': 'Scheme code cannot exceed 999999',
+        'any.required': 'Scheme code is required'
+      }),
+    shared: this.sharedField
+  });
+
+  // Validation schema for the index CSV import query
+  static importQuerySchema = Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(60)
+      .required()
+      .messages({
+        'string.base': 'Name must be a string',
+        'string.empty': 'Name is required',
+        'string.max': 'Name cannot exceed 60 characters',
+        'any.required': 'Name is required'
+      }),
+    shared: this.sharedField
+  });
+
+  // Validation schema for the comparison query: a benchmark plus /history's date range
+  static compareQuerySchema = PortfolioRequest.historyQuerySchema.keys({
+    benchmarkId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Benchmark ID must be a valid ID',
+        'any.required': 'Benchmark ID is required'
+      })
+  });
+
+  // Validation schema for benchmark ID parameter
+  static benchmarkIdSchema = Joi.object({
+    id: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Benchmark ID must be a valid ID',
+        'any.required': 'Benchmark ID is required'
+      })
+  });
+
+  // Validate create benchmark request
+  static validateCreateBenchmark(data) {
+    return this.validate(this.createBenchmarkSchema, data);
+  }
+
+  // Validate index CSV import query
+  static validateImportQuery(query) {
+    return this.validate(this.importQuerySchema, query);
+  }
+
+  // Validate comparison query, including /history's date range checks
+  static validateCompareQuery(query) {
+    return PortfolioRequest.validateHistoryQuery(query, this.compareQuerySchema);
+  }
+
+  // Validate benchmark ID parameter
+  static validateBenchmarkId(id) {
+    return this.validate(this.benchmarkIdSchema, { id });
+  }
+
+  // Validate data against a schema
+  static validate(schema, data) {
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+}
+
+export default BenchmarkRequest;
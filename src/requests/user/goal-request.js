@@ -0,0 +1,217 @@
+import Joi from 'joi';
+import DateUtils from '../../utils/date-utils.js';
+
+class GoalRequest {
+  // Holdings funding a goal: a fund in one named portfolio, or across all of them without portfolioId
+  static linkedHoldingsField = Joi.array()
+    .items(Joi.object({
+      schemeCode: Joi.number()
+        .integer()
+        .min(100000)
+        .max(999999)
+        .required()
+        .messages({
+          'number.base': 'Scheme code must be a number',
+          'number.integer': 'Scheme code must be an integer',
+          'number.min': 'Scheme code must be at least 100000',
+          'number.max': 'Scheme code cannot exceed 999999',
+          'any.required': 'Scheme code is required'
+        }),
+      portfolioId: Joi.string()
+        .pattern(/^[0-9a-fA-F]{24}$/)
+        .allow(null)
+        .optional()
+        .messages({
+          'string.pattern.base': 'Portfolio ID must be a valid ID'
+        }),
+      allocationPercent: Joi.number()
+        .min(1)
+        .max(100)
+        .default(100)
+        .messages({
+          'number.base': 'Allocation percent must be a number',
+          'number.min': 'Allocation percent must be at least 1',
+          'number.max': 'Allocation percent cannot exceed 100'
+        })
+    }))
+    .unique((a, b) => a.schemeCode === b.schemeCode && (a.portfolioId || null) === (b.portfolioId || null))
+    .max(50)
+    .messages({
+      'array.base': 'Linked holdings must be an array',
+      'array.unique': 'Each holding can be linked only once',
+      'array.max': 'A goal can link at most 50 holdings'
+    });
+
+  // SIPs funding a goal
+  static linkedSipIdsField = Joi.array()
+    .items(Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .messages({
+        'string.pattern.base': 'SIP ID must be a valid ID'
+      }))
+    .unique()
+    .max(50)
+    .messages({
+      'array.base': 'Linked SIP IDs must be an array',
+      'array.unique': 'Each SIP can be linked only once',
+      'array.max': 'A goal can link at most 50 SIPs'
+    });
+
+  // Validation schema for creating a goal
+  static createGoalSchema = Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(60)
+      .required()
+      .messages({
+        'string.base': 'Name must be a string',
+        'string.empty': 'Name is required',
+        'string.max': 'Name cannot exceed 60 characters',
+        'any.required': 'Name is required'
+      }),
+    targetAmount: Joi.number()
+      .positive()
+      .precision(2)
+      .required()
+      .messages({
+        'number.base': 'Target amount must be a number',
+        'number.positive': 'Target amount must be greater than 0',
+        'any.required': 'Target amount is required'
+      }),
+    targetDate: Joi.string()
+      .pattern(/^\d{2}-\d{2}-\d{4}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Target date must be in DD-MM-YYYY format',
+        'any.required': 'Target date is required'
+      }),
+    expectedReturn: Joi.number()
+      .min(0)
+      .max(50)
+      .default(12)
+      .messages({
+        'number.base': 'Expected return must be a number',
+        'number.min': 'Expected return cannot be negative',
+        'number.max': 'Expected return cannot exceed 50'
+      }),
+    linkedHoldings: this.linkedHoldingsField.default([]),
+    linkedSipIds: this.linkedSipIdsField.default([])
+  });
+
+  // Validation schema for updating a goal
+  static updateGoalSchema = Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(60)
+      .optional()
+      .messages({
+        'string.base': 'Name must be a string',
+        'string.empty': 'Name cannot be empty',
+        'string.max': 'Name cannot exceed 60 characters'
+      }),
+    targetAmount: Joi.number()
+      .positive()
+      .precision(2)
+      .optional()
+      .messages({
+        'number.base': 'Target amount must be a number',
+        'number.positive': 'Target amount must be greater than 0'
+      }),
+    targetDate: Joi.string()
+      .pattern(/^\d{2}-\d{2}-\d{4}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Target date must be in DD-MM-YYYY format'
+      }),
+    expectedReturn: Joi.number()
+      .min(0)
+      .max(50)
+      .optional()
+      .messages({
+        'number.base': 'Expected return must be a number',
+        'number.min': 'Expected return cannot be negative',
+        'number.max': 'Expected return cannot exceed 50'
+      }),
+    linkedHoldings: this.linkedHoldingsField.optional(),
+    linkedSipIds: this.linkedSipIdsField.optional()
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one field to update is required'
+    });
+
+  // Validation schema for goal ID parameter
+  static goalIdSchema = Joi.object({
+    id: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Goal ID must be a valid ID',
+        'any.required': 'Goal ID is required'
+      })
+  });
+
+  // Validate create goal request
+  static validateCreateGoal(data) {
+    return this.validateGoal(this.createGoalSchema, data);
+  }
+
+  // Validate update goal request
+  static validateUpdateGoal(data) {
+    return this.validateGoal(this.updateGoalSchema, data);
+  }
+
+  // Validate goal ID parameter
+  static validateGoalId(id) {
+    return this.validate(this.goalIdSchema, { id });
+  }
+
+  // Validate goal data and convert the target date, which must be in the future
+  static validateGoal(schema, data) {
+    const result = this.validate(schema, data);
+    if (!result.isValid || result.data.targetDate === undefined) {
+      return result;
+    }
+
+    const targetDate = DateUtils.parseApiDate(result.data.targetDate);
+    if (!targetDate || Number.isNaN(targetDate.getTime()) || targetDate <= new Date()) {
+      return {
+        isValid: false,
+        errors: [{
+          field: 'targetDate',
+          message: 'Target date must be a valid date in the future'
+        }]
+      };
+    }
+
+    result.data.targetDate = targetDate;
+    return result;
+  }
+
+  // Validate data against a schema
+  static validate(schema, data) {
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+}
+
+export default GoalRequest;
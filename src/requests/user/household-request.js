@@ -0,0 +1,121 @@
+import Joi from 'joi';
+
+class HouseholdRequest {
+  // Access a member grants the other members to their portfolio
+  static permissionField = Joi.string()
+    .trim()
+    .uppercase()
+    .valid('READ', 'MANAGE')
+    .messages({
+      'string.base': 'Permission must be a string',
+      'any.only': 'Permission must be either READ or MANAGE',
+      'any.required': 'Permission is required'
+    });
+
+  // Validation schema for creating a household
+  static createHouseholdSchema = Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(60)
+      .required()
+      .messages({
+        'string.base': 'Name must be a string',
+        'string.empty': 'Name is required',
+        'string.max': 'Name cannot exceed 60 characters',
+        'any.required': 'Name is required'
+      }),
+    permission: this.permissionField.optional()
+  });
+
+  // Validation schema for inviting a member by email
+  static inviteMemberSchema = Joi.object({
+    email: Joi.string()
+      .email()
+      .trim()
+      .lowercase()
+      .required()
+      .messages({
+        'string.email': 'Please enter a valid email address',
+        'string.empty': 'Email is required',
+        'any.required': 'Email is required'
+      })
+  });
+
+  // Validation schema for accepting an invitation
+  static joinHouseholdSchema = Joi.object({
+    permission: this.permissionField.optional()
+  });
+
+  // Validation schema for changing the access a member grants
+  static updatePermissionSchema = Joi.object({
+    permission: this.permissionField.required()
+  });
+
+  // Validation schema for household and member ID parameters
+  static idSchema = Joi.object({
+    id: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Household ID must be a valid ID',
+        'any.required': 'Household ID is required'
+      }),
+    userId: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Member ID must be a valid ID'
+      })
+  });
+
+  // Validate create household request
+  static validateCreateHousehold(data) {
+    return this.validate(this.createHouseholdSchema, data);
+  }
+
+  // Validate invite member request
+  static validateInviteMember(data) {
+    return this.validate(this.inviteMemberSchema, data);
+  }
+
+  // Validate join household request
+  static validateJoinHousehold(data) {
+    return this.validate(this.joinHouseholdSchema, data || {});
+  }
+
+  // Validate update permission request
+  static validateUpdatePermission(data) {
+    return this.validate(this.updatePermissionSchema, data);
+  }
+
+  // Validate household ID and optional member ID route parameters
+  static validateIds(params) {
+    return this.validate(this.idSchema, params);
+  }
+
+  // Validate data against a schema
+  static validate(schema, data) {
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+}
+
+export default HouseholdRequest;
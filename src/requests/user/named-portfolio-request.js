@@ -0,0 +1,111 @@
+import Joi from 'joi';
+
+class NamedPortfolioRequest {
+  // Validation schema for creating a named portfolio
+  static createPortfolioSchema = Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(60)
+      .required()
+      .messages({
+        'string.base': 'Name must be a string',
+        'string.empty': 'Name is required',
+        'string.max': 'Name cannot exceed 60 characters',
+        'any.required': 'Name is required'
+      }),
+    description: Joi.string()
+      .trim()
+      .max(250)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.base': 'Description must be a string',
+        'string.max': 'Description cannot exceed 250 characters'
+      })
+  });
+
+  // Validation schema for renaming a named portfolio or changing its description
+  static updatePortfolioSchema = Joi.object({
+    name: Joi.string()
+      .trim()
+      .min(1)
+      .max(60)
+      .optional()
+      .messages({
+        'string.base': 'Name must be a string',
+        'string.empty': 'Name cannot be empty',
+        'string.max': 'Name cannot exceed 60 characters'
+      }),
+    description: Joi.string()
+      .trim()
+      .max(250)
+      .allow('', null)
+      .optional()
+      .messages({
+        'string.base': 'Description must be a string',
+        'string.max': 'Description cannot exceed 250 characters'
+      })
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one of name or description is required'
+    });
+
+  // Validation schema for named portfolio ID parameter
+  static portfolioIdSchema = Joi.object({
+    id: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Portfolio ID must be a valid ID',
+        'any.required': 'Portfolio ID is required'
+      })
+  });
+
+  // Validate create named portfolio request
+  static validateCreatePortfolio(data) {
+    return this.validate(this.createPortfolioSchema, data);
+  }
+
+  // Validate update named portfolio request; an empty description clears it
+  static validateUpdatePortfolio(data) {
+    const result = this.validate(this.updatePortfolioSchema, data);
+
+    if (result.isValid && result.data.description === '') {
+      result.data.description = null;
+    }
+
+    return result;
+  }
+
+  // Validate named portfolio ID parameter
+  static validatePortfolioId(id) {
+    return this.validate(this.portfolioIdSchema, { id });
+  }
+
+  // Validate data against a schema
+  static validate(schema, data) {
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+}
+
+export default NamedPortfolioRequest;
@@ -1,6 +1,20 @@
 import Joi from 'joi';
+import DateUtils from '../../utils/date-utils.js';
+import PerformanceHelpers from '../../helpers/performance-helpers.js';
+
+// Longest history range, about ten years
+const MAX_HISTORY_DAYS = 3660;
 
 class PortfolioRequest {
+  // Named portfolio a request applies to; without it writes go to the default portfolio and reads cover all portfolios
+  static portfolioIdField = Joi.string()
+    .pattern(/^[0-9a-fA-F]{24}$/)
+    .optional()
+    .messages({
+      'string.base': 'Portfolio ID must be a string',
+      'string.pattern.base': 'Portfolio ID must be a valid ID'
+    });
+
   // Validation schema for adding fund to portfolio
   static addFundSchema = Joi.object({
     schemeCode: Joi.number()
@@ -18,13 +32,30 @@ class PortfolioRequest {
     units: Joi.number()
       .positive()
       .precision(3)
-      .required()
       .messages({
         'number.base': 'Units must be a number',
-        'number.positive': 'Units must be greater than 0',
-        'any.required': 'Units is required'
-      })
-  });
+        'number.positive': 'Units must be greater than 0'
+      }),
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be greater than 0'
+      }),
+    date: Joi.string()
+      .pattern(/^\d{2}-\d{2}-\d{4}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Date must be in DD-MM-YYYY format'
+      }),
+    portfolioId: this.portfolioIdField
+  })
+    .xor('units', 'amount')
+    .messages({
+      'object.missing': 'Either units or amount is required',
+      'object.xor': 'Provide either units or amount, not both'
+    });
 
   // Validation schema for selling fund from portfolio
   static sellFundSchema = Joi.object({
@@ -43,13 +74,86 @@ class PortfolioRequest {
     units: Joi.number()
       .positive()
       .precision(3)
+      .messages({
+        'number.base': 'Units must be a number',
+        'number.positive': 'Units must be greater than 0'
+      }),
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be greater than 0'
+      }),
+    date: Joi.string()
+      .pattern(/^\d{2}-\d{2}-\d{4}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Date must be in DD-MM-YYYY format'
+      }),
+    portfolioId: this.portfolioIdField
+  })
+    .xor('units', 'amount')
+    .messages({
+      'object.missing': 'Either units or amount is required',
+      'object.xor': 'Provide either units or amount, not both'
+    });
+
+  // Validation schema for switching between funds
+  static switchFundSchema = Joi.object({
+    fromSchemeCode: Joi.number()
+      .integer()
+      .min(100000)
+      .max(999999)
       .required()
+      .messages({
+        'number.base': 'Source scheme code must be a number',
+        'number.integer': 'Source scheme code must be an integer',
+        'number.min': 'Source scheme code must be at least 100000',
+        'number.max': 'Source scheme code cannot exceed 999999',
+        'any.required': 'Source scheme code is required'
+      }),
+    toSchemeCode: Joi.number()
+      .integer()
+      .min(100000)
+      .max(999999)
+      .invalid(Joi.ref('fromSchemeCode'))
+      .required()
+      .messages({
+        'number.base': 'Target scheme code must be a number',
+        'number.integer': 'Target scheme code must be an integer',
+        'number.min': 'Target scheme code must be at least 100000',
+        'number.max': 'Target scheme code cannot exceed 999999',
+        'any.invalid': 'Target scheme must be different from the source scheme',
+        'any.required': 'Target scheme code is required'
+      }),
+    units: Joi.number()
+      .positive()
+      .precision(3)
       .messages({
         'number.base': 'Units must be a number',
-        'number.positive': 'Units must be greater than 0',
-        'any.required': 'Units is required'
-      })
-  });
+        'number.positive': 'Units must be greater than 0'
+      }),
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be greater than 0'
+      }),
+    date: Joi.string()
+      .pattern(/^\d{2}-\d{2}-\d{4}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Date must be in DD-MM-YYYY format'
+      }),
+    portfolioId: this.portfolioIdField
+  })
+    .xor('units', 'amount')
+    .messages({
+      'object.missing': 'Either units or amount is required',
+      'object.xor': 'Provide either units or amount, not both'
+    });
 
   // Validation schema for scheme code parameter
   static schemeCodeSchema = Joi.object({
@@ -84,17 +188,207 @@ class PortfolioRequest {
     days: Joi.number()
       .integer()
       .min(1)
-      .max(365)
+      .max(MAX_HISTORY_DAYS)
       .default(30)
       .optional()
       .messages({
         'number.base': 'Days must be a number',
         'number.integer': 'Days must be an integer',
         'number.min': 'Days must be at least 1',
-        'number.max': 'Days cannot exceed 365'
+        'number.max': `Days cannot exceed ${MAX_HISTORY_DAYS}`
+      }),
+    // Spacing of history points; auto is daily up to a year, weekly up to three years and monthly beyond
+    interval: Joi.string()
+      .lowercase()
+      .valid('auto', 'daily', 'weekly', 'monthly')
+      .default('auto')
+      .messages({
+        'any.only': 'Interval must be one of: auto, daily, weekly, monthly'
+      }),
+    portfolioId: this.portfolioIdField
+  });
+
+  // Validation schema for spreadsheet exports; history exports also take the history query
+  static exportQuerySchema = this.historyQuerySchema.keys({
+    dataset: Joi.string()
+      .valid('holdings', 'transactions', 'history')
+      .required()
+      .messages({
+        'any.only': 'Export must be one of: holdings, transactions, history',
+        'any.required': 'Export is required'
+      }),
+    fileType: Joi.string()
+      .lowercase()
+      .valid('csv', 'xlsx')
+      .default('csv')
+      .messages({
+        'any.only': 'File type must be either csv or xlsx'
+      }),
+    format: Joi.string()
+      .lowercase()
+      .valid('raw', 'display')
+      .default('raw')
+      .messages({
+        'any.only': 'Format must be either raw or display'
+      }),
+    schemeCode: Joi.number()
+      .integer()
+      .min(100000)
+      .max(999999)
+      .optional()
+      .messages({
+        'number.base': 'Scheme code must be a number',
+        'number.integer': 'Scheme code must be an integer',
+        'number.min': 'Scheme code must be at least 100000',
+        'number.max': 'Scheme code cannot exceed 999999'
+      })
+  });
+
+  // Validation schema for recording a dividend
+  static dividendSchema = Joi.object({
+    schemeCode: Joi.number()
+      .integer()
+      .min(100000)
+      .max(999999)
+      .required()
+      .messages({
+        'number.base': 'Scheme code must be a number',
+        'number.integer': 'Scheme code must be an integer',
+        'number.min': 'Scheme code must be at least 100000',
+        'number.max': 'Scheme code cannot exceed 999999',
+        'any.required': 'Scheme code is required'
+      }),
+    option: Joi.string()
+      .valid('PAYOUT', 'REINVEST')
+      .required()
+      .messages({
+        'any.only': 'Option must be either PAYOUT or REINVEST',
+        'any.required': 'Option is required'
+      }),
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .required()
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be greater than 0',
+        'any.required': 'Amount is required'
+      }),
+    date: Joi.string()
+      .pattern(/^\d{2}-\d{2}-\d{4}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Ex-dividend date must be in DD-MM-YYYY format'
+      }),
+    portfolioId: this.portfolioIdField
+  });
+
+  // Validation schema for financial year reports
+  static financialYearQuerySchema = Joi.object({
+    fy: Joi.string()
+      .pattern(/^\d{4}-\d{2}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Financial year must be in YYYY-YY format, e.g. 2025-26'
+      })
+  });
+
+  // Validation schema for the capital gains report query
+  static capitalGainsQuerySchema = this.financialYearQuerySchema.keys({
+    format: Joi.string()
+      .valid('json', 'csv')
+      .default('json')
+      .messages({
+        'any.only': 'Format must be either json or csv'
       })
   });
 
+  // Validation schema for the performance query
+  static performanceQuerySchema = Joi.object({
+    period: Joi.string()
+      .uppercase()
+      .valid(...PerformanceHelpers.PERIODS)
+      .default('1Y')
+      .messages({
+        'any.only': `Period must be one of ${PerformanceHelpers.PERIODS.join(', ')}`
+      })
+  });
+
+  // Validation schema for one row of an imported transactions CSV
+  static importRowSchema = Joi.object({
+    date: Joi.string()
+      .pattern(/^\d{2}-\d{2}-\d{4}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'Date must be in DD-MM-YYYY format',
+        'any.required': 'Date is required'
+      }),
+    schemeCode: Joi.number()
+      .integer()
+      .min(100000)
+      .max(999999)
+      .messages({
+        'number.base': 'Scheme code must be a number',
+        'number.integer': 'Scheme code must be an integer',
+        'number.min': 'Scheme code must be at least 100000',
+        'number.max': 'Scheme code cannot exceed 999999'
+      }),
+    isin: Joi.string()
+      .uppercase()
+      .pattern(/^INF[A-Z0-9]{9}$/)
+      .messages({
+        'string.pattern.base': 'ISIN must be a 12 character mutual fund ISIN starting with INF'
+      }),
+    type: Joi.string()
+      .uppercase()
+      .valid('BUY', 'SELL')
+      .required()
+      .messages({
+        'any.only': 'Type must be either BUY or SELL',
+        'any.required': 'Type is required'
+      }),
+    units: Joi.number()
+      .positive()
+      .precision(3)
+      .messages({
+        'number.base': 'Units must be a number',
+        'number.positive': 'Units must be greater than 0'
+      }),
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be greater than 0'
+      }),
+    nav: Joi.number()
+      .positive()
+      .messages({
+        'number.base': 'NAV must be a number',
+        'number.positive': 'NAV must be greater than 0'
+      })
+  })
+    .or('schemeCode', 'isin')
+    .or('units', 'amount')
+    .messages({
+      'object.missing': 'Row must include one of {{#peersWithLabels}}'
+    });
+
+  // Validation schema for the import query
+  static importQuerySchema = Joi.object({
+    dryRun: Joi.boolean()
+      .default(true)
+      .messages({
+        'boolean.base': 'dryRun must be true or false'
+      }),
+    portfolioId: this.portfolioIdField
+  });
+
+  // Validation schema for queries that only select a named portfolio
+  static portfolioQuerySchema = Joi.object({
+    portfolioId: this.portfolioIdField
+  });
+
   // Validate add fund request
   static validateAddFund(data) {
     const { error, value } = this.addFundSchema.validate(data, { 
@@ -112,6 +406,17 @@ class PortfolioRequest {
       };
     }
 
+    // Additional validation for backdated transactions
+    if (value.date) {
+      const dateError = this.validateTransactionDate(value.date);
+      if (dateError) {
+        return {
+          isValid: false,
+          errors: [dateError]
+        };
+      }
+    }
+
     return {
       isValid: true,
       data: value
@@ -135,6 +440,223 @@ class PortfolioRequest {
       };
     }
 
+    // Additional validation for backdated transactions
+    if (value.date) {
+      const dateError = this.validateTransactionDate(value.date);
+      if (dateError) {
+        return {
+          isValid: false,
+          errors: [dateError]
+        };
+      }
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+
+  // Validate switch fund request
+  static validateSwitchFund(data) {
+    const { error, value } = this.switchFundSchema.validate(data, { 
+      abortEarly: false,
+      stripUnknown: true 
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    // Additional validation for backdated switches
+    if (value.date) {
+      const dateError = this.validateTransactionDate(value.date);
+      if (dateError) {
+        return {
+          isValid: false,
+          errors: [dateError]
+        };
+      }
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+
+  // Validate record dividend request
+  static validateDividend(data) {
+    const { error, value } = this.dividendSchema.validate(data, { 
+      abortEarly: false,
+      stripUnknown: true 
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    if (value.date) {
+      const dateError = this.validateTransactionDate(value.date);
+      if (dateError) {
+        return {
+          isValid: false,
+          errors: [dateError]
+        };
+      }
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+
+  // Validate financial year report query
+  static validateFinancialYearQuery(query, schema = this.financialYearQuerySchema) {
+    const { error, value } = schema.validate(query, { 
+      abortEarly: false,
+      stripUnknown: true 
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    // The two parts must be consecutive years, e.g. 2025-26
+    if (value.fy && !DateUtils.getFinancialYearRange(value.fy)) {
+      return {
+        isValid: false,
+        errors: [{
+          field: 'fy',
+          message: 'Financial year must span consecutive years, e.g. 2025-26'
+        }]
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+
+  // Validate capital gains report query
+  static validateCapitalGainsQuery(query) {
+    return this.validateFinancialYearQuery(query, this.capitalGainsQuerySchema);
+  }
+
+  // Validate performance query
+  static validatePerformanceQuery(query) {
+    const { error, value } = this.performanceQuerySchema.validate(query, { 
+      abortEarly: false,
+      stripUnknown: true 
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+
+  // Validate one row of an imported transactions CSV
+  static validateImportRow(data) {
+    const { error, value } = this.importRowSchema.validate(data, { 
+      abortEarly: false,
+      stripUnknown: true 
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.') || 'row',
+          message: detail.message
+        }))
+      };
+    }
+
+    const dateError = this.validateTransactionDate(value.date);
+    if (dateError) {
+      return {
+        isValid: false,
+        errors: [dateError]
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+
+  // Validate import query
+  static validateImportQuery(query) {
+    const { error, value } = this.importQuerySchema.validate(query, { 
+      abortEarly: false,
+      stripUnknown: true 
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+
+  // Validate a query that only selects a named portfolio
+  static validatePortfolioQuery(query) {
+    const { error, value } = this.portfolioQuerySchema.validate(query, { 
+      abortEarly: false,
+      stripUnknown: true 
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
     return {
       isValid: true,
       data: value
@@ -167,8 +689,8 @@ class PortfolioRequest {
   }
 
   // Validate portfolio history query parameters
-  static validateHistoryQuery(query) {
-    const { error, value } = this.historyQuerySchema.validate(query, { 
+  static validateHistoryQuery(query, schema = this.historyQuerySchema) {
+    const { error, value } = schema.validate(query, { 
       abortEarly: false,
       stripUnknown: true 
     });
@@ -198,14 +720,14 @@ class PortfolioRequest {
         };
       }
 
-      // Check if date range is not too large (max 1 year)
+      // Check if date range is not too large
       const daysDiff = Math.ceil((end - start) / (1000 * 60 * 60 * 24));
-      if (daysDiff > 365) {
+      if (daysDiff > MAX_HISTORY_DAYS) {
         return {
           isValid: false,
           errors: [{
             field: 'dateRange',
-            message: 'Date range cannot exceed 365 days'
+            message: `Date range cannot exceed ${MAX_HISTORY_DAYS} days`
           }]
         };
       }
@@ -217,6 +739,33 @@ class PortfolioRequest {
     };
   }
 
+  // Validate export parameters; the dataset comes from the route
+  static validateExportQuery(dataset, query) {
+    return this.validateHistoryQuery({ ...query, dataset }, this.exportQuerySchema);
+  }
+
+  // Check a DD-MM-YYYY transaction date is a real calendar date and not in the future
+  static validateTransactionDate(dateString) {
+    const date = this.parseDate(dateString);
+    const [day, month] = dateString.split('-').map(Number);
+
+    if (isNaN(date.getTime()) || date.getDate() !== day || date.getMonth() !== month - 1) {
+      return {
+        field: 'date',
+        message: 'Date is not a valid calendar date'
+      };
+    }
+
+    if (date > new Date()) {
+      return {
+        field: 'date',
+        message: 'Date cannot be in the future'
+      };
+    }
+
+    return null;
+  }
+
   // Helper method to parse DD-MM-YYYY date string
   static parseDate(dateString) {
     const [day, month, year] = dateString.split('-').map(Number);
@@ -260,7 +809,8 @@ class PortfolioRequest {
       .optional()
       .messages({
         'any.only': 'Sort order must be either asc or desc'
-      })
+      }),
+    portfolioId: this.portfolioIdField
   });
 
   // Validate portfolio list query parameters
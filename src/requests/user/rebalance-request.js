@@ -0,0 +1,173 @@
+import Joi from 'joi';
+import PortfolioRequest from './portfolio-request.js';
+
+// Slack allowed when target weights are checked to add up to 100
+const PERCENT_SUM_EPSILON = 0.01;
+
+class RebalanceRequest {
+  // Validation schema for setting a target allocation
+  static targetSchema = Joi.object({
+    basis: Joi.string()
+      .uppercase()
+      .valid('ASSET_CLASS', 'SCHEME')
+      .required()
+      .messages({
+        'any.only': 'Basis must be one of: ASSET_CLASS, SCHEME',
+        'any.required': 'Basis is required'
+      }),
+    targets: Joi.array()
+      .items(Joi.object({
+        assetClass: Joi.string()
+          .uppercase()
+          .valid('EQUITY', 'DEBT', 'HYBRID', 'SOLUTION', 'OTHER')
+          .messages({
+            'any.only': 'Asset class must be one of: EQUITY, DEBT, HYBRID, SOLUTION, OTHER'
+          }),
+        schemeCode: Joi.number()
+          .integer()
+          .min(100000)
+          .max(999999)
+          .messages({
+            'number.base': 'Scheme code must be a number',
+            'number.integer': 'Scheme code must be an integer',
+            'number.min': 'Scheme code must be at least 100000',
+            'number.max': 'Scheme code cannot exceed 999999'
+          }),
+        percent: Joi.number()
+          .min(0)
+          .max(100)
+          .precision(2)
+          .required()
+          .messages({
+            'number.base': 'Percent must be a number',
+            'number.min': 'Percent cannot be negative',
+            'number.max': 'Percent cannot exceed 100',
+            'any.required': 'Percent is required'
+          })
+      }))
+      .min(1)
+      .max(50)
+      .required()
+      .messages({
+        'array.base': 'Targets must be an array',
+        'array.min': 'At least one target is required',
+        'array.max': 'At most 50 targets can be set',
+        'any.required': 'Targets are required'
+      }),
+    tolerance: Joi.number()
+      .min(0)
+      .max(50)
+      .default(5)
+      .messages({
+        'number.base': 'Tolerance must be a number',
+        'number.min': 'Tolerance cannot be negative',
+        'number.max': 'Tolerance cannot exceed 50'
+      })
+  });
+
+  // Validation schema for the rebalance query
+  static rebalanceQuerySchema = Joi.object({
+    mode: Joi.string()
+      .uppercase()
+      .valid('FULL', 'NEW_MONEY')
+      .default('FULL')
+      .messages({
+        'any.only': 'Mode must be one of: FULL, NEW_MONEY'
+      }),
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .when('mode', {
+        is: 'NEW_MONEY',
+        then: Joi.required(),
+        otherwise: Joi.forbidden()
+      })
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be greater than 0',
+        'any.required': 'Amount is required in NEW_MONEY mode',
+        'any.unknown': 'Amount is only allowed in NEW_MONEY mode'
+      }),
+    taxAware: Joi.boolean()
+      .default(false)
+      .messages({
+        'boolean.base': 'taxAware must be true or false'
+      }),
+    portfolioId: PortfolioRequest.portfolioIdField
+  });
+
+  // Validate set target request
+  // Each target must name an asset class or a scheme to match the basis, once each, with weights adding up to 100
+  static validateTarget(data) {
+    const result = this.validate(this.targetSchema, data);
+    if (!result.isValid) {
+      return result;
+    }
+
+    const { basis, targets } = result.data;
+    const keyField = basis === 'ASSET_CLASS' ? 'assetClass' : 'schemeCode';
+    const otherField = basis === 'ASSET_CLASS' ? 'schemeCode' : 'assetClass';
+    const errors = [];
+
+    targets.forEach((target, index) => {
+      if (target[keyField] === undefined) {
+        errors.push({ field: `targets.${index}.${keyField}`, message: `Each target needs ${keyField} when basis is ${basis}` });
+      }
+      if (target[otherField] !== undefined) {
+        errors.push({ field: `targets.${index}.${otherField}`, message: `${otherField} is not allowed when basis is ${basis}` });
+      }
+    });
+
+    const keys = targets.map(target => target[keyField]);
+    if (new Set(keys).size !== keys.length) {
+      errors.push({ field: 'targets', message: `Each ${keyField} can be targeted only once` });
+    }
+
+    const totalPercent = targets.reduce((sum, target) => sum + target.percent, 0);
+    if (Math.abs(totalPercent - 100) > PERCENT_SUM_EPSILON) {
+      errors.push({ field: 'targets', message: 'Target percentages must add up to 100' });
+    }
+
+    if (errors.length > 0) {
+      return { isValid: false, errors };
+    }
+
+    result.data.targets = targets.map(target => ({ [keyField]: target[keyField], percent: target.percent }));
+    return result;
+  }
+
+  // Validate rebalance query
+  static validateRebalanceQuery(query) {
+    return this.validate(this.rebalanceQuerySchema, query);
+  }
+
+  // Validate query that only selects a named portfolio
+  static validatePortfolioQuery(query) {
+    return this.validate(PortfolioRequest.portfolioQuerySchema, query);
+  }
+
+  // Validate data against a schema
+  static validate(schema, data) {
+    const { error, value } = schema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+}
+
+export default RebalanceRequest;
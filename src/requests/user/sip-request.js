@@ -0,0 +1,230 @@
+import Joi from 'joi';
+import DateUtils from '../../utils/date-utils.js';
+
+class SipRequest {
+  // Validation schema for creating a SIP
+  static createSipSchema = Joi.object({
+    schemeCode: Joi.number()
+      .integer()
+      .min(100000)
+      .max(999999)
+      .required()
+      .messages({
+        'number.base': 'Scheme code must be a number',
+        'number.integer': 'Scheme code must be an integer',
+        'number.min': 'Scheme code must be at least 100000',
+        'number.max': 'Scheme code cannot exceed 999999',
+        'any.required': 'Scheme code is required'
+      }),
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .required()
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be greater than 0',
+        'any.required': 'Amount is required'
+      }),
+    frequency: Joi.string()
+      .valid('weekly', 'monthly', 'quarterly')
+      .required()
+      .messages({
+        'any.only': 'Frequency must be one of: weekly, monthly, quarterly',
+        'any.required': 'Frequency is required'
+      }),
+    dayOfMonth: Joi.number()
+      .integer()
+      .min(1)
+      .max(28)
+      .optional()
+      .messages({
+        'number.base': 'Day of month must be a number',
+        'number.integer': 'Day of month must be an integer',
+        'number.min': 'Day of month must be at least 1',
+        'number.max': 'Day of month cannot exceed 28'
+      }),
+    startDate: Joi.string()
+      .pattern(/^\d{2}-\d{2}-\d{4}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Start date must be in DD-MM-YYYY format'
+      }),
+    endDate: Joi.string()
+      .pattern(/^\d{2}-\d{2}-\d{4}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'End date must be in DD-MM-YYYY format'
+      })
+  });
+
+  // Validation schema for updating a SIP
+  static updateSipSchema = Joi.object({
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .optional()
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be greater than 0'
+      }),
+    dayOfMonth: Joi.number()
+      .integer()
+      .min(1)
+      .max(28)
+      .optional()
+      .messages({
+        'number.base': 'Day of month must be a number',
+        'number.integer': 'Day of month must be an integer',
+        'number.min': 'Day of month must be at least 1',
+        'number.max': 'Day of month cannot exceed 28'
+      }),
+    endDate: Joi.string()
+      .pattern(/^\d{2}-\d{2}-\d{4}$/)
+      .allow(null)
+      .optional()
+      .messages({
+        'string.pattern.base': 'End date must be in DD-MM-YYYY format'
+      })
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one of amount, dayOfMonth or endDate is required'
+    });
+
+  // Validation schema for SIP list query
+  static listQuerySchema = Joi.object({
+    status: Joi.string()
+      .valid('ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED')
+      .optional()
+      .messages({
+        'any.only': 'Status must be one of: ACTIVE, PAUSED, COMPLETED, CANCELLED'
+      })
+  });
+
+  // Validation schema for SIP ID parameter
+  static sipIdSchema = Joi.object({
+    id: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'SIP ID must be a valid ID',
+        'any.required': 'SIP ID is required'
+      })
+  });
+
+  // Validate create SIP request
+  static validateCreateSip(data) {
+    const { error, value } = this.createSipSchema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    // Convert dates and validate the date range
+    const startDate = value.startDate ? DateUtils.parseApiDate(value.startDate) : new Date();
+    startDate.setHours(0, 0, 0, 0);
+    const endDate = value.endDate ? DateUtils.parseApiDate(value.endDate) : null;
+
+    if (endDate && endDate < startDate) {
+      return {
+        isValid: false,
+        errors: [{
+          field: 'endDate',
+          message: 'End date must be on or after start date'
+        }]
+      };
+    }
+
+    return {
+      isValid: true,
+      data: {
+        ...value,
+        startDate,
+        endDate
+      }
+    };
+  }
+
+  // Validate update SIP request
+  static validateUpdateSip(data) {
+    const { error, value } = this.updateSipSchema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    if (value.endDate) {
+      value.endDate = DateUtils.parseApiDate(value.endDate);
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+
+  // Validate SIP list query parameters
+  static validateListQuery(query) {
+    const { error, value } = this.listQuerySchema.validate(query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+
+  // Validate SIP ID parameter
+  static validateSipId(id) {
+    const { error, value } = this.sipIdSchema.validate({ id }, {
+      abortEarly: false
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+}
+
+export default SipRequest;
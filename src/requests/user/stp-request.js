@@ -0,0 +1,244 @@
+import Joi from 'joi';
+import DateUtils from '../../utils/date-utils.js';
+
+class StpRequest {
+  // Validation schema for creating an STP
+  static createStpSchema = Joi.object({
+    fromSchemeCode: Joi.number()
+      .integer()
+      .min(100000)
+      .max(999999)
+      .required()
+      .messages({
+        'number.base': 'Source scheme code must be a number',
+        'number.integer': 'Source scheme code must be an integer',
+        'number.min': 'Source scheme code must be at least 100000',
+        'number.max': 'Source scheme code cannot exceed 999999',
+        'any.required': 'Source scheme code is required'
+      }),
+    toSchemeCode: Joi.number()
+      .integer()
+      .min(100000)
+      .max(999999)
+      .invalid(Joi.ref('fromSchemeCode'))
+      .required()
+      .messages({
+        'number.base': 'Target scheme code must be a number',
+        'number.integer': 'Target scheme code must be an integer',
+        'number.min': 'Target scheme code must be at least 100000',
+        'number.max': 'Target scheme code cannot exceed 999999',
+        'any.invalid': 'Target scheme must be different from the source scheme',
+        'any.required': 'Target scheme code is required'
+      }),
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .required()
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be greater than 0',
+        'any.required': 'Amount is required'
+      }),
+    frequency: Joi.string()
+      .valid('weekly', 'monthly')
+      .required()
+      .messages({
+        'any.only': 'Frequency must be one of: weekly, monthly',
+        'any.required': 'Frequency is required'
+      }),
+    dayOfMonth: Joi.number()
+      .integer()
+      .min(1)
+      .max(28)
+      .optional()
+      .messages({
+        'number.base': 'Day of month must be a number',
+        'number.integer': 'Day of month must be an integer',
+        'number.min': 'Day of month must be at least 1',
+        'number.max': 'Day of month cannot exceed 28'
+      }),
+    startDate: Joi.string()
+      .pattern(/^\d{2}-\d{2}-\d{4}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'Start date must be in DD-MM-YYYY format'
+      }),
+    endDate: Joi.string()
+      .pattern(/^\d{2}-\d{2}-\d{4}$/)
+      .optional()
+      .messages({
+        'string.pattern.base': 'End date must be in DD-MM-YYYY format'
+      })
+  });
+
+  // Validation schema for updating an STP
+  static updateStpSchema = Joi.object({
+    amount: Joi.number()
+      .positive()
+      .precision(2)
+      .optional()
+      .messages({
+        'number.base': 'Amount must be a number',
+        'number.positive': 'Amount must be greater than 0'
+      }),
+    dayOfMonth: Joi.number()
+      .integer()
+      .min(1)
+      .max(28)
+      .optional()
+      .messages({
+        'number.base': 'Day of month must be a number',
+        'number.integer': 'Day of month must be an integer',
+        'number.min': 'Day of month must be at least 1',
+        'number.max': 'Day of month cannot exceed 28'
+      }),
+    endDate: Joi.string()
+      .pattern(/^\d{2}-\d{2}-\d{4}$/)
+      .allow(null)
+      .optional()
+      .messages({
+        'string.pattern.base': 'End date must be in DD-MM-YYYY format'
+      })
+  })
+    .min(1)
+    .messages({
+      'object.min': 'At least one of amount, dayOfMonth or endDate is required'
+    });
+
+  // Validation schema for STP list query
+  static listQuerySchema = Joi.object({
+    status: Joi.string()
+      .valid('ACTIVE', 'PAUSED', 'COMPLETED', 'CANCELLED', 'EXHAUSTED', 'FAILED')
+      .optional()
+      .messages({
+        'any.only': 'Status must be one of: ACTIVE, PAUSED, COMPLETED, CANCELLED, EXHAUSTED, FAILED'
+      })
+  });
+
+  // Validation schema for STP ID parameter
+  static stpIdSchema = Joi.object({
+    id: Joi.string()
+      .pattern(/^[0-9a-fA-F]{24}$/)
+      .required()
+      .messages({
+        'string.pattern.base': 'STP ID must be a valid ID',
+        'any.required': 'STP ID is required'
+      })
+  });
+
+  // Validate create STP request
+  static validateCreateStp(data) {
+    const { error, value } = this.createStpSchema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    // Convert dates and validate the date range
+    const startDate = value.startDate ? DateUtils.parseApiDate(value.startDate) : new Date();
+    startDate.setHours(0, 0, 0, 0);
+    const endDate = value.endDate ? DateUtils.parseApiDate(value.endDate) : null;
+
+    if (endDate && endDate < startDate) {
+      return {
+        isValid: false,
+        errors: [{
+          field: 'endDate',
+          message: 'End date must be on or after start date'
+        }]
+      };
+    }
+
+    return {
+      isValid: true,
+      data: {
+        ...value,
+        startDate,
+        endDate
+      }
+    };
+  }
+
+  // Validate update STP request
+  static validateUpdateStp(data) {
+    const { error, value } = this.updateStpSchema.validate(data, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    if (value.endDate) {
+      value.endDate = DateUtils.parseApiDate(value.endDate);
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+
+  // Validate STP list query parameters
+  static validateListQuery(query) {
+    const { error, value } = this.listQuerySchema.validate(query, {
+      abortEarly: false,
+      stripUnknown: true
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+
+  // Validate STP ID parameter
+  static validateStpId(id) {
+    const { error, value } = this.stpIdSchema.validate({ id }, {
+      abortEarly: false
+    });
+
+    if (error) {
+      return {
+        isValid: false,
+        errors: error.details.map(detail => ({
+          field: detail.path.join('.'),
+          message: detail.message
+        }))
+      };
+    }
+
+    return {
+      isValid: true,
+      data: value
+    };
+  }
+}
+
+export default StpRequest;
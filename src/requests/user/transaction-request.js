@@ -1,3 +1,5 @@
+import DateUtils from '../../utils/date-utils.js';
+
 class TransactionRequest {
   /**
    * Validate transaction query parameters
@@ -43,13 +45,90 @@ class TransactionRequest {
 
     // Validate type (optional)
     if (data.type !== undefined) {
-      if (!['BUY', 'SELL'].includes(data.type)) {
-        errors.push('Type must be either BUY or SELL');
+      if (!['BUY', 'SELL', 'DIVIDEND_PAYOUT', 'DIVIDEND_REINVEST'].includes(data.type)) {
+        errors.push('Type must be one of BUY, SELL, DIVIDEND_PAYOUT or DIVIDEND_REINVEST');
       } else {
         validatedData.type = data.type;
       }
     }
 
+    // Validate portfolioId (optional, all portfolios when not given)
+    if (data.portfolioId !== undefined) {
+      if (typeof data.portfolioId !== 'string' || !/^[0-9a-fA-F]{24}$/.test(data.portfolioId)) {
+        errors.push('Portfolio ID must be a valid ID');
+      } else {
+        validatedData.portfolioId = data.portfolioId;
+      }
+    } else {
+      validatedData.portfolioId = null;
+    }
+
+    return {
+      isValid: errors.length === 0,
+      errors,
+      data: validatedData
+    };
+  }
+
+  /**
+   * Validate a transaction ID route parameter
+   * @param {string} id - Transaction ID
+   * @returns {Object} Validation result
+   */
+  static validateTransactionId(id) {
+    const isValid = typeof id === 'string' && /^[0-9a-fA-F]{24}$/.test(id);
+
+    return {
+      isValid,
+      errors: isValid ? [] : ['Transaction ID must be a valid ID'],
+      data: { id }
+    };
+  }
+
+  /**
+   * Validate a transaction correction; at least one of units, nav, amount or date is required
+   * @param {Object} data - Request body
+   * @returns {Object} Validation result with the date parsed
+   */
+  static validateUpdateTransaction(data = {}) {
+    const errors = [];
+    const validatedData = {};
+
+    // Validate units, nav and amount (optional, positive numbers)
+    ['units', 'nav', 'amount'].forEach(field => {
+      if (data[field] === undefined) {
+        return;
+      }
+
+      if (typeof data[field] !== 'number' || !Number.isFinite(data[field]) || data[field] <= 0) {
+        errors.push(`${field.charAt(0).toUpperCase()}${field.slice(1)} must be a number greater than 0`);
+      } else if (field === 'units' && Math.abs(Math.round(data.units * 1000) - data.units * 1000) > 1e-6) {
+        errors.push('Units cannot have more than 3 decimal places');
+      } else {
+        validatedData[field] = data[field];
+      }
+    });
+
+    // Validate date (optional, DD-MM-YYYY, not in the future)
+    if (data.date !== undefined) {
+      const date = typeof data.date === 'string' && /^\d{2}-\d{2}-\d{4}$/.test(data.date)
+        ? DateUtils.parseApiDate(data.date)
+        : null;
+      const [day, month] = date ? data.date.split('-').map(Number) : [];
+
+      if (!date || date.getDate() !== day || date.getMonth() !== month - 1) {
+        errors.push('Date must be a valid date in DD-MM-YYYY format');
+      } else if (date > new Date()) {
+        errors.push('Date cannot be in the future');
+      } else {
+        validatedData.date = date;
+      }
+    }
+
+    if (errors.length === 0 && Object.keys(validatedData).length === 0) {
+      errors.push('Provide at least one of units, nav, amount or date to update');
+    }
+
     return {
       isValid: errors.length === 0,
       errors,
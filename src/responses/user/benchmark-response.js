@@ -0,0 +1,120 @@
+import DateUtils from '../../utils/date-utils.js';
+import PortfolioResponse from './portfolio-response.js';
+
+class BenchmarkResponse {
+  // Format a benchmark without its values
+  static formatBenchmark(benchmark) {
+    return {
+      id: benchmark._id,
+      name: benchmark.name,
+      source: benchmark.source,
+      schemeCode: benchmark.schemeCode ?? null,
+      shared: !benchmark.userId,
+      createdAt: benchmark.createdAt
+    };
+  }
+
+  // Format response for a created benchmark; index CSV imports also report the range of values
+  static formatBenchmarkResponse(benchmark, message = null) {
+    const data = this.formatBenchmark(benchmark);
+
+    if (benchmark.source === 'INDEX_CSV') {
+      const values = benchmark.values;
+      data.valueCount = values.length;
+      data.firstDate = DateUtils.formatToApiDate(values[0].date);
+      data.lastDate = DateUtils.formatToApiDate(values[values.length - 1].date);
+    }
+
+    return {
+      success: true,
+      ...(message && { message }),
+      data
+    };
+  }
+
+  // Format response for the list of benchmarks
+  static formatBenchmarkListResponse(benchmarks) {
+    return {
+      success: true,
+      data: {
+        benchmarks: benchmarks.map(benchmark => this.formatBenchmark(benchmark)),
+        count: benchmarks.length
+      }
+    };
+  }
+
+  // Format response for a portfolio compared with a benchmark
+  static formatComparisonResponse(comparison, portfolio = null) {
+    const { benchmark, startDate, endDate, benchmarkLastDate, benchmarkResult, series } = comparison;
+    const result = comparison.portfolio;
+
+    return {
+      success: true,
+      data: {
+        portfolio: PortfolioResponse.formatPortfolioScope(portfolio),
+        benchmark: this.formatBenchmark(benchmark),
+        startDate: DateUtils.formatToApiDate(startDate),
+        endDate: DateUtils.formatToApiDate(endDate),
+        benchmarkLastDate: DateUtils.formatToApiDate(benchmarkLastDate),
+        actual: this.formatResult(result),
+        simulated: this.formatResult(benchmarkResult),
+        difference: {
+          value: parseFloat((result.endValue - benchmarkResult.endValue).toFixed(2)),
+          xirr: result.xirr !== null && benchmarkResult.xirr !== null
+            ? PortfolioResponse.formatRate(result.xirr - benchmarkResult.xirr)
+            : null,
+          twr: PortfolioResponse.formatRate(result.twr - benchmarkResult.twr)
+        },
+        series: series.map(point => ({
+          date: DateUtils.formatToApiDate(point.date),
+          portfolioValue: parseFloat(point.portfolioValue.toFixed(2)),
+          benchmarkValue: parseFloat(point.benchmarkValue.toFixed(2)),
+          netFlow: parseFloat(point.netFlow.toFixed(2))
+        }))
+      }
+    };
+  }
+
+  // Format one side of a comparison
+  static formatResult(result) {
+    return {
+      openingValue: parseFloat(result.openingValue.toFixed(2)),
+      netInvested: parseFloat(result.netInvested.toFixed(2)),
+      endValue: parseFloat(result.endValue.toFixed(2)),
+      gain: parseFloat(result.gain.toFixed(2)),
+      xirr: PortfolioResponse.formatRate(result.xirr),
+      twr: PortfolioResponse.formatRate(result.twr),
+      maxDrawdown: PortfolioResponse.formatRate(result.maxDrawdown),
+      drawdownPeakDate: DateUtils.formatToApiDate(result.peakDate),
+      drawdownTroughDate: DateUtils.formatToApiDate(result.troughDate)
+    };
+  }
+
+  // Format error response
+  static formatErrorResponse(message, errors = null) {
+    const response = {
+      success: false,
+      message
+    };
+
+    if (errors) {
+      response.errors = errors;
+    }
+
+    return response;
+  }
+
+  // Format validation error response
+  static formatValidationErrorResponse(message, validationErrors) {
+    return {
+      success: false,
+      message,
+      errors: validationErrors.map(error => ({
+        field: error.field,
+        message: error.message
+      }))
+    };
+  }
+}
+
+export default BenchmarkResponse;
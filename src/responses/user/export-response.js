@@ -0,0 +1,99 @@
+import CurrencyUtils from '../../utils/currency-utils.js';
+import DateUtils from '../../utils/date-utils.js';
+
+// Spreadsheet columns of each export: header, record field and how the value is formatted
+const COLUMNS = {
+  holdings: [
+    { header: 'Portfolio', key: 'portfolioName' },
+    { header: 'Scheme Code', key: 'schemeCode' },
+    { header: 'Scheme Name', key: 'schemeName' },
+    { header: 'Units', key: 'units', kind: 'units' },
+    { header: 'Average NAV', key: 'avgNav', kind: 'nav' },
+    { header: 'Current NAV', key: 'currentNav', kind: 'nav' },
+    { header: 'Invested Value', key: 'investedValue', kind: 'amount' },
+    { header: 'Current Value', key: 'currentValue', kind: 'amount' },
+    { header: 'Profit/Loss', key: 'profitLoss', kind: 'amount' },
+    { header: 'XIRR %', key: 'xirr', kind: 'percent' },
+    { header: 'First Investment Date', key: 'firstInvestmentDate', kind: 'date' }
+  ],
+  transactions: [
+    { header: 'Date', key: 'date', kind: 'date' },
+    { header: 'Portfolio', key: 'portfolioName' },
+    { header: 'Scheme Code', key: 'schemeCode' },
+    { header: 'Scheme Name', key: 'schemeName' },
+    { header: 'Type', key: 'type' },
+    { header: 'Units', key: 'units', kind: 'units' },
+    { header: 'NAV', key: 'nav', kind: 'nav' },
+    { header: 'Amount', key: 'amount', kind: 'amount' },
+    { header: 'Realized P&L', key: 'realizedPL', kind: 'amount' },
+    { header: 'Switch ID', key: 'switchId', kind: 'id' },
+    { header: 'Transaction ID', key: 'transactionId', kind: 'id' }
+  ],
+  history: [
+    { header: 'Date', key: 'date', kind: 'date' },
+    { header: 'Invested Value', key: 'totalInvestment', kind: 'amount' },
+    { header: 'Total Value', key: 'totalValue', kind: 'amount' },
+    { header: 'Profit/Loss', key: 'profitLoss', kind: 'amount' }
+  ]
+};
+
+// Sheet names of each export
+const SHEET_NAMES = {
+  holdings: 'Holdings',
+  transactions: 'Transactions',
+  history: 'Value History'
+};
+
+class ExportResponse {
+  static DATASETS = Object.keys(COLUMNS);
+
+  // Get the header row of an export
+  static getHeaders(dataset) {
+    return COLUMNS[dataset].map(column => column.header);
+  }
+
+  // Get the sheet name of an export
+  static getSheetName(dataset) {
+    return SHEET_NAMES[dataset];
+  }
+
+  // Build the download file name of an export
+  static getFileName(dataset, fileType) {
+    return `${dataset}-${DateUtils.getCurrentApiDate()}.${fileType}`;
+  }
+
+  // Turn records into spreadsheet rows one at a time; records may be an array or an async iterable
+  static async *toRows(dataset, records, display = false) {
+    const columns = COLUMNS[dataset];
+
+    for await (const record of records) {
+      yield columns.map(column => this.formatValue(record[column.key], column.kind, display));
+    }
+  }
+
+  // Format one cell; display mode renders amounts with CurrencyUtils, raw mode keeps rounded numbers
+  static formatValue(value, kind, display) {
+    if (value === null || value === undefined) {
+      return null;
+    }
+
+    switch (kind) {
+      case 'date':
+        return value instanceof Date ? DateUtils.formatToApiDate(value) : value;
+      case 'amount':
+        return display ? CurrencyUtils.formatCurrency(value) : parseFloat(value.toFixed(2));
+      case 'units':
+        return display ? CurrencyUtils.formatUnits(value) : parseFloat(value.toFixed(3));
+      case 'nav':
+        return display ? CurrencyUtils.formatNav(value) : parseFloat(value.toFixed(4));
+      case 'percent':
+        return display ? CurrencyUtils.formatPercentage(value) : parseFloat(value.toFixed(2));
+      case 'id':
+        return String(value);
+      default:
+        return value;
+    }
+  }
+}
+
+export default ExportResponse;
@@ -0,0 +1,105 @@
+import DateUtils from '../../utils/date-utils.js';
+import PortfolioResponse from './portfolio-response.js';
+
+class GoalResponse {
+  // Format a goal with its progress
+  static formatGoal(goal, progress, schemeNames = {}) {
+    return {
+      id: goal._id,
+      name: goal.name,
+      targetAmount: goal.targetAmount,
+      targetDate: DateUtils.formatToApiDate(goal.targetDate),
+      expectedReturn: goal.expectedReturn,
+      progress: {
+        status: progress.status,
+        currentValue: parseFloat(progress.currentValue.toFixed(2)),
+        progressPercent: parseFloat(progress.progressPercent.toFixed(2)),
+        monthsRemaining: progress.monthsRemaining,
+        monthlyContribution: parseFloat(progress.monthlyContribution.toFixed(2)),
+        projectedValue: parseFloat(progress.projectedValue.toFixed(2)),
+        shortfall: parseFloat(progress.shortfall.toFixed(2)),
+        requiredMonthlyInvestment: progress.requiredMonthlyInvestment !== null
+          ? parseFloat(progress.requiredMonthlyInvestment.toFixed(2))
+          : null,
+        projectedCompletionDate: DateUtils.formatToApiDate(progress.projectedCompletionDate),
+        requiredReturn: PortfolioResponse.formatRate(progress.requiredReturn),
+        probability: progress.probability !== null ? parseFloat((progress.probability * 100).toFixed(1)) : null,
+        returnBasis: {
+          source: progress.returnBasis.source,
+          meanReturn: PortfolioResponse.formatRate(progress.returnBasis.meanReturn),
+          volatility: PortfolioResponse.formatRate(progress.returnBasis.volatility)
+        }
+      },
+      linkedHoldings: progress.holdings.map(holding => ({
+        schemeCode: holding.schemeCode,
+        schemeName: schemeNames[holding.schemeCode] || null,
+        portfolioId: holding.portfolioId || null,
+        allocationPercent: holding.allocationPercent,
+        units: parseFloat(holding.units.toFixed(3)),
+        currentNav: holding.currentNav,
+        currentValue: parseFloat(holding.currentValue.toFixed(2))
+      })),
+      linkedSips: progress.sips.map(sip => ({
+        id: sip.sipId,
+        schemeCode: sip.schemeCode,
+        schemeName: schemeNames[sip.schemeCode] || null,
+        amount: sip.amount,
+        frequency: sip.frequency,
+        status: sip.sipStatus,
+        monthlyContribution: parseFloat(sip.monthlyAmount.toFixed(2)),
+        units: parseFloat(sip.units.toFixed(3)),
+        currentValue: parseFloat(sip.currentValue.toFixed(2))
+      })),
+      createdAt: goal.createdAt,
+      updatedAt: goal.updatedAt
+    };
+  }
+
+  // Format response for a created, fetched or updated goal
+  static formatGoalResponse(goal, progress, schemeNames, message = null) {
+    return {
+      success: true,
+      ...(message && { message }),
+      data: this.formatGoal(goal, progress, schemeNames)
+    };
+  }
+
+  // Format response for the list of goals
+  static formatGoalListResponse(entries, schemeNames) {
+    return {
+      success: true,
+      data: {
+        goals: entries.map(entry => this.formatGoal(entry.goal, entry.progress, schemeNames)),
+        count: entries.length
+      }
+    };
+  }
+
+  // Format error response
+  static formatErrorResponse(message, errors = null) {
+    const response = {
+      success: false,
+      message
+    };
+
+    if (errors) {
+      response.errors = errors;
+    }
+
+    return response;
+  }
+
+  // Format validation error response
+  static formatValidationErrorResponse(message, validationErrors) {
+    return {
+      success: false,
+      message,
+      errors: validationErrors.map(error => ({
+        field: error.field,
+        message: error.message
+      }))
+    };
+  }
+}
+
+export default GoalResponse;
@@ -0,0 +1,129 @@
+import PortfolioResponse from './portfolio-response.js';
+
+class HouseholdResponse {
+  // Format a household with its members' names and emails
+  static formatHousehold(household, users) {
+    return {
+      id: household._id,
+      name: household.name,
+      ownerId: household.ownerId,
+      members: household.members.map(member => {
+        const user = users.get(String(member.userId));
+
+        return {
+          userId: member.userId,
+          name: user ? user.name : null,
+          email: user ? user.email : null,
+          role: member.role,
+          status: member.status,
+          permission: member.permission,
+          invitedAt: member.invitedAt,
+          joinedAt: member.joinedAt || null
+        };
+      }),
+      createdAt: household.createdAt,
+      updatedAt: household.updatedAt
+    };
+  }
+
+  // Format response for a created, fetched or updated household
+  static formatHouseholdResponse(household, users, message = null) {
+    return {
+      success: true,
+      ...(message && { message }),
+      data: this.formatHousehold(household, users)
+    };
+  }
+
+  // Format response for the list of households
+  static formatHouseholdListResponse(households, users) {
+    return {
+      success: true,
+      data: {
+        households: households.map(household => this.formatHousehold(household, users)),
+        count: households.length
+      }
+    };
+  }
+
+  // Format response for the aggregated household value, allocation and XIRR
+  static formatSummaryResponse(data) {
+    const { household, totalInvestment, currentValue, profitLoss, profitLossPercent, xirr, asOn, members, allocation, holdings } = data;
+
+    return {
+      success: true,
+      data: {
+        household: { id: household._id, name: household.name },
+        totalInvestment: parseFloat(totalInvestment.toFixed(0)),
+        currentValue: parseFloat(currentValue.toFixed(0)),
+        profitLoss: parseFloat(profitLoss.toFixed(0)),
+        profitLossPercent: parseFloat(profitLossPercent.toFixed(3)),
+        xirr: PortfolioResponse.formatRate(xirr),
+        asOn,
+        members: members.map(member => ({
+          userId: member.userId,
+          name: member.name,
+          role: member.role,
+          permission: member.permission,
+          totalInvestment: parseFloat(member.totalInvestment.toFixed(0)),
+          currentValue: parseFloat(member.currentValue.toFixed(0)),
+          profitLoss: parseFloat(member.profitLoss.toFixed(0)),
+          xirr: PortfolioResponse.formatRate(member.xirr),
+          fundCount: member.fundCount
+        })),
+        allocation: {
+          byMember: allocation.byMember.map(group => ({
+            userId: group.key,
+            name: group.name,
+            ...PortfolioResponse.formatAllocationGroup(group)
+          })),
+          byCategory: allocation.byCategory.map(group => ({
+            name: group.key,
+            ...PortfolioResponse.formatAllocationGroup(group)
+          }))
+        },
+        holdings: holdings.map(holding => ({
+          memberId: holding.memberId,
+          memberName: holding.memberName,
+          portfolioName: holding.portfolioName,
+          schemeCode: holding.schemeCode,
+          schemeName: holding.schemeName,
+          units: parseFloat(holding.units.toFixed(1)),
+          currentNav: parseFloat(holding.currentNav.toFixed(4)),
+          currentValue: parseFloat(holding.currentValue.toFixed(2)),
+          investedValue: parseFloat(holding.investedValue.toFixed(2)),
+          profitLoss: parseFloat(holding.profitLoss.toFixed(2)),
+          xirr: PortfolioResponse.formatRate(holding.xirr)
+        }))
+      }
+    };
+  }
+
+  // Format error response
+  static formatErrorResponse(message, errors = null) {
+    const response = {
+      success: false,
+      message
+    };
+
+    if (errors) {
+      response.errors = errors;
+    }
+
+    return response;
+  }
+
+  // Format validation error response
+  static formatValidationErrorResponse(message, validationErrors) {
+    return {
+      success: false,
+      message,
+      errors: validationErrors.map(error => ({
+        field: error.field,
+        message: error.message
+      }))
+    };
+  }
+}
+
+export default HouseholdResponse;
@@ -0,0 +1,62 @@
+class NamedPortfolioResponse {
+  // Format a named portfolio summary
+  static formatPortfolio(portfolio, fundCount = null) {
+    return {
+      id: portfolio._id,
+      name: portfolio.name,
+      description: portfolio.description || null,
+      isDefault: portfolio.isDefault,
+      fundCount,
+      createdAt: portfolio.createdAt,
+      updatedAt: portfolio.updatedAt
+    };
+  }
+
+  // Format response for a created, fetched or updated named portfolio
+  static formatPortfolioResponse(portfolio, fundCount, message = null) {
+    return {
+      success: true,
+      ...(message && { message }),
+      data: this.formatPortfolio(portfolio, fundCount)
+    };
+  }
+
+  // Format response for the list of named portfolios
+  static formatPortfolioListResponse(entries) {
+    return {
+      success: true,
+      data: {
+        portfolios: entries.map(entry => this.formatPortfolio(entry.portfolio, entry.fundCount)),
+        count: entries.length
+      }
+    };
+  }
+
+  // Format error response
+  static formatErrorResponse(message, errors = null) {
+    const response = {
+      success: false,
+      message
+    };
+
+    if (errors) {
+      response.errors = errors;
+    }
+
+    return response;
+  }
+
+  // Format validation error response
+  static formatValidationErrorResponse(message, validationErrors) {
+    return {
+      success: false,
+      message,
+      errors: validationErrors.map(error => ({
+        field: error.field,
+        message: error.message
+      }))
+    };
+  }
+}
+
+export default NamedPortfolioResponse;
@@ -1,10 +1,12 @@
 import FormatUtils from '../../utils/format-utils.js';
 import DateUtils from '../../utils/date-utils.js';
+import CsvUtils from '../../utils/csv-utils.js';
+import TaxHelpers from '../../helpers/tax-helpers.js';
 
 class PortfolioResponse {
   // Format response for adding fund to portfolio
   static formatAddFundResponse(data) {
-    const { portfolioId, schemeCode, schemeName, units, addedAt, isNewPortfolio, transactionId, nav, amount } = data;
+    const { portfolioId, schemeCode, schemeName, units, addedAt, isNewPortfolio, transactionId, nav, navDate = null, amount, requestedAmount = null } = data;
     
     const message = isNewPortfolio 
       ? 'Fund added to portfolio successfully' 
@@ -25,6 +27,8 @@ class PortfolioResponse {
           type: 'BUY',
           units: parseFloat(units.toFixed(3)),
           nav: parseFloat(nav.toFixed(4)),
+          navDate,
+          requestedAmount: requestedAmount !== null ? parseFloat(requestedAmount.toFixed(2)) : null,
           amount: parseFloat(amount.toFixed(2)),
           date: DateUtils.formatToApiDate(addedAt)
         }
@@ -34,7 +38,7 @@ class PortfolioResponse {
 
   // Format response for selling fund from portfolio
   static formatSellFundResponse(data) {
-    const { schemeCode, schemeName, units, nav, saleAmount, realizedPL, date, transactionId } = data;
+    const { schemeCode, schemeName, units, nav, saleAmount, requestedAmount = null, realizedPL, date, navDate = null, transactionId } = data;
     
     return {
       success: true,
@@ -45,6 +49,8 @@ class PortfolioResponse {
         schemeName,
         units: parseFloat(units.toFixed(3)),
         nav: parseFloat(nav.toFixed(4)),
+        navDate,
+        requestedAmount: requestedAmount !== null ? parseFloat(requestedAmount.toFixed(2)) : null,
         saleAmount: parseFloat(saleAmount.toFixed(2)),
         realizedPL: parseFloat(realizedPL.toFixed(2)),
         soldAt: DateUtils.formatToApiDate(date)
@@ -52,40 +58,434 @@ class PortfolioResponse {
     };
   }
 
+  // Format response for switching between funds
+  static formatSwitchFundResponse(data) {
+    const { switchId, from, to, requestedAmount = null, realizedPL, date } = data;
+    
+    return {
+      success: true,
+      message: 'Fund switched successfully',
+      data: {
+        switchId,
+        requestedAmount: requestedAmount !== null ? parseFloat(requestedAmount.toFixed(2)) : null,
+        switchOut: {
+          transactionId: from.transactionId,
+          schemeCode: from.schemeCode,
+          schemeName: from.schemeName,
+          units: parseFloat(from.units.toFixed(3)),
+          nav: parseFloat(from.nav.toFixed(4)),
+          navDate: from.navDate,
+          amount: parseFloat(from.amount.toFixed(2)),
+          realizedPL: parseFloat(realizedPL.toFixed(2))
+        },
+        switchIn: {
+          transactionId: to.transactionId,
+          schemeCode: to.schemeCode,
+          schemeName: to.schemeName,
+          units: parseFloat(to.units.toFixed(3)),
+          nav: parseFloat(to.nav.toFixed(4)),
+          navDate: to.navDate,
+          amount: parseFloat(to.amount.toFixed(2))
+        },
+        switchedAt: DateUtils.formatToApiDate(date)
+      }
+    };
+  }
+
+  // Format response for a recorded dividend
+  static formatDividendResponse(data) {
+    const { transactionId, schemeCode, schemeName, type, amount, units, nav, navDate = null, date } = data;
+    
+    return {
+      success: true,
+      message: type === 'DIVIDEND_REINVEST' ? 'Dividend reinvested successfully' : 'Dividend payout recorded successfully',
+      data: {
+        transactionId,
+        schemeCode,
+        schemeName,
+        type,
+        amount: parseFloat(amount.toFixed(2)),
+        units: parseFloat(units.toFixed(3)),
+        nav: parseFloat(nav.toFixed(4)),
+        navDate,
+        exDate: DateUtils.formatToApiDate(date)
+      }
+    };
+  }
+
+  // Format response for the dividend income report
+  static formatDividendReportResponse(years, financialYear = null) {
+    return {
+      success: true,
+      data: {
+        financialYear,
+        totalIncome: parseFloat(years.reduce((sum, year) => sum + year.totalIncome, 0).toFixed(2)),
+        years: years.map(year => ({
+          financialYear: year.financialYear,
+          payout: parseFloat(year.payout.toFixed(2)),
+          reinvested: parseFloat(year.reinvested.toFixed(2)),
+          totalIncome: parseFloat(year.totalIncome.toFixed(2)),
+          schemes: year.schemes.map(scheme => ({
+            schemeCode: scheme.schemeCode,
+            schemeName: scheme.schemeName,
+            payout: parseFloat(scheme.payout.toFixed(2)),
+            reinvested: parseFloat(scheme.reinvested.toFixed(2)),
+            totalIncome: parseFloat(scheme.totalIncome.toFixed(2)),
+            dividends: scheme.dividends.map(dividend => ({
+              transactionId: dividend._id,
+              type: dividend.type,
+              amount: parseFloat(dividend.amount.toFixed(2)),
+              units: parseFloat(dividend.units.toFixed(3)),
+              nav: parseFloat(dividend.nav.toFixed(4)),
+              exDate: DateUtils.formatToApiDate(dividend.date)
+            }))
+          }))
+        }))
+      }
+    };
+  }
+
+  // Round capital gains totals for display
+  static formatGainTotals(totals) {
+    return {
+      saleValue: parseFloat(totals.saleValue.toFixed(2)),
+      costOfAcquisition: parseFloat(totals.costOfAcquisition.toFixed(2)),
+      stcg: parseFloat(totals.stcg.toFixed(2)),
+      ltcg: parseFloat(totals.ltcg.toFixed(2)),
+      equityStcg: parseFloat(totals.equityStcg.toFixed(2)),
+      equityLtcg: parseFloat(totals.equityLtcg.toFixed(2)),
+      debtStcg: parseFloat(totals.debtStcg.toFixed(2)),
+      debtLtcg: parseFloat(totals.debtLtcg.toFixed(2)),
+      otherStcg: parseFloat(totals.otherStcg.toFixed(2)),
+      otherLtcg: parseFloat(totals.otherLtcg.toFixed(2)),
+      totalGain: parseFloat(totals.totalGain.toFixed(2))
+    };
+  }
+
+  // Format a lot matched against a sale in the capital gains report
+  static formatLotGain(lot) {
+    return {
+      schemeCode: lot.schemeCode,
+      schemeName: lot.schemeName,
+      schemeCategory: lot.schemeCategory,
+      taxType: lot.taxType,
+      term: lot.term,
+      saleTransactionId: lot.saleTransactionId,
+      switchId: lot.switchId,
+      saleDate: DateUtils.formatToApiDate(lot.saleDate),
+      acquisitionDate: DateUtils.formatToApiDate(lot.acquisitionDate),
+      holdingDays: lot.holdingDays,
+      units: parseFloat(lot.units.toFixed(3)),
+      purchaseNav: parseFloat(lot.purchaseNav.toFixed(4)),
+      saleNav: parseFloat(lot.saleNav.toFixed(4)),
+      actualCost: parseFloat(lot.actualCost.toFixed(2)),
+      grandfathered: lot.grandfathered,
+      fmvNav: lot.fmvNav !== null ? parseFloat(lot.fmvNav.toFixed(4)) : null,
+      fairMarketValue: lot.fairMarketValue !== null ? parseFloat(lot.fairMarketValue.toFixed(2)) : null,
+      costOfAcquisition: parseFloat(lot.costOfAcquisition.toFixed(2)),
+      saleValue: parseFloat(lot.saleValue.toFixed(2)),
+      gain: parseFloat(lot.gain.toFixed(2))
+    };
+  }
+
+  // Format response for the capital gains report
+  static formatCapitalGainsResponse(report) {
+    return {
+      success: true,
+      data: {
+        financialYear: report.financialYear,
+        summary: this.formatGainTotals(report.summary),
+        schemes: report.schemes.map(scheme => ({
+          schemeCode: scheme.schemeCode,
+          schemeName: scheme.schemeName,
+          taxType: scheme.taxType,
+          ...this.formatGainTotals(scheme)
+        })),
+        lots: report.lots.map(lot => this.formatLotGain(lot))
+      }
+    };
+  }
+
+  // Format the capital gains report as CSV, one row per matched lot
+  static formatCapitalGainsCsv(report) {
+    const columns = [
+      ['Scheme Code', 'schemeCode'],
+      ['Scheme Name', 'schemeName'],
+      ['Fund Type', 'taxType'],
+      ['Term', 'term'],
+      ['Sale Date', 'saleDate'],
+      ['Acquisition Date', 'acquisitionDate'],
+      ['Holding Days', 'holdingDays'],
+      ['Units', 'units'],
+      ['Purchase NAV', 'purchaseNav'],
+      ['Sale NAV', 'saleNav'],
+      ['Actual Cost', 'actualCost'],
+      ['Grandfathered', 'grandfathered'],
+      ['FMV NAV 31-01-2018', 'fmvNav'],
+      ['Cost of Acquisition', 'costOfAcquisition'],
+      ['Sale Value', 'saleValue'],
+      ['Gain', 'gain'],
+      ['Sale Transaction ID', 'saleTransactionId']
+    ];
+
+    const rows = report.lots.map(lot => {
+      const formatted = this.formatLotGain(lot);
+      return columns.map(([, key]) => (key === 'grandfathered' ? (formatted[key] ? 'Yes' : 'No') : formatted[key]));
+    });
+
+    return CsvUtils.toCsv(columns.map(([header]) => header), rows);
+  }
+
+  // Format long-term equity lots in the ITR Schedule 112A column layout
+  static formatSchedule112ACsv(lots) {
+    const headers = [
+      'Share/Unit acquired (1a)',
+      'ISIN Code (2)',
+      'Name of the Share/Unit (3)',
+      'No. of Shares/Units (4)',
+      'Sale-price per Share/Unit (5)',
+      'Full Value of Consideration (Total Sale Value) (6) = 4 * 5',
+      'Cost of acquisition without indexation (7) = higher of 8 or 9',
+      'Cost of acquisition (8)',
+      'If the long term capital asset was acquired before 01.02.2018, Lower of 6 & 11 (9)',
+      'Fair Market Value per share/unit as on 31st January 2018 (10)',
+      'Total Fair Market Value of capital asset as per section 55(2)(ac) (11) = 4 * 10',
+      'Expenditure wholly and exclusively in connection with transfer (12)',
+      'Total deductions (13) = 7 + 12',
+      'Balance (14) = 6 - 13'
+    ];
+
+    const round = value => parseFloat(value.toFixed(2));
+
+    const rows = lots.map(lot => {
+      const acquiredBefore = TaxHelpers.isGrandfathered(lot.taxType, lot.term, lot.acquisitionDate);
+      const saleValue = round(lot.saleValue);
+      const actualCost = round(lot.actualCost);
+      const fairMarketValue = acquiredBefore && lot.fairMarketValue !== null ? round(lot.fairMarketValue) : null;
+      const lowerOfSaleAndFmv = fairMarketValue !== null ? Math.min(saleValue, fairMarketValue) : 0;
+      const costWithoutIndexation = Math.max(actualCost, lowerOfSaleAndFmv);
+      const expenditure = 0;
+      const totalDeductions = round(costWithoutIndexation + expenditure);
+
+      return [
+        acquiredBefore ? 'BE' : 'AE',
+        lot.isin,
+        lot.schemeName,
+        parseFloat(lot.units.toFixed(3)),
+        parseFloat(lot.saleNav.toFixed(4)),
+        saleValue,
+        costWithoutIndexation,
+        actualCost,
+        acquiredBefore ? lowerOfSaleAndFmv : null,
+        acquiredBefore && lot.fmvNav !== null ? parseFloat(lot.fmvNav.toFixed(4)) : null,
+        fairMarketValue,
+        expenditure,
+        totalDeductions,
+        round(saleValue - totalDeductions)
+      ];
+    });
+
+    return CsvUtils.toCsv(headers, rows);
+  }
+
   // Format response for portfolio value
   static formatPortfolioValueResponse(data) {
-    const { totalInvestment, currentValue, profitLoss, profitLossPercent, asOn, holdings } = data;
+    const { portfolio = null, totalInvestment, currentValue, profitLoss, profitLossPercent, firstInvestmentDate, xirr, asOn, holdings } = data;
     
     return {
       success: true,
       data: {
+        portfolio: this.formatPortfolioScope(portfolio),
         totalInvestment: parseFloat(totalInvestment.toFixed(0)),
         currentValue: parseFloat(currentValue.toFixed(0)),
         profitLoss: parseFloat(profitLoss.toFixed(0)),
         profitLossPercent: parseFloat(profitLossPercent.toFixed(3)),
+        firstInvestmentDate,
+        xirr: this.formatRate(xirr),
         asOn,
         holdings: holdings.map(holding => ({
+          portfolioId: holding.portfolioId,
+          portfolioName: holding.portfolioName,
           schemeCode: holding.schemeCode,
           schemeName: holding.schemeName,
           units: parseFloat(holding.units.toFixed(1)),
           currentNav: parseFloat(holding.currentNav.toFixed(4)),
           currentValue: parseFloat(holding.currentValue.toFixed(2)),
           investedValue: parseFloat(holding.investedValue.toFixed(2)),
-          profitLoss: parseFloat(holding.profitLoss.toFixed(2))
+          profitLoss: parseFloat(holding.profitLoss.toFixed(2)),
+          firstInvestmentDate: holding.firstInvestmentDate,
+          xirr: this.formatRate(holding.xirr)
         }))
       }
     };
   }
 
+  // Format response for the allocation by asset class, category and fund house
+  static formatAllocationResponse(data) {
+    const { portfolio = null, totalInvestment, currentValue, asOn, byAssetClass, byCategory, byFundHouse, unclassified } = data;
+
+    return {
+      success: true,
+      data: {
+        portfolio: this.formatPortfolioScope(portfolio),
+        totalInvestment: parseFloat(totalInvestment.toFixed(0)),
+        currentValue: parseFloat(currentValue.toFixed(0)),
+        asOn,
+        byAssetClass: byAssetClass.map(group => ({
+          assetClass: group.key,
+          ...this.formatAllocationGroup(group)
+        })),
+        byCategory: byCategory.map(group => ({
+          assetClass: group.assetClass,
+          category: group.subCategory,
+          ...this.formatAllocationGroup(group)
+        })),
+        byFundHouse: byFundHouse.map(group => ({
+          fundHouse: group.key,
+          ...this.formatAllocationGroup(group)
+        })),
+        unclassified: unclassified.map(holding => ({
+          schemeCode: holding.schemeCode,
+          schemeName: holding.schemeName,
+          schemeCategory: holding.schemeCategory,
+          currentValue: parseFloat(holding.currentValue.toFixed(2))
+        }))
+      }
+    };
+  }
+
+  // Format the value and share of one allocation group
+  static formatAllocationGroup(group) {
+    return {
+      fundCount: group.fundCount,
+      investedValue: parseFloat(group.investedValue.toFixed(2)),
+      currentValue: parseFloat(group.currentValue.toFixed(2)),
+      percentage: parseFloat(group.percentage.toFixed(2))
+    };
+  }
+
+  // Format response for time-weighted performance with its daily series
+  static formatPerformanceResponse(data) {
+    const { period, startDate, endDate, twr, annualisedTwr, returns, series } = data;
+
+    return {
+      success: true,
+      data: {
+        period,
+        startDate: startDate ? DateUtils.formatToApiDate(startDate) : null,
+        endDate: endDate ? DateUtils.formatToApiDate(endDate) : null,
+        twr: this.formatRate(twr),
+        annualisedTwr: this.formatRate(annualisedTwr),
+        returns: Object.fromEntries(
+          Object.entries(returns).map(([key, value]) => [
+            key,
+            value ? { twr: this.formatRate(value.twr), annualisedTwr: this.formatRate(value.annualisedTwr) } : null
+          ])
+        ),
+        series: series.map(point => ({
+          date: DateUtils.formatToApiDate(point.date),
+          value: parseFloat(point.value.toFixed(2)),
+          netFlow: parseFloat(point.netFlow.toFixed(2)),
+          dailyReturn: parseFloat(point.dailyReturn.toFixed(4)),
+          cumulativeReturn: parseFloat(point.cumulativeReturn.toFixed(4))
+        }))
+      }
+    };
+  }
+
+  // Format an annualised return percentage, keeping null when it could not be computed
+  static formatRate(rate) {
+    return rate === null || rate === undefined || !Number.isFinite(rate) ? null : parseFloat(rate.toFixed(2));
+  }
+
+  // Format response for a transactions import preview or commit
+  static formatImportResponse(result) {
+    const { dryRun, committed, summary, rows } = result;
+
+    let message = `${summary.accepted} of ${summary.totalRows} rows can be imported`;
+    if (committed) {
+      message = `Imported ${summary.accepted} of ${summary.totalRows} rows`;
+    } else if (!dryRun) {
+      message = 'No rows could be imported';
+    }
+
+    return {
+      success: true,
+      message,
+      data: {
+        dryRun,
+        committed,
+        summary,
+        rows: rows.map(row => this.formatImportRow(row))
+      }
+    };
+  }
+
+  // Format response for a CAS import preview or commit with its closing unit reconciliation
+  static formatCasImportResponse(result) {
+    const { dryRun, committed, periodEnd, summary, rows, reconciliation } = result;
+
+    let message = `${summary.accepted} of ${summary.totalRows} statement lines can be imported`;
+    if (committed) {
+      message = `Imported ${summary.accepted} of ${summary.totalRows} statement lines`;
+    } else if (!dryRun) {
+      message = 'No statement lines could be imported';
+    }
+
+    return {
+      success: true,
+      message: summary.mismatches > 0 ? `${message}; ${summary.mismatches} schemes do not reconcile` : message,
+      data: {
+        dryRun,
+        committed,
+        periodEnd: periodEnd ? DateUtils.formatToApiDate(periodEnd) : null,
+        summary,
+        rows: rows.map(row => ({
+          ...this.formatImportRow(row),
+          folio: row.folio,
+          description: row.description,
+          note: row.note
+        })),
+        reconciliation
+      }
+    };
+  }
+
+  // Format one row of an import result
+  static formatImportRow(row) {
+    return {
+      row: row.row,
+      status: row.status,
+      schemeCode: row.schemeCode,
+      schemeName: row.schemeName,
+      isin: row.isin,
+      type: row.type,
+      date: row.date ? DateUtils.formatToApiDate(row.date) : null,
+      units: row.units,
+      nav: row.nav !== null ? parseFloat(row.nav.toFixed(4)) : null,
+      amount: row.amount,
+      navSource: row.navSource,
+      navMismatch: row.navMismatch ? {
+        historyNav: row.navMismatch.historyNav,
+        navDate: DateUtils.formatToApiDate(row.navMismatch.navDate),
+        differencePercent: parseFloat(row.navMismatch.differencePercent.toFixed(2))
+      } : null,
+      errors: row.errors
+    };
+  }
+
   // Format response for portfolio list
   static formatPortfolioListResponse(data) {
-    const { totalHoldings, holdings } = data;
+    const { portfolio = null, totalHoldings, holdings } = data;
     
     return {
       success: true,
       data: {
+        portfolio: this.formatPortfolioScope(portfolio),
         totalHoldings,
         holdings: holdings.map(holding => ({
+          portfolioId: holding.portfolioId,
+          portfolioName: holding.portfolioName,
           schemeCode: holding.schemeCode,
           schemeName: holding.schemeName,
           units: parseFloat(holding.units.toFixed(3)),
@@ -100,12 +500,18 @@ class PortfolioResponse {
     };
   }
 
+  // Format the named portfolio a view covers; null when every portfolio is combined
+  static formatPortfolioScope(portfolio) {
+    return portfolio ? { id: portfolio._id, name: portfolio.name } : null;
+  }
+
   // Format response for portfolio history
   static formatPortfolioHistoryResponse(data) {
     return {
       success: true,
       data: data.map(entry => ({
         date: entry.date,
+        totalInvestment: parseFloat(entry.totalInvestment.toFixed(2)),
         totalValue: parseFloat(entry.totalValue.toFixed(2)),
         profitLoss: parseFloat(entry.profitLoss.toFixed(2))
       }))
@@ -0,0 +1,110 @@
+import PortfolioResponse from './portfolio-response.js';
+
+class RebalanceResponse {
+  // Format a target allocation
+  static formatTarget(target, portfolio = null) {
+    return {
+      portfolio: PortfolioResponse.formatPortfolioScope(portfolio),
+      basis: target.basis,
+      tolerance: target.tolerance,
+      targets: target.targets.map(weight => (target.basis === 'ASSET_CLASS'
+        ? { assetClass: weight.assetClass, percent: weight.percent }
+        : { schemeCode: weight.schemeCode, percent: weight.percent })),
+      updatedAt: target.updatedAt
+    };
+  }
+
+  // Format response for a fetched or saved target allocation
+  static formatTargetResponse(target, portfolio = null, message = null) {
+    return {
+      success: true,
+      ...(message && { message }),
+      data: this.formatTarget(target, portfolio)
+    };
+  }
+
+  // Format response for a rebalance plan
+  static formatRebalanceResponse(plan, portfolio = null) {
+    return {
+      success: true,
+      data: {
+        portfolio: PortfolioResponse.formatPortfolioScope(portfolio),
+        basis: plan.basis,
+        mode: plan.mode,
+        taxAware: plan.taxAware,
+        tolerance: plan.tolerance,
+        currentValue: parseFloat(plan.currentValue.toFixed(2)),
+        newMoney: plan.newMoney,
+        needsRebalance: plan.needsRebalance,
+        asOn: plan.asOn,
+        drift: plan.buckets.map(bucket => ({
+          ...(plan.basis === 'ASSET_CLASS'
+            ? { assetClass: bucket.key }
+            : { schemeCode: bucket.key, schemeName: bucket.schemeName }),
+          currentValue: parseFloat(bucket.currentValue.toFixed(2)),
+          currentPercent: parseFloat(bucket.currentPercent.toFixed(2)),
+          targetPercent: bucket.targetPercent,
+          drift: parseFloat(bucket.drift.toFixed(2)),
+          withinBand: bucket.withinBand,
+          tradeAmount: parseFloat(bucket.tradeAmount.toFixed(2)),
+          projectedPercent: parseFloat(bucket.projectedPercent.toFixed(2))
+        })),
+        orders: plan.orders.map(order => this.formatOrder(order)),
+        summary: {
+          totalBuy: parseFloat(plan.summary.totalBuy.toFixed(2)),
+          totalSell: parseFloat(plan.summary.totalSell.toFixed(2)),
+          estimatedShortTermGain: parseFloat(plan.summary.estimatedShortTermGain.toFixed(2)),
+          estimatedLongTermGain: parseFloat(plan.summary.estimatedLongTermGain.toFixed(2))
+        }
+      }
+    };
+  }
+
+  // Format one proposed buy or sell order
+  static formatOrder(order) {
+    return {
+      action: order.action,
+      assetClass: order.assetClass,
+      schemeCode: order.schemeCode,
+      schemeName: order.schemeName,
+      portfolioId: order.portfolioId,
+      portfolioName: order.portfolioName,
+      nav: order.nav,
+      amount: parseFloat(order.amount.toFixed(2)),
+      units: order.units,
+      ...(order.action === 'SELL' && {
+        estimatedShortTermGain: parseFloat(order.estimatedShortTermGain.toFixed(2)),
+        estimatedLongTermGain: parseFloat(order.estimatedLongTermGain.toFixed(2))
+      }),
+      ...(order.note && { note: order.note })
+    };
+  }
+
+  // Format error response
+  static formatErrorResponse(message, errors = null) {
+    const response = {
+      success: false,
+      message
+    };
+
+    if (errors) {
+      response.errors = errors;
+    }
+
+    return response;
+  }
+
+  // Format validation error response
+  static formatValidationErrorResponse(message, validationErrors) {
+    return {
+      success: false,
+      message,
+      errors: validationErrors.map(error => ({
+        field: error.field,
+        message: error.message
+      }))
+    };
+  }
+}
+
+export default RebalanceResponse;
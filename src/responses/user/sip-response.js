@@ -0,0 +1,111 @@
+import DateUtils from '../../utils/date-utils.js';
+import ScheduleHelpers from '../../helpers/schedule-helpers.js';
+
+class SipResponse {
+  // Format a SIP summary
+  static formatSip(sip, schemeName = null) {
+    return {
+      id: sip._id,
+      schemeCode: sip.schemeCode,
+      schemeName,
+      amount: parseFloat(sip.amount.toFixed(2)),
+      frequency: sip.frequency,
+      dayOfMonth: sip.dayOfMonth ?? null,
+      startDate: DateUtils.formatToApiDate(sip.startDate),
+      endDate: sip.endDate ? DateUtils.formatToApiDate(sip.endDate) : null,
+      status: sip.status,
+      nextInstalmentDate: sip.nextInstalmentDate ? DateUtils.formatToApiDate(sip.nextInstalmentDate) : null,
+      pausedAt: sip.pausedAt ? DateUtils.formatToApiDate(sip.pausedAt) : null,
+      createdAt: sip.createdAt
+    };
+  }
+
+  // Format an instalment execution record
+  static formatExecution(execution) {
+    return {
+      scheduledDate: DateUtils.formatToApiDate(execution.scheduledDate),
+      executionDate: DateUtils.formatToApiDate(execution.executionDate),
+      status: execution.status,
+      amount: execution.amount !== undefined ? parseFloat(execution.amount.toFixed(2)) : null,
+      units: execution.units !== undefined ? parseFloat(execution.units.toFixed(3)) : null,
+      nav: execution.nav !== undefined ? parseFloat(execution.nav.toFixed(4)) : null,
+      transactionId: execution.transactionId || null,
+      failureReason: execution.failureReason || null,
+      processedAt: execution.processedAt
+    };
+  }
+
+  // Format response for a created or updated SIP
+  static formatSipResponse(sip, schemeName, message) {
+    return {
+      success: true,
+      message,
+      data: this.formatSip(sip, schemeName)
+    };
+  }
+
+  // Format response for SIP details with upcoming and executed instalments
+  static formatSipDetailResponse(sip, schemeName) {
+    const executions = [...sip.executions].sort((a, b) => b.scheduledDate - a.scheduledDate);
+
+    return {
+      success: true,
+      data: {
+        ...this.formatSip(sip, schemeName),
+        upcomingInstalments: ScheduleHelpers.getUpcomingDates(sip).map(instalment => ({
+          scheduledDate: DateUtils.formatToApiDate(instalment.scheduledDate),
+          executionDate: DateUtils.formatToApiDate(instalment.executionDate)
+        })),
+        executions: executions.map(execution => this.formatExecution(execution)),
+        summary: {
+          totalInstalments: sip.executions.length,
+          successful: sip.executions.filter(execution => execution.status === 'SUCCESS').length,
+          failed: sip.executions.filter(execution => execution.status === 'FAILED').length,
+          totalInvested: parseFloat(sip.executions
+            .filter(execution => execution.status === 'SUCCESS')
+            .reduce((sum, execution) => sum + execution.amount, 0)
+            .toFixed(2))
+        }
+      }
+    };
+  }
+
+  // Format response for SIP list
+  static formatSipListResponse(sips, schemeNames = {}) {
+    return {
+      success: true,
+      data: {
+        sips: sips.map(sip => this.formatSip(sip, schemeNames[sip.schemeCode] || null)),
+        count: sips.length
+      }
+    };
+  }
+
+  // Format error response
+  static formatErrorResponse(message, errors = null) {
+    const response = {
+      success: false,
+      message
+    };
+
+    if (errors) {
+      response.errors = errors;
+    }
+
+    return response;
+  }
+
+  // Format validation error response
+  static formatValidationErrorResponse(message, validationErrors) {
+    return {
+      success: false,
+      message,
+      errors: validationErrors.map(error => ({
+        field: error.field,
+        message: error.message
+      }))
+    };
+  }
+}
+
+export default SipResponse;
@@ -0,0 +1,141 @@
+import DateUtils from '../../utils/date-utils.js';
+import ScheduleHelpers from '../../helpers/schedule-helpers.js';
+
+class StpResponse {
+  // Format an STP summary
+  static formatStp(stp, schemeNames = {}) {
+    return {
+      id: stp._id,
+      fromSchemeCode: stp.fromSchemeCode,
+      fromSchemeName: schemeNames[stp.fromSchemeCode] || null,
+      toSchemeCode: stp.toSchemeCode,
+      toSchemeName: schemeNames[stp.toSchemeCode] || null,
+      amount: parseFloat(stp.amount.toFixed(2)),
+      frequency: stp.frequency,
+      dayOfMonth: stp.dayOfMonth ?? null,
+      startDate: DateUtils.formatToApiDate(stp.startDate),
+      endDate: stp.endDate ? DateUtils.formatToApiDate(stp.endDate) : null,
+      status: stp.status,
+      endedReason: stp.endedReason || null,
+      nextTransferDate: stp.nextInstalmentDate ? DateUtils.formatToApiDate(stp.nextInstalmentDate) : null,
+      pausedAt: stp.pausedAt ? DateUtils.formatToApiDate(stp.pausedAt) : null,
+      createdAt: stp.createdAt
+    };
+  }
+
+  // Format a transfer execution record
+  static formatTransfer(execution) {
+    return {
+      scheduledDate: DateUtils.formatToApiDate(execution.scheduledDate),
+      executionDate: DateUtils.formatToApiDate(execution.executionDate),
+      status: execution.status,
+      amount: execution.amount !== undefined ? parseFloat(execution.amount.toFixed(2)) : null,
+      switchOut: {
+        units: execution.fromUnits !== undefined ? parseFloat(execution.fromUnits.toFixed(3)) : null,
+        nav: execution.fromNav !== undefined ? parseFloat(execution.fromNav.toFixed(4)) : null,
+        transactionId: execution.sellTransactionId || null
+      },
+      switchIn: {
+        units: execution.toUnits !== undefined ? parseFloat(execution.toUnits.toFixed(3)) : null,
+        nav: execution.toNav !== undefined ? parseFloat(execution.toNav.toFixed(4)) : null,
+        transactionId: execution.buyTransactionId || null
+      },
+      realizedPL: execution.realizedPL !== undefined && execution.realizedPL !== null ? parseFloat(execution.realizedPL.toFixed(2)) : null,
+      switchId: execution.switchId || null,
+      failureReason: execution.failureReason || null,
+      processedAt: execution.processedAt
+    };
+  }
+
+  // Build transfer totals from execution records
+  static buildSummary(executions) {
+    const successful = executions.filter(execution => execution.status === 'SUCCESS');
+
+    return {
+      totalTransfers: executions.length,
+      successful: successful.length,
+      failed: executions.length - successful.length,
+      totalTransferred: parseFloat(successful.reduce((sum, execution) => sum + execution.amount, 0).toFixed(2)),
+      totalRealizedPL: parseFloat(successful.reduce((sum, execution) => sum + (execution.realizedPL || 0), 0).toFixed(2))
+    };
+  }
+
+  // Format response for a created or updated STP
+  static formatStpResponse(stp, schemeNames, message) {
+    return {
+      success: true,
+      message,
+      data: this.formatStp(stp, schemeNames)
+    };
+  }
+
+  // Format response for STP status with next transfers and totals
+  static formatStpStatusResponse(stp, schemeNames) {
+    return {
+      success: true,
+      data: {
+        ...this.formatStp(stp, schemeNames),
+        upcomingTransfers: ScheduleHelpers.getUpcomingDates(stp).map(transfer => ({
+          scheduledDate: DateUtils.formatToApiDate(transfer.scheduledDate),
+          executionDate: DateUtils.formatToApiDate(transfer.executionDate),
+          amount: parseFloat(stp.amount.toFixed(2))
+        })),
+        summary: this.buildSummary(stp.executions)
+      }
+    };
+  }
+
+  // Format response for the transfer history of an STP
+  static formatTransferHistoryResponse(stp, schemeNames) {
+    const executions = [...stp.executions].sort((a, b) => b.scheduledDate - a.scheduledDate);
+
+    return {
+      success: true,
+      data: {
+        stpId: stp._id,
+        status: stp.status,
+        transfers: executions.map(execution => this.formatTransfer(execution)),
+        summary: this.buildSummary(stp.executions)
+      }
+    };
+  }
+
+  // Format response for STP list
+  static formatStpListResponse(stps, schemeNames = {}) {
+    return {
+      success: true,
+      data: {
+        stps: stps.map(stp => this.formatStp(stp, schemeNames)),
+        count: stps.length
+      }
+    };
+  }
+
+  // Format error response
+  static formatErrorResponse(message, errors = null) {
+    const response = {
+      success: false,
+      message
+    };
+
+    if (errors) {
+      response.errors = errors;
+    }
+
+    return response;
+  }
+
+  // Format validation error response
+  static formatValidationErrorResponse(message, validationErrors) {
+    return {
+      success: false,
+      message,
+      errors: validationErrors.map(error => ({
+        field: error.field,
+        message: error.message
+      }))
+    };
+  }
+}
+
+export default StpResponse;
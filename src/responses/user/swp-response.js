@@ -0,0 +1,143 @@
+import DateUtils from '../../utils/date-utils.js';
+import ScheduleHelpers from '../../helpers/schedule-helpers.js';
+
+class SwpResponse {
+  // Format an SWP summary
+  static formatSwp(swp, schemeName = null) {
+    return {
+      id: swp._id,
+      schemeCode: swp.schemeCode,
+      schemeName,
+      amount: parseFloat(swp.amount.toFixed(2)),
+      frequency: swp.frequency,
+      dayOfMonth: swp.dayOfMonth ?? null,
+      startDate: DateUtils.formatToApiDate(swp.startDate),
+      endDate: swp.endDate ? DateUtils.formatToApiDate(swp.endDate) : null,
+      status: swp.status,
+      endedReason: swp.endedReason || null,
+      nextWithdrawalDate: swp.nextInstalmentDate ? DateUtils.formatToApiDate(swp.nextInstalmentDate) : null,
+      pausedAt: swp.pausedAt ? DateUtils.formatToApiDate(swp.pausedAt) : null,
+      createdAt: swp.createdAt
+    };
+  }
+
+  // Format a withdrawal execution record; realized gain is read from the linked
+  // transaction when available since ledger rebuilds can restate it
+  static formatWithdrawal(execution, transaction = null) {
+    const realizedPL = transaction && transaction.realizedPL !== null ? transaction.realizedPL : execution.realizedPL;
+
+    return {
+      scheduledDate: DateUtils.formatToApiDate(execution.scheduledDate),
+      executionDate: DateUtils.formatToApiDate(execution.executionDate),
+      status: execution.status,
+      amount: execution.amount !== undefined ? parseFloat(execution.amount.toFixed(2)) : null,
+      units: execution.units !== undefined ? parseFloat(execution.units.toFixed(3)) : null,
+      nav: execution.nav !== undefined ? parseFloat(execution.nav.toFixed(4)) : null,
+      realizedGain: realizedPL !== undefined && realizedPL !== null ? parseFloat(realizedPL.toFixed(2)) : null,
+      transactionId: execution.transactionId || null,
+      failureReason: execution.failureReason || null,
+      processedAt: execution.processedAt
+    };
+  }
+
+  // Build withdrawal totals from formatted withdrawals
+  static buildSummary(withdrawals) {
+    const successful = withdrawals.filter(withdrawal => withdrawal.status === 'SUCCESS');
+
+    return {
+      totalWithdrawals: withdrawals.length,
+      successful: successful.length,
+      failed: withdrawals.length - successful.length,
+      totalWithdrawn: parseFloat(successful.reduce((sum, withdrawal) => sum + withdrawal.amount, 0).toFixed(2)),
+      totalRealizedGain: parseFloat(successful.reduce((sum, withdrawal) => sum + (withdrawal.realizedGain || 0), 0).toFixed(2))
+    };
+  }
+
+  // Format response for a created or updated SWP
+  static formatSwpResponse(swp, schemeName, message) {
+    return {
+      success: true,
+      message,
+      data: this.formatSwp(swp, schemeName)
+    };
+  }
+
+  // Format response for SWP details with withdrawal totals
+  static formatSwpDetailResponse(swp, schemeName, transactionsById = {}) {
+    const withdrawals = swp.executions.map(execution =>
+      this.formatWithdrawal(execution, transactionsById[String(execution.transactionId)])
+    );
+
+    return {
+      success: true,
+      data: {
+        ...this.formatSwp(swp, schemeName),
+        summary: this.buildSummary(withdrawals)
+      }
+    };
+  }
+
+  // Format response for upcoming and past withdrawals of an SWP
+  static formatWithdrawalsResponse(swp, schemeName, transactionsById = {}) {
+    const executions = [...swp.executions].sort((a, b) => b.scheduledDate - a.scheduledDate);
+    const past = executions.map(execution =>
+      this.formatWithdrawal(execution, transactionsById[String(execution.transactionId)])
+    );
+
+    return {
+      success: true,
+      data: {
+        swpId: swp._id,
+        schemeCode: swp.schemeCode,
+        schemeName,
+        status: swp.status,
+        upcoming: ScheduleHelpers.getUpcomingDates(swp).map(withdrawal => ({
+          scheduledDate: DateUtils.formatToApiDate(withdrawal.scheduledDate),
+          executionDate: DateUtils.formatToApiDate(withdrawal.executionDate),
+          amount: parseFloat(swp.amount.toFixed(2))
+        })),
+        past,
+        summary: this.buildSummary(past)
+      }
+    };
+  }
+
+  // Format response for SWP list
+  static formatSwpListResponse(swps, schemeNames = {}) {
+    return {
+      success: true,
+      data: {
+        swps: swps.map(swp => this.formatSwp(swp, schemeNames[swp.schemeCode] || null)),
+        count: swps.length
+      }
+    };
+  }
+
+  // Format error response
+  static formatErrorResponse(message, errors = null) {
+    const response = {
+      success: false,
+      message
+    };
+
+    if (errors) {
+      response.errors = errors;
+    }
+
+    return response;
+  }
+
+  // Format validation error response
+  static formatValidationErrorResponse(message, validationErrors) {
+    return {
+      success: false,
+      message,
+      errors: validationErrors.map(error => ({
+        field: error.field,
+        message: error.message
+      }))
+    };
+  }
+}
+
+export default SwpResponse;
@@ -5,21 +5,134 @@ class TransactionResponse {
    * @returns {Object} Formatted response
    */
   static formatTransactionsListResponse(transactions) {
+    const entries = this.groupSwitches(transactions);
+
     return {
       success: true,
       message: 'Transactions retrieved successfully',
       data: {
-        transactions: transactions.map(transaction => ({
-          id: transaction._id,
-          portfolioId: transaction.portfolioId,
-          type: transaction.type,
-          units: transaction.units,
-          nav: transaction.nav,
-          amount: transaction.amount,
-          date: transaction.date,
-          createdAt: transaction.createdAt
+        transactions: entries,
+        count: entries.length
+      }
+    };
+  }
+
+  /**
+   * Format a single transaction
+   * @param {Object} transaction - Transaction document
+   * @returns {Object} Formatted transaction
+   */
+  static formatTransaction(transaction) {
+    return {
+      id: transaction._id,
+      portfolioId: transaction.portfolioId,
+      type: transaction.type,
+      units: transaction.units,
+      nav: transaction.nav,
+      amount: transaction.amount,
+      realizedPL: transaction.realizedPL ?? null,
+      switchId: transaction.switchId || null,
+      date: transaction.date,
+      createdAt: transaction.createdAt
+    };
+  }
+
+  /**
+   * Collapse the SELL and BUY legs of each fund switch into one SWITCH entry,
+   * keeping the position of the first leg in the list
+   * @param {Array} transactions - List of transactions
+   * @returns {Array} Formatted entries
+   */
+  static groupSwitches(transactions) {
+    const legsBySwitch = new Map();
+
+    transactions.forEach(transaction => {
+      if (transaction.switchId) {
+        const key = String(transaction.switchId);
+        legsBySwitch.set(key, [...(legsBySwitch.get(key) || []), transaction]);
+      }
+    });
+
+    const entries = [];
+    const emitted = new Set();
+
+    transactions.forEach(transaction => {
+      const key = transaction.switchId ? String(transaction.switchId) : null;
+      const legs = key ? legsBySwitch.get(key) : null;
+
+      // A leg whose pair is outside this page or filter is listed on its own
+      if (!legs || legs.length < 2) {
+        entries.push(this.formatTransaction(transaction));
+        return;
+      }
+
+      if (emitted.has(key)) {
+        return;
+      }
+      emitted.add(key);
+
+      const switchOut = legs.find(leg => leg.type === 'SELL');
+      const switchIn = legs.find(leg => leg.type === 'BUY');
+
+      entries.push({
+        id: transaction.switchId,
+        type: 'SWITCH',
+        switchOut: this.formatTransaction(switchOut),
+        switchIn: this.formatTransaction(switchIn),
+        amount: switchOut.amount,
+        realizedPL: switchOut.realizedPL ?? null,
+        date: switchOut.date,
+        createdAt: switchOut.createdAt
+      });
+    });
+
+    return entries;
+  }
+
+  /**
+   * Format the result of editing, cancelling or undoing a transaction
+   * @param {string} message - Success message
+   * @param {Array} transactions - Affected transactions; null where an undo removed one
+   * @param {Array} holdings - Rebuilt holdings of the affected portfolios
+   * @returns {Object} Formatted response
+   */
+  static formatTransactionChangeResponse(message, transactions, holdings) {
+    return {
+      success: true,
+      message,
+      data: {
+        transactions: transactions.map(transaction => (transaction ? this.formatTransaction(transaction) : null)),
+        holdings: holdings.map(holding => ({
+          schemeCode: holding.schemeCode,
+          totalUnits: parseFloat(holding.totalUnits.toFixed(3)),
+          avgNav: parseFloat(holding.avgNav.toFixed(4)),
+          investedValue: parseFloat(holding.investedValue.toFixed(2))
+        }))
+      }
+    };
+  }
+
+  /**
+   * Format the revision history of a transaction
+   * @param {ObjectId} transactionId - Transaction ID
+   * @param {Array} revisions - Revisions, newest first
+   * @returns {Object} Formatted response
+   */
+  static formatRevisionsResponse(transactionId, revisions) {
+    return {
+      success: true,
+      message: 'Transaction revisions retrieved successfully',
+      data: {
+        transactionId,
+        revisions: revisions.map(revision => ({
+          id: revision._id,
+          action: revision.action,
+          groupId: revision.groupId,
+          before: revision.before,
+          after: revision.after,
+          changedAt: revision.createdAt
         })),
-        count: transactions.length
+        count: revisions.length
       }
     };
   }
@@ -25,4 +25,13 @@ router.get('/cron-status', AdminController.getCronStatus);
 // POST /api/admin/cron/run-nav-update - Manually trigger NAV update
 router.post('/cron/run-nav-update', AdminController.runNavUpdate);
 
+// POST /api/admin/cron/run-sip-execution - Manually trigger SIP instalment execution
+router.post('/cron/run-sip-execution', AdminController.runSipExecution);
+
+// POST /api/admin/cron/run-swp-execution - Manually trigger SWP withdrawal execution
+router.post('/cron/run-swp-execution', AdminController.runSwpExecution);
+
+// POST /api/admin/cron/run-stp-execution - Manually trigger STP transfer execution
+router.post('/cron/run-stp-execution', AdminController.runStpExecution);
+
 export default router;
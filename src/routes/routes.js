@@ -2,7 +2,14 @@ import config from '../config/env.js';
 import authRoutes from './user/auth.js';
 import userFundRoutes from './user/funds.js';
 import portfolioRoutes from './user/portfolio.js';
+import namedPortfolioRoutes from './user/named-portfolio.js';
 import transactionRoutes from './user/transaction.js';
+import householdRoutes from './user/household.js';
+import goalRoutes from './user/goal.js';
+import benchmarkRoutes from './user/benchmark.js';
+import sipRoutes from './user/sip.js';
+import swpRoutes from './user/swp.js';
+import stpRoutes from './user/stp.js';
 import adminRoutes from './admin/admin.js';
 import adminFundRoutes from './admin/funds.js';
 import adminAuthRoutes from './admin/auth.js';
@@ -24,7 +31,14 @@ const configureRoutes = (app) => {
         auth: `${API_PREFIX}/auth`,
         funds: `${API_PREFIX}/funds`,
         portfolio: `${API_PREFIX}/portfolio`,
+        portfolios: `${API_PREFIX}/portfolios`,
         transactions: `${API_PREFIX}/transactions`,
+        households: `${API_PREFIX}/households`,
+        goals: `${API_PREFIX}/goals`,
+        benchmarks: `${API_PREFIX}/benchmarks`,
+        sips: `${API_PREFIX}/sips`,
+        swps: `${API_PREFIX}/swps`,
+        stps: `${API_PREFIX}/stps`,
         admin: `${API_PREFIX}/admin`
       }
     });
@@ -34,7 +48,14 @@ const configureRoutes = (app) => {
   app.use(`${API_PREFIX}/auth`, authRoutes);
   app.use(`${API_PREFIX}/funds`, userFundRoutes);
   app.use(`${API_PREFIX}/portfolio`, portfolioRoutes);
+  app.use(`${API_PREFIX}/portfolios`, namedPortfolioRoutes);
   app.use(`${API_PREFIX}/transactions`, transactionRoutes);
+  app.use(`${API_PREFIX}/households`, householdRoutes);
+  app.use(`${API_PREFIX}/goals`, goalRoutes);
+  app.use(`${API_PREFIX}/benchmarks`, benchmarkRoutes);
+  app.use(`${API_PREFIX}/sips`, sipRoutes);
+  app.use(`${API_PREFIX}/swps`, swpRoutes);
+  app.use(`${API_PREFIX}/stps`, stpRoutes);
   app.use(`${API_PREFIX}/admin/auth`, adminAuthRoutes);
   app.use(`${API_PREFIX}/admin`, adminRoutes);
   app.use(`${API_PREFIX}/admin/funds`, adminFundRoutes);
@@ -49,7 +70,14 @@ const configureRoutes = (app) => {
         auth: `${API_PREFIX}/auth`,
         funds: `${API_PREFIX}/funds`,
         portfolio: `${API_PREFIX}/portfolio`,
+        portfolios: `${API_PREFIX}/portfolios`,
         transactions: `${API_PREFIX}/transactions`,
+        households: `${API_PREFIX}/households`,
+        goals: `${API_PREFIX}/goals`,
+        benchmarks: `${API_PREFIX}/benchmarks`,
+        sips: `${API_PREFIX}/sips`,
+        swps: `${API_PREFIX}/swps`,
+        stps: `${API_PREFIX}/stps`,
         admin: `${API_PREFIX}/admin`
       }
     });
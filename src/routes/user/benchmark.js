@@ -0,0 +1,28 @@
+import express from 'express';
+import BenchmarkController from '../../controllers/user/benchmark-controller.js';
+import { authenticateUser } from '../../middlewares/auth-middleware.js';
+import { portfolioRateLimiter } from '../../middlewares/rate-limit-middleware.js';
+
+const router = express.Router();
+
+// Apply user authentication middleware to all benchmark routes
+router.use(authenticateUser);
+
+// GET /api/benchmarks - List shared benchmarks and the user's own
+router.get('/', BenchmarkController.getBenchmarks);
+
+// POST /api/benchmarks - Designate an index fund as a benchmark (admins can pass shared: true)
+router.post('/', portfolioRateLimiter, BenchmarkController.createBenchmark);
+
+// POST /api/benchmarks/import - Create a benchmark from an index CSV with date and value columns
+router.post(
+  '/import',
+  portfolioRateLimiter,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }),
+  BenchmarkController.importBenchmark
+);
+
+// DELETE /api/benchmarks/:id - Delete a benchmark
+router.delete('/:id', portfolioRateLimiter, BenchmarkController.deleteBenchmark);
+
+export default router;
@@ -0,0 +1,26 @@
+import express from 'express';
+import GoalController from '../../controllers/user/goal-controller.js';
+import { authenticateUser } from '../../middlewares/auth-middleware.js';
+import { portfolioRateLimiter } from '../../middlewares/rate-limit-middleware.js';
+
+const router = express.Router();
+
+// Apply user authentication middleware to all goal routes
+router.use(authenticateUser);
+
+// GET /api/goals - List user's goals with progress
+router.get('/', GoalController.getGoals);
+
+// POST /api/goals - Create a goal
+router.post('/', portfolioRateLimiter, GoalController.createGoal);
+
+// GET /api/goals/:id - Get a goal with progress
+router.get('/:id', GoalController.getGoal);
+
+// PATCH /api/goals/:id - Update a goal or replace its linked holdings and SIPs
+router.patch('/:id', portfolioRateLimiter, GoalController.updateGoal);
+
+// DELETE /api/goals/:id - Delete a goal
+router.delete('/:id', portfolioRateLimiter, GoalController.deleteGoal);
+
+export default router;
@@ -0,0 +1,38 @@
+import express from 'express';
+import HouseholdController from '../../controllers/user/household-controller.js';
+import { authenticateUser } from '../../middlewares/auth-middleware.js';
+import { portfolioRateLimiter } from '../../middlewares/rate-limit-middleware.js';
+
+const router = express.Router();
+
+// Apply user authentication middleware to all household routes
+router.use(authenticateUser);
+
+// GET /api/households - List user's households and invitations
+router.get('/', HouseholdController.getHouseholds);
+
+// POST /api/households - Create a household owned by the user
+router.post('/', portfolioRateLimiter, HouseholdController.createHousehold);
+
+// GET /api/households/:id - Get a household with its members
+router.get('/:id', HouseholdController.getHousehold);
+
+// DELETE /api/households/:id - Delete a household (owner only)
+router.delete('/:id', portfolioRateLimiter, HouseholdController.deleteHousehold);
+
+// GET /api/households/:id/summary - Get aggregated value, allocation and XIRR across members
+router.get('/:id/summary', HouseholdController.getSummary);
+
+// POST /api/households/:id/members - Invite a registered user by email (owner only)
+router.post('/:id/members', portfolioRateLimiter, HouseholdController.inviteMember);
+
+// DELETE /api/households/:id/members/:userId - Remove a member, leave, or decline an invitation
+router.delete('/:id/members/:userId', portfolioRateLimiter, HouseholdController.removeMember);
+
+// POST /api/households/:id/join - Accept an invitation and grant access to your portfolio
+router.post('/:id/join', portfolioRateLimiter, HouseholdController.joinHousehold);
+
+// PATCH /api/households/:id/permission - Change the access you grant the other members
+router.patch('/:id/permission', portfolioRateLimiter, HouseholdController.updatePermission);
+
+export default router;
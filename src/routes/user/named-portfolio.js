@@ -0,0 +1,30 @@
+import express from 'express';
+import NamedPortfolioController from '../../controllers/user/named-portfolio-controller.js';
+import { authenticateUser } from '../../middlewares/auth-middleware.js';
+import { portfolioRateLimiter } from '../../middlewares/rate-limit-middleware.js';
+import { householdAccess } from '../../middlewares/household-middleware.js';
+
+const router = express.Router();
+
+// Apply user authentication middleware to all named portfolio routes
+router.use(authenticateUser);
+
+// Act on a household member's portfolio when ?memberId= is given and they have granted access
+router.use(householdAccess);
+
+// GET /api/portfolios - List user's named portfolios
+router.get('/', NamedPortfolioController.getPortfolios);
+
+// POST /api/portfolios - Create a named portfolio
+router.post('/', portfolioRateLimiter, NamedPortfolioController.createPortfolio);
+
+// GET /api/portfolios/:id - Get a named portfolio
+router.get('/:id', NamedPortfolioController.getPortfolio);
+
+// PATCH /api/portfolios/:id - Rename a named portfolio or change its description
+router.patch('/:id', portfolioRateLimiter, NamedPortfolioController.updatePortfolio);
+
+// DELETE /api/portfolios/:id - Delete an empty named portfolio
+router.delete('/:id', portfolioRateLimiter, NamedPortfolioController.deletePortfolio);
+
+export default router;
@@ -1,31 +1,93 @@
 import express from 'express';
 import PortfolioController from '../../controllers/user/portfolio-controller.js';
+import RebalanceController from '../../controllers/user/rebalance-controller.js';
+import BenchmarkController from '../../controllers/user/benchmark-controller.js';
 import { authenticateUser } from '../../middlewares/auth-middleware.js';
 import { portfolioRateLimiter } from '../../middlewares/rate-limit-middleware.js';
+import { householdAccess } from '../../middlewares/household-middleware.js';
+import { idempotency } from '../../middlewares/idempotency-middleware.js';
 
 const router = express.Router();
 
 // Apply user authentication middleware to all portfolio routes
 router.use(authenticateUser);
 
+// Act on a household member's portfolio when ?memberId= is given and they have granted access
+router.use(householdAccess);
+
 // POST /api/portfolio/add - Add mutual fund to user's portfolio
-router.post('/add', portfolioRateLimiter, PortfolioController.addFund);
+router.post('/add', portfolioRateLimiter, idempotency, PortfolioController.addFund);
 
 // POST /api/portfolio/sell - Sell units from portfolio
-router.post('/sell', portfolioRateLimiter, PortfolioController.sellFund);
+router.post('/sell', portfolioRateLimiter, idempotency, PortfolioController.sellFund);
+
+// POST /api/portfolio/switch - Switch units from one fund to another
+router.post('/switch', portfolioRateLimiter, PortfolioController.switchFund);
+
+// POST /api/portfolio/dividend - Record an IDCW payout or reinvestment
+router.post('/dividend', portfolioRateLimiter, PortfolioController.recordDividend);
+
+// POST /api/portfolio/import - Preview or record historical transactions from a CSV (?dryRun=false to record)
+router.post(
+  '/import',
+  portfolioRateLimiter,
+  express.text({ type: ['text/csv', 'text/plain'], limit: '1mb' }),
+  PortfolioController.importTransactions
+);
+
+// POST /api/portfolio/import/cas - Preview or record the transactions of a CAS text export (?dryRun=false to record)
+router.post(
+  '/import/cas',
+  portfolioRateLimiter,
+  express.text({ type: 'text/plain', limit: '2mb' }),
+  PortfolioController.importCas
+);
 
 // DELETE /api/portfolio/remove/:schemeCode - Remove fund from portfolio
-router.delete('/remove/:schemeCode', portfolioRateLimiter, PortfolioController.removeFund);
+router.delete('/remove/:schemeCode', portfolioRateLimiter, idempotency, PortfolioController.removeFund);
 
 // GET /api/portfolio/value - Get current portfolio value with P&L calculation
 router.get('/value', PortfolioController.getPortfolioValue);
 
+// GET /api/portfolio/allocation - Get allocation by asset class, category and fund house
+router.get('/allocation', PortfolioController.getAllocation);
+
+// GET /api/portfolio/rebalance - Get drift from the target allocation and suggested buy/sell orders
+router.get('/rebalance', RebalanceController.getRebalancePlan);
+
+// GET /api/portfolio/rebalance/target - Get the target allocation
+router.get('/rebalance/target', RebalanceController.getTarget);
+
+// PUT /api/portfolio/rebalance/target - Set or replace the target allocation
+router.put('/rebalance/target', portfolioRateLimiter, RebalanceController.setTarget);
+
+// DELETE /api/portfolio/rebalance/target - Remove the target allocation
+router.delete('/rebalance/target', portfolioRateLimiter, RebalanceController.deleteTarget);
+
 // GET /api/portfolio/list - Get user's complete portfolio
 router.get('/list', PortfolioController.getPortfolioList);
 
 // GET /api/portfolio/history - Get portfolio value history
 router.get('/history', PortfolioController.getPortfolioHistory);
 
+// GET /api/portfolio/history/benchmark - Compare value, XIRR and drawdown with the same cash flows in a benchmark
+router.get('/history/benchmark', BenchmarkController.compareWithBenchmark);
+
+// GET /api/portfolio/performance - Get time-weighted return and daily performance series
+router.get('/performance', PortfolioController.getPerformance);
+
+// GET /api/portfolio/dividends - Get dividend income by financial year
+router.get('/dividends', PortfolioController.getDividendReport);
+
+// GET /api/portfolio/capital-gains - Get FIFO capital gains for a financial year
+router.get('/capital-gains', PortfolioController.getCapitalGains);
+
+// GET /api/portfolio/capital-gains/schedule-112a - Export ITR Schedule 112A CSV
+router.get('/capital-gains/schedule-112a', PortfolioController.getSchedule112A);
+
+// GET /api/portfolio/export/:dataset - Download holdings, transactions or value history as CSV or XLSX
+router.get('/export/:dataset', PortfolioController.exportData);
+
 // Note: Remove endpoint replaced with sell endpoint for better transaction tracking
 
 export default router;
@@ -0,0 +1,32 @@
+import express from 'express';
+import SipController from '../../controllers/user/sip-controller.js';
+import { authenticateUser } from '../../middlewares/auth-middleware.js';
+import { portfolioRateLimiter } from '../../middlewares/rate-limit-middleware.js';
+
+const router = express.Router();
+
+// Apply user authentication middleware to all SIP routes
+router.use(authenticateUser);
+
+// POST /api/sips - Create a SIP
+router.post('/', portfolioRateLimiter, SipController.createSip);
+
+// GET /api/sips - List user's SIPs
+router.get('/', SipController.getSips);
+
+// GET /api/sips/:id - Get SIP with upcoming instalments and execution history
+router.get('/:id', SipController.getSip);
+
+// PUT /api/sips/:id - Update SIP amount, instalment day or end date
+router.put('/:id', portfolioRateLimiter, SipController.updateSip);
+
+// POST /api/sips/:id/pause - Pause an active SIP
+router.post('/:id/pause', portfolioRateLimiter, SipController.pauseSip);
+
+// POST /api/sips/:id/resume - Resume a paused SIP
+router.post('/:id/resume', portfolioRateLimiter, SipController.resumeSip);
+
+// DELETE /api/sips/:id - Cancel a SIP
+router.delete('/:id', portfolioRateLimiter, SipController.cancelSip);
+
+export default router;
@@ -0,0 +1,35 @@
+import express from 'express';
+import StpController from '../../controllers/user/stp-controller.js';
+import { authenticateUser } from '../../middlewares/auth-middleware.js';
+import { portfolioRateLimiter } from '../../middlewares/rate-limit-middleware.js';
+
+const router = express.Router();
+
+// Apply user authentication middleware to all STP routes
+router.use(authenticateUser);
+
+// POST /api/stps - Create an STP
+router.post('/', portfolioRateLimiter, StpController.createStp);
+
+// GET /api/stps - List user's STPs
+router.get('/', StpController.getStps);
+
+// GET /api/stps/:id/transfers - Get STP transfer history
+router.get('/:id/transfers', StpController.getTransfers);
+
+// GET /api/stps/:id - Get STP status with upcoming transfers and totals
+router.get('/:id', StpController.getStp);
+
+// PUT /api/stps/:id - Update STP amount, transfer day or end date
+router.put('/:id', portfolioRateLimiter, StpController.updateStp);
+
+// POST /api/stps/:id/pause - Pause an active STP
+router.post('/:id/pause', portfolioRateLimiter, StpController.pauseStp);
+
+// POST /api/stps/:id/resume - Resume a paused STP
+router.post('/:id/resume', portfolioRateLimiter, StpController.resumeStp);
+
+// DELETE /api/stps/:id - Cancel an STP
+router.delete('/:id', portfolioRateLimiter, StpController.cancelStp);
+
+export default router;
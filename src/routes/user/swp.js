@@ -0,0 +1,35 @@
+import express from 'express';
+import SwpController from '../../controllers/user/swp-controller.js';
+import { authenticateUser } from '../../middlewares/auth-middleware.js';
+import { portfolioRateLimiter } from '../../middlewares/rate-limit-middleware.js';
+
+const router = express.Router();
+
+// Apply user authentication middleware to all SWP routes
+router.use(authenticateUser);
+
+// POST /api/swps - Create an SWP
+router.post('/', portfolioRateLimiter, SwpController.createSwp);
+
+// GET /api/swps - List user's SWPs
+router.get('/', SwpController.getSwps);
+
+// GET /api/swps/:id/withdrawals - List upcoming and past withdrawals with realized gain
+router.get('/:id/withdrawals', SwpController.getWithdrawals);
+
+// GET /api/swps/:id - Get SWP with withdrawal totals
+router.get('/:id', SwpController.getSwp);
+
+// PUT /api/swps/:id - Update SWP amount, withdrawal day or end date
+router.put('/:id', portfolioRateLimiter, SwpController.updateSwp);
+
+// POST /api/swps/:id/pause - Pause an active SWP
+router.post('/:id/pause', portfolioRateLimiter, SwpController.pauseSwp);
+
+// POST /api/swps/:id/resume - Resume a paused SWP
+router.post('/:id/resume', portfolioRateLimiter, SwpController.resumeSwp);
+
+// DELETE /api/swps/:id - Cancel an SWP
+router.delete('/:id', portfolioRateLimiter, SwpController.cancelSwp);
+
+export default router;
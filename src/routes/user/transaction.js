@@ -1,13 +1,30 @@
 import express from 'express';
 import TransactionController from '../../controllers/user/transaction-controller.js';
 import { authenticateUser } from '../../middlewares/auth-middleware.js';
+import { portfolioRateLimiter } from '../../middlewares/rate-limit-middleware.js';
+import { householdAccess } from '../../middlewares/household-middleware.js';
 
 const router = express.Router();
 
 // Apply user authentication middleware to all transaction routes
 router.use(authenticateUser);
 
+// Act on a household member's portfolio when ?memberId= is given and they have granted access
+router.use(householdAccess);
+
 // GET /api/transactions - Get user's transaction history
 router.get('/', TransactionController.getTransactions);
 
+// GET /api/transactions/:id/revisions - Get the audit history of a transaction
+router.get('/:id/revisions', TransactionController.getRevisions);
+
+// PATCH /api/transactions/:id - Correct units, NAV, amount or date and rebuild the holding
+router.patch('/:id', portfolioRateLimiter, TransactionController.updateTransaction);
+
+// DELETE /api/transactions/:id - Cancel a transaction and rebuild the holding
+router.delete('/:id', portfolioRateLimiter, TransactionController.cancelTransaction);
+
+// POST /api/transactions/:id/undo - Undo the latest edit or cancellation
+router.post('/:id/undo', portfolioRateLimiter, TransactionController.undoTransaction);
+
 export default router;
@@ -0,0 +1,66 @@
+import FundRepository from '../repositories/fund-repository.js';
+import PortfolioService from './portfolio-service.js';
+import AllocationHelpers from '../helpers/allocation-helpers.js';
+import PortfolioHelpers from '../helpers/portfolio-helpers.js';
+
+/**
+ * Allocation Service
+ * Breaks a portfolio's current value down by asset class, SEBI sub-category and fund house
+ */
+class AllocationService {
+
+  /**
+   * Get the allocation of a user's holdings at the latest NAV
+   * Holdings whose scheme category cannot be classified are grouped as UNCLASSIFIED and listed separately
+   * @param {ObjectId} userId - User ID
+   * @param {Object} options - Optional { namedPortfolioId }; all of the user's portfolios are combined when not given
+   * @returns {Object} { totalInvestment, currentValue, asOn, byAssetClass, byCategory, byFundHouse, unclassified, holdings }
+   */
+  static async getAllocation(userId, options = {}) {
+    const valuation = await PortfolioService.calculatePortfolioValue(userId, options);
+    const holdings = await this.classifyHoldings(valuation.holdings);
+
+    return {
+      totalInvestment: valuation.totalInvestment,
+      currentValue: valuation.currentValue,
+      asOn: valuation.asOn,
+      byAssetClass: PortfolioHelpers.calculateAllocation(holdings, holding => holding.assetClass),
+      byCategory: PortfolioHelpers.calculateAllocation(holdings, holding => holding.categoryKey)
+        .map(group => {
+          const holding = holdings.find(item => item.categoryKey === group.key);
+          return { ...group, assetClass: holding.assetClass, subCategory: holding.subCategory };
+        }),
+      byFundHouse: PortfolioHelpers.calculateAllocation(holdings, holding => holding.fundHouse),
+      unclassified: holdings.filter(holding => holding.assetClass === 'UNCLASSIFIED'),
+      holdings
+    };
+  }
+
+  /**
+   * Attach each valued holding's asset class, sub-category and fund house
+   * @param {Array} holdings - Holdings from PortfolioService.calculatePortfolioValue
+   * @returns {Array} Holdings with assetClass, subCategory, categoryKey, schemeCategory and fundHouse
+   */
+  static async classifyHoldings(holdings) {
+    const funds = await FundRepository.findBySchemeCodes([...new Set(holdings.map(holding => holding.schemeCode))]);
+    const fundsBySchemeCode = new Map(funds.map(fund => [fund.schemeCode, fund]));
+
+    return holdings.map(holding => {
+      const fund = fundsBySchemeCode.get(holding.schemeCode);
+      const classification = AllocationHelpers.classifyCategory(fund?.schemeCategory);
+      const assetClass = classification ? classification.assetClass : 'UNCLASSIFIED';
+      const subCategory = classification ? classification.subCategory : null;
+
+      return {
+        ...holding,
+        schemeCategory: fund?.schemeCategory || null,
+        fundHouse: fund?.fundHouse || 'Unknown',
+        assetClass,
+        subCategory,
+        categoryKey: `${assetClass}:${subCategory || ''}`
+      };
+    });
+  }
+}
+
+export default AllocationService;
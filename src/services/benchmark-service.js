@@ -0,0 +1,303 @@
+import FundNavHistory from '../models/fund-nav-history.js';
+import BenchmarkRepository from '../repositories/benchmark-repository.js';
+import FundRepository from '../repositories/fund-repository.js';
+import NavService from './nav-service.js';
+import PerformanceService from './performance-service.js';
+import BenchmarkHelpers from '../helpers/benchmark-helpers.js';
+import PerformanceHelpers from '../helpers/performance-helpers.js';
+import MathUtils from '../utils/math-utils.js';
+import CsvUtils from '../utils/csv-utils.js';
+import DateUtils from '../utils/date-utils.js';
+
+// Largest number of rows accepted in an index CSV, about 80 years of trading days
+const MAX_INDEX_ROWS = 20000;
+
+// Accepted spellings of each index CSV column, compared lowercased with spaces, dashes and underscores removed
+const INDEX_COLUMN_ALIASES = {
+  date: 'date',
+  indexdate: 'date',
+  value: 'value',
+  close: 'value',
+  closingvalue: 'value',
+  closingindexvalue: 'value',
+  indexvalue: 'value',
+  nav: 'value'
+};
+
+/**
+ * Benchmark Service
+ * Manages benchmark series and compares a portfolio with the same cash flows invested in a benchmark
+ * A benchmark is an index fund's NAV history or an uploaded index CSV; admins can share benchmarks with every user
+ */
+class BenchmarkService {
+
+  /**
+   * List the shared benchmarks and the user's own
+   * @param {ObjectId} userId - User ID
+   * @returns {Array} Benchmarks without their values
+   */
+  static async listBenchmarks(userId) {
+    return BenchmarkRepository.findVisibleToUser(userId);
+  }
+
+  /**
+   * Designate an index fund as a benchmark
+   * @param {ObjectId} userId - User ID
+   * @param {Object} data - Validated { name, schemeCode, shared }
+   * @param {Object} options - { isAdmin }; only admins can share a benchmark
+   * @returns {Object} Created benchmark
+   */
+  static async createSchemeBenchmark(userId, data, options = {}) {
+    this.assertCanShare(data.shared, options.isAdmin);
+
+    const fund = await FundRepository.findBySchemeCode(data.schemeCode);
+    if (!fund) {
+      throw new Error(`Fund not found with scheme code ${data.schemeCode}`);
+    }
+
+    if (!BenchmarkHelpers.isIndexFund(fund)) {
+      throw new Error('Only index funds and ETFs can be used as benchmarks');
+    }
+
+    let history = await FundNavHistory.findOne({ schemeCode: data.schemeCode });
+    if (!history || history.history.length === 0) {
+      const syncResult = await NavService.syncFullNavHistory(data.schemeCode);
+      history = syncResult.success ? await FundNavHistory.findOne({ schemeCode: data.schemeCode }) : null;
+    }
+
+    if (!history || history.history.length === 0) {
+      throw new Error(`No NAV history found for scheme code ${data.schemeCode}`);
+    }
+
+    return BenchmarkRepository.create({
+      userId: data.shared ? null : userId,
+      createdBy: userId,
+      name: data.name || fund.schemeName.slice(0, 60),
+      source: 'SCHEME',
+      schemeCode: data.schemeCode
+    });
+  }
+
+  /**
+   * Create a benchmark from an index CSV with date and value columns
+   * @param {ObjectId} userId - User ID
+   * @param {Object} data - Validated { name, shared }
+   * @param {String} csvText - CSV document
+   * @param {Object} options - { isAdmin }; only admins can share a benchmark
+   * @returns {Object} Created benchmark
+   */
+  static async importIndexBenchmark(userId, data, csvText, options = {}) {
+    this.assertCanShare(data.shared, options.isAdmin);
+
+    return BenchmarkRepository.create({
+      userId: data.shared ? null : userId,
+      createdBy: userId,
+      name: data.name,
+      source: 'INDEX_CSV',
+      values: this.parseIndexCsv(csvText)
+    });
+  }
+
+  /**
+   * Delete a benchmark; shared benchmarks can only be deleted by an admin
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} benchmarkId - Benchmark ID
+   * @param {Object} options - { isAdmin }
+   */
+  static async deleteBenchmark(userId, benchmarkId, options = {}) {
+    const benchmark = await this.getBenchmark(userId, benchmarkId);
+    if (!benchmark.userId && !options.isAdmin) {
+      throw new Error('Only admins can delete shared benchmarks');
+    }
+
+    await BenchmarkRepository.deleteById(benchmark._id);
+  }
+
+  /**
+   * Get a benchmark that is shared or owned by the user
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} benchmarkId - Benchmark ID
+   * @returns {Object} Benchmark
+   */
+  static async getBenchmark(userId, benchmarkId) {
+    const benchmark = await BenchmarkRepository.findVisibleById(benchmarkId, userId);
+    if (!benchmark) {
+      throw new Error('Benchmark not found with the provided ID');
+    }
+
+    return benchmark;
+  }
+
+  /**
+   * Compare a portfolio with its own cash flows invested in a benchmark over /history's date range
+   * The benchmark starts with the portfolio's value at the close before the range, then buys on every
+   * purchase and sells on every redemption or payout, on the same day and for the same amount
+   * @param {ObjectId} userId - Owner of the portfolio
+   * @param {ObjectId} viewerId - User choosing the benchmark
+   * @param {ObjectId} benchmarkId - Benchmark ID
+   * @param {Object} options - { days, startDate, endDate, namedPortfolioId }
+   * @returns {Object|null} Comparison, or null when the portfolio has no transactions by the end of the range
+   */
+  static async compare(userId, viewerId, benchmarkId, options = {}) {
+    const benchmark = await this.getBenchmark(viewerId, benchmarkId);
+    const series = await this.getSeries(benchmark);
+    const { start, end } = this.getRange(options);
+
+    if (series.length === 0 || series[0].date > DateUtils.endOfDay(end)) {
+      throw new Error('Benchmark has no values in the selected date range');
+    }
+
+    const points = await PerformanceService.getDailyValuations(userId, end, { namedPortfolioId: options.namedPortfolioId });
+
+    // The range cannot open before the benchmark's first value
+    const from = DateUtils.startOfDay(new Date(Math.max(start, series[0].date)));
+    const rangePoints = points.filter(point => point.date >= from);
+    if (rangePoints.length === 0) {
+      return null;
+    }
+
+    const openingPoint = [...points].reverse().find(point => point.date < from) || null;
+    const opening = openingPoint ? { date: openingPoint.date, value: openingPoint.value, netFlow: 0 } : null;
+
+    // Before the benchmark's first value its opening price is taken as that first value
+    const [openingPrice] = opening
+      ? BenchmarkHelpers.alignValues(series, [DateUtils.endOfDay(opening.date)])
+      : [null];
+    const prices = BenchmarkHelpers.alignValues(series, rangePoints.map(point => DateUtils.endOfDay(point.date)));
+    const benchmarkPoints = BenchmarkHelpers.simulateFlows(
+      rangePoints,
+      prices,
+      opening ? opening.value : 0,
+      openingPrice ?? series[0].value
+    );
+
+    return {
+      benchmark,
+      startDate: rangePoints[0].date,
+      endDate: rangePoints[rangePoints.length - 1].date,
+      benchmarkLastDate: series[series.length - 1].date,
+      portfolio: this.summarise(opening, rangePoints),
+      benchmarkResult: this.summarise(opening, benchmarkPoints),
+      series: rangePoints.map((point, index) => ({
+        date: point.date,
+        portfolioValue: point.value,
+        benchmarkValue: benchmarkPoints[index].value,
+        netFlow: point.netFlow
+      }))
+    };
+  }
+
+  /**
+   * Summarise one side of a comparison: flows, closing value, XIRR, time-weighted return and drawdown
+   * @param {Object} opening - Valuation before the range, or null
+   * @param {Array} points - Daily { date, value, netFlow } over the range
+   * @returns {Object} Summary
+   */
+  static summarise(opening, points) {
+    const twr = PerformanceHelpers.calculateTimeWeightedReturn(opening ? [opening, ...points] : points);
+    const openingValue = opening ? opening.value : 0;
+    const netInvested = MathUtils.sum(points.map(point => point.netFlow));
+    const endValue = points[points.length - 1].value;
+
+    return {
+      openingValue,
+      netInvested,
+      endValue,
+      gain: endValue - openingValue - netInvested,
+      xirr: MathUtils.calculateXIRR(BenchmarkHelpers.buildCashFlows(opening, points)),
+      twr: twr.twr,
+      ...PerformanceHelpers.calculateMaxDrawdown(twr.series)
+    };
+  }
+
+  /**
+   * Get a benchmark's values, oldest first
+   * @param {Object} benchmark - Benchmark
+   * @returns {Array} { date, value }
+   */
+  static async getSeries(benchmark) {
+    if (benchmark.source === 'INDEX_CSV') {
+      return [...benchmark.values].sort((a, b) => a.date - b.date);
+    }
+
+    const doc = await FundNavHistory.findOne({ schemeCode: benchmark.schemeCode });
+    return doc
+      ? doc.history.map(entry => ({ date: entry.date, value: entry.nav })).sort((a, b) => a.date - b.date)
+      : [];
+  }
+
+  /**
+   * Resolve /history's date range: startDate to endDate when both are given, otherwise the last N days
+   * @param {Object} options - { days, startDate, endDate } as validated for /history
+   * @returns {Object} { start, end }
+   */
+  static getRange({ days = 30, startDate, endDate }) {
+    if (startDate && endDate) {
+      return {
+        start: DateUtils.startOfDay(DateUtils.parseApiDate(startDate)),
+        end: DateUtils.parseApiDate(endDate)
+      };
+    }
+
+    const end = new Date();
+    const start = DateUtils.startOfDay(end);
+    start.setDate(start.getDate() - (days - 1));
+
+    return { start, end };
+  }
+
+  /**
+   * Parse an index CSV into { date, value } entries, oldest first
+   * @param {String} csvText - CSV with date and value (or close) columns
+   * @returns {Array} Index values
+   */
+  static parseIndexCsv(csvText) {
+    const [header, ...lines] = CsvUtils.parse(csvText || '');
+    if (!header || lines.length === 0) {
+      throw new Error('CSV has no rows to import');
+    }
+
+    if (lines.length > MAX_INDEX_ROWS) {
+      throw new Error(`CSV cannot contain more than ${MAX_INDEX_ROWS} rows`);
+    }
+
+    const columns = header.map(name => INDEX_COLUMN_ALIASES[name.toLowerCase().replace(/[\s_-]/g, '')] || null);
+    const dateColumn = columns.indexOf('date');
+    const valueColumn = columns.indexOf('value');
+
+    if (dateColumn === -1 || valueColumn === -1) {
+      throw new Error('CSV is missing required columns: date and value (or close)');
+    }
+
+    const values = new Map();
+    lines.forEach((cells, index) => {
+      const date = BenchmarkHelpers.parseIndexDate(cells[dateColumn] || '');
+      const value = BenchmarkHelpers.parseIndexValue(cells[valueColumn] || '');
+
+      if (!date || !value) {
+        throw new Error(`CSV row ${index + 1} needs a valid date and a positive value`);
+      }
+
+      if (values.has(date.getTime())) {
+        throw new Error(`CSV has more than one value for ${DateUtils.formatToApiDate(date)}`);
+      }
+
+      values.set(date.getTime(), { date, value });
+    });
+
+    return [...values.values()].sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Check the caller can create a shared benchmark
+   * @param {Boolean} shared - Whether the benchmark is shared with every user
+   * @param {Boolean} isAdmin - Whether the caller is an admin
+   */
+  static assertCanShare(shared, isAdmin) {
+    if (shared && !isAdmin) {
+      throw new Error('Only admins can create shared benchmarks');
+    }
+  }
+}
+
+export default BenchmarkService;
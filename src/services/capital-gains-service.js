@@ -0,0 +1,201 @@
+import PortfolioRepository from '../repositories/portfolio-repository.js';
+import FundRepository from '../repositories/fund-repository.js';
+import PortfolioService from './portfolio-service.js';
+import NavService from './nav-service.js';
+import FifoHelpers from '../helpers/fifo-helpers.js';
+import TaxHelpers from '../helpers/tax-helpers.js';
+import DateUtils from '../utils/date-utils.js';
+
+/**
+ * Capital Gains Service
+ * Builds capital gains reports by matching every sale against the FIFO lots it consumed
+ */
+class CapitalGainsService {
+
+  /**
+   * Get the capital gains of a user's sales in a financial year
+   * @param {ObjectId} userId - User ID
+   * @param {String} financialYear - Financial year ('YYYY-YY')
+   * @returns {Object} Matched lots, per-scheme totals and overall summary
+   */
+  static async getCapitalGainsReport(userId, financialYear) {
+    const range = DateUtils.getFinancialYearRange(financialYear);
+    const portfolios = await PortfolioRepository.findByUserId(userId);
+    const funds = await FundRepository.findBySchemeCodes(portfolios.map(portfolio => portfolio.schemeCode));
+    const fundsBySchemeCode = Object.fromEntries(funds.map(fund => [fund.schemeCode, fund]));
+
+    const lots = [];
+
+    for (const portfolio of portfolios) {
+      const fund = fundsBySchemeCode[portfolio.schemeCode] || null;
+      const ledger = await PortfolioService.getLedger(portfolio._id);
+      const sales = ledger.filter(tx => tx.type === 'SELL' && tx.date >= range.start && tx.date <= range.end);
+
+      if (sales.length === 0) {
+        continue;
+      }
+
+      const { matchedLots } = FifoHelpers.replayLedger(ledger);
+      const taxType = TaxHelpers.getFundTaxType(fund);
+      let fairMarketValue;
+
+      for (const sale of sales) {
+        for (const matched of matchedLots.get(String(sale._id)) || []) {
+          const term = TaxHelpers.classifyGain(taxType, matched.acquiredOn, sale.date);
+          const grandfathered = TaxHelpers.isGrandfathered(taxType, term, matched.acquiredOn);
+
+          // Looked up once per scheme, only when a grandfathered lot is sold
+          if (grandfathered && fairMarketValue === undefined) {
+            fairMarketValue = await this.getGrandfatheringNav(portfolio.schemeCode);
+          }
+
+          lots.push(this.buildLotGain({
+            schemeCode: portfolio.schemeCode,
+            schemeName: fund ? fund.schemeName : null,
+            schemeCategory: fund ? fund.schemeCategory : null,
+            isin: fund ? (fund.isinGrowth || fund.isinDivReinvestment || null) : null,
+            taxType,
+            term,
+            sale,
+            matched,
+            fairMarketValue: grandfathered ? fairMarketValue : null
+          }));
+        }
+      }
+    }
+
+    lots.sort((a, b) => (a.saleDate - b.saleDate) || (a.acquisitionDate - b.acquisitionDate));
+
+    return {
+      financialYear,
+      lots,
+      schemes: this.summarizeBySchemes(lots),
+      summary: this.summarize(lots)
+    };
+  }
+
+  /**
+   * Get the long-term equity lots reported in ITR Schedule 112A for a financial year
+   * Grandfathering NAVs missing locally are fetched with the scheme's full NAV history
+   * @param {ObjectId} userId - User ID
+   * @param {String} financialYear - Financial year ('YYYY-YY')
+   * @returns {Array} Long-term equity lot gains
+   */
+  static async getSchedule112ALots(userId, financialYear) {
+    const report = await this.getCapitalGainsReport(userId, financialYear);
+    return report.lots.filter(lot => lot.taxType === 'EQUITY' && lot.term === 'LTCG');
+  }
+
+  /**
+   * Get the NAV on 31-Jan-2018 used as fair market value for grandfathered equity units
+   * @param {Number} schemeCode - Scheme code
+   * @returns {Number|null} NAV, or null when unavailable
+   */
+  static async getGrandfatheringNav(schemeCode) {
+    const navData = await NavService.getNavOnDate(schemeCode, TaxHelpers.GRANDFATHERING_DATE);
+    return navData.success ? navData.data.nav : null;
+  }
+
+  /**
+   * Compute the gain of one lot portion consumed by a sale
+   * @param {Object} data - Scheme details, classification, sale transaction and matched lot
+   * @returns {Object} Lot gain
+   */
+  static buildLotGain(data) {
+    const { schemeCode, schemeName, schemeCategory, isin = null, taxType, term, sale, matched, fairMarketValue } = data;
+    const { units, pricePerUnit, salePrice, acquiredOn } = matched;
+
+    const costPerUnit = fairMarketValue !== null
+      ? TaxHelpers.getGrandfatheredCost(pricePerUnit, fairMarketValue, salePrice)
+      : pricePerUnit;
+    const actualCost = units * pricePerUnit;
+    const costOfAcquisition = units * costPerUnit;
+    const saleValue = units * salePrice;
+
+    return {
+      schemeCode,
+      schemeName,
+      schemeCategory,
+      isin,
+      taxType,
+      term,
+      saleTransactionId: sale._id,
+      switchId: sale.switchId || null,
+      saleDate: sale.date,
+      acquisitionDate: acquiredOn,
+      holdingDays: TaxHelpers.getHoldingDays(acquiredOn, sale.date),
+      units,
+      purchaseNav: pricePerUnit,
+      saleNav: salePrice,
+      actualCost,
+      fairMarketValue: fairMarketValue !== null ? units * fairMarketValue : null,
+      fmvNav: fairMarketValue,
+      grandfathered: fairMarketValue !== null,
+      costOfAcquisition,
+      saleValue,
+      gain: saleValue - costOfAcquisition
+    };
+  }
+
+  /**
+   * Total gains per scheme
+   * @param {Array} lots - Lot gains
+   * @returns {Array} Per-scheme totals
+   */
+  static summarizeBySchemes(lots) {
+    const schemes = new Map();
+
+    lots.forEach(lot => {
+      if (!schemes.has(lot.schemeCode)) {
+        schemes.set(lot.schemeCode, {
+          schemeCode: lot.schemeCode,
+          schemeName: lot.schemeName,
+          taxType: lot.taxType,
+          ...this.summarize([])
+        });
+      }
+
+      this.addToTotals(schemes.get(lot.schemeCode), lot);
+    });
+
+    return [...schemes.values()];
+  }
+
+  /**
+   * Total gains split by term and fund type
+   * @param {Array} lots - Lot gains
+   * @returns {Object} Totals
+   */
+  static summarize(lots) {
+    const totals = {
+      saleValue: 0,
+      costOfAcquisition: 0,
+      stcg: 0,
+      ltcg: 0,
+      equityStcg: 0,
+      equityLtcg: 0,
+      debtStcg: 0,
+      debtLtcg: 0,
+      otherStcg: 0,
+      otherLtcg: 0,
+      totalGain: 0
+    };
+
+    lots.forEach(lot => this.addToTotals(totals, lot));
+    return totals;
+  }
+
+  // Add a lot gain to running totals
+  static addToTotals(totals, lot) {
+    const term = lot.term === 'LTCG' ? 'Ltcg' : 'Stcg';
+    const type = lot.taxType.toLowerCase();
+
+    totals.saleValue += lot.saleValue;
+    totals.costOfAcquisition += lot.costOfAcquisition;
+    totals[term.toLowerCase()] += lot.gain;
+    totals[`${type}${term}`] += lot.gain;
+    totals.totalGain += lot.gain;
+  }
+}
+
+export default CapitalGainsService;
@@ -0,0 +1,249 @@
+import Portfolio from '../models/Portfolio.js';
+import ImportService from './import-service.js';
+import PortfolioService from './portfolio-service.js';
+import NamedPortfolioService from './named-portfolio-service.js';
+import FifoHelpers from '../helpers/fifo-helpers.js';
+import CasHelpers from '../helpers/cas-helpers.js';
+import DateUtils from '../utils/date-utils.js';
+
+// Largest number of transaction lines accepted from one statement
+const MAX_STATEMENT_TRANSACTIONS = 5000;
+
+/**
+ * CAS Service
+ * Imports the transactions of a CAMS/KFintech Consolidated Account Statement and reconciles
+ * the statement's closing units against the holdings computed from the ledger
+ */
+class CasService {
+
+  /**
+   * Check and optionally record the transactions in a CAS text export
+   * @param {ObjectId} userId - User ID
+   * @param {String} text - Text export of the statement
+   * @param {Object} options - Optional { dryRun }, true by default, and { namedPortfolioId }, the user's default portfolio when not given
+   * @returns {Object} Per-line results, summary and closing unit reconciliation
+   */
+  static async importStatement(userId, text, options = {}) {
+    const { dryRun = true } = options;
+    const statement = CasHelpers.parseStatement(text);
+    const namedPortfolio = await NamedPortfolioService.resolve(userId, options.namedPortfolioId);
+
+    if (statement.schemes.length === 0) {
+      throw new Error('CAS has no schemes with an ISIN to import');
+    }
+
+    const transactionCount = statement.schemes.reduce((sum, scheme) => sum + scheme.transactions.length, 0);
+    if (transactionCount > MAX_STATEMENT_TRANSACTIONS) {
+      throw new Error(`CAS cannot contain more than ${MAX_STATEMENT_TRANSACTIONS} transactions`);
+    }
+
+    const importedAt = Date.now();
+    const funds = new Map();
+    const navs = new Map();
+    const ledgers = new Map();
+    const rows = [];
+
+    for (const scheme of statement.schemes) {
+      scheme.fund = await ImportService.findFund({ isin: scheme.isin }, funds);
+
+      for (const transaction of scheme.transactions) {
+        rows.push(await this.resolveRow(transaction, scheme, navs));
+      }
+    }
+
+    const ordered = rows
+      .filter(row => row.status !== 'SKIPPED' && row.errors.length === 0)
+      .sort((a, b) => (a.date - b.date) || (a.row - b.row));
+
+    for (const row of ordered) {
+      if (!ledgers.has(row.schemeCode)) {
+        ledgers.set(row.schemeCode, await ImportService.getExistingLedger(userId, row.schemeCode, namedPortfolio._id));
+      }
+      ImportService.checkAgainstLedger(row, ledgers.get(row.schemeCode), importedAt);
+    }
+
+    rows.forEach(row => {
+      if (row.status !== 'SKIPPED') {
+        row.status = row.errors.length === 0 ? 'ACCEPTED' : 'REJECTED';
+      }
+    });
+
+    const accepted = rows.filter(row => row.status === 'ACCEPTED');
+    const committed = !dryRun && accepted.length > 0;
+
+    if (committed) {
+      await ImportService.recordRows(userId, accepted, importedAt, namedPortfolio._id);
+    }
+
+    const reconciliation = await this.reconcile(userId, statement, ledgers, namedPortfolio._id);
+
+    return {
+      dryRun,
+      committed,
+      periodEnd: statement.periodEnd,
+      summary: {
+        totalRows: rows.length,
+        accepted: accepted.length,
+        rejected: rows.filter(row => row.status === 'REJECTED').length,
+        skipped: rows.filter(row => row.status === 'SKIPPED').length,
+        mismatches: reconciliation.filter(entry => entry.status === 'MISMATCH').length
+      },
+      rows,
+      reconciliation
+    };
+  }
+
+  /**
+   * Turn a statement transaction into an import row
+   * @param {Object} transaction - Parsed transaction line
+   * @param {Object} scheme - Parsed scheme with its resolved fund
+   * @param {Map} navs - NAV lookups cached by scheme and date
+   * @returns {Object} Row result in the shape used by ImportService
+   */
+  static async resolveRow(transaction, scheme, navs) {
+    const { fund } = scheme;
+    const type = CasHelpers.classifyTransaction(transaction.description, transaction.units);
+
+    const result = {
+      row: transaction.line,
+      status: null,
+      folio: scheme.folio,
+      schemeCode: fund ? fund.schemeCode : null,
+      schemeName: fund ? fund.schemeName : scheme.schemeName,
+      isin: scheme.isin,
+      description: transaction.description,
+      type,
+      date: transaction.date,
+      units: transaction.units !== null ? Math.abs(transaction.units) : null,
+      nav: transaction.nav,
+      amount: Math.abs(transaction.amount),
+      navSource: transaction.nav !== null ? 'STATEMENT' : null,
+      navMismatch: null,
+      note: null,
+      errors: []
+    };
+
+    // Stamp duty, STT and other lines that do not move units or pay income are not recorded
+    if (!type) {
+      result.status = 'SKIPPED';
+      result.note = 'Not a unit transaction or dividend';
+      return result;
+    }
+
+    if (!result.date) {
+      result.errors.push({ field: 'date', message: 'Date is not a valid calendar date' });
+      return result;
+    }
+
+    if (!fund) {
+      result.errors.push({ field: 'isin', message: 'No fund found with the provided ISIN' });
+      return result;
+    }
+
+    // Payout lines carry only the amount, so they are priced from NAV history like recorded dividends
+    if (type === 'DIVIDEND_PAYOUT') {
+      const historyNav = await ImportService.getHistoryNav(fund.schemeCode, result.date, navs);
+      if (!historyNav) {
+        result.errors.push({ field: 'nav', message: `No NAV available on or before ${DateUtils.formatToApiDate(result.date)}` });
+        return result;
+      }
+
+      result.units = 0;
+      result.nav = historyNav.nav;
+      result.navSource = 'HISTORY';
+      return result;
+    }
+
+    if (!(result.nav > 0)) {
+      result.errors.push({ field: 'nav', message: 'NAV must be greater than 0' });
+    }
+
+    return result;
+  }
+
+  /**
+   * Compare the statement's closing units with the units computed from the ledger at the statement date
+   * Folios of the same scheme are combined, as holdings are kept per scheme, and units of the scheme
+   * held in the user's other named portfolios are counted as the statement covers all of them
+   * @param {ObjectId} userId - User ID
+   * @param {Object} statement - Parsed statement with resolved funds
+   * @param {Map} ledgers - Ledgers of the importing portfolio including accepted rows, keyed by scheme code
+   * @param {ObjectId} namedPortfolioId - Named portfolio the statement is imported into
+   * @returns {Array} Reconciliation entry per scheme
+   */
+  static async reconcile(userId, statement, ledgers, namedPortfolioId) {
+    const asOf = statement.periodEnd ? DateUtils.endOfDay(statement.periodEnd) : null;
+    const entries = new Map();
+
+    for (const scheme of statement.schemes) {
+      const key = scheme.fund ? `code:${scheme.fund.schemeCode}` : `isin:${scheme.isin}`;
+
+      if (!entries.has(key)) {
+        entries.set(key, {
+          schemeCode: scheme.fund ? scheme.fund.schemeCode : null,
+          schemeName: scheme.fund ? scheme.fund.schemeName : scheme.schemeName,
+          isin: scheme.isin,
+          folios: [],
+          openingUnits: 0,
+          statementUnits: 0,
+          computedUnits: null,
+          difference: null,
+          status: null,
+          reason: null
+        });
+      }
+
+      const entry = entries.get(key);
+      if (scheme.folio && !entry.folios.includes(scheme.folio)) {
+        entry.folios.push(scheme.folio);
+      }
+
+      entry.openingUnits += scheme.openingUnits || 0;
+
+      if (scheme.closingUnits === null) {
+        entry.reason = `No closing unit balance found for folio ${scheme.folio || 'unknown'}`;
+      } else {
+        entry.statementUnits += scheme.closingUnits;
+      }
+    }
+
+    for (const entry of entries.values()) {
+      entry.statementUnits = parseFloat(entry.statementUnits.toFixed(3));
+
+      if (entry.schemeCode === null) {
+        entry.status = 'UNRESOLVED';
+        entry.reason = 'No fund found with the provided ISIN';
+        continue;
+      }
+
+      if (!ledgers.has(entry.schemeCode)) {
+        ledgers.set(entry.schemeCode, await ImportService.getExistingLedger(userId, entry.schemeCode, namedPortfolioId));
+      }
+
+      const otherPortfolios = await Portfolio.find({ userId, schemeCode: entry.schemeCode, namedPortfolioId: { $ne: namedPortfolioId } });
+      const otherLedgers = await Promise.all(otherPortfolios.map(portfolio => PortfolioService.getLedger(portfolio._id)));
+
+      // Transactions recorded after the statement period are not in its closing balance
+      const units = [ledgers.get(entry.schemeCode), ...otherLedgers]
+        .map(ledger => FifoHelpers.replayLedger(ledger.filter(tx => !asOf || tx.date <= asOf)).totalUnits)
+        .reduce((sum, ledgerUnits) => sum + ledgerUnits, 0);
+      entry.computedUnits = parseFloat(units.toFixed(3));
+      entry.difference = parseFloat((entry.computedUnits - entry.statementUnits).toFixed(3));
+
+      if (entry.reason) {
+        entry.status = 'UNRESOLVED';
+      } else {
+        entry.status = entry.difference === 0 ? 'MATCHED' : 'MISMATCH';
+      }
+
+      // Units carried in from before the statement period are only in the ledger if recorded separately
+      if (entry.status === 'MISMATCH' && entry.openingUnits > 0) {
+        entry.reason = `The statement opens with ${parseFloat(entry.openingUnits.toFixed(3))} units bought before its period`;
+      }
+    }
+
+    return [...entries.values()].map(({ openingUnits, ...entry }) => entry);
+  }
+}
+
+export default CasService;
@@ -2,10 +2,16 @@ import cron from 'node-cron';
 import Portfolio from '../models/Portfolio.js';
 import Fund from '../models/funds.js';
 import NavService from './nav-service.js';
+import SipService from './sip-service.js';
+import SwpService from './swp-service.js';
+import StpService from './stp-service.js';
+import SnapshotService from './snapshot-service.js';
 import config from '../config/env.js';
 
 class CronService {
   static jobs = new Map();
+  static runningPlanJobs = new Set();
+  static snapshotCaptureRunning = false;
 
   /**
    * Initialize all cron jobs
@@ -16,12 +22,21 @@ class CronService {
     // Daily NAV update job - runs at 12:00 AM IST (6:30 PM UTC)
     this.scheduleDailyNavUpdate();
     
+    // Daily SIP instalment job - runs after the NAV update
+    this.schedulePlanJob('sipExecution', 'SIP', config.sipCronSchedule, () => this.executeDueSips());
+    
+    // Daily SWP withdrawal job - runs after the NAV update
+    this.schedulePlanJob('swpExecution', 'SWP', config.swpCronSchedule, () => this.executeDueSwps());
+    
+    // Daily STP transfer job - runs after the NAV update
+    this.schedulePlanJob('stpExecution', 'STP', config.stpCronSchedule, () => this.executeDueStps());
+    
     console.log('Cron jobs initialized successfully');
   }
 
   /**
    * Schedule daily NAV update job
-   * Runs every day at 12:00 AM IST (after market hours)
+   * Runs every day at 12:00 AM IST (after market hours) and then captures daily portfolio snapshots
    */
   static scheduleDailyNavUpdate() {
     const cronExpression = config.cronSchedule; // Already has default in config
@@ -29,6 +44,7 @@ class CronService {
     const job = cron.schedule(cronExpression, async () => {
       console.log('Starting daily NAV update job at:', new Date().toISOString());
       await this.updateAllPortfolioNavs();
+      await this.captureDailySnapshots();
     }, {
       scheduled: true,
       timezone: 'Asia/Kolkata' // IST timezone
@@ -38,6 +54,76 @@ class CronService {
     console.log(`Daily NAV update job scheduled with cron: ${cronExpression}`);
   }
 
+  /**
+   * Schedule a daily systematic plan job
+   * Plan jobs run after the daily NAV update so they are priced at fresh NAVs
+   */
+  static schedulePlanJob(name, label, cronExpression, executeFn) {
+    const job = cron.schedule(cronExpression, () => executeFn(), {
+      scheduled: true,
+      timezone: 'Asia/Kolkata' // IST timezone
+    });
+
+    this.jobs.set(name, job);
+    console.log(`${label} execution job scheduled with cron: ${cronExpression}`);
+  }
+
+  /**
+   * Run a systematic plan job unless it is already running, then log and notify its summary
+   */
+  static async runPlanJob(label, executeFn) {
+    if (this.runningPlanJobs.has(label)) {
+      console.log(`${label} execution already in progress. Skipping this run.`);
+      return;
+    }
+
+    this.runningPlanJobs.add(label);
+    const startTime = Date.now();
+    console.log(`Starting ${label} execution at:`, new Date(startTime).toISOString());
+
+    try {
+      const result = await executeFn(new Date(startTime));
+      const summary = {
+        ...result,
+        duration: `${((Date.now() - startTime) / 1000).toFixed(2)}s`
+      };
+
+      console.log(`${label} execution completed:`, summary);
+      await this.sendNotification(`${label} Execution Completed`, summary, result.failed > 0 ? 'error' : 'success');
+
+    } catch (error) {
+      console.error(`${label} execution failed:`, error);
+
+      await this.sendNotification(`${label} Execution Failed`, {
+        error: error.message,
+        duration: `${((Date.now() - startTime) / 1000).toFixed(2)}s`
+      }, 'error');
+    } finally {
+      this.runningPlanJobs.delete(label);
+    }
+  }
+
+  /**
+   * Execute due SIP instalments, including any missed while the server was down
+   */
+  static async executeDueSips() {
+    await this.runPlanJob('SIP', asOf => SipService.executeDueInstalments(asOf));
+  }
+
+  /**
+   * Execute due SWP withdrawals, including any missed while the server was down
+   */
+  static async executeDueSwps() {
+    await this.runPlanJob('SWP', asOf => SwpService.executeDueWithdrawals(asOf));
+  }
+
+  /**
+   * Execute due STP transfers, including any missed while the server was down
+   */
+  static async executeDueStps() {
+    await this.runPlanJob('STP', asOf => StpService.executeDueTransfers(asOf));
+  }
+
   /**
    * Update NAVs for all funds in user portfolios
    */
@@ -136,6 +222,40 @@ class CronService {
     }
   }
 
+  /**
+   * Write each user's daily portfolio snapshot once the day's NAVs are in
+   */
+  static async captureDailySnapshots() {
+    if (this.snapshotCaptureRunning) {
+      console.log('Snapshot capture already in progress. Skipping this run.');
+      return;
+    }
+
+    this.snapshotCaptureRunning = true;
+    const startTime = Date.now();
+
+    try {
+      const result = await SnapshotService.captureDailySnapshots();
+      const summary = {
+        ...result,
+        duration: `${((Date.now() - startTime) / 1000).toFixed(2)}s`
+      };
+
+      console.log('Snapshot capture completed:', summary);
+      await this.sendNotification('Snapshot Capture Completed', summary, result.failed > 0 ? 'error' : 'success');
+
+    } catch (error) {
+      console.error('Snapshot capture failed:', error);
+
+      await this.sendNotification('Snapshot Capture Failed', {
+        error: error.message,
+        duration: `${((Date.now() - startTime) / 1000).toFixed(2)}s`
+      }, 'error');
+    } finally {
+      this.snapshotCaptureRunning = false;
+    }
+  }
+
   /**
    * Manual NAV update for specific scheme codes
    */
@@ -248,6 +368,7 @@ class CronService {
   static async runDailyNavUpdateNow() {
     console.log('Running daily NAV update manually...');
     await this.updateAllPortfolioNavs();
+    await this.captureDailySnapshots();
   }
 }
 
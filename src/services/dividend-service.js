@@ -0,0 +1,148 @@
+import Portfolio from '../models/Portfolio.js';
+import Transaction from '../models/Transaction.js';
+import PortfolioRepository from '../repositories/portfolio-repository.js';
+import TransactionRepository from '../repositories/transaction-repository.js';
+import FundRepository from '../repositories/fund-repository.js';
+import PortfolioService from './portfolio-service.js';
+import NamedPortfolioService from './named-portfolio-service.js';
+import SnapshotService from './snapshot-service.js';
+import FifoHelpers from '../helpers/fifo-helpers.js';
+import PortfolioHelpers from '../helpers/portfolio-helpers.js';
+import DateUtils from '../utils/date-utils.js';
+
+const DIVIDEND_TYPES = ['DIVIDEND_PAYOUT', 'DIVIDEND_REINVEST'];
+
+/**
+ * Dividend Service
+ * Records IDCW (dividend) payouts and reinvestments and reports dividend income
+ */
+class DividendService {
+
+  /**
+   * Record a dividend on a holding
+   * Payouts are income only; reinvestments also allot units at the ex-date NAV as a new FIFO lot
+   * @param {ObjectId} userId - User ID
+   * @param {Number} schemeCode - Scheme code
+   * @param {String} option - PAYOUT or REINVEST
+   * @param {Number} amount - Dividend amount
+   * @param {Number} nav - NAV on the ex-dividend date
+   * @param {Date} date - Ex-dividend date
+   * @param {Object} options - Optional { namedPortfolioId } holding the fund, the user's default portfolio when not given
+   * @returns {Object} Dividend transaction
+   */
+  static async recordDividend(userId, schemeCode, option, amount, nav, date = new Date(), options = {}) {
+    return PortfolioService.runInTransaction(async session => {
+      const namedPortfolio = await NamedPortfolioService.resolve(userId, options.namedPortfolioId, { session });
+      const portfolio = await Portfolio.findOne({ userId, namedPortfolioId: namedPortfolio._id, schemeCode }).session(session);
+      if (!portfolio) {
+        throw new Error('Portfolio not found');
+      }
+      await PortfolioService.touchPortfolio(portfolio._id, { session });
+
+      // Dividends are only paid on units held on the ex-dividend date
+      const ledger = await PortfolioService.getLedger(portfolio._id, { session });
+      const { totalUnits } = FifoHelpers.replayLedger(ledger.filter(tx => tx.date <= date));
+      if (totalUnits <= 0) {
+        throw new Error('No units held on the ex-dividend date');
+      }
+
+      const isReinvest = option === 'REINVEST';
+      const units = isReinvest ? PortfolioHelpers.calculateUnitsFromAmount(amount, nav) : 0;
+      if (isReinvest && units <= 0) {
+        throw new Error('Dividend is too small to reinvest any units');
+      }
+
+      const transaction = new Transaction({
+        portfolioId: portfolio._id,
+        type: isReinvest ? 'DIVIDEND_REINVEST' : 'DIVIDEND_PAYOUT',
+        units,
+        nav,
+        amount,
+        date
+      });
+      await transaction.save({ session });
+      await SnapshotService.invalidateFrom(userId, date, { session });
+
+      // Reinvested units join the holding; a backdated reinvestment shifts later lots, so replay the ledger
+      if (isReinvest) {
+        if (ledger.some(existing => existing.date > date)) {
+          await PortfolioService.rebuildHolding(portfolio._id, schemeCode, { session });
+        } else {
+          await PortfolioService.updateHoldingAfterBuy(portfolio._id, schemeCode, units, nav, { session });
+        }
+      }
+
+      return { transaction };
+    });
+  }
+
+  /**
+   * Get dividend income grouped by financial year and scheme
+   * @param {ObjectId} userId - User ID
+   * @param {String} financialYear - Optional financial year ('YYYY-YY'); all years when omitted
+   * @returns {Array} Financial years, latest first, with per-scheme dividend income
+   */
+  static async getDividendReport(userId, financialYear = null) {
+    const portfolios = await PortfolioRepository.findByUserId(userId);
+    if (portfolios.length === 0) {
+      return [];
+    }
+
+    const range = financialYear ? DateUtils.getFinancialYearRange(financialYear) : null;
+    const dividends = await TransactionRepository.findByPortfolioIds(
+      portfolios.map(portfolio => portfolio._id),
+      {
+        types: DIVIDEND_TYPES,
+        startDate: range ? range.start : null,
+        endDate: range ? range.end : null
+      }
+    );
+
+    const schemeCodeByPortfolio = Object.fromEntries(
+      portfolios.map(portfolio => [String(portfolio._id), portfolio.schemeCode])
+    );
+    const funds = await FundRepository.findBySchemeCodes(portfolios.map(portfolio => portfolio.schemeCode));
+    const schemeNames = Object.fromEntries(funds.map(fund => [fund.schemeCode, fund.schemeName]));
+
+    const years = new Map();
+
+    for (const dividend of dividends) {
+      const year = DateUtils.getFinancialYear(dividend.date);
+      const schemeCode = schemeCodeByPortfolio[String(dividend.portfolioId)];
+
+      if (!years.has(year)) {
+        years.set(year, { financialYear: year, payout: 0, reinvested: 0, schemes: new Map() });
+      }
+      const yearEntry = years.get(year);
+
+      if (!yearEntry.schemes.has(schemeCode)) {
+        yearEntry.schemes.set(schemeCode, {
+          schemeCode,
+          schemeName: schemeNames[schemeCode] || null,
+          payout: 0,
+          reinvested: 0,
+          dividends: []
+        });
+      }
+      const schemeEntry = yearEntry.schemes.get(schemeCode);
+
+      const field = dividend.type === 'DIVIDEND_REINVEST' ? 'reinvested' : 'payout';
+      yearEntry[field] += dividend.amount;
+      schemeEntry[field] += dividend.amount;
+      schemeEntry.dividends.push(dividend);
+    }
+
+    return [...years.values()]
+      .sort((a, b) => b.financialYear.localeCompare(a.financialYear))
+      .map(yearEntry => ({
+        ...yearEntry,
+        totalIncome: yearEntry.payout + yearEntry.reinvested,
+        schemes: [...yearEntry.schemes.values()].map(schemeEntry => ({
+          ...schemeEntry,
+          totalIncome: schemeEntry.payout + schemeEntry.reinvested
+        }))
+      }));
+  }
+}
+
+export default DividendService;
@@ -0,0 +1,76 @@
+import PortfolioRepository from '../repositories/portfolio-repository.js';
+import TransactionRepository from '../repositories/transaction-repository.js';
+import FundRepository from '../repositories/fund-repository.js';
+import PortfolioService from './portfolio-service.js';
+import NamedPortfolioService from './named-portfolio-service.js';
+import PortfolioHelpers from '../helpers/portfolio-helpers.js';
+
+/**
+ * Export Service
+ * Supplies the records behind spreadsheet exports; the ledger is read through a cursor
+ * so exports of any size are written without loading every transaction
+ */
+class ExportService {
+
+  /**
+   * Get current holdings with their valuation
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} namedPortfolioId - Optional named portfolio; all of the user's portfolios when not given
+   * @returns {Array} Holdings from PortfolioService.calculatePortfolioValue
+   */
+  static async getHoldings(userId, namedPortfolioId = null) {
+    const portfolioValue = await PortfolioService.calculatePortfolioValue(userId, { namedPortfolioId });
+    return portfolioValue.holdings;
+  }
+
+  /**
+   * Stream the user's full transaction ledger, newest first
+   * @param {ObjectId} userId - User ID
+   * @param {Number} schemeCode - Optional scheme code filter
+   * @param {ObjectId} namedPortfolioId - Optional named portfolio; all of the user's portfolios when not given
+   * @returns {AsyncIterable} Transaction records
+   */
+  static async *getTransactions(userId, schemeCode = null, namedPortfolioId = null) {
+    const portfolios = await PortfolioRepository.findByUserId(userId, namedPortfolioId);
+    const funds = await FundRepository.findBySchemeCodes(portfolios.map(portfolio => portfolio.schemeCode));
+    const schemeNames = Object.fromEntries(funds.map(fund => [fund.schemeCode, fund.schemeName]));
+    const portfolioNames = await NamedPortfolioService.getNames(userId);
+
+    const transactions = await TransactionRepository.getUserTransactionHistory(userId, schemeCode, { stream: true, namedPortfolioId });
+
+    for await (const transaction of transactions) {
+      const portfolio = transaction.portfolioId;
+
+      yield {
+        transactionId: transaction._id,
+        date: transaction.date,
+        portfolioName: portfolio ? portfolioNames.get(String(portfolio.namedPortfolioId)) || null : null,
+        schemeCode: portfolio ? portfolio.schemeCode : null,
+        schemeName: portfolio ? schemeNames[portfolio.schemeCode] || null : null,
+        type: transaction.type,
+        units: transaction.units,
+        nav: transaction.nav,
+        amount: transaction.amount,
+        realizedPL: transaction.realizedPL ?? null,
+        switchId: transaction.switchId || null
+      };
+    }
+  }
+
+  /**
+   * Get the portfolio value history
+   * @param {ObjectId} userId - User ID
+   * @param {Object} options - Optional { days, startDate, endDate, interval, namedPortfolioId }
+   * @returns {Array} { date, totalInvestment, totalValue, profitLoss } per point
+   */
+  static async getValueHistory(userId, options = {}) {
+    const result = await PortfolioHelpers.getPortfolioValueHistory(userId, options);
+    if (!result.status) {
+      throw new Error(result.message || 'Failed to calculate portfolio history');
+    }
+
+    return result.data;
+  }
+}
+
+export default ExportService;
@@ -0,0 +1,388 @@
+import Portfolio from '../models/Portfolio.js';
+import Holding from '../models/holding.js';
+import FundNavHistory from '../models/fund-nav-history.js';
+import GoalRepository from '../repositories/goal-repository.js';
+import SipRepository from '../repositories/sip-repository.js';
+import FundRepository from '../repositories/fund-repository.js';
+import NavService from './nav-service.js';
+import NamedPortfolioService from './named-portfolio-service.js';
+import GoalHelpers from '../helpers/goal-helpers.js';
+import MathUtils from '../utils/math-utils.js';
+
+// A category's mean return is taken from history only when it covers at least a year
+const MIN_RETURN_HISTORY_DAYS = 365;
+
+// Funds sampled per category for historical returns
+const CATEGORY_SAMPLE_SIZE = 25;
+
+/**
+ * Goal Service
+ * Tracks financial goals funded by linked holdings and SIPs, projecting whether each goal will reach its target
+ */
+class GoalService {
+
+  /**
+   * Create a goal
+   * @param {ObjectId} userId - User ID
+   * @param {Object} data - Validated { name, targetAmount, targetDate, expectedReturn, linkedHoldings, linkedSipIds }
+   * @returns {Object} Created goal
+   */
+  static async createGoal(userId, data) {
+    await this.validateLinks(userId, data);
+
+    return GoalRepository.create({ userId, ...data });
+  }
+
+  /**
+   * Update a goal; linked holdings and SIPs given replace the existing links
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} goalId - Goal ID
+   * @param {Object} data - Validated changes
+   * @returns {Object} Updated goal
+   */
+  static async updateGoal(userId, goalId, data) {
+    await this.getGoal(userId, goalId);
+    await this.validateLinks(userId, data);
+
+    return GoalRepository.updateByIdForUser(goalId, userId, data);
+  }
+
+  /**
+   * Delete a goal
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} goalId - Goal ID
+   */
+  static async deleteGoal(userId, goalId) {
+    await this.getGoal(userId, goalId);
+    await GoalRepository.deleteByIdForUser(goalId, userId);
+  }
+
+  /**
+   * Get one of a user's goals
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} goalId - Goal ID
+   * @returns {Object} Goal
+   */
+  static async getGoal(userId, goalId) {
+    const goal = await GoalRepository.findByIdForUser(goalId, userId);
+    if (!goal) {
+      throw new Error('Goal not found with the provided ID');
+    }
+
+    return goal;
+  }
+
+  /**
+   * List a user's goals with their progress
+   * @param {ObjectId} userId - User ID
+   * @returns {Array} { goal, progress } for each goal, nearest target date first
+   */
+  static async listGoals(userId) {
+    const goals = await GoalRepository.findByUserId(userId);
+    const categoryStats = new Map();
+    const result = [];
+
+    for (const goal of goals) {
+      result.push({ goal, progress: await this.calculateProgress(userId, goal, categoryStats) });
+    }
+
+    return result;
+  }
+
+  /**
+   * Get a goal with its progress
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} goalId - Goal ID
+   * @returns {Object} { goal, progress }
+   */
+  static async getGoalWithProgress(userId, goalId) {
+    const goal = await this.getGoal(userId, goalId);
+
+    return { goal, progress: await this.calculateProgress(userId, goal) };
+  }
+
+  /**
+   * Calculate a goal's current linked value, projection and on-track status
+   * The projection compounds the linked value and active SIP instalments at the goal's expected return.
+   * The chance of reaching the target compares the return the goal needs with the historical returns of
+   * the linked funds' categories in FundNavHistory; a category's mean return falls back to the goal's
+   * expected return until a year of history is available
+   * @param {ObjectId} userId - User ID
+   * @param {Object} goal - Goal
+   * @param {Map} categoryStats - Optional cache of category return statistics shared across goals
+   * @param {Date} asOf - Valuation date
+   * @returns {Object} Goal progress
+   */
+  static async calculateProgress(userId, goal, categoryStats = new Map(), asOf = new Date()) {
+    const monthsRemaining = GoalHelpers.monthsBetween(asOf, goal.targetDate);
+    const holdings = await this.getLinkedHoldings(userId, goal);
+    const sips = await this.getLinkedSips(userId, goal, holdings, asOf);
+
+    const currentValue = MathUtils.sum([...holdings, ...sips].map(item => item.currentValue));
+    const contributions = sips
+      .filter(item => item.monthlyAmount > 0)
+      .map(item => ({ monthlyAmount: item.monthlyAmount, months: item.contributionMonths }));
+    const monthlyContribution = MathUtils.sum(contributions.map(contribution => contribution.monthlyAmount));
+
+    const rate = GoalHelpers.monthlyRate(goal.expectedReturn);
+    const projectedValue = GoalHelpers.projectValue(currentValue, contributions, rate, monthsRemaining);
+    const shortfall = Math.max(0, goal.targetAmount - projectedValue);
+    const requiredReturn = monthsRemaining > 0
+      ? GoalHelpers.requiredAnnualReturn(currentValue, contributions, goal.targetAmount, monthsRemaining)
+      : null;
+
+    const returnBasis = await this.getReturnBasis(goal, [...holdings, ...sips], monthsRemaining, categoryStats);
+    const years = monthsRemaining / 12;
+    let probability = null;
+    let status;
+
+    if (currentValue >= goal.targetAmount) {
+      status = 'ACHIEVED';
+      probability = 1;
+    } else if (monthsRemaining === 0 || requiredReturn === null) {
+      status = 'OFF_TRACK';
+      probability = monthsRemaining === 0 ? 0 : null;
+    } else {
+      probability = GoalHelpers.probabilityOfReturn(requiredReturn, returnBasis.meanLogReturn, returnBasis.volatility, years);
+      status = (probability !== null ? probability >= 0.5 : projectedValue >= goal.targetAmount) ? 'ON_TRACK' : 'OFF_TRACK';
+    }
+
+    return {
+      currentValue,
+      progressPercent: (currentValue / goal.targetAmount) * 100,
+      monthsRemaining,
+      monthlyContribution,
+      projectedValue,
+      shortfall,
+      requiredMonthlyInvestment: GoalHelpers.requiredMonthlyInvestment(shortfall, rate, monthsRemaining),
+      projectedCompletionDate: GoalHelpers.projectCompletionDate(
+        currentValue,
+        sips.map(item => ({ monthlyAmount: item.monthlyAmount, months: item.ongoingMonths })),
+        rate,
+        goal.targetAmount,
+        asOf
+      ),
+      requiredReturn,
+      probability,
+      status,
+      returnBasis: {
+        source: returnBasis.source,
+        meanReturn: (Math.exp(returnBasis.meanLogReturn) - 1) * 100,
+        volatility: returnBasis.volatility !== null ? returnBasis.volatility * 100 : null
+      },
+      holdings,
+      sips
+    };
+  }
+
+  /**
+   * Value the goal's linked holdings at the latest NAV
+   * @param {ObjectId} userId - User ID
+   * @param {Object} goal - Goal
+   * @returns {Array} { schemeCode, portfolioId, allocationPercent, units, currentNav, currentValue }
+   */
+  static async getLinkedHoldings(userId, goal) {
+    const result = [];
+
+    for (const link of goal.linkedHoldings) {
+      const units = (await this.getHeldUnits(userId, link.schemeCode, link.portfolioId)) * link.allocationPercent / 100;
+      const currentNav = await this.getCurrentNav(link.schemeCode);
+
+      result.push({
+        schemeCode: link.schemeCode,
+        portfolioId: link.portfolioId,
+        allocationPercent: link.allocationPercent,
+        units,
+        currentNav,
+        currentValue: currentNav !== null ? units * currentNav : 0
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Value the units bought by the goal's linked SIPs and work out their future monthly instalments
+   * A SIP's units are not counted again when its fund is also linked as a holding, and never exceed the units
+   * still held; only active SIPs contribute future instalments, until their end date
+   * @param {ObjectId} userId - User ID
+   * @param {Object} goal - Goal
+   * @param {Array} holdings - Valued linked holdings
+   * @param {Date} asOf - Valuation date
+   * @returns {Array} Linked SIPs with their units, value and monthly contribution
+   */
+  static async getLinkedSips(userId, goal, holdings, asOf) {
+    if (goal.linkedSipIds.length === 0) {
+      return [];
+    }
+
+    const sips = await SipRepository.findByIdsForUser(goal.linkedSipIds, userId);
+    const linkedSchemes = new Set(holdings.map(holding => holding.schemeCode));
+    const targetMonths = GoalHelpers.monthsBetween(asOf, goal.targetDate);
+    const result = [];
+
+    for (const sip of sips) {
+      let units = 0;
+      let currentNav = null;
+
+      if (!linkedSchemes.has(sip.schemeCode)) {
+        const boughtUnits = MathUtils.sum(
+          sip.executions.filter(execution => execution.status === 'SUCCESS').map(execution => execution.units)
+        );
+        units = Math.min(boughtUnits, await this.getHeldUnits(userId, sip.schemeCode));
+        currentNav = await this.getCurrentNav(sip.schemeCode);
+      }
+
+      const isActive = sip.status === 'ACTIVE';
+      const ongoingMonths = !isActive ? 0 : (sip.endDate ? GoalHelpers.monthsBetween(asOf, sip.endDate) : Infinity);
+
+      result.push({
+        sipId: sip._id,
+        schemeCode: sip.schemeCode,
+        amount: sip.amount,
+        frequency: sip.frequency,
+        sipStatus: sip.status,
+        monthlyAmount: isActive ? sip.amount * GoalHelpers.MONTHLY_FACTORS[sip.frequency] : 0,
+        contributionMonths: Math.min(ongoingMonths, targetMonths),
+        ongoingMonths,
+        units,
+        currentNav,
+        currentValue: currentNav !== null ? units * currentNav : 0
+      });
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the mean log return and volatility a goal's odds are judged on, weighting each linked fund's
+   * category by its current value plus the instalments still to come
+   * @param {Object} goal - Goal
+   * @param {Array} items - Valued linked holdings and SIPs
+   * @param {Number} monthsRemaining - Months to the target date
+   * @param {Map} categoryStats - Cache of category return statistics
+   * @returns {Object} { source, meanLogReturn, volatility }
+   */
+  static async getReturnBasis(goal, items, monthsRemaining, categoryStats) {
+    const expectedLogReturn = Math.log(1 + goal.expectedReturn / 100);
+    const funds = await FundRepository.findBySchemeCodes([...new Set(items.map(item => item.schemeCode))]);
+    const categories = new Map(funds.map(fund => [fund.schemeCode, fund.schemeCategory]));
+
+    const means = [];
+    const meanWeights = [];
+    const volatilities = [];
+    const volatilityWeights = [];
+    let usesHistory = false;
+
+    for (const item of items) {
+      const weight = item.currentValue + (item.monthlyAmount || 0) * Math.min(item.contributionMonths ?? 0, monthsRemaining);
+      const stats = weight > 0 ? await this.getCategoryStats(categories.get(item.schemeCode), categoryStats) : null;
+      if (!stats) {
+        continue;
+      }
+
+      volatilities.push(stats.volatility);
+      volatilityWeights.push(weight);
+
+      means.push(stats.meanLogReturn ?? expectedLogReturn);
+      meanWeights.push(weight);
+      usesHistory = usesHistory || stats.meanLogReturn !== null;
+    }
+
+    if (volatilities.length === 0) {
+      return { source: 'EXPECTED_RETURN', meanLogReturn: expectedLogReturn, volatility: null };
+    }
+
+    return {
+      source: usesHistory ? 'CATEGORY_HISTORY' : 'EXPECTED_RETURN',
+      meanLogReturn: MathUtils.weightedAverage(means, meanWeights),
+      volatility: MathUtils.weightedAverage(volatilities, volatilityWeights)
+    };
+  }
+
+  /**
+   * Get the average annualised return and volatility of a sample of funds in a category
+   * @param {String} schemeCategory - Scheme category
+   * @param {Map} categoryStats - Cache of category return statistics
+   * @returns {Object|null} { meanLogReturn (null below a year of history), volatility }, or null without history
+   */
+  static async getCategoryStats(schemeCategory, categoryStats) {
+    if (!schemeCategory) {
+      return null;
+    }
+
+    if (categoryStats.has(schemeCategory)) {
+      return categoryStats.get(schemeCategory);
+    }
+
+    const funds = await FundRepository.findByExactCategory(schemeCategory, CATEGORY_SAMPLE_SIZE);
+    const histories = await FundNavHistory.find({ schemeCode: { $in: funds.map(fund => fund.schemeCode) } }).select('history');
+    const fundStats = histories
+      .map(doc => GoalHelpers.calculateReturnStats(doc.history))
+      .filter(Boolean);
+
+    let stats = null;
+    if (fundStats.length > 0) {
+      const longHistories = fundStats.filter(item => item.days >= MIN_RETURN_HISTORY_DAYS);
+
+      stats = {
+        meanLogReturn: longHistories.length > 0 ? MathUtils.average(longHistories.map(item => item.meanLogReturn)) : null,
+        volatility: MathUtils.average(fundStats.map(item => item.volatility))
+      };
+    }
+
+    categoryStats.set(schemeCategory, stats);
+    return stats;
+  }
+
+  /**
+   * Check that linked funds exist and that linked portfolios and SIPs belong to the user
+   * @param {ObjectId} userId - User ID
+   * @param {Object} data - Validated goal data
+   */
+  static async validateLinks(userId, data) {
+    for (const link of data.linkedHoldings || []) {
+      const fund = await FundRepository.findBySchemeCode(link.schemeCode);
+      if (!fund) {
+        throw new Error(`Fund not found with scheme code ${link.schemeCode}`);
+      }
+
+      if (link.portfolioId) {
+        await NamedPortfolioService.resolve(userId, link.portfolioId);
+      }
+    }
+
+    if (data.linkedSipIds && data.linkedSipIds.length > 0) {
+      const sips = await SipRepository.findByIdsForUser(data.linkedSipIds, userId);
+      if (sips.length !== new Set(data.linkedSipIds.map(String)).size) {
+        throw new Error('SIP not found with the provided ID');
+      }
+    }
+  }
+
+  /**
+   * Get the units of a fund the user holds, in one named portfolio or across all of them
+   * @param {ObjectId} userId - User ID
+   * @param {Number} schemeCode - Scheme code
+   * @param {ObjectId} namedPortfolioId - Optional named portfolio
+   * @returns {Number} Units held
+   */
+  static async getHeldUnits(userId, schemeCode, namedPortfolioId = null) {
+    const positions = await Portfolio.find({ userId, schemeCode, ...(namedPortfolioId && { namedPortfolioId }) });
+    const holdings = await Holding.find({ portfolioId: { $in: positions.map(position => position._id) }, schemeCode });
+
+    return MathUtils.sum(holdings.map(holding => holding.totalUnits));
+  }
+
+  /**
+   * Get a fund's latest NAV, or null when none is available
+   * @param {Number} schemeCode - Scheme code
+   * @returns {Number|null} Latest NAV
+   */
+  static async getCurrentNav(schemeCode) {
+    const navData = await NavService.getLatestNav(schemeCode);
+    return navData.success ? navData.data.nav : null;
+  }
+}
+
+export default GoalService;
@@ -0,0 +1,309 @@
+import HouseholdRepository from '../repositories/household-repository.js';
+import UserRepository from '../repositories/user-repository.js';
+import FundRepository from '../repositories/fund-repository.js';
+import PortfolioService from './portfolio-service.js';
+import PortfolioHelpers from '../helpers/portfolio-helpers.js';
+import MathUtils from '../utils/math-utils.js';
+import DateUtils from '../utils/date-utils.js';
+
+/**
+ * Household Service
+ * Households let family members with separate logins see, and optionally manage, each other's portfolios
+ * Each active member grants the others READ or MANAGE access to their own portfolio; an invited user
+ * grants nothing until they join
+ */
+class HouseholdService {
+
+  /**
+   * Create a household with the user as its owner
+   * @param {ObjectId} userId - User ID
+   * @param {Object} data - Validated { name, permission }
+   * @returns {Object} Created household
+   */
+  static async createHousehold(userId, data) {
+    const now = new Date();
+
+    return HouseholdRepository.create({
+      name: data.name,
+      ownerId: userId,
+      members: [{
+        userId,
+        role: 'OWNER',
+        status: 'ACTIVE',
+        permission: data.permission || 'READ',
+        invitedBy: userId,
+        invitedAt: now,
+        joinedAt: now
+      }]
+    });
+  }
+
+  /**
+   * List the households a user belongs to or is invited to
+   * @param {ObjectId} userId - User ID
+   * @returns {Object} { households, users } with member names and emails by user ID
+   */
+  static async listHouseholds(userId) {
+    const households = await HouseholdRepository.findByMember(userId);
+    const users = await this.getMemberUsers(households);
+
+    return { households, users };
+  }
+
+  /**
+   * Get a household the user belongs to or is invited to
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} householdId - Household ID
+   * @returns {Object} { household, users } with member names and emails by user ID
+   */
+  static async getHousehold(userId, householdId) {
+    const household = await this.findForMember(userId, householdId);
+    const users = await this.getMemberUsers([household]);
+
+    return { household, users };
+  }
+
+  /**
+   * Invite a registered user to the household by email; only the owner can invite
+   * @param {ObjectId} userId - Owner's user ID
+   * @param {ObjectId} householdId - Household ID
+   * @param {String} email - Email of the user to invite
+   * @returns {Object} Updated household
+   */
+  static async inviteMember(userId, householdId, email) {
+    const household = await this.findForMember(userId, householdId);
+    this.assertOwner(household, userId, 'Only the household owner can invite members');
+
+    const invitee = await UserRepository.findByEmail(email);
+    if (!invitee) {
+      throw new Error('User not found with the provided email');
+    }
+
+    const updated = await HouseholdRepository.addMember(household._id, {
+      userId: invitee._id,
+      role: 'MEMBER',
+      status: 'INVITED',
+      invitedBy: userId,
+      invitedAt: new Date()
+    });
+    if (!updated) {
+      throw new Error('User is already a member of this household');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Accept an invitation, granting the other members the given access to the user's portfolio
+   * @param {ObjectId} userId - Invited user's ID
+   * @param {ObjectId} householdId - Household ID
+   * @param {String} permission - READ or MANAGE
+   * @returns {Object} Updated household
+   */
+  static async joinHousehold(userId, householdId, permission = 'READ') {
+    await this.findForMember(userId, householdId);
+
+    const updated = await HouseholdRepository.updateMember(householdId, userId, 'INVITED', {
+      status: 'ACTIVE',
+      permission,
+      joinedAt: new Date()
+    });
+    if (!updated) {
+      throw new Error('You are already an active member of this household');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Change the access the user grants the other members to their portfolio
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} householdId - Household ID
+   * @param {String} permission - READ or MANAGE
+   * @returns {Object} Updated household
+   */
+  static async updatePermission(userId, householdId, permission) {
+    await this.findForMember(userId, householdId);
+
+    const updated = await HouseholdRepository.updateMember(householdId, userId, 'ACTIVE', { permission });
+    if (!updated) {
+      throw new Error('Only active members can grant access. Join the household first.');
+    }
+
+    return updated;
+  }
+
+  /**
+   * Remove a member: the owner can remove anyone else, and members can leave or decline an invitation
+   * @param {ObjectId} userId - User ID of the caller
+   * @param {ObjectId} householdId - Household ID
+   * @param {ObjectId} memberId - User ID of the member to remove
+   * @returns {Object} Updated household
+   */
+  static async removeMember(userId, householdId, memberId) {
+    const household = await this.findForMember(userId, householdId);
+    const isSelf = String(memberId) === String(userId);
+
+    if (!isSelf) {
+      this.assertOwner(household, userId, 'Only the household owner can remove other members');
+    }
+
+    const member = this.findMember(household, memberId);
+    if (!member) {
+      throw new Error('Member not found in this household');
+    }
+
+    if (member.role === 'OWNER') {
+      throw new Error('The owner cannot leave the household. Delete it instead.');
+    }
+
+    return HouseholdRepository.removeMember(household._id, member.userId);
+  }
+
+  /**
+   * Delete a household; only the owner can delete it
+   * @param {ObjectId} userId - Owner's user ID
+   * @param {ObjectId} householdId - Household ID
+   */
+  static async deleteHousehold(userId, householdId) {
+    const household = await this.findForMember(userId, householdId);
+    this.assertOwner(household, userId, 'Only the household owner can delete the household');
+
+    await HouseholdRepository.deleteById(household._id);
+  }
+
+  /**
+   * Check whether a user may access another user's portfolio through a household they both belong to
+   * MANAGE access includes READ; across several shared households the broadest grant applies
+   * @param {ObjectId} actorId - User ID of the caller
+   * @param {ObjectId} memberId - User ID of the portfolio owner
+   * @param {String} permission - Access required, READ or MANAGE
+   * @returns {Boolean} Whether access is granted
+   */
+  static async hasAccess(actorId, memberId, permission) {
+    const households = await HouseholdRepository.findSharedByActiveMembers(actorId, memberId);
+
+    return households.some(household => {
+      const member = this.findMember(household, memberId);
+      return member && (permission === 'READ' || member.permission === 'MANAGE');
+    });
+  }
+
+  /**
+   * Aggregate the value, allocation and XIRR of every active member's holdings
+   * XIRR is computed over the members' combined cash flows, so it is the household's money-weighted return
+   * @param {ObjectId} userId - User ID of an active member
+   * @param {ObjectId} householdId - Household ID
+   * @returns {Object} Household valuation with per-member totals, allocation and holdings
+   */
+  static async getSummary(userId, householdId) {
+    const household = await this.findForMember(userId, householdId);
+    if (this.findMember(household, userId).status !== 'ACTIVE') {
+      throw new Error('Only active members can view the household summary');
+    }
+
+    const activeMembers = household.members.filter(member => member.status === 'ACTIVE');
+    const users = await this.getMemberUsers([household]);
+    const householdCashFlows = [];
+    const holdings = [];
+    const members = [];
+
+    for (const member of activeMembers) {
+      const memberId = String(member.userId);
+      const memberName = users.get(memberId)?.name || null;
+      const valuation = await PortfolioService.calculatePortfolioValue(member.userId);
+
+      householdCashFlows.push(...valuation.cashFlows);
+      holdings.push(...valuation.holdings.map(holding => ({ ...holding, memberId, memberName })));
+      members.push({
+        userId: memberId,
+        name: memberName,
+        role: member.role,
+        permission: member.permission,
+        totalInvestment: valuation.totalInvestment,
+        currentValue: valuation.currentValue,
+        profitLoss: valuation.profitLoss,
+        xirr: valuation.xirr,
+        fundCount: valuation.holdings.length
+      });
+    }
+
+    const funds = await FundRepository.findBySchemeCodes([...new Set(holdings.map(holding => holding.schemeCode))]);
+    const categories = new Map(funds.map(fund => [fund.schemeCode, fund.schemeCategory]));
+
+    const totalInvestment = members.reduce((sum, member) => sum + member.totalInvestment, 0);
+    const currentValue = members.reduce((sum, member) => sum + member.currentValue, 0);
+    const profitLoss = currentValue - totalInvestment;
+
+    return {
+      household,
+      totalInvestment,
+      currentValue,
+      profitLoss,
+      profitLossPercent: totalInvestment > 0 ? (profitLoss / totalInvestment) * 100 : 0,
+      xirr: MathUtils.calculateXIRR(householdCashFlows),
+      asOn: DateUtils.formatToApiDate(new Date()),
+      members,
+      allocation: {
+        byMember: PortfolioHelpers.calculateAllocation(holdings, holding => holding.memberId)
+          .map(group => ({ ...group, name: users.get(group.key)?.name || null })),
+        byCategory: PortfolioHelpers.calculateAllocation(holdings, holding => categories.get(holding.schemeCode))
+      },
+      holdings
+    };
+  }
+
+  /**
+   * Get a household the user belongs to or is invited to; other households are reported as not found
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} householdId - Household ID
+   * @returns {Object} Household
+   */
+  static async findForMember(userId, householdId) {
+    const household = await HouseholdRepository.findById(householdId);
+    if (!household || !this.findMember(household, userId)) {
+      throw new Error('Household not found');
+    }
+
+    return household;
+  }
+
+  /**
+   * Find a user's membership entry in a household
+   * @param {Object} household - Household
+   * @param {ObjectId} userId - User ID
+   * @returns {Object|undefined} Member entry
+   */
+  static findMember(household, userId) {
+    return household.members.find(member => String(member.userId) === String(userId));
+  }
+
+  /**
+   * Throw unless the user owns the household
+   * @param {Object} household - Household
+   * @param {ObjectId} userId - User ID
+   * @param {String} message - Error message for other members
+   */
+  static assertOwner(household, userId, message) {
+    if (String(household.ownerId) !== String(userId)) {
+      throw new Error(message);
+    }
+  }
+
+  /**
+   * Get the names and emails of the members of some households
+   * @param {Array} households - Households
+   * @returns {Map} { name, email } by user ID
+   */
+  static async getMemberUsers(households) {
+    const userIds = [...new Set(households.flatMap(household => household.members.map(member => String(member.userId))))];
+    if (userIds.length === 0) {
+      return new Map();
+    }
+
+    const users = await UserRepository.findWithQuery({ _id: { $in: userIds } }, { limit: userIds.length });
+    return new Map(users.map(user => [String(user._id), { name: user.name, email: user.email }]));
+  }
+}
+
+export default HouseholdService;
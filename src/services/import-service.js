@@ -0,0 +1,398 @@
+import Portfolio from '../models/Portfolio.js';
+import Transaction from '../models/Transaction.js';
+import FundRepository from '../repositories/fund-repository.js';
+import PortfolioService from './portfolio-service.js';
+import NamedPortfolioService from './named-portfolio-service.js';
+import TransactionService from './transaction-service.js';
+import SnapshotService from './snapshot-service.js';
+import NavService from './nav-service.js';
+import PortfolioRequest from '../requests/user/portfolio-request.js';
+import FifoHelpers from '../helpers/fifo-helpers.js';
+import PortfolioHelpers from '../helpers/portfolio-helpers.js';
+import CsvUtils from '../utils/csv-utils.js';
+import DateUtils from '../utils/date-utils.js';
+
+// Largest number of rows accepted in one import
+const MAX_IMPORT_ROWS = 1000;
+
+// Relative difference above which a supplied NAV is flagged against the stored NAV history
+const NAV_MISMATCH_TOLERANCE = 0.005;
+
+// Accepted spellings of each column, compared lowercased with spaces, dashes and underscores removed
+const COLUMN_ALIASES = {
+  date: 'date',
+  transactiondate: 'date',
+  schemecode: 'schemeCode',
+  isin: 'isin',
+  type: 'type',
+  transactiontype: 'type',
+  units: 'units',
+  amount: 'amount',
+  nav: 'nav'
+};
+
+/**
+ * Import Service
+ * Imports historical transactions from CSV, previewing every row against the fund list,
+ * stored NAV history and the existing ledger before anything is written
+ */
+class ImportService {
+
+  /**
+   * Check and optionally record the transactions in a CSV
+   * Rows are applied in date order; a rejected row never affects the rows after it
+   * @param {ObjectId} userId - User ID
+   * @param {String} csvText - CSV with date, schemeCode or isin, type, units and/or amount and optional nav columns
+   * @param {Object} options - Optional { dryRun }, true by default, and { namedPortfolioId }, the user's default portfolio when not given
+   * @returns {Object} Per-row results and summary
+   */
+  static async importTransactions(userId, csvText, options = {}) {
+    const { dryRun = true } = options;
+    const records = this.parseCsv(csvText);
+    const namedPortfolio = await NamedPortfolioService.resolve(userId, options.namedPortfolioId);
+
+    // Creation times follow file order so same-day rows replay in the order they were listed
+    const importedAt = Date.now();
+
+    const funds = new Map();
+    const navs = new Map();
+    const ledgers = new Map();
+    const rows = [];
+
+    for (const record of records) {
+      rows.push(await this.resolveRow(record, funds, navs));
+    }
+
+    // Later rows may depend on earlier purchases, so the ledger check runs in date order
+    const ordered = rows
+      .filter(row => row.errors.length === 0)
+      .sort((a, b) => (a.date - b.date) || (a.row - b.row));
+
+    for (const row of ordered) {
+      if (!ledgers.has(row.schemeCode)) {
+        ledgers.set(row.schemeCode, await this.getExistingLedger(userId, row.schemeCode, namedPortfolio._id));
+      }
+      this.checkAgainstLedger(row, ledgers.get(row.schemeCode), importedAt);
+    }
+
+    rows.forEach(row => {
+      row.status = row.errors.length === 0 ? 'ACCEPTED' : 'REJECTED';
+    });
+
+    const accepted = rows.filter(row => row.status === 'ACCEPTED');
+    const committed = !dryRun && accepted.length > 0;
+
+    if (committed) {
+      await this.recordRows(userId, accepted, importedAt, namedPortfolio._id);
+    }
+
+    return {
+      dryRun,
+      committed,
+      summary: {
+        totalRows: rows.length,
+        accepted: accepted.length,
+        rejected: rows.length - accepted.length,
+        navMismatches: rows.filter(row => row.navMismatch).length
+      },
+      rows
+    };
+  }
+
+  /**
+   * Parse the CSV into records keyed by column name
+   * @param {String} csvText - CSV document
+   * @returns {Array} Records { row, values }, numbered from the first data row
+   */
+  static parseCsv(csvText) {
+    const [header, ...lines] = CsvUtils.parse(csvText || '');
+    if (!header || lines.length === 0) {
+      throw new Error('CSV has no rows to import');
+    }
+
+    if (lines.length > MAX_IMPORT_ROWS) {
+      throw new Error(`CSV cannot contain more than ${MAX_IMPORT_ROWS} rows`);
+    }
+
+    const columns = header.map(name => COLUMN_ALIASES[name.toLowerCase().replace(/[\s_-]/g, '')] || null);
+    const missing = [];
+    if (!columns.includes('date')) missing.push('date');
+    if (!columns.includes('type')) missing.push('type');
+    if (!columns.includes('schemeCode') && !columns.includes('isin')) missing.push('schemeCode or isin');
+    if (!columns.includes('units') && !columns.includes('amount')) missing.push('units or amount');
+
+    if (missing.length > 0) {
+      throw new Error(`CSV is missing required columns: ${missing.join(', ')}`);
+    }
+
+    return lines.map((cells, index) => {
+      const values = {};
+      columns.forEach((column, i) => {
+        // Empty cells count as missing so optional columns can be left blank
+        if (column && cells[i]) {
+          values[column] = cells[i];
+        }
+      });
+
+      return { row: index + 1, values };
+    });
+  }
+
+  /**
+   * Validate a row, resolve its fund and price it against the stored NAV history
+   * @param {Object} record - Parsed record
+   * @param {Map} funds - Fund lookups cached by scheme code or ISIN
+   * @param {Map} navs - NAV lookups cached by scheme and date
+   * @returns {Object} Row result; errors is empty when the row can be imported
+   */
+  static async resolveRow(record, funds, navs) {
+    const result = {
+      row: record.row,
+      status: null,
+      schemeCode: null,
+      schemeName: null,
+      isin: record.values.isin || null,
+      type: record.values.type || null,
+      date: null,
+      units: null,
+      nav: null,
+      amount: null,
+      navSource: null,
+      navMismatch: null,
+      errors: []
+    };
+
+    const validation = PortfolioRequest.validateImportRow(record.values);
+    if (!validation.isValid) {
+      result.errors = validation.errors;
+      return result;
+    }
+
+    const data = validation.data;
+    result.type = data.type;
+    result.isin = data.isin || null;
+    result.date = DateUtils.parseApiDate(data.date);
+
+    const fund = await this.findFund(data, funds);
+    if (!fund) {
+      result.errors.push({
+        field: data.schemeCode ? 'schemeCode' : 'isin',
+        message: data.schemeCode ? 'Fund not found with the provided scheme code' : 'No fund found with the provided ISIN'
+      });
+      return result;
+    }
+
+    if (data.schemeCode && data.isin && fund.isinGrowth !== data.isin && fund.isinDivReinvestment !== data.isin) {
+      result.errors.push({ field: 'isin', message: 'ISIN does not belong to the provided scheme code' });
+      return result;
+    }
+
+    result.schemeCode = fund.schemeCode;
+    result.schemeName = fund.schemeName;
+    result.isin = data.isin || fund.isinGrowth || fund.isinDivReinvestment || null;
+
+    const historyNav = await this.getHistoryNav(fund.schemeCode, result.date, navs);
+
+    // A row with both units and amount carries its own price
+    let nav = data.nav;
+    if (!nav && data.units && data.amount) {
+      nav = data.amount / data.units;
+    }
+
+    if (nav) {
+      result.navSource = 'FILE';
+      if (historyNav) {
+        const difference = (nav - historyNav.nav) / historyNav.nav;
+        if (Math.abs(difference) > NAV_MISMATCH_TOLERANCE) {
+          result.navMismatch = {
+            historyNav: historyNav.nav,
+            navDate: historyNav.date,
+            differencePercent: difference * 100
+          };
+        }
+      }
+    } else if (historyNav) {
+      nav = historyNav.nav;
+      result.navSource = 'HISTORY';
+    } else {
+      result.errors.push({ field: 'nav', message: `No NAV available on or before ${data.date}; add a nav column for this row` });
+      return result;
+    }
+
+    const order = data.units
+      ? { units: data.units, amount: data.amount || PortfolioHelpers.calculateAmountFromUnits(data.units, nav) }
+      : PortfolioHelpers.resolveOrderUnits({ amount: data.amount }, nav, data.type);
+
+    if (order.units <= 0) {
+      result.errors.push({ field: 'amount', message: 'Amount is too small to allot any units at the applicable NAV' });
+      return result;
+    }
+
+    result.nav = nav;
+    result.units = order.units;
+    result.amount = order.amount;
+    return result;
+  }
+
+  /**
+   * Find the fund a row refers to, preferring the scheme code over the ISIN
+   * @param {Object} data - Validated row
+   * @param {Map} funds - Fund lookups cached by scheme code or ISIN
+   * @returns {Object|null} Fund, or null when not found
+   */
+  static async findFund(data, funds) {
+    const key = data.schemeCode ? `code:${data.schemeCode}` : `isin:${data.isin}`;
+
+    if (!funds.has(key)) {
+      funds.set(key, data.schemeCode
+        ? await FundRepository.findBySchemeCode(data.schemeCode)
+        : await FundRepository.findByIsin(data.isin));
+    }
+
+    return funds.get(key);
+  }
+
+  /**
+   * Get the stored NAV applicable on a date
+   * @param {Number} schemeCode - Scheme code
+   * @param {Date} date - Transaction date
+   * @param {Map} navs - NAV lookups cached by scheme and date
+   * @returns {Object|null} { nav, date }, or null when no NAV is available
+   */
+  static async getHistoryNav(schemeCode, date, navs) {
+    const key = `${schemeCode}:${DateUtils.formatToApiDate(date)}`;
+
+    if (!navs.has(key)) {
+      const navData = await NavService.getNavOnDate(schemeCode, date);
+      navs.set(key, navData.success ? { nav: navData.data.nav, date: navData.data.date } : null);
+    }
+
+    return navs.get(key);
+  }
+
+  /**
+   * Get the user's recorded transactions in a scheme within a named portfolio
+   * @param {ObjectId} userId - User ID
+   * @param {Number} schemeCode - Scheme code
+   * @param {ObjectId} namedPortfolioId - Named portfolio ID
+   * @returns {Array} Transactions, oldest first
+   */
+  static async getExistingLedger(userId, schemeCode, namedPortfolioId) {
+    const portfolio = await Portfolio.findOne({ userId, namedPortfolioId, schemeCode });
+    return portfolio ? PortfolioService.getLedger(portfolio._id) : [];
+  }
+
+  /**
+   * Reject a row that repeats a recorded transaction, would oversell or pays a dividend on no units,
+   * otherwise add it to the ledger
+   * @param {Object} row - Resolved row
+   * @param {Array} ledger - Recorded and already accepted transactions, oldest first
+   * @param {Number} importedAt - Import time in milliseconds
+   */
+  static checkAgainstLedger(row, ledger, importedAt) {
+    const day = DateUtils.formatToApiDate(row.date);
+    const isPayout = row.type === 'DIVIDEND_PAYOUT';
+
+    // Payouts carry no units, so they are matched on amount
+    const duplicate = ledger.some(tx =>
+      !tx.imported &&
+      tx.type === row.type &&
+      DateUtils.formatToApiDate(tx.date) === day &&
+      (isPayout ? Math.abs(tx.amount - row.amount) < 0.005 : Math.abs(tx.units - row.units) < 0.0005)
+    );
+
+    if (duplicate) {
+      row.errors.push({
+        field: 'row',
+        message: isPayout
+          ? `Duplicates a ${row.type} of ${row.amount} already recorded on ${day}`
+          : `Duplicates a ${row.type} of ${row.units} units already recorded on ${day}`
+      });
+      return;
+    }
+
+    // Imported rows are recorded after existing transactions of the same day
+    const candidate = {
+      _id: `import-${row.row}`,
+      type: row.type,
+      units: row.units,
+      nav: row.nav,
+      amount: row.amount,
+      date: row.date,
+      createdAt: new Date(importedAt + row.row),
+      imported: true
+    };
+    const candidateLedger = PortfolioService.sortLedger([...ledger, candidate]);
+
+    // Dividends are only paid on units held on the ex-dividend date
+    if (isPayout) {
+      const held = FifoHelpers.replayLedger(candidateLedger.slice(0, candidateLedger.indexOf(candidate))).totalUnits;
+      if (held <= 0) {
+        row.errors.push({ field: 'row', message: `No units held on the ex-dividend date ${day}` });
+        return;
+      }
+    }
+
+    const { oversold } = FifoHelpers.replayLedger(candidateLedger);
+
+    if (oversold) {
+      const held = FifoHelpers.replayLedger(candidateLedger.slice(0, candidateLedger.indexOf(oversold))).totalUnits;
+      row.errors.push({
+        field: 'units',
+        message: oversold === candidate
+          ? `Sells ${row.units} units but only ${held} units are held on ${day}`
+          : 'This sale would leave a later sale selling more units than were held'
+      });
+      return;
+    }
+
+    ledger.splice(0, ledger.length, ...candidateLedger);
+  }
+
+  /**
+   * Record accepted rows and rebuild the affected holdings in one MongoDB transaction
+   * @param {ObjectId} userId - User ID
+   * @param {Array} rows - Accepted rows
+   * @param {Number} importedAt - Import time in milliseconds
+   * @param {ObjectId} namedPortfolioId - Named portfolio the rows are recorded in
+   */
+  static async recordRows(userId, rows, importedAt, namedPortfolioId) {
+    const bySchemeCode = new Map();
+    [...rows].sort((a, b) => (a.date - b.date) || (a.row - b.row)).forEach(row => {
+      if (!bySchemeCode.has(row.schemeCode)) {
+        bySchemeCode.set(row.schemeCode, []);
+      }
+      bySchemeCode.get(row.schemeCode).push(row);
+    });
+
+    await PortfolioService.runInTransaction(async session => {
+      const portfolios = [];
+
+      for (const [schemeCode, schemeRows] of bySchemeCode) {
+        const firstBuy = schemeRows.find(row => row.type === 'BUY');
+        const portfolio = await PortfolioService.getOrCreatePortfolio(userId, schemeCode, {
+          nav: firstBuy ? firstBuy.nav : null,
+          date: firstBuy ? firstBuy.date : null
+        }, { session, namedPortfolioId });
+
+        await Transaction.create(schemeRows.map(row => ({
+          portfolioId: portfolio._id,
+          type: row.type,
+          units: row.units,
+          nav: row.nav,
+          amount: row.amount,
+          date: row.date,
+          createdAt: new Date(importedAt + row.row)
+        })), { session, ordered: true });
+
+        portfolios.push(portfolio);
+      }
+
+      // Rebuilding re-checks every sale, so a ledger changed since the preview fails the whole import
+      await TransactionService.rebuildPortfolios(portfolios, session);
+      await SnapshotService.invalidateFrom(userId, new Date(Math.min(...rows.map(row => row.date))), { session });
+    });
+  }
+}
+
+export default ImportService;
@@ -0,0 +1,195 @@
+import mongoose from 'mongoose';
+import NamedPortfolio from '../models/named-portfolio.js';
+import Portfolio from '../models/Portfolio.js';
+import NamedPortfolioRepository from '../repositories/named-portfolio-repository.js';
+import AllocationTargetRepository from '../repositories/allocation-target-repository.js';
+
+// Name of the portfolio every user starts with
+const DEFAULT_PORTFOLIO_NAME = 'My Portfolio';
+
+/**
+ * Named Portfolio Service
+ * Manages the named portfolios ("Retirement", "Kids' education") that own a user's fund positions
+ * Every user has one default portfolio, created on first use, which takes transactions given no portfolio
+ */
+class NamedPortfolioService {
+
+  /**
+   * Get the user's default portfolio, creating it on first use
+   * @param {ObjectId} userId - User ID
+   * @param {Object} options - Optional { session }
+   * @returns {Object} Default named portfolio
+   */
+  static async getDefault(userId, options = {}) {
+    return NamedPortfolioRepository.findOrCreateDefault(userId, DEFAULT_PORTFOLIO_NAME, options);
+  }
+
+  /**
+   * Get the named portfolio a request applies to: the given one, or the default when none is given
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} namedPortfolioId - Optional named portfolio ID
+   * @param {Object} options - Optional { session }
+   * @returns {Object} Named portfolio
+   */
+  static async resolve(userId, namedPortfolioId = null, options = {}) {
+    if (!namedPortfolioId) {
+      return this.getDefault(userId, options);
+    }
+
+    const portfolio = await NamedPortfolioRepository.findByIdAndUser(namedPortfolioId, userId, options);
+    if (!portfolio) {
+      throw new Error('Portfolio not found with the provided ID');
+    }
+
+    return portfolio;
+  }
+
+  /**
+   * Get the names of a user's portfolios by ID, for labelling positions in aggregated views
+   * @param {ObjectId} userId - User ID
+   * @returns {Map} Portfolio name by named portfolio ID
+   */
+  static async getNames(userId) {
+    const portfolios = await NamedPortfolioRepository.findByUserId(userId);
+    return new Map(portfolios.map(portfolio => [String(portfolio._id), portfolio.name]));
+  }
+
+  /**
+   * List a user's portfolios with the number of funds each holds
+   * @param {ObjectId} userId - User ID
+   * @returns {Array} Named portfolios with fundCount, default first
+   */
+  static async listPortfolios(userId) {
+    await this.getDefault(userId);
+    const portfolios = await NamedPortfolioRepository.findByUserId(userId);
+
+    const counts = await Portfolio.aggregate([
+      { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+      { $group: { _id: '$namedPortfolioId', fundCount: { $sum: 1 } } }
+    ]);
+    const fundCounts = new Map(counts.map(count => [String(count._id), count.fundCount]));
+
+    return portfolios.map(portfolio => ({
+      portfolio,
+      fundCount: fundCounts.get(String(portfolio._id)) || 0
+    }));
+  }
+
+  /**
+   * Get one of a user's portfolios with the number of funds it holds
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} namedPortfolioId - Named portfolio ID
+   * @returns {Object} Named portfolio with fundCount
+   */
+  static async getPortfolio(userId, namedPortfolioId) {
+    const portfolio = await this.resolve(userId, namedPortfolioId);
+    const fundCount = await Portfolio.countDocuments({ namedPortfolioId: portfolio._id });
+
+    return { portfolio, fundCount };
+  }
+
+  /**
+   * Create a named portfolio
+   * @param {ObjectId} userId - User ID
+   * @param {Object} data - Validated { name, description }
+   * @returns {Object} Created named portfolio
+   */
+  static async createPortfolio(userId, data) {
+    // The default portfolio exists before any other, so its name is taken into account
+    await this.getDefault(userId);
+    await this.assertNameAvailable(userId, data.name);
+
+    try {
+      return await NamedPortfolioRepository.create({
+        userId,
+        name: data.name,
+        description: data.description || null
+      });
+    } catch (error) {
+      throw this.toNameConflict(error);
+    }
+  }
+
+  /**
+   * Rename a named portfolio or change its description
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} namedPortfolioId - Named portfolio ID
+   * @param {Object} data - Validated { name, description }
+   * @returns {Object} Updated named portfolio
+   */
+  static async updatePortfolio(userId, namedPortfolioId, data) {
+    const portfolio = await this.resolve(userId, namedPortfolioId);
+
+    if (data.name !== undefined) {
+      await this.assertNameAvailable(userId, data.name, portfolio._id);
+    }
+
+    try {
+      return await NamedPortfolioRepository.updateById(portfolio._id, data);
+    } catch (error) {
+      throw this.toNameConflict(error);
+    }
+  }
+
+  /**
+   * Delete a named portfolio; only an empty portfolio other than the default can be deleted
+   * Runs in a MongoDB transaction so a fund added to the portfolio concurrently conflicts with the deletion
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} namedPortfolioId - Named portfolio ID
+   */
+  static async deletePortfolio(userId, namedPortfolioId) {
+    const session = await mongoose.startSession();
+
+    try {
+      await session.withTransaction(async () => {
+        const portfolio = await this.resolve(userId, namedPortfolioId, { session });
+        if (portfolio.isDefault) {
+          throw new Error('The default portfolio cannot be deleted');
+        }
+
+        const fundCount = await Portfolio.countDocuments({ namedPortfolioId: portfolio._id }).session(session);
+        if (fundCount > 0) {
+          throw new Error('Only an empty portfolio can be deleted. Remove its funds first.');
+        }
+
+        await NamedPortfolioRepository.deleteById(portfolio._id, { session });
+        await AllocationTargetRepository.deleteByNamedPortfolio(portfolio._id, { session });
+      });
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Mark a named portfolio as written in the current transaction so a concurrent deletion conflicts
+   * @param {ObjectId} namedPortfolioId - Named portfolio ID
+   * @param {Object} options - Optional { session }
+   */
+  static async touch(namedPortfolioId, options = {}) {
+    await NamedPortfolio.updateOne({ _id: namedPortfolioId }, { $set: { updatedAt: new Date() } }, { session: options.session || null });
+  }
+
+  /**
+   * Throw when another of the user's portfolios already has the name, ignoring case
+   * @param {ObjectId} userId - User ID
+   * @param {String} name - Proposed name
+   * @param {ObjectId} exceptId - Optional portfolio being renamed
+   */
+  static async assertNameAvailable(userId, name, exceptId = null) {
+    const existing = await NamedPortfolioRepository.findByName(userId, name);
+    if (existing && (!exceptId || String(existing._id) !== String(exceptId))) {
+      throw new Error('A portfolio with this name already exists');
+    }
+  }
+
+  /**
+   * Report a duplicate key from a concurrent create or rename as a name conflict
+   * @param {Error} error - Error from the write
+   * @returns {Error} Error to throw
+   */
+  static toNameConflict(error) {
+    return error.code === 11000 ? new Error('A portfolio with this name already exists') : error;
+  }
+}
+
+export default NamedPortfolioService;
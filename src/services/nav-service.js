@@ -166,6 +166,90 @@ class NavService {
     }
   }
 
+  // Get NAV applicable on a date (that day's NAV or the nearest prior trading day's)
+  static async getNavOnDate(schemeCode, date, maxGapDays = 7) {
+    try {
+      const targetDate = DateUtils.endOfDay(date);
+      let entry = await FundNavHistory.getNavOnOrBefore(schemeCode, targetDate);
+      let source = 'database';
+
+      // Local history only holds recent entries; fetch the full history when the date is not covered
+      if (!entry || DateUtils.daysBetween(entry.date, targetDate) > maxGapDays) {
+        const syncedAt = await FundNavHistory.getFullHistorySyncedAt(schemeCode);
+
+        if (this.needsFullSync(syncedAt, targetDate)) {
+          const syncResult = await this.syncFullNavHistory(schemeCode);
+
+          if (syncResult.success) {
+            entry = await FundNavHistory.getNavOnOrBefore(schemeCode, targetDate);
+            source = 'api';
+          }
+        }
+      }
+
+      if (!entry) {
+        return {
+          success: false,
+          error: `No NAV available for scheme ${schemeCode} on or before ${DateUtils.formatToApiDate(date)}`
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          nav: entry.nav,
+          date: entry.date,
+          source
+        }
+      };
+      
+    } catch (error) {
+      console.error('Error getting NAV on date:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
+  // Whether a gap on or before a date needs the full history fetched: not when it was already fetched
+  // after the date, or earlier today, as the gap is then one the API cannot fill either
+  static needsFullSync(syncedAt, date) {
+    if (!syncedAt) {
+      return true;
+    }
+
+    const today = DateUtils.startOfDay(new Date());
+    return syncedAt < (date < today ? date : today);
+  }
+
+  // Fetch the full NAV history from external API and merge it into the database
+  static async syncFullNavHistory(schemeCode) {
+    const fund = await Fund.findOne({ schemeCode });
+    if (!fund) {
+      return {
+        success: false,
+        error: 'Fund not found'
+      };
+    }
+
+    const apiResult = await this.fetchNavHistory(schemeCode);
+    if (!apiResult.success) {
+      return apiResult;
+    }
+
+    const history = apiResult.data.history.filter(item => !isNaN(item.nav) && !isNaN(item.date.getTime()));
+    await FundNavHistory.mergeHistory(fund._id, schemeCode, history);
+
+    return {
+      success: true,
+      data: {
+        schemeCode,
+        count: history.length
+      }
+    };
+  }
+
   // Get NAV history with optional date range and limit
   static async getNavHistory(schemeCode, options = {}) {
     try {
@@ -0,0 +1,92 @@
+import PortfolioRepository from '../repositories/portfolio-repository.js';
+import TransactionRepository from '../repositories/transaction-repository.js';
+import SnapshotService from './snapshot-service.js';
+import PerformanceHelpers from '../helpers/performance-helpers.js';
+import PortfolioHelpers from '../helpers/portfolio-helpers.js';
+import DateUtils from '../utils/date-utils.js';
+
+/**
+ * Performance Service
+ * Computes time-weighted returns from daily portfolio snapshots
+ */
+class PerformanceService {
+
+  /**
+   * Get the time-weighted return of a user's portfolio over a period with its daily series
+   * @param {ObjectId} userId - User ID
+   * @param {String} period - One of PerformanceHelpers.PERIODS
+   * @returns {Object} Period return, daily series and the return of every standard period
+   */
+  static async getPerformance(userId, period = '1Y') {
+    const asOf = new Date();
+    const points = await this.getDailyValuations(userId, asOf);
+
+    if (points.length === 0) {
+      return {
+        period,
+        startDate: null,
+        endDate: null,
+        twr: null,
+        annualisedTwr: null,
+        returns: {},
+        series: []
+      };
+    }
+
+    const inceptionDate = points[0].date;
+    const returns = {};
+
+    // Periods longer than the portfolio's history have no return of their own
+    PerformanceHelpers.PERIODS.forEach(key => {
+      const startDate = PerformanceHelpers.getPeriodStartDate(key, asOf);
+      if (startDate && startDate < inceptionDate) {
+        returns[key] = null;
+        return;
+      }
+
+      const { twr, annualisedTwr } = PerformanceHelpers.calculateTimeWeightedReturn(points, startDate);
+      returns[key] = { twr, annualisedTwr };
+    });
+
+    const result = PerformanceHelpers.calculateTimeWeightedReturn(
+      points,
+      PerformanceHelpers.getPeriodStartDate(period, asOf)
+    );
+
+    return {
+      period,
+      ...result,
+      returns
+    };
+  }
+
+  /**
+   * Value the portfolio at the close of every day since the first transaction, read from daily snapshots
+   * @param {ObjectId} userId - User ID
+   * @param {Date} asOf - Last valuation date
+   * @param {Object} options - Optional { namedPortfolioId }; all portfolios are combined without it
+   * @returns {Array} Daily { date, value, netFlow }, oldest first
+   */
+  static async getDailyValuations(userId, asOf = new Date(), options = {}) {
+    const portfolios = await PortfolioRepository.findByUserId(userId, options.namedPortfolioId);
+    if (portfolios.length === 0) {
+      return [];
+    }
+
+    const first = await TransactionRepository.findFirstByPortfolioIds(portfolios.map(portfolio => portfolio._id));
+    const firstDay = first ? DateUtils.startOfDay(first.date) : null;
+    if (!firstDay || firstDay > asOf) {
+      return [];
+    }
+
+    const dates = PortfolioHelpers.getHistoryDates(firstDay, DateUtils.startOfDay(asOf), 'daily');
+    const snapshots = await SnapshotService.getSnapshots(userId, dates);
+
+    return snapshots.map(snapshot => {
+      const { totalValue, netFlow } = SnapshotService.getTotals(snapshot, options.namedPortfolioId);
+      return { date: snapshot.date, value: totalValue, netFlow };
+    });
+  }
+}
+
+export default PerformanceService;
@@ -1,9 +1,16 @@
+import mongoose from 'mongoose';
 import Portfolio from '../models/Portfolio.js';
 import Transaction from '../models/Transaction.js';
 import Holding from '../models/holding.js';
 import Fund from '../models/funds.js';
 import NavService from './nav-service.js';
+import NamedPortfolioService from './named-portfolio-service.js';
+import SnapshotService from './snapshot-service.js';
 import DateUtils from '../utils/date-utils.js';
+import MathUtils from '../utils/math-utils.js';
+import FifoHelpers from '../helpers/fifo-helpers.js';
+import PortfolioHelpers from '../helpers/portfolio-helpers.js';
+import HoldingConflictError from '../exceptions/holding-conflict-error.js';
 
 /**
  * Portfolio Service
@@ -12,52 +19,117 @@ import DateUtils from '../utils/date-utils.js';
 class PortfolioService {
   
   /**
-   * Get or create a portfolio for a user and scheme
+   * Get or create a portfolio for a user and scheme within a named portfolio
    * @param {ObjectId} userId - User ID
    * @param {Number} schemeCode - Scheme code
+   * @param {Object} purchase - Optional first purchase { nav, date }, defaults to latest NAV today
+   * @param {Object} options - Optional { session } to run inside a MongoDB transaction, and
+   *   { namedPortfolioId }, the user's default portfolio when not given
    * @returns {Object} Portfolio document
    */
-  static async getOrCreatePortfolio(userId, schemeCode) {
-    let portfolio = await Portfolio.findOne({ userId, schemeCode });
+  static async getOrCreatePortfolio(userId, schemeCode, purchase = {}, options = {}) {
+    const { session = null } = options;
+    const namedPortfolio = await NamedPortfolioService.resolve(userId, options.namedPortfolioId, { session });
+    let portfolio = await Portfolio.findOne({ userId, namedPortfolioId: namedPortfolio._id, schemeCode }).session(session);
     
     if (!portfolio) {
-      // Get the latest NAV for initial purchase
-      const navData = await NavService.getLatestNav(schemeCode);
-      if (!navData.success || !navData.data) {
-        throw new Error('Unable to fetch NAV for fund');
+      let purchaseNav = purchase.nav;
+
+      if (!purchaseNav) {
+        // Get the latest NAV for initial purchase
+        const navData = await NavService.getLatestNav(schemeCode);
+        if (!navData.success || !navData.data) {
+          throw new Error('Unable to fetch NAV for fund');
+        }
+        purchaseNav = navData.data.nav;
       }
 
+      // A new fund writes its named portfolio so that deleting the portfolio concurrently conflicts
+      await NamedPortfolioService.touch(namedPortfolio._id, { session });
+
       portfolio = new Portfolio({
         userId,
+        namedPortfolioId: namedPortfolio._id,
         schemeCode,
-        purchaseDate: new Date(),
-        purchaseNav: navData.data.nav
+        purchaseDate: purchase.date || new Date(),
+        purchaseNav
       });
-      await portfolio.save();
+      await portfolio.save({ session });
     }
     
     return portfolio;
   }
 
+  /**
+   * Get the NAV a transaction is priced at: the latest NAV for current transactions,
+   * or the NAV on the given date (nearest prior trading day) for backdated ones
+   * @param {Number} schemeCode - Scheme code
+   * @param {Date} date - Optional transaction date
+   * @returns {Object} Result with nav and navDate
+   */
+  static async getApplicableNav(schemeCode, date = null) {
+    if (!date) {
+      const navData = await NavService.getLatestNav(schemeCode);
+      if (!navData || !navData.success || !navData.data || !navData.data.nav) {
+        return {
+          success: false,
+          error: 'Unable to fetch current NAV for this fund. Please try again later.'
+        };
+      }
+
+      return {
+        success: true,
+        data: {
+          nav: navData.data.nav,
+          navDate: navData.data.date
+        }
+      };
+    }
+
+    const navData = await NavService.getNavOnDate(schemeCode, date);
+    if (!navData.success) {
+      return navData;
+    }
+
+    return {
+      success: true,
+      data: {
+        nav: navData.data.nav,
+        navDate: DateUtils.formatToApiDate(navData.data.date)
+      }
+    };
+  }
+
   /**
    * Add units to a portfolio (BUY transaction)
    * @param {ObjectId} userId - User ID
    * @param {Number} schemeCode - Scheme code
    * @param {Number} units - Units to buy
    * @param {Number} nav - NAV at purchase
-   * @param {Date} date - Transaction date
+   * @param {Date} date - Transaction date (may be in the past)
+   * @param {Object} options - Optional { session, switchId, namedPortfolioId, instalment }; without a session the purchase runs in
+   *   its own MongoDB transaction, and without a named portfolio it goes to the user's default portfolio. An instalment
+   *   ({ planId, scheduledDate }) is recorded on the transaction
    * @returns {Object} Transaction and updated holding
    */
-  static async addUnits(userId, schemeCode, units, nav, date = new Date()) {
+  static async addUnits(userId, schemeCode, units, nav, date = new Date(), options = {}) {
+    if (!options.session) {
+      return this.runInTransaction(session => this.addUnits(userId, schemeCode, units, nav, date, { ...options, session }));
+    }
+
+    const { session, switchId = null, instalment = null } = options;
+    const namedPortfolio = await NamedPortfolioService.resolve(userId, options.namedPortfolioId, { session });
+
     // Check if portfolio already exists
-    const existingPortfolio = await Portfolio.findOne({ userId, schemeCode });
+    const existingPortfolio = await Portfolio.findOne({ userId, namedPortfolioId: namedPortfolio._id, schemeCode }).session(session);
     const isNewPortfolio = !existingPortfolio;
     
     // Get or create portfolio
-    const portfolio = await this.getOrCreatePortfolio(userId, schemeCode);
+    const portfolio = await this.getOrCreatePortfolio(userId, schemeCode, { nav, date }, { session, namedPortfolioId: namedPortfolio._id });
     
     // Check if holding already exists
-    const existingHolding = await Holding.findOne({ portfolioId: portfolio._id, schemeCode });
+    const existingHolding = await Holding.findOne({ portfolioId: portfolio._id, schemeCode }).session(session);
+    const isBackdated = await this.hasTransactionsAfter(portfolio._id, date, { session });
     
     // Create transaction
     const transaction = new Transaction({
@@ -66,12 +138,28 @@ class PortfolioService {
       units,
       nav,
       amount: units * nav,
-      date
+      date,
+      switchId,
+      planId: instalment ? instalment.planId : null,
+      instalmentDate: instalment ? instalment.scheduledDate : null
     });
-    await transaction.save();
+    await transaction.save({ session });
+    await SnapshotService.invalidateFrom(userId, date, { session });
+
+    // Keep the first purchase details in step with the earliest BUY; an existing portfolio is always
+    // written so that removing the fund concurrently conflicts with this purchase
+    if (date < portfolio.purchaseDate) {
+      await Portfolio.updateOne({ _id: portfolio._id }, { purchaseDate: date, purchaseNav: nav }, { session });
+    } else if (!isNewPortfolio) {
+      await this.touchPortfolio(portfolio._id, { session });
+    }
 
-    // Update or create holding
-    await this.updateHoldingAfterBuy(portfolio._id, schemeCode, units, nav);
+    // Update or create holding; a backdated BUY changes every later position, so replay the ledger
+    if (isBackdated) {
+      await this.rebuildHolding(portfolio._id, schemeCode, { session });
+    } else {
+      await this.updateHoldingAfterBuy(portfolio._id, schemeCode, units, nav, { session });
+    }
 
     return { 
       transaction, 
@@ -86,25 +174,27 @@ class PortfolioService {
    * @param {ObjectId} userId - User ID
    * @param {Number} schemeCode - Scheme code
    * @param {Number} unitsToSell - Units to sell
-   * @param {Number} currentNav - Current NAV
-   * @param {Date} date - Transaction date
+   * @param {Number} currentNav - NAV at sale
+   * @param {Date} date - Transaction date (may be in the past)
+   * @param {Object} options - Optional { session, switchId, namedPortfolioId, instalment }; without a session the sale runs in
+   *   its own MongoDB transaction, and without a named portfolio it sells from the user's default portfolio. An instalment
+   *   ({ planId, scheduledDate }) is recorded on the transaction
    * @returns {Object} Transaction, updated holding, and realized P&L
    */
-  static async removeUnits(userId, schemeCode, unitsToSell, currentNav, date = new Date()) {
+  static async removeUnits(userId, schemeCode, unitsToSell, currentNav, date = new Date(), options = {}) {
+    if (!options.session) {
+      return this.runInTransaction(session => this.removeUnits(userId, schemeCode, unitsToSell, currentNav, date, { ...options, session }));
+    }
+
+    const { session, switchId = null, instalment = null } = options;
+    const namedPortfolio = await NamedPortfolioService.resolve(userId, options.namedPortfolioId, { session });
+
     // Find portfolio
-    const portfolio = await Portfolio.findOne({ userId, schemeCode });
+    const portfolio = await Portfolio.findOne({ userId, namedPortfolioId: namedPortfolio._id, schemeCode }).session(session);
     if (!portfolio) {
       throw new Error('Portfolio not found');
     }
-
-    // Check current holding
-    const holding = await Holding.findOne({ portfolioId: portfolio._id, schemeCode });
-    if (!holding || holding.totalUnits < unitsToSell) {
-      throw new Error('Insufficient units to sell');
-    }
-
-    // Calculate realized P&L using FIFO
-    const realizedPL = await this.calculateFifoRealizedPL(portfolio._id, unitsToSell, currentNav);
+    await this.touchPortfolio(portfolio._id, { session });
 
     // Create sell transaction
     const transaction = new Transaction({
@@ -113,25 +203,226 @@ class PortfolioService {
       units: unitsToSell,
       nav: currentNav,
       amount: unitsToSell * currentNav,
-      date
+      date,
+      switchId,
+      planId: instalment ? instalment.planId : null,
+      instalmentDate: instalment ? instalment.scheduledDate : null
     });
-    await transaction.save();
+
+    // Replay the ledger with this sale in place: units must be held on the sale date
+    // and no later sale may be left overselling
+    const ledger = await this.getLedger(portfolio._id, { session });
+    const isBackdated = ledger.some(existing => existing.date > date);
+    const replay = FifoHelpers.replayLedger(this.sortLedger([...ledger, transaction]));
+    if (replay.oversold) {
+      throw new Error('Insufficient units to sell');
+    }
+
+    // Calculate realized P&L using FIFO
+    const realizedPL = replay.realizedPL.get(String(transaction._id));
+    transaction.realizedPL = realizedPL;
+    await transaction.save({ session });
+    await SnapshotService.invalidateFrom(userId, date, { session });
 
     // Update holding
-    await this.updateHoldingAfterSell(portfolio._id, schemeCode, unitsToSell);
+    if (isBackdated) {
+      await this.rebuildHolding(portfolio._id, schemeCode, { session });
+    } else {
+      await this.updateHoldingAfterSell(portfolio._id, schemeCode, unitsToSell, { session });
+    }
 
     return { transaction, realizedPL };
   }
 
+  /**
+   * Switch units from one scheme to another as a linked SELL and BUY pair
+   * Both legs are written in a single MongoDB transaction so a failure leaves neither behind
+   * @param {ObjectId} userId - User ID
+   * @param {Object} from - Switch-out leg { schemeCode, units, nav }
+   * @param {Object} to - Switch-in leg { schemeCode, units, nav }
+   * @param {Date} date - Switch date (may be in the past)
+   * @param {Object} options - Optional { namedPortfolioId } holding both legs, the user's default portfolio when not given,
+   *   and { instalment } recorded on both legs
+   * @returns {Object} Switch ID, both transactions and realized P&L of the switch-out
+   */
+  static async switchUnits(userId, from, to, date = new Date(), options = {}) {
+    const switchId = new mongoose.Types.ObjectId();
+    const { namedPortfolioId = null, instalment = null } = options;
+
+    return this.runInTransaction(async session => {
+      const sell = await this.removeUnits(userId, from.schemeCode, from.units, from.nav, date, { session, switchId, namedPortfolioId, instalment });
+      const buy = await this.addUnits(userId, to.schemeCode, to.units, to.nav, date, { session, switchId, namedPortfolioId, instalment });
+
+      return {
+        switchId,
+        sellTransaction: sell.transaction,
+        buyTransaction: buy.transaction,
+        realizedPL: sell.realizedPL
+      };
+    });
+  }
+
+  /**
+   * Run work inside a MongoDB multi-document transaction so the ledger and holdings change together
+   * Write conflicts are retried by the driver; a HoldingConflictError from optimistic concurrency
+   * reruns the work so it is validated again against the holding another request just changed
+   * @param {Function} work - Receives the session
+   * @param {Number} maxAttempts - Attempts before a holding conflict is returned to the caller
+   * @returns {*} Result of the work
+   */
+  static async runInTransaction(work, maxAttempts = 3) {
+    for (let attempt = 1; ; attempt++) {
+      const session = await mongoose.startSession();
+
+      try {
+        let result;
+        await session.withTransaction(async () => {
+          result = await work(session);
+        });
+        return result;
+      } catch (error) {
+        if (!(error instanceof HoldingConflictError) || attempt >= maxAttempts) {
+          throw error;
+        }
+      } finally {
+        await session.endSession();
+      }
+    }
+  }
+
+  /**
+   * Mark a portfolio as written in the current transaction so concurrent removal of the fund conflicts
+   * @param {ObjectId} portfolioId - Portfolio ID
+   * @param {Object} options - Optional { session }
+   */
+  static async touchPortfolio(portfolioId, options = {}) {
+    await Portfolio.updateOne({ _id: portfolioId }, { $set: { updatedAt: new Date() } }, { session: options.session || null });
+  }
+
+  /**
+   * Write a holding's new position, or delete it when no units remain, with optimistic concurrency
+   * Throws a HoldingConflictError when another request changed the holding after it was read
+   * @param {Object|null} holding - Holding as read by this request, null when none existed
+   * @param {ObjectId} portfolioId - Portfolio ID
+   * @param {Number} schemeCode - Scheme code
+   * @param {Object|null} position - { totalUnits, avgNav, investedValue }, or null to delete the holding
+   * @param {Object} options - Optional { session }
+   * @returns {Object|null} Saved holding
+   */
+  static async saveHolding(holding, portfolioId, schemeCode, position, options = {}) {
+    const { session = null } = options;
+
+    try {
+      if (!position) {
+        if (holding) {
+          const { deletedCount } = await Holding.deleteOne({ _id: holding._id, __v: holding.__v }, { session });
+          if (deletedCount === 0) {
+            throw new HoldingConflictError();
+          }
+        }
+        return null;
+      }
+
+      if (holding) {
+        holding.set(position);
+        return await holding.save({ session });
+      }
+
+      return await new Holding({ portfolioId, schemeCode, ...position }).save({ session });
+    } catch (error) {
+      // A stale version, or a holding created by another request in the meantime
+      if (error instanceof mongoose.Error.VersionError || error.code === 11000) {
+        throw new HoldingConflictError();
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Get all transactions of a portfolio in ledger order
+   * @param {ObjectId} portfolioId - Portfolio ID
+   * @param {Object} options - Optional { session }
+   * @returns {Array} Transactions, oldest first
+   */
+  static async getLedger(portfolioId, options = {}) {
+    const transactions = await Transaction.find({ portfolioId }).session(options.session || null);
+    return this.sortLedger(transactions);
+  }
+
+  /**
+   * Sort transactions by date, then by creation time for same-day entries
+   * @param {Array} transactions - Transactions
+   * @returns {Array} Sorted transactions, oldest first
+   */
+  static sortLedger(transactions) {
+    return transactions.sort((a, b) =>
+      (a.date - b.date) || ((a.createdAt || Date.now()) - (b.createdAt || Date.now()))
+    );
+  }
+
+  /**
+   * Check whether a portfolio has transactions dated after the given date
+   * @param {ObjectId} portfolioId - Portfolio ID
+   * @param {Date} date - Date to compare
+   * @param {Object} options - Optional { session }
+   * @returns {Boolean} True if a later transaction exists
+   */
+  static async hasTransactionsAfter(portfolioId, date, options = {}) {
+    const count = await Transaction.countDocuments({ portfolioId, date: { $gt: date } }).session(options.session || null);
+    return count > 0;
+  }
+
+  /**
+   * Rebuild a holding and the realized P&L of its sales by replaying the ledger in date order
+   * @param {ObjectId} portfolioId - Portfolio ID
+   * @param {Number} schemeCode - Scheme code
+   * @param {Object} options - Optional { session }
+   * @returns {Object} Replayed ledger state
+   */
+  static async rebuildHolding(portfolioId, schemeCode, options = {}) {
+    const { session = null } = options;
+    const transactions = await this.getLedger(portfolioId, { session });
+    const replay = FifoHelpers.replayLedger(transactions);
+
+    if (replay.oversold) {
+      throw new Error('Insufficient units to sell');
+    }
+
+    // Persist realized P&L of sales whose FIFO lots changed
+    const operations = transactions
+      .filter(tx => tx.type === 'SELL' && tx.realizedPL !== replay.realizedPL.get(String(tx._id)))
+      .map(tx => ({
+        updateOne: {
+          filter: { _id: tx._id },
+          update: { $set: { realizedPL: replay.realizedPL.get(String(tx._id)) } }
+        }
+      }));
+
+    if (operations.length > 0) {
+      await Transaction.bulkWrite(operations, { session });
+    }
+
+    const holding = await Holding.findOne({ portfolioId, schemeCode }).session(session);
+    await this.saveHolding(holding, portfolioId, schemeCode, replay.totalUnits > 0 ? {
+      totalUnits: replay.totalUnits,
+      avgNav: replay.avgNav,
+      investedValue: replay.investedValue
+    } : null, { session });
+
+    return replay;
+  }
+
   /**
    * Update holding after buy transaction
    * @param {ObjectId} portfolioId - Portfolio ID
    * @param {Number} schemeCode - Scheme code
    * @param {Number} units - Units bought
    * @param {Number} nav - NAV at purchase
+   * @param {Object} options - Optional { session }
    */
-  static async updateHoldingAfterBuy(portfolioId, schemeCode, units, nav) {
-    const existingHolding = await Holding.findOne({ portfolioId, schemeCode });
+  static async updateHoldingAfterBuy(portfolioId, schemeCode, units, nav, options = {}) {
+    const { session = null } = options;
+    const existingHolding = await Holding.findOne({ portfolioId, schemeCode }).session(session);
     
     if (existingHolding) {
       // Calculate new weighted average NAV
@@ -139,25 +430,18 @@ class PortfolioService {
       const totalUnits = existingHolding.totalUnits + units;
       const newAvgNav = totalInvestedValue / totalUnits;
 
-      await Holding.updateOne(
-        { portfolioId, schemeCode },
-        {
-          totalUnits,
-          avgNav: newAvgNav,
-          investedValue: totalInvestedValue,
-          updatedAt: new Date()
-        }
-      );
+      await this.saveHolding(existingHolding, portfolioId, schemeCode, {
+        totalUnits,
+        avgNav: newAvgNav,
+        investedValue: totalInvestedValue
+      }, { session });
     } else {
       // Create new holding
-      const holding = new Holding({
-        portfolioId,
-        schemeCode,
+      await this.saveHolding(null, portfolioId, schemeCode, {
         totalUnits: units,
         avgNav: nav,
         investedValue: units * nav
-      });
-      await holding.save();
+      }, { session });
     }
   }
 
@@ -166,9 +450,11 @@ class PortfolioService {
    * @param {ObjectId} portfolioId - Portfolio ID
    * @param {Number} schemeCode - Scheme code
    * @param {Number} unitsSold - Units sold
+   * @param {Object} options - Optional { session }
    */
-  static async updateHoldingAfterSell(portfolioId, schemeCode, unitsSold) {
-    const holding = await Holding.findOne({ portfolioId, schemeCode });
+  static async updateHoldingAfterSell(portfolioId, schemeCode, unitsSold, options = {}) {
+    const { session = null } = options;
+    const holding = await Holding.findOne({ portfolioId, schemeCode }).session(session);
     
     if (!holding) {
       throw new Error('Holding not found');
@@ -178,19 +464,15 @@ class PortfolioService {
     
     if (remainingUnits <= 0) {
       // Delete holding if no units left
-      await Holding.deleteOne({ portfolioId, schemeCode });
+      await this.saveHolding(holding, portfolioId, schemeCode, null, { session });
     } else {
       // Update holding - avgNav remains same, only units and invested value change
       const newInvestedValue = remainingUnits * holding.avgNav;
       
-      await Holding.updateOne(
-        { portfolioId, schemeCode },
-        {
-          totalUnits: remainingUnits,
-          investedValue: newInvestedValue,
-          updatedAt: new Date()
-        }
-      );
+      await this.saveHolding(holding, portfolioId, schemeCode, {
+        totalUnits: remainingUnits,
+        investedValue: newInvestedValue
+      }, { session });
     }
   }
 
@@ -199,70 +481,43 @@ class PortfolioService {
    * @param {ObjectId} portfolioId - Portfolio ID
    * @param {Number} unitsToSell - Units to sell
    * @param {Number} currentNav - Current NAV
+   * @param {Date} date - Sale date; only transactions on or before it form the lots
    * @returns {Number} Realized P&L
    */
-  static async calculateFifoRealizedPL(portfolioId, unitsToSell, currentNav) {
-    // Get all BUY transactions for this portfolio, ordered by date (FIFO)
-    const buyTransactions = await Transaction.find({
-      portfolioId,
-      type: 'BUY'
-    }).sort({ date: 1 });
-
-    // Get all SELL transactions to calculate remaining units in each lot
-    const sellTransactions = await Transaction.find({
-      portfolioId,
-      type: 'SELL'
-    }).sort({ date: 1 });
-
-    // Calculate remaining units in each buy lot after previous sells
-    const lots = [];
-    let totalSellUnits = sellTransactions.reduce((sum, sell) => sum + sell.units, 0);
-    let remainingSellUnits = totalSellUnits;
-
-    for (const buy of buyTransactions) {
-      let lotUnits = buy.units;
-      
-      if (remainingSellUnits > 0) {
-        if (remainingSellUnits >= lotUnits) {
-          remainingSellUnits -= lotUnits;
-          lotUnits = 0; // This lot is completely sold
-        } else {
-          lotUnits -= remainingSellUnits;
-          remainingSellUnits = 0;
-        }
-      }
-      
-      if (lotUnits > 0) {
-        lots.push({
-          units: lotUnits,
-          nav: buy.nav,
-          date: buy.date
-        });
-      }
-    }
+  static async calculateFifoRealizedPL(portfolioId, unitsToSell, currentNav, date = new Date()) {
+    // Rebuild the FIFO lots held on the sale date
+    const ledger = await this.getLedger(portfolioId);
+    const { lots } = FifoHelpers.replayLedger(ledger.filter(tx => tx.date <= date));
 
-    // Calculate P&L for the units being sold using FIFO
-    let realizedPL = 0;
-    let remainingToSell = unitsToSell;
+    return FifoHelpers.calculateFifoSell(lots, unitsToSell, currentNav).realizedPL;
+  }
 
-    for (const lot of lots) {
-      if (remainingToSell <= 0) break;
-      
-      const unitsFromThisLot = Math.min(remainingToSell, lot.units);
-      realizedPL += (currentNav - lot.nav) * unitsFromThisLot;
-      remainingToSell -= unitsFromThisLot;
+  /**
+   * Get the units of a fund held in one of the user's named portfolios
+   * @param {ObjectId} userId - User ID
+   * @param {Number} schemeCode - Scheme code
+   * @param {ObjectId} namedPortfolioId - Optional named portfolio, the user's default portfolio when not given
+   * @returns {Number|null} Units held, or null when the fund is not held
+   */
+  static async getHeldUnits(userId, schemeCode, namedPortfolioId = null) {
+    const namedPortfolio = await NamedPortfolioService.resolve(userId, namedPortfolioId);
+    const portfolio = await Portfolio.findOne({ userId, namedPortfolioId: namedPortfolio._id, schemeCode });
+    if (!portfolio) {
+      return null;
     }
 
-    return realizedPL;
+    const holding = await Holding.findOne({ portfolioId: portfolio._id, schemeCode });
+    return holding && holding.totalUnits > 0 ? holding.totalUnits : null;
   }
 
   /**
    * Get user's complete portfolio with holdings
    * @param {ObjectId} userId - User ID
+   * @param {ObjectId} namedPortfolioId - Optional named portfolio; all of the user's portfolios when not given
    * @returns {Array} Array of portfolios with holdings
    */
-  static async getUserPortfolio(userId) {
-    const portfolios = await Portfolio.find({ userId });
+  static async getUserPortfolio(userId, namedPortfolioId = null) {
+    const portfolios = await Portfolio.find({ userId, ...(namedPortfolioId && { namedPortfolioId }) });
     const result = [];
 
     for (const portfolio of portfolios) {
@@ -280,14 +535,22 @@ class PortfolioService {
   }
 
   /**
-   * Calculate current portfolio value with P&L
+   * Calculate current portfolio value with P&L and XIRR
+   * XIRR uses every dated cash flow in the ledger with current market value as the terminal flow,
+   * so it is the annualised return since the first investment
    * @param {ObjectId} userId - User ID
-   * @returns {Object} Portfolio valuation
+   * @param {Object} options - Optional { namedPortfolioId }; all of the user's portfolios are combined when not given
+   * @returns {Object} Portfolio valuation, with the cash flows behind its XIRR for combining valuations
    */
-  static async calculatePortfolioValue(userId) {
-    const portfolios = await Portfolio.find({ userId });
+  static async calculatePortfolioValue(userId, options = {}) {
+    const { namedPortfolioId = null } = options;
+    const portfolios = await Portfolio.find({ userId, ...(namedPortfolioId && { namedPortfolioId }) });
+    const portfolioNames = await NamedPortfolioService.getNames(userId);
+    const asOf = new Date();
     let totalInvestment = 0;
     let currentValue = 0;
+    let firstInvestmentDate = null;
+    const portfolioCashFlows = [];
     const holdings = [];
 
     for (const portfolio of portfolios) {
@@ -295,27 +558,43 @@ class PortfolioService {
         portfolioId: portfolio._id, 
         schemeCode: portfolio.schemeCode 
       });
+      const ledger = await this.getLedger(portfolio._id);
+      const firstBuy = ledger.find(tx => tx.type === 'BUY');
+
+      if (firstBuy && (!firstInvestmentDate || firstBuy.date < firstInvestmentDate)) {
+        firstInvestmentDate = firstBuy.date;
+      }
       
       if (holding && holding.totalUnits > 0) {
         const navData = await NavService.getLatestNav(portfolio.schemeCode);
         const currentNav = navData.success ? navData.data.nav : holding.avgNav;
+        const holdingValue = holding.totalUnits * currentNav;
+        const cashFlows = PortfolioHelpers.buildCashFlows(ledger, holdingValue, asOf);
         
         // Get fund details for scheme name
         const fund = await Fund.findOne({ schemeCode: portfolio.schemeCode });
         
         totalInvestment += holding.investedValue;
-        currentValue += holding.totalUnits * currentNav;
+        currentValue += holdingValue;
+        portfolioCashFlows.push(...cashFlows);
         
         holdings.push({
+          portfolioId: portfolio.namedPortfolioId,
+          portfolioName: portfolioNames.get(String(portfolio.namedPortfolioId)) || null,
           schemeCode: portfolio.schemeCode,
           schemeName: fund ? fund.schemeName : 'Unknown Fund',
           units: holding.totalUnits,
           avgNav: holding.avgNav,
           currentNav,
           investedValue: holding.investedValue,
-          currentValue: holding.totalUnits * currentNav,
-          profitLoss: (holding.totalUnits * currentNav) - holding.investedValue
+          currentValue: holdingValue,
+          profitLoss: holdingValue - holding.investedValue,
+          firstInvestmentDate: firstBuy ? DateUtils.formatToApiDate(firstBuy.date) : null,
+          xirr: MathUtils.calculateXIRR(cashFlows)
         });
+      } else {
+        // Fully redeemed schemes still count towards the portfolio's money-weighted return
+        portfolioCashFlows.push(...PortfolioHelpers.buildCashFlows(ledger));
       }
     }
 
@@ -327,8 +606,11 @@ class PortfolioService {
       currentValue,
       profitLoss: totalProfitLoss,
       profitLossPercent,
-      asOn: DateUtils.formatToApiDate(new Date()),
-      holdings
+      firstInvestmentDate: firstInvestmentDate ? DateUtils.formatToApiDate(firstInvestmentDate) : null,
+      xirr: MathUtils.calculateXIRR(portfolioCashFlows),
+      asOn: DateUtils.formatToApiDate(asOf),
+      holdings,
+      cashFlows: portfolioCashFlows
     };
   }
 
@@ -336,49 +618,51 @@ class PortfolioService {
    * Remove a fund from portfolio (only if no holdings exist)
    * @param {ObjectId} userId - User ID
    * @param {Number} schemeCode - Scheme code
+   * @param {ObjectId} namedPortfolioId - Optional named portfolio, the user's default portfolio when not given
    * @returns {Object} Result of removal
    */
-  static async removeFund(userId, schemeCode) {
+  static async removeFund(userId, schemeCode, namedPortfolioId = null) {
     try {
-      // Find portfolio
-      const portfolio = await Portfolio.findOne({ userId, schemeCode });
-      if (!portfolio) {
-        return {
-          status: false,
-          message: 'Portfolio not found for this fund'
-        };
-      }
+      return await this.runInTransaction(async session => {
+        // Find portfolio
+        const namedPortfolio = await NamedPortfolioService.resolve(userId, namedPortfolioId, { session });
+        const portfolio = await Portfolio.findOne({ userId, namedPortfolioId: namedPortfolio._id, schemeCode }).session(session);
+        if (!portfolio) {
+          return {
+            status: false,
+            message: 'Portfolio not found for this fund'
+          };
+        }
 
-      // Check if there are any holdings
-      const holding = await Holding.findOne({ portfolioId: portfolio._id, schemeCode });
-      if (holding && holding.totalUnits > 0) {
-        return {
-          status: false,
-          message: 'Cannot remove fund with existing holdings. Please sell all units first.'
-        };
-      }
+        // Check if there are any holdings
+        const holding = await Holding.findOne({ portfolioId: portfolio._id, schemeCode }).session(session);
+        if (holding && holding.totalUnits > 0) {
+          return {
+            status: false,
+            message: 'Cannot remove fund with existing holdings. Please sell all units first.'
+          };
+        }
 
-      // Check if there are any transactions
-      const transactionCount = await Transaction.countDocuments({ portfolioId: portfolio._id });
-      if (transactionCount > 0) {
-        return {
-          status: false,
-          message: 'Cannot remove fund with transaction history. Fund can only be removed if no transactions exist.'
-        };
-      }
+        // Check if there are any transactions
+        const transactionCount = await Transaction.countDocuments({ portfolioId: portfolio._id }).session(session);
+        if (transactionCount > 0) {
+          return {
+            status: false,
+            message: 'Cannot remove fund with transaction history. Fund can only be removed if no transactions exist.'
+          };
+        }
 
-      // Remove holding if it exists (with 0 units)
-      if (holding) {
-        await Holding.deleteOne({ portfolioId: portfolio._id, schemeCode });
-      }
+        // Remove holding if it exists (with 0 units)
+        await this.saveHolding(holding, portfolio._id, schemeCode, null, { session });
 
-      // Remove portfolio
-      await Portfolio.deleteOne({ _id: portfolio._id });
+        // Remove portfolio; a purchase running concurrently writes the same document and conflicts
+        await Portfolio.deleteOne({ _id: portfolio._id }, { session });
 
-      return {
-        status: true,
-        message: 'Fund removed from portfolio successfully'
-      };
+        return {
+          status: true,
+          message: 'Fund removed from portfolio successfully'
+        };
+      });
 
     } catch (error) {
       console.error('Error removing fund from portfolio:', error);
@@ -393,26 +677,20 @@ class PortfolioService {
    * Get transaction history for a portfolio
    * @param {ObjectId} userId - User ID
    * @param {Number} schemeCode - Optional scheme code filter
-   * @param {Object} options - Pagination options
+   * @param {Object} options - Pagination options and an optional { namedPortfolioId } filter
    * @returns {Array} Transaction history
    */
   static async getTransactionHistory(userId, schemeCode = null, options = {}) {
-    const { page = 1, limit = 50 } = options;
+    const { page = 1, limit = 50, namedPortfolioId = null } = options;
     const skip = (page - 1) * limit;
 
-    let query = {};
-    
-    if (schemeCode) {
-      const portfolio = await Portfolio.findOne({ userId, schemeCode });
-      if (!portfolio) {
-        return [];
-      }
-      query.portfolioId = portfolio._id;
-    } else {
-      const portfolios = await Portfolio.find({ userId });
-      const portfolioIds = portfolios.map(p => p._id);
-      query.portfolioId = { $in: portfolioIds };
-    }
+    // The same scheme may be held in several named portfolios
+    const portfolios = await Portfolio.find({
+      userId,
+      ...(schemeCode && { schemeCode }),
+      ...(namedPortfolioId && { namedPortfolioId })
+    });
+    const query = { portfolioId: { $in: portfolios.map(p => p._id) } };
 
     const transactions = await Transaction.find(query)
       .sort({ date: -1 })
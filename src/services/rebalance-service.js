@@ -0,0 +1,293 @@
+import Portfolio from '../models/Portfolio.js';
+import AllocationTargetRepository from '../repositories/allocation-target-repository.js';
+import FundRepository from '../repositories/fund-repository.js';
+import AllocationService from './allocation-service.js';
+import PortfolioService from './portfolio-service.js';
+import NamedPortfolioService from './named-portfolio-service.js';
+import NavService from './nav-service.js';
+import RebalanceHelpers from '../helpers/rebalance-helpers.js';
+import PortfolioHelpers from '../helpers/portfolio-helpers.js';
+import FifoHelpers from '../helpers/fifo-helpers.js';
+import TaxHelpers from '../helpers/tax-helpers.js';
+import MathUtils from '../utils/math-utils.js';
+
+/**
+ * Rebalance Service
+ * Keeps a target mix, by asset class or per scheme, and proposes the orders that bring a portfolio back to it
+ */
+class RebalanceService {
+
+  /**
+   * Get the target allocation for a named portfolio, or for all portfolios combined
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} namedPortfolioId - Optional named portfolio
+   * @returns {Object} Allocation target
+   */
+  static async getTarget(userId, namedPortfolioId = null) {
+    const target = await AllocationTargetRepository.findByUser(userId, namedPortfolioId);
+    if (!target) {
+      throw new Error('No target allocation is set for this portfolio');
+    }
+
+    return target;
+  }
+
+  /**
+   * Set or replace the target allocation for a named portfolio, or for all portfolios combined
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} namedPortfolioId - Optional named portfolio
+   * @param {Object} data - Validated { basis, targets, tolerance }
+   * @returns {Object} Saved allocation target
+   */
+  static async setTarget(userId, namedPortfolioId, data) {
+    if (data.basis === 'SCHEME') {
+      const schemeCodes = data.targets.map(target => target.schemeCode);
+      const funds = await FundRepository.findBySchemeCodes(schemeCodes);
+      const missing = schemeCodes.filter(schemeCode => !funds.some(fund => fund.schemeCode === schemeCode));
+
+      if (missing.length > 0) {
+        throw new Error(`Fund not found with scheme code ${missing[0]}`);
+      }
+    }
+
+    return AllocationTargetRepository.upsert(userId, namedPortfolioId, data);
+  }
+
+  /**
+   * Remove the target allocation for a named portfolio, or for all portfolios combined
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} namedPortfolioId - Optional named portfolio
+   */
+  static async deleteTarget(userId, namedPortfolioId = null) {
+    const result = await AllocationTargetRepository.deleteByUser(userId, namedPortfolioId);
+    if (result.deletedCount === 0) {
+      throw new Error('No target allocation is set for this portfolio');
+    }
+  }
+
+  /**
+   * Measure drift from the target at the latest NAV and propose orders that restore it
+   * FULL mode trades every bucket back to its target once any bucket drifts outside the tolerance band.
+   * NEW_MONEY mode invests a fresh amount into the buckets below target and never sells.
+   * With taxAware, sales draw first on units that would be sold as long-term
+   * @param {ObjectId} userId - User ID
+   * @param {Object} options - { namedPortfolioId, mode, amount, taxAware }
+   * @returns {Object} Rebalance plan with buckets, orders and a summary
+   */
+  static async getRebalancePlan(userId, options = {}) {
+    const { namedPortfolioId = null, mode = 'FULL', amount = 0, taxAware = false } = options;
+    const target = await this.getTarget(userId, namedPortfolioId);
+    const asOf = new Date();
+
+    const valuation = await PortfolioService.calculatePortfolioValue(userId, { namedPortfolioId });
+    const positions = await AllocationService.classifyHoldings(valuation.holdings);
+    const getBucket = position => (target.basis === 'ASSET_CLASS' ? position.assetClass : position.schemeCode);
+
+    const values = new Map();
+    positions.forEach(position => values.set(getBucket(position), (values.get(getBucket(position)) || 0) + position.currentValue));
+    const targets = new Map(target.targets.map(weight => [
+      target.basis === 'ASSET_CLASS' ? weight.assetClass : weight.schemeCode,
+      weight.percent
+    ]));
+
+    const newMoney = mode === 'NEW_MONEY' ? amount : 0;
+    const buckets = RebalanceHelpers.calculateDrift(values, targets, target.tolerance, newMoney);
+    const needsRebalance = buckets.some(bucket => !bucket.withinBand);
+
+    let trades = new Map();
+    if (mode === 'NEW_MONEY') {
+      trades = RebalanceHelpers.calculateNewMoneyTrades(buckets, amount);
+    } else if (needsRebalance) {
+      trades = RebalanceHelpers.calculateFullTrades(buckets);
+    }
+
+    const orders = [];
+    for (const bucket of buckets) {
+      const trade = trades.get(bucket.key) || 0;
+      const bucketPositions = positions.filter(position => getBucket(position) === bucket.key);
+
+      if (trade < 0) {
+        orders.push(...await this.buildSellOrders(userId, -trade, bucketPositions, taxAware, asOf));
+      } else if (trade > 0) {
+        orders.push(...await this.buildBuyOrders(userId, trade, bucket, bucketPositions, target, namedPortfolioId));
+      }
+
+      bucket.tradeAmount = trade;
+      bucket.projectedPercent = valuation.currentValue + newMoney > 0
+        ? ((bucket.currentValue + trade) / (valuation.currentValue + newMoney)) * 100
+        : 0;
+    }
+
+    const fundNames = await this.getFundNames(buckets, target.basis);
+    buckets.forEach(bucket => {
+      bucket.schemeName = target.basis === 'SCHEME' ? fundNames.get(bucket.key) || null : null;
+    });
+
+    const sells = orders.filter(order => order.action === 'SELL');
+
+    return {
+      basis: target.basis,
+      tolerance: target.tolerance,
+      mode,
+      taxAware,
+      currentValue: valuation.currentValue,
+      newMoney,
+      needsRebalance,
+      asOn: valuation.asOn,
+      buckets: buckets.sort((a, b) => b.targetPercent - a.targetPercent || b.currentValue - a.currentValue),
+      orders,
+      summary: {
+        totalBuy: MathUtils.sum(orders.filter(order => order.action === 'BUY').map(order => order.amount)),
+        totalSell: MathUtils.sum(sells.map(order => order.amount)),
+        estimatedShortTermGain: MathUtils.sum(sells.map(order => order.estimatedShortTermGain)),
+        estimatedLongTermGain: MathUtils.sum(sells.map(order => order.estimatedLongTermGain))
+      }
+    };
+  }
+
+  /**
+   * Build the sell orders that raise an amount from a bucket's positions, with the gains each would realise
+   * @param {ObjectId} userId - User ID
+   * @param {Number} amount - Amount to raise
+   * @param {Array} positions - Valued positions in the bucket
+   * @param {Boolean} taxAware - Whether to sell long-term units first
+   * @param {Date} asOf - Sale date assumed for the tax estimate
+   * @returns {Array} Sell orders
+   */
+  static async buildSellOrders(userId, amount, positions, taxAware, asOf) {
+    const lotPositions = [];
+
+    for (const position of positions) {
+      const fund = await FundRepository.findBySchemeCode(position.schemeCode);
+      const portfolio = await Portfolio.findOne({ userId, schemeCode: position.schemeCode, namedPortfolioId: position.portfolioId });
+      const { lots } = FifoHelpers.replayLedger(portfolio ? await PortfolioService.getLedger(portfolio._id) : []);
+      const taxType = TaxHelpers.getFundTaxType(fund);
+
+      // Under FIFO only the oldest lots up to the first short-term lot sell as long-term
+      let longTermUnits = 0;
+      for (const lot of lots) {
+        if (TaxHelpers.classifyGain(taxType, new Date(lot.date), asOf) !== 'LTCG') {
+          break;
+        }
+        longTermUnits += lot.units;
+      }
+
+      lotPositions.push({ ...position, lots, taxType, longTermValue: longTermUnits * position.currentNav });
+    }
+
+    const splits = taxAware
+      ? RebalanceHelpers.splitTaxAware(amount, lotPositions)
+      : RebalanceHelpers.splitProportionally(amount, lotPositions);
+
+    return splits
+      .filter(split => MathUtils.roundTo(split.amount, 2) > 0)
+      .map(({ position, amount: sellAmount }) => {
+        const units = Math.min(PortfolioHelpers.calculateUnitsFromAmount(sellAmount, position.currentNav, 'up'), position.units);
+        const { matchedLots } = FifoHelpers.calculateFifoSell(position.lots, units, position.currentNav);
+        const gains = { STCG: 0, LTCG: 0 };
+
+        matchedLots.forEach(lot => {
+          gains[TaxHelpers.classifyGain(position.taxType, lot.acquiredOn, asOf)] += lot.realizedPL;
+        });
+
+        return {
+          action: 'SELL',
+          ...this.describePosition(position),
+          amount: units * position.currentNav,
+          units,
+          estimatedShortTermGain: gains.STCG,
+          estimatedLongTermGain: gains.LTCG
+        };
+      });
+  }
+
+  /**
+   * Build the buy orders that invest an amount in a bucket
+   * The amount is spread over the bucket's positions; a scheme target not yet held is bought in the target's
+   * portfolio, and an asset class with no holdings gets one order without a scheme for the user to choose
+   * @param {ObjectId} userId - User ID
+   * @param {Number} amount - Amount to invest
+   * @param {Object} bucket - Bucket being bought
+   * @param {Array} positions - Valued positions in the bucket
+   * @param {Object} target - Allocation target
+   * @param {ObjectId} namedPortfolioId - Optional named portfolio the target applies to
+   * @returns {Array} Buy orders
+   */
+  static async buildBuyOrders(userId, amount, bucket, positions, target, namedPortfolioId) {
+    if (positions.length > 0) {
+      return RebalanceHelpers.splitProportionally(amount, positions)
+        .filter(split => MathUtils.roundTo(split.amount, 2) > 0)
+        .map(({ position, amount: buyAmount }) => ({
+          action: 'BUY',
+          ...this.describePosition(position),
+          amount: buyAmount,
+          units: PortfolioHelpers.calculateUnitsFromAmount(buyAmount, position.currentNav, 'down')
+        }));
+    }
+
+    if (target.basis === 'ASSET_CLASS') {
+      return [{
+        action: 'BUY',
+        assetClass: bucket.key,
+        schemeCode: null,
+        schemeName: null,
+        portfolioId: null,
+        portfolioName: null,
+        nav: null,
+        amount,
+        units: null,
+        note: `No ${bucket.key.toLowerCase()} fund is held. Choose a fund to invest in.`
+      }];
+    }
+
+    const fund = await FundRepository.findBySchemeCode(bucket.key);
+    const navData = await NavService.getLatestNav(bucket.key);
+    const nav = navData.success ? navData.data.nav : null;
+    const namedPortfolio = await NamedPortfolioService.resolve(userId, namedPortfolioId);
+
+    return [{
+      action: 'BUY',
+      assetClass: null,
+      schemeCode: bucket.key,
+      schemeName: fund ? fund.schemeName : null,
+      portfolioId: namedPortfolio._id,
+      portfolioName: namedPortfolio.name,
+      nav,
+      amount,
+      units: nav ? PortfolioHelpers.calculateUnitsFromAmount(amount, nav, 'down') : null
+    }];
+  }
+
+  /**
+   * Describe the position an order trades
+   * @param {Object} position - Classified holding
+   * @returns {Object} Order fields identifying the position
+   */
+  static describePosition(position) {
+    return {
+      assetClass: position.assetClass,
+      schemeCode: position.schemeCode,
+      schemeName: position.schemeName,
+      portfolioId: position.portfolioId,
+      portfolioName: position.portfolioName,
+      nav: position.currentNav
+    };
+  }
+
+  /**
+   * Get scheme names of per-scheme buckets for display
+   * @param {Array} buckets - Buckets
+   * @param {String} basis - ASSET_CLASS or SCHEME
+   * @returns {Map} Scheme name by scheme code
+   */
+  static async getFundNames(buckets, basis) {
+    if (basis !== 'SCHEME') {
+      return new Map();
+    }
+
+    const funds = await FundRepository.findBySchemeCodes(buckets.map(bucket => bucket.key));
+    return new Map(funds.map(fund => [fund.schemeCode, fund.schemeName]));
+  }
+}
+
+export default RebalanceService;
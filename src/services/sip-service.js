@@ -0,0 +1,177 @@
+import SipRepository from '../repositories/sip-repository.js';
+import PortfolioService from './portfolio-service.js';
+import SystematicPlanService from './systematic-plan-service.js';
+import PortfolioHelpers from '../helpers/portfolio-helpers.js';
+import DateUtils from '../utils/date-utils.js';
+
+/**
+ * SIP Service
+ * Handles SIP lifecycle and execution of due instalments
+ */
+class SipService {
+
+  /**
+   * Create a SIP and schedule its first instalment
+   * @param {ObjectId} userId - User ID
+   * @param {Object} data - Validated SIP details
+   * @returns {Object} Result with the created SIP
+   */
+  static async createSip(userId, data) {
+    const { schemeCode, amount, frequency, dayOfMonth, startDate, endDate } = data;
+
+    const scheduled = SystematicPlanService.schedulePlan({
+      userId,
+      schemeCode,
+      amount,
+      frequency,
+      dayOfMonth,
+      startDate,
+      endDate
+    });
+
+    if (!scheduled.status) {
+      return scheduled;
+    }
+
+    const sip = await SipRepository.create(scheduled.data);
+
+    return {
+      status: true,
+      data: sip
+    };
+  }
+
+  /**
+   * Update amount, instalment day or end date of a SIP
+   * @param {Object} sip - SIP document
+   * @param {Object} changes - Validated changes
+   * @returns {Object} Result with the updated SIP
+   */
+  static async updateSip(sip, changes) {
+    return SystematicPlanService.updatePlan(sip, changes, 'SIP');
+  }
+
+  /**
+   * Pause an active SIP
+   * @param {Object} sip - SIP document
+   * @returns {Object} Result with the paused SIP
+   */
+  static async pauseSip(sip) {
+    return SystematicPlanService.pausePlan(sip, 'SIP');
+  }
+
+  /**
+   * Resume a paused SIP
+   * @param {Object} sip - SIP document
+   * @returns {Object} Result with the resumed SIP
+   */
+  static async resumeSip(sip) {
+    return SystematicPlanService.resumePlan(sip, 'SIP');
+  }
+
+  /**
+   * Cancel a SIP
+   * @param {Object} sip - SIP document
+   * @returns {Object} Result with the cancelled SIP
+   */
+  static async cancelSip(sip) {
+    return SystematicPlanService.cancelPlan(sip, 'SIP');
+  }
+
+  /**
+   * Execute every due instalment of all active SIPs, catching up on runs missed during downtime
+   * @param {Date} asOf - Run date
+   * @returns {Object} Execution summary
+   */
+  static async executeDueInstalments(asOf = new Date()) {
+    const dueSips = await SipRepository.findDue(DateUtils.endOfDay(asOf));
+    const summary = {
+      totalSips: dueSips.length,
+      executed: 0,
+      failed: 0
+    };
+
+    for (const sip of dueSips) {
+      try {
+        const result = await SystematicPlanService.processPlan(
+          sip,
+          asOf,
+          (plan, scheduledDate, executionDate) => this.executeInstalment(plan, scheduledDate, executionDate),
+          (plan, scheduledDate, transactions) => this.recoverInstalment(scheduledDate, transactions)
+        );
+        summary.executed += result.executed;
+        summary.failed += result.failed;
+      } catch (error) {
+        console.error(`Error processing SIP ${sip._id}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Execute one instalment as a BUY at the NAV applicable on its execution date
+   * @param {Object} sip - SIP document
+   * @param {Date} scheduledDate - Scheduled instalment date
+   * @param {Date} executionDate - Trading day the instalment runs on
+   * @returns {Object} Execution record
+   */
+  static async executeInstalment(sip, scheduledDate, executionDate) {
+    const execution = {
+      scheduledDate,
+      executionDate,
+      amount: sip.amount,
+      processedAt: new Date()
+    };
+
+    try {
+      const navData = await PortfolioService.getApplicableNav(sip.schemeCode, executionDate);
+      if (!navData.success) {
+        return { ...execution, status: 'FAILED', failureReason: navData.error };
+      }
+
+      const nav = navData.data.nav;
+      const order = PortfolioHelpers.resolveOrderUnits({ amount: sip.amount }, nav, 'BUY');
+      if (order.units <= 0) {
+        return { ...execution, status: 'FAILED', nav, failureReason: 'Amount is too small to allot any units' };
+      }
+
+      const result = await PortfolioService.addUnits(sip.userId, sip.schemeCode, order.units, nav, executionDate, {
+        instalment: { planId: sip._id, scheduledDate }
+      });
+
+      return {
+        ...execution,
+        status: 'SUCCESS',
+        amount: order.amount,
+        units: order.units,
+        nav,
+        transactionId: result.transaction._id
+      };
+    } catch (error) {
+      console.error(`SIP ${sip._id} instalment for ${DateUtils.formatToApiDate(scheduledDate)} failed:`, error.message);
+      return { ...execution, status: 'FAILED', failureReason: error.message };
+    }
+  }
+
+  /**
+   * Build the execution record of an instalment already recorded in the ledger
+   * @param {Date} scheduledDate - Scheduled instalment date
+   * @param {Array} transactions - The instalment's BUY transaction
+   * @returns {Object} Execution record
+   */
+  static recoverInstalment(scheduledDate, [transaction]) {
+    return {
+      scheduledDate,
+      executionDate: transaction.date,
+      status: 'SUCCESS',
+      amount: transaction.amount,
+      units: transaction.units,
+      nav: transaction.nav,
+      transactionId: transaction._id,
+      processedAt: new Date()
+    };
+  }
+}
+
+export default SipService;
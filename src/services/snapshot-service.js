@@ -0,0 +1,406 @@
+import mongoose from 'mongoose';
+import FundNavHistory from '../models/fund-nav-history.js';
+import PortfolioRepository from '../repositories/portfolio-repository.js';
+import PortfolioSnapshotRepository from '../repositories/portfolio-snapshot-repository.js';
+import TransactionRepository from '../repositories/transaction-repository.js';
+import UserRepository from '../repositories/user-repository.js';
+import NavService from './nav-service.js';
+import FifoHelpers from '../helpers/fifo-helpers.js';
+import PortfolioHelpers from '../helpers/portfolio-helpers.js';
+import MathUtils from '../utils/math-utils.js';
+import DateUtils from '../utils/date-utils.js';
+
+// Days computed in one pass when backfilling, so a long history is not held in memory at once
+const BACKFILL_CHUNK_DAYS = 366;
+
+/**
+ * Snapshot Service
+ * Materialises one snapshot per user per day of the portfolio's value, invested amount and units per scheme
+ * Snapshots are written by the daily NAV job and on first read; a change to a past transaction deletes the
+ * user's snapshots from that day on, and they are recomputed from the ledger when next needed
+ * Snapshots computed while such a change commits are not stored, as the user's snapshot version has moved on
+ */
+class SnapshotService {
+
+  /**
+   * Get a user's snapshots for a set of days, computing and storing any that are missing
+   * Days before the first transaction are empty; today's snapshot is always computed, as its NAVs can still change
+   * @param {ObjectId} userId - User ID
+   * @param {Array} dates - Days, oldest first
+   * @returns {Array} Snapshot of each day
+   */
+  static async getSnapshots(userId, dates) {
+    if (dates.length === 0) {
+      return [];
+    }
+
+    // Read before the ledger, so a change committed while computing is detected
+    const version = await UserRepository.findSnapshotVersion(userId);
+    const firstDate = await this.getFirstTransactionDate(userId);
+    const days = dates.map(date => DateUtils.startOfDay(date));
+    const snapshots = new Map();
+
+    const heldDays = firstDate ? days.filter(day => day >= firstDate) : [];
+    if (heldDays.length > 0) {
+      const today = DateUtils.startOfDay(new Date());
+      const stored = await PortfolioSnapshotRepository.findByUserInRange(userId, heldDays[0], heldDays[heldDays.length - 1]);
+      stored.forEach(snapshot => snapshots.set(snapshot.date.getTime(), snapshot));
+
+      const missing = heldDays.filter(day => day >= today || !snapshots.has(day.getTime()));
+      if (missing.length > 0) {
+        const computed = await this.computeSnapshots(userId, missing);
+        await this.saveSnapshots(userId, version, computed.filter(snapshot => snapshot.date < today));
+        computed.forEach(snapshot => snapshots.set(snapshot.date.getTime(), snapshot));
+      }
+    }
+
+    return days.map(day => snapshots.get(day.getTime()) || this.emptySnapshot(userId, day));
+  }
+
+  /**
+   * Value a user's positions at the close of each day by walking the transaction ledger
+   * @param {ObjectId} userId - User ID
+   * @param {Array} dates - Days, oldest first
+   * @returns {Array} Snapshot of each day
+   */
+  static async computeSnapshots(userId, dates) {
+    const portfolios = await PortfolioRepository.findByUserId(userId);
+    const transactions = portfolios.length > 0
+      ? await TransactionRepository.findByPortfolioIds(portfolios.map(portfolio => portfolio._id))
+      : [];
+
+    const portfolioById = new Map(portfolios.map(portfolio => [String(portfolio._id), portfolio]));
+    const schemeCodeByPortfolio = Object.fromEntries(
+      portfolios.map(portfolio => [String(portfolio._id), portfolio.schemeCode])
+    );
+    const navHistories = await this.loadNavHistories(transactions, schemeCodeByPortfolio);
+
+    const positions = new Map();
+    const navIndex = {};
+    let txIndex = 0;
+
+    return dates.map(date => {
+      const day = DateUtils.startOfDay(date);
+      const dayEnd = DateUtils.endOfDay(date);
+      const flows = new Map();
+
+      // Apply every transaction up to the close of the day; only the day's own are its cash flows
+      while (txIndex < transactions.length && transactions[txIndex].date <= dayEnd) {
+        const tx = transactions[txIndex++];
+        const key = String(tx.portfolioId);
+        const position = positions.get(key) || { totalUnits: 0, investedValue: 0, lastNav: null };
+
+        positions.set(key, {
+          ...FifoHelpers.applyToPosition(position, tx),
+          lastNav: tx.nav || position.lastNav
+        });
+
+        if (tx.date >= day) {
+          flows.set(key, (flows.get(key) || 0) + this.getNetFlow(tx));
+        }
+      }
+
+      const snapshotPositions = [];
+      positions.forEach((position, key) => {
+        const netFlow = flows.get(key) || 0;
+        if (position.totalUnits <= 0 && netFlow === 0) {
+          return;
+        }
+
+        const portfolio = portfolioById.get(key);
+        const navHistory = navHistories[portfolio.schemeCode] || [];
+        let index = navIndex[portfolio.schemeCode] ?? -1;
+
+        while (index + 1 < navHistory.length && navHistory[index + 1].date <= dayEnd) {
+          index++;
+        }
+        navIndex[portfolio.schemeCode] = index;
+
+        // Before the first stored NAV, the last transaction NAV is the best available price
+        const nav = index >= 0 ? navHistory[index].nav : position.lastNav;
+
+        snapshotPositions.push({
+          portfolioId: portfolio._id,
+          namedPortfolioId: portfolio.namedPortfolioId || null,
+          schemeCode: portfolio.schemeCode,
+          units: position.totalUnits,
+          investedValue: position.investedValue,
+          nav,
+          value: Math.max(position.totalUnits, 0) * nav,
+          netFlow
+        });
+      });
+
+      return {
+        userId,
+        date: day,
+        ...this.getTotals({ positions: snapshotPositions }),
+        positions: snapshotPositions
+      };
+    });
+  }
+
+  /**
+   * Total a snapshot's positions, optionally for one named portfolio
+   * @param {Object} snapshot - Snapshot
+   * @param {ObjectId} namedPortfolioId - Optional named portfolio; all portfolios are combined without it
+   * @returns {Object} { totalValue, totalInvestment, netFlow }
+   */
+  static getTotals(snapshot, namedPortfolioId = null) {
+    const positions = namedPortfolioId
+      ? snapshot.positions.filter(position => String(position.namedPortfolioId) === String(namedPortfolioId))
+      : snapshot.positions;
+
+    return {
+      totalValue: MathUtils.sum(positions.map(position => position.value)),
+      totalInvestment: MathUtils.sum(positions.map(position => position.investedValue)),
+      netFlow: MathUtils.sum(positions.map(position => position.netFlow))
+    };
+  }
+
+  /**
+   * Get every user's totals on the last settled day, computing and storing any snapshot missing for it
+   * A snapshot is missing when a past transaction changed since the daily job ran, or the job has not run yet
+   * @returns {Array} { userId, totalValue, totalInvestment } of every user with a fund position
+   */
+  static async getSettledTotals() {
+    const day = this.getLastSettledDay();
+    const totals = await PortfolioSnapshotRepository.findTotalsOnDate(day);
+    const storedUserIds = new Set(totals.map(total => String(total.userId)));
+    const userIds = await PortfolioRepository.findUserIds();
+
+    for (const userId of userIds.filter(id => !storedUserIds.has(String(id)))) {
+      const [snapshot] = await this.getSnapshots(userId, [day]);
+      totals.push({ userId, totalValue: snapshot.totalValue, totalInvestment: snapshot.totalInvestment });
+    }
+
+    return totals;
+  }
+
+  /**
+   * Write every user's snapshot for a day, catching up on days missed since their latest snapshot
+   * Days deleted because a past transaction changed are recomputed by the catch-up
+   * @param {Date} date - Day to capture; defaults to yesterday, whose NAVs the daily job has just fetched
+   * @returns {Object} Summary of users processed, snapshots written and failures
+   */
+  static async captureDailySnapshots(date = this.getLastSettledDay()) {
+    const day = DateUtils.startOfDay(date);
+    const userIds = await PortfolioRepository.findUserIds();
+    const summary = { users: userIds.length, snapshots: 0, failed: 0 };
+
+    for (const userId of userIds) {
+      try {
+        const latest = await PortfolioSnapshotRepository.findLatestDateByUser(userId);
+        const from = latest && latest < day ? new Date(latest.getFullYear(), latest.getMonth(), latest.getDate() + 1) : day;
+
+        summary.snapshots += await this.storeSnapshots(userId, from, day);
+      } catch (error) {
+        summary.failed++;
+        console.error(`Error capturing snapshots for user ${userId}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Compute and store snapshots for past days, replacing any already stored
+   * @param {Object} options - Optional { from, to, userId }; from defaults to each user's first transaction,
+   *   to defaults to yesterday and every user with a fund position is backfilled without a userId
+   * @returns {Object} Summary of users processed, snapshots written and failures
+   */
+  static async backfill(options = {}) {
+    const to = DateUtils.startOfDay(options.to || this.getLastSettledDay());
+    const userIds = options.userId ? [options.userId] : await PortfolioRepository.findUserIds();
+    const summary = { users: userIds.length, snapshots: 0, failed: 0 };
+
+    for (const userId of userIds) {
+      try {
+        const firstDate = await this.getFirstTransactionDate(userId);
+        if (!firstDate) {
+          continue;
+        }
+
+        let from = options.from ? DateUtils.startOfDay(options.from) : firstDate;
+        while (from <= to) {
+          const chunkEnd = new Date(from.getFullYear(), from.getMonth(), from.getDate() + BACKFILL_CHUNK_DAYS - 1);
+          const end = chunkEnd < to ? chunkEnd : to;
+
+          summary.snapshots += await this.storeSnapshots(userId, from, end);
+          from = new Date(end.getFullYear(), end.getMonth(), end.getDate() + 1);
+        }
+      } catch (error) {
+        summary.failed++;
+        console.error(`Error backfilling snapshots for user ${userId}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Compute and store a user's snapshots for every settled day in a range on or after the first transaction
+   * @param {ObjectId} userId - User ID
+   * @param {Date} from - First day
+   * @param {Date} to - Last day
+   * @returns {Number} Snapshots written
+   */
+  static async storeSnapshots(userId, from, to) {
+    const version = await UserRepository.findSnapshotVersion(userId);
+    const firstDate = await this.getFirstTransactionDate(userId);
+    const today = DateUtils.startOfDay(new Date());
+    if (!firstDate) {
+      return 0;
+    }
+
+    const start = from > firstDate ? from : firstDate;
+    const end = to < today ? to : new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+    if (start > end) {
+      return 0;
+    }
+
+    const snapshots = await this.computeSnapshots(userId, PortfolioHelpers.getHistoryDates(start, end, 'daily'));
+    const saved = await this.saveSnapshots(userId, version, snapshots);
+
+    return saved ? snapshots.length : 0;
+  }
+
+  /**
+   * Store computed snapshots unless the ledger changed since the snapshot version was read
+   * Runs in a MongoDB transaction that writes the user, so a ledger change committing at the same time conflicts
+   * @param {ObjectId} userId - User ID
+   * @param {Number|null} version - Snapshot version read before the ledger
+   * @param {Array} snapshots - Computed snapshots
+   * @returns {Boolean} Whether the snapshots were stored
+   */
+  static async saveSnapshots(userId, version, snapshots) {
+    if (snapshots.length === 0) {
+      return true;
+    }
+
+    const session = await mongoose.startSession();
+
+    try {
+      let saved = false;
+      await session.withTransaction(async () => {
+        saved = await UserRepository.touchIfSnapshotVersion(userId, version, { session });
+        if (saved) {
+          await PortfolioSnapshotRepository.upsertMany(snapshots, { session });
+        }
+      });
+      return saved;
+    } finally {
+      await session.endSession();
+    }
+  }
+
+  /**
+   * Delete a user's snapshots from the day of a changed transaction on; they are recomputed when next needed
+   * Also moves the user's snapshot version on, so snapshots being computed from the old ledger are not stored
+   * Only past days are stored or computed for storing, so a change dated today or later leaves them alone and
+   * does not write the user, keeping everyday trades from contending on it
+   * @param {ObjectId} userId - User ID
+   * @param {Date} date - Earliest day whose value changed
+   * @param {Object} options - Optional { session }, to delete in the same transaction as the ledger change
+   */
+  static async invalidateFrom(userId, date, options = {}) {
+    const day = DateUtils.startOfDay(date);
+    if (day >= DateUtils.startOfDay(new Date())) {
+      return;
+    }
+
+    await PortfolioSnapshotRepository.deleteFromDate(userId, day, options);
+    await UserRepository.incrementSnapshotVersion(userId, options);
+  }
+
+  /**
+   * Get the start of the day of a user's first transaction
+   * @param {ObjectId} userId - User ID
+   * @returns {Date|null} First day, or null when the user has no transactions
+   */
+  static async getFirstTransactionDate(userId) {
+    const portfolios = await PortfolioRepository.findByUserId(userId);
+    if (portfolios.length === 0) {
+      return null;
+    }
+
+    const first = await TransactionRepository.findFirstByPortfolioIds(portfolios.map(portfolio => portfolio._id));
+    return first ? DateUtils.startOfDay(first.date) : null;
+  }
+
+  /**
+   * Load the NAV history of every scheme in the ledger, oldest first
+   * Histories that start after the scheme's first transaction are synced in full first, unless a full sync
+   * since then could not reach back further
+   * @param {Array} transactions - Ledger, oldest first
+   * @param {Object} schemeCodeByPortfolio - Scheme code keyed by portfolio ID
+   * @returns {Object} NAV entries keyed by scheme code
+   */
+  static async loadNavHistories(transactions, schemeCodeByPortfolio) {
+    const firstTransactionDates = {};
+    transactions.forEach(tx => {
+      const schemeCode = schemeCodeByPortfolio[String(tx.portfolioId)];
+      if (!firstTransactionDates[schemeCode]) {
+        firstTransactionDates[schemeCode] = tx.date;
+      }
+    });
+
+    const schemeCodes = Object.keys(firstTransactionDates).map(Number);
+    const navHistories = {};
+
+    for (const schemeCode of schemeCodes) {
+      let doc = await FundNavHistory.findOne({ schemeCode });
+      const oldest = doc && doc.history.length > 0
+        ? doc.history.reduce((earliest, entry) => (entry.date < earliest ? entry.date : earliest), doc.history[0].date)
+        : null;
+
+      const firstDate = firstTransactionDates[schemeCode];
+      if ((!oldest || DateUtils.daysBetween(firstDate, oldest) > 7) && NavService.needsFullSync(doc?.fullHistorySyncedAt, firstDate)) {
+        const syncResult = await NavService.syncFullNavHistory(schemeCode);
+        if (syncResult.success) {
+          doc = await FundNavHistory.findOne({ schemeCode });
+        }
+      }
+
+      navHistories[schemeCode] = doc
+        ? [...doc.history].sort((a, b) => a.date - b.date)
+        : [];
+    }
+
+    return navHistories;
+  }
+
+  /**
+   * Cash flow of a transaction: purchases bring money in, redemptions and payouts take it out
+   * @param {Object} transaction - Transaction
+   * @returns {Number} Net flow
+   */
+  static getNetFlow(transaction) {
+    if (transaction.type === 'BUY') {
+      return transaction.amount;
+    }
+
+    return transaction.type === 'SELL' || transaction.type === 'DIVIDEND_PAYOUT' ? -transaction.amount : 0;
+  }
+
+  /**
+   * Snapshot of a day before the first transaction
+   * @param {ObjectId} userId - User ID
+   * @param {Date} date - Day
+   * @returns {Object} Snapshot with no positions
+   */
+  static emptySnapshot(userId, date) {
+    return { userId, date, totalValue: 0, totalInvestment: 0, netFlow: 0, positions: [] };
+  }
+
+  /**
+   * Latest day whose NAVs are settled: the daily job runs after midnight and fetches the previous day's NAVs
+   * @returns {Date} Start of yesterday
+   */
+  static getLastSettledDay() {
+    const today = DateUtils.startOfDay(new Date());
+    return new Date(today.getFullYear(), today.getMonth(), today.getDate() - 1);
+  }
+}
+
+export default SnapshotService;
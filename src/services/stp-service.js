@@ -0,0 +1,229 @@
+import StpRepository from '../repositories/stp-repository.js';
+import PortfolioRepository from '../repositories/portfolio-repository.js';
+import HoldingRepository from '../repositories/holding-repository.js';
+import PortfolioService from './portfolio-service.js';
+import NamedPortfolioService from './named-portfolio-service.js';
+import SystematicPlanService from './systematic-plan-service.js';
+import PortfolioHelpers from '../helpers/portfolio-helpers.js';
+import DateUtils from '../utils/date-utils.js';
+
+/**
+ * STP Service
+ * Handles STP lifecycle and execution of due transfers
+ */
+class StpService {
+
+  /**
+   * Create an STP from an existing holding and schedule its first transfer
+   * @param {ObjectId} userId - User ID
+   * @param {Object} data - Validated STP details
+   * @returns {Object} Result with the created STP
+   */
+  static async createStp(userId, data) {
+    const { fromSchemeCode, toSchemeCode, amount, frequency, dayOfMonth, startDate, endDate } = data;
+
+    // Systematic plans run against the user's default portfolio
+    const namedPortfolio = await NamedPortfolioService.getDefault(userId);
+    const portfolio = await PortfolioRepository.findByUserAndScheme(userId, fromSchemeCode, namedPortfolio._id);
+    const holding = portfolio ? await HoldingRepository.findByPortfolioAndScheme(portfolio._id, fromSchemeCode) : null;
+    if (!holding || holding.totalUnits <= 0) {
+      return {
+        status: false,
+        message: 'No units held in the source fund to transfer from'
+      };
+    }
+
+    const scheduled = SystematicPlanService.schedulePlan({
+      userId,
+      fromSchemeCode,
+      toSchemeCode,
+      amount,
+      frequency,
+      dayOfMonth,
+      startDate,
+      endDate
+    });
+
+    if (!scheduled.status) {
+      return scheduled;
+    }
+
+    const stp = await StpRepository.create(scheduled.data);
+
+    return {
+      status: true,
+      data: stp
+    };
+  }
+
+  /**
+   * Update amount, transfer day or end date of an STP
+   * @param {Object} stp - STP document
+   * @param {Object} changes - Validated changes
+   * @returns {Object} Result with the updated STP
+   */
+  static async updateStp(stp, changes) {
+    return SystematicPlanService.updatePlan(stp, changes, 'STP');
+  }
+
+  /**
+   * Pause an active STP
+   * @param {Object} stp - STP document
+   * @returns {Object} Result with the paused STP
+   */
+  static async pauseStp(stp) {
+    return SystematicPlanService.pausePlan(stp, 'STP');
+  }
+
+  /**
+   * Resume a paused STP
+   * @param {Object} stp - STP document
+   * @returns {Object} Result with the resumed STP
+   */
+  static async resumeStp(stp) {
+    return SystematicPlanService.resumePlan(stp, 'STP');
+  }
+
+  /**
+   * Cancel an STP
+   * @param {Object} stp - STP document
+   * @returns {Object} Result with the cancelled STP
+   */
+  static async cancelStp(stp) {
+    return SystematicPlanService.cancelPlan(stp, 'STP');
+  }
+
+  /**
+   * Execute every due transfer of all active STPs, catching up on runs missed during downtime
+   * @param {Date} asOf - Run date
+   * @returns {Object} Execution summary
+   */
+  static async executeDueTransfers(asOf = new Date()) {
+    const dueStps = await StpRepository.findDue(DateUtils.endOfDay(asOf));
+    const summary = {
+      totalStps: dueStps.length,
+      executed: 0,
+      failed: 0,
+      ended: 0
+    };
+
+    for (const stp of dueStps) {
+      try {
+        const result = await SystematicPlanService.processPlan(
+          stp,
+          asOf,
+          (plan, scheduledDate, executionDate) => this.executeTransfer(plan, scheduledDate, executionDate),
+          (plan, scheduledDate, transactions) => this.recoverTransfer(scheduledDate, transactions)
+        );
+        summary.executed += result.executed;
+        summary.failed += result.failed;
+
+        if (['EXHAUSTED', 'FAILED'].includes(stp.status)) {
+          summary.ended++;
+        }
+      } catch (error) {
+        console.error(`Error processing STP ${stp._id}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Execute one transfer as a linked switch, each leg priced at its fund's NAV on the execution date
+   * @param {Object} stp - STP document
+   * @param {Date} scheduledDate - Scheduled transfer date
+   * @param {Date} executionDate - Trading day the transfer runs on
+   * @returns {Object} Execution record
+   */
+  static async executeTransfer(stp, scheduledDate, executionDate) {
+    const execution = {
+      scheduledDate,
+      executionDate,
+      amount: stp.amount,
+      processedAt: new Date()
+    };
+
+    try {
+      const fromNavData = await PortfolioService.getApplicableNav(stp.fromSchemeCode, executionDate);
+      if (!fromNavData.success) {
+        return { ...execution, status: 'FAILED', failureReason: fromNavData.error };
+      }
+
+      const toNavData = await PortfolioService.getApplicableNav(stp.toSchemeCode, executionDate);
+      if (!toNavData.success) {
+        return { ...execution, status: 'FAILED', failureReason: toNavData.error };
+      }
+
+      const fromNav = fromNavData.data.nav;
+      const toNav = toNavData.data.nav;
+      const { sell, buy } = PortfolioHelpers.resolveSwitchOrder({ amount: stp.amount }, fromNav, toNav);
+      if (buy.units <= 0) {
+        return { ...execution, status: 'FAILED', fromNav, toNav, failureReason: 'Amount is too small to allot any units' };
+      }
+
+      const result = await PortfolioService.switchUnits(
+        stp.userId,
+        { schemeCode: stp.fromSchemeCode, units: sell.units, nav: fromNav },
+        { schemeCode: stp.toSchemeCode, units: buy.units, nav: toNav },
+        executionDate,
+        { instalment: { planId: stp._id, scheduledDate } }
+      );
+
+      return {
+        ...execution,
+        status: 'SUCCESS',
+        amount: sell.amount,
+        fromUnits: sell.units,
+        fromNav,
+        toUnits: buy.units,
+        toNav,
+        realizedPL: result.realizedPL,
+        switchId: result.switchId,
+        sellTransactionId: result.sellTransaction._id,
+        buyTransactionId: result.buyTransaction._id
+      };
+    } catch (error) {
+      console.error(`STP ${stp._id} transfer for ${DateUtils.formatToApiDate(scheduledDate)} failed:`, error.message);
+
+      // The source fund has run out: exhausted once it has transferred,
+      // failed if it never covered a single transfer
+      if (error.message === 'Insufficient units to sell' || error.message === 'Portfolio not found') {
+        const hasTransferred = stp.executions.some(existing => existing.status === 'SUCCESS');
+        stp.status = hasTransferred ? 'EXHAUSTED' : 'FAILED';
+        stp.endedReason = error.message;
+      }
+
+      return { ...execution, status: 'FAILED', failureReason: error.message };
+    }
+  }
+
+  /**
+   * Build the execution record of a transfer already recorded in the ledger
+   * @param {Date} scheduledDate - Scheduled transfer date
+   * @param {Array} transactions - The transfer's SELL and BUY legs, written together
+   * @returns {Object} Execution record
+   */
+  static recoverTransfer(scheduledDate, transactions) {
+    const sell = transactions.find(transaction => transaction.type === 'SELL');
+    const buy = transactions.find(transaction => transaction.type === 'BUY');
+
+    return {
+      scheduledDate,
+      executionDate: sell.date,
+      status: 'SUCCESS',
+      amount: sell.amount,
+      fromUnits: sell.units,
+      fromNav: sell.nav,
+      toUnits: buy.units,
+      toNav: buy.nav,
+      realizedPL: sell.realizedPL,
+      switchId: sell.switchId,
+      sellTransactionId: sell._id,
+      buyTransactionId: buy._id,
+      processedAt: new Date()
+    };
+  }
+}
+
+export default StpService;
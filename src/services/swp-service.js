@@ -0,0 +1,203 @@
+import SwpRepository from '../repositories/swp-repository.js';
+import PortfolioRepository from '../repositories/portfolio-repository.js';
+import HoldingRepository from '../repositories/holding-repository.js';
+import PortfolioService from './portfolio-service.js';
+import NamedPortfolioService from './named-portfolio-service.js';
+import SystematicPlanService from './systematic-plan-service.js';
+import PortfolioHelpers from '../helpers/portfolio-helpers.js';
+import DateUtils from '../utils/date-utils.js';
+
+/**
+ * SWP Service
+ * Handles SWP lifecycle and execution of due withdrawals
+ */
+class SwpService {
+
+  /**
+   * Create an SWP against an existing holding and schedule its first withdrawal
+   * @param {ObjectId} userId - User ID
+   * @param {Object} data - Validated SWP details
+   * @returns {Object} Result with the created SWP
+   */
+  static async createSwp(userId, data) {
+    const { schemeCode, amount, frequency, dayOfMonth, startDate, endDate } = data;
+
+    // Systematic plans run against the user's default portfolio
+    const namedPortfolio = await NamedPortfolioService.getDefault(userId);
+    const portfolio = await PortfolioRepository.findByUserAndScheme(userId, schemeCode, namedPortfolio._id);
+    const holding = portfolio ? await HoldingRepository.findByPortfolioAndScheme(portfolio._id, schemeCode) : null;
+    if (!holding || holding.totalUnits <= 0) {
+      return {
+        status: false,
+        message: 'No units held in this fund to withdraw from'
+      };
+    }
+
+    const scheduled = SystematicPlanService.schedulePlan({
+      userId,
+      schemeCode,
+      amount,
+      frequency,
+      dayOfMonth,
+      startDate,
+      endDate
+    });
+
+    if (!scheduled.status) {
+      return scheduled;
+    }
+
+    const swp = await SwpRepository.create(scheduled.data);
+
+    return {
+      status: true,
+      data: swp
+    };
+  }
+
+  /**
+   * Update amount, withdrawal day or end date of an SWP
+   * @param {Object} swp - SWP document
+   * @param {Object} changes - Validated changes
+   * @returns {Object} Result with the updated SWP
+   */
+  static async updateSwp(swp, changes) {
+    return SystematicPlanService.updatePlan(swp, changes, 'SWP');
+  }
+
+  /**
+   * Pause an active SWP
+   * @param {Object} swp - SWP document
+   * @returns {Object} Result with the paused SWP
+   */
+  static async pauseSwp(swp) {
+    return SystematicPlanService.pausePlan(swp, 'SWP');
+  }
+
+  /**
+   * Resume a paused SWP
+   * @param {Object} swp - SWP document
+   * @returns {Object} Result with the resumed SWP
+   */
+  static async resumeSwp(swp) {
+    return SystematicPlanService.resumePlan(swp, 'SWP');
+  }
+
+  /**
+   * Cancel an SWP
+   * @param {Object} swp - SWP document
+   * @returns {Object} Result with the cancelled SWP
+   */
+  static async cancelSwp(swp) {
+    return SystematicPlanService.cancelPlan(swp, 'SWP');
+  }
+
+  /**
+   * Execute every due withdrawal of all active SWPs, catching up on runs missed during downtime
+   * @param {Date} asOf - Run date
+   * @returns {Object} Execution summary
+   */
+  static async executeDueWithdrawals(asOf = new Date()) {
+    const dueSwps = await SwpRepository.findDue(DateUtils.endOfDay(asOf));
+    const summary = {
+      totalSwps: dueSwps.length,
+      executed: 0,
+      failed: 0,
+      ended: 0
+    };
+
+    for (const swp of dueSwps) {
+      try {
+        const result = await SystematicPlanService.processPlan(
+          swp,
+          asOf,
+          (plan, scheduledDate, executionDate) => this.executeWithdrawal(plan, scheduledDate, executionDate),
+          (plan, scheduledDate, transactions) => this.recoverWithdrawal(scheduledDate, transactions)
+        );
+        summary.executed += result.executed;
+        summary.failed += result.failed;
+
+        if (['EXHAUSTED', 'FAILED'].includes(swp.status)) {
+          summary.ended++;
+        }
+      } catch (error) {
+        console.error(`Error processing SWP ${swp._id}:`, error.message);
+      }
+    }
+
+    return summary;
+  }
+
+  /**
+   * Execute one withdrawal as a SELL at the NAV applicable on its execution date
+   * @param {Object} swp - SWP document
+   * @param {Date} scheduledDate - Scheduled withdrawal date
+   * @param {Date} executionDate - Trading day the withdrawal runs on
+   * @returns {Object} Execution record
+   */
+  static async executeWithdrawal(swp, scheduledDate, executionDate) {
+    const execution = {
+      scheduledDate,
+      executionDate,
+      amount: swp.amount,
+      processedAt: new Date()
+    };
+
+    try {
+      const navData = await PortfolioService.getApplicableNav(swp.schemeCode, executionDate);
+      if (!navData.success) {
+        return { ...execution, status: 'FAILED', failureReason: navData.error };
+      }
+
+      const nav = navData.data.nav;
+      const order = PortfolioHelpers.resolveOrderUnits({ amount: swp.amount }, nav, 'SELL');
+      const result = await PortfolioService.removeUnits(swp.userId, swp.schemeCode, order.units, nav, executionDate, {
+        instalment: { planId: swp._id, scheduledDate }
+      });
+
+      return {
+        ...execution,
+        status: 'SUCCESS',
+        amount: order.amount,
+        units: order.units,
+        nav,
+        realizedPL: result.realizedPL,
+        transactionId: result.transaction._id
+      };
+    } catch (error) {
+      console.error(`SWP ${swp._id} withdrawal for ${DateUtils.formatToApiDate(scheduledDate)} failed:`, error.message);
+
+      // A plan that can no longer be funded ends here: exhausted once it has paid out,
+      // failed if the holding never covered a single withdrawal
+      if (error.message === 'Insufficient units to sell' || error.message === 'Portfolio not found') {
+        const hasPaidOut = swp.executions.some(existing => existing.status === 'SUCCESS');
+        swp.status = hasPaidOut ? 'EXHAUSTED' : 'FAILED';
+        swp.endedReason = error.message;
+      }
+
+      return { ...execution, status: 'FAILED', failureReason: error.message };
+    }
+  }
+
+  /**
+   * Build the execution record of a withdrawal already recorded in the ledger
+   * @param {Date} scheduledDate - Scheduled withdrawal date
+   * @param {Array} transactions - The withdrawal's SELL transaction
+   * @returns {Object} Execution record
+   */
+  static recoverWithdrawal(scheduledDate, [transaction]) {
+    return {
+      scheduledDate,
+      executionDate: transaction.date,
+      status: 'SUCCESS',
+      amount: transaction.amount,
+      units: transaction.units,
+      nav: transaction.nav,
+      realizedPL: transaction.realizedPL,
+      transactionId: transaction._id,
+      processedAt: new Date()
+    };
+  }
+}
+
+export default SwpService;
@@ -0,0 +1,229 @@
+import TransactionRepository from '../repositories/transaction-repository.js';
+import ScheduleHelpers from '../helpers/schedule-helpers.js';
+import DateUtils from '../utils/date-utils.js';
+
+/**
+ * Systematic Plan Service
+ * Shared lifecycle and instalment processing for scheduled plans (SIP, SWP, STP)
+ */
+class SystematicPlanService {
+
+  /**
+   * Fill in the instalment day and first instalment date of a new plan
+   * @param {Object} planData - Plan details with frequency, startDate and optional dayOfMonth/endDate
+   * @returns {Object} Result with the scheduled plan data
+   */
+  static schedulePlan(planData) {
+    const { frequency, startDate } = planData;
+
+    const scheduled = {
+      ...planData,
+      // Month-based plans default to the start date's day, capped to a day present in every month
+      dayOfMonth: frequency === 'weekly' ? undefined : (planData.dayOfMonth || Math.min(startDate.getDate(), 28)),
+      endDate: planData.endDate || null
+    };
+
+    scheduled.nextInstalmentDate = ScheduleHelpers.getFirstScheduledDate(scheduled);
+
+    if (ScheduleHelpers.isPastEndDate(scheduled, scheduled.nextInstalmentDate)) {
+      return {
+        status: false,
+        message: 'End date is before the first instalment date'
+      };
+    }
+
+    return {
+      status: true,
+      data: scheduled
+    };
+  }
+
+  /**
+   * Update amount, instalment day or end date of a plan
+   * @param {Object} plan - Plan document
+   * @param {Object} changes - Validated changes
+   * @param {String} label - Plan name used in messages
+   * @returns {Object} Result with the updated plan
+   */
+  static async updatePlan(plan, changes, label) {
+    if (!['ACTIVE', 'PAUSED'].includes(plan.status)) {
+      return {
+        status: false,
+        message: `${label} is ${plan.status.toLowerCase()} and cannot be updated`
+      };
+    }
+
+    if (changes.dayOfMonth !== undefined && plan.frequency === 'weekly') {
+      return {
+        status: false,
+        message: `Day of month does not apply to weekly ${label}s`
+      };
+    }
+
+    ['amount', 'dayOfMonth', 'endDate'].forEach(field => {
+      if (changes[field] !== undefined) {
+        plan[field] = changes[field];
+      }
+    });
+
+    // Reschedule pending instalments from today when the instalment day changes
+    if (changes.dayOfMonth !== undefined && plan.status === 'ACTIVE') {
+      plan.nextInstalmentDate = ScheduleHelpers.getFirstScheduledDate(plan, new Date());
+    }
+
+    if (plan.nextInstalmentDate && ScheduleHelpers.isPastEndDate(plan, plan.nextInstalmentDate)) {
+      plan.status = 'COMPLETED';
+      plan.nextInstalmentDate = null;
+    }
+
+    await plan.save();
+
+    return {
+      status: true,
+      data: plan
+    };
+  }
+
+  /**
+   * Pause an active plan; no instalments run while paused
+   * @param {Object} plan - Plan document
+   * @param {String} label - Plan name used in messages
+   * @returns {Object} Result with the paused plan
+   */
+  static async pausePlan(plan, label) {
+    if (plan.status !== 'ACTIVE') {
+      return {
+        status: false,
+        message: `Only active ${label}s can be paused`
+      };
+    }
+
+    plan.status = 'PAUSED';
+    plan.pausedAt = new Date();
+    await plan.save();
+
+    return {
+      status: true,
+      data: plan
+    };
+  }
+
+  /**
+   * Resume a paused plan from the next instalment on or after today
+   * @param {Object} plan - Plan document
+   * @param {String} label - Plan name used in messages
+   * @returns {Object} Result with the resumed plan
+   */
+  static async resumePlan(plan, label) {
+    if (plan.status !== 'PAUSED') {
+      return {
+        status: false,
+        message: `Only paused ${label}s can be resumed`
+      };
+    }
+
+    // Instalments missed while paused are not caught up
+    plan.status = 'ACTIVE';
+    plan.pausedAt = null;
+    plan.nextInstalmentDate = ScheduleHelpers.getFirstScheduledDate(plan, new Date());
+
+    if (ScheduleHelpers.isPastEndDate(plan, plan.nextInstalmentDate)) {
+      plan.status = 'COMPLETED';
+      plan.nextInstalmentDate = null;
+    }
+
+    await plan.save();
+
+    return {
+      status: true,
+      data: plan
+    };
+  }
+
+  /**
+   * Cancel a plan; its execution history is kept
+   * @param {Object} plan - Plan document
+   * @param {String} label - Plan name used in messages
+   * @returns {Object} Result with the cancelled plan
+   */
+  static async cancelPlan(plan, label) {
+    if (plan.status !== 'ACTIVE' && plan.status !== 'PAUSED') {
+      return {
+        status: false,
+        message: `${label} is already ${plan.status.toLowerCase()}`
+      };
+    }
+
+    plan.status = 'CANCELLED';
+    plan.nextInstalmentDate = null;
+    await plan.save();
+
+    return {
+      status: true,
+      data: plan
+    };
+  }
+
+  /**
+   * Execute all due instalments of a single plan, oldest first
+   * @param {Object} plan - Plan document
+   * @param {Date} asOf - Run date
+   * @param {Function} executeInstalment - (plan, scheduledDate, executionDate) => execution record
+   * @param {Function} recoverInstalment - (plan, scheduledDate, transactions) => execution record of an instalment
+   *   found in the ledger
+   * @returns {Object} Count of executed and failed instalments
+   */
+  static async processPlan(plan, asOf, executeInstalment, recoverInstalment) {
+    const today = DateUtils.startOfDay(asOf);
+    let executed = 0;
+    let failed = 0;
+
+    while (plan.status === 'ACTIVE' && plan.nextInstalmentDate && plan.nextInstalmentDate <= DateUtils.endOfDay(today)) {
+      const scheduledDate = new Date(plan.nextInstalmentDate);
+      const executionDate = ScheduleHelpers.getExecutionDate(scheduledDate);
+
+      // Instalments on a non-trading day wait for the next trading day
+      if (executionDate > today) {
+        break;
+      }
+
+      const alreadyExecuted = plan.executions.some(execution =>
+        execution.status === 'SUCCESS' && execution.scheduledDate.getTime() === scheduledDate.getTime()
+      );
+
+      if (!alreadyExecuted) {
+        // The ledger write and the plan save are separate, so an instalment interrupted between them
+        // is already in the ledger; record it from there instead of executing it again
+        const recorded = await TransactionRepository.findByInstalment(plan._id, scheduledDate);
+        const execution = recorded.length > 0
+          ? recoverInstalment(plan, scheduledDate, recorded)
+          : await executeInstalment(plan, scheduledDate, executionDate);
+        plan.executions.push(execution);
+
+        if (execution.status === 'SUCCESS') {
+          executed++;
+        } else {
+          failed++;
+        }
+      }
+
+      // The executor may end the plan (e.g. an exhausted withdrawal plan)
+      if (plan.status !== 'ACTIVE') {
+        plan.nextInstalmentDate = null;
+      } else {
+        plan.nextInstalmentDate = ScheduleHelpers.getNextScheduledDate(plan, scheduledDate);
+        if (ScheduleHelpers.isPastEndDate(plan, plan.nextInstalmentDate)) {
+          plan.status = 'COMPLETED';
+          plan.nextInstalmentDate = null;
+        }
+      }
+
+      // Persist after every instalment so a crash loses at most the record of one, which is recovered above
+      await plan.save();
+    }
+
+    return { executed, failed };
+  }
+}
+
+export default SystematicPlanService;
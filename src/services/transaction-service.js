@@ -0,0 +1,320 @@
+import mongoose from 'mongoose';
+import Portfolio from '../models/Portfolio.js';
+import Transaction from '../models/Transaction.js';
+import TransactionRevision from '../models/transaction-revision.js';
+import PortfolioService from './portfolio-service.js';
+import SnapshotService from './snapshot-service.js';
+import PortfolioHelpers from '../helpers/portfolio-helpers.js';
+
+// Fields a user may correct on each transaction type; the rest are derived
+const EDITABLE_FIELDS = {
+  BUY: ['units', 'nav', 'date'],
+  SELL: ['units', 'nav', 'date'],
+  DIVIDEND_PAYOUT: ['amount', 'nav', 'date'],
+  DIVIDEND_REINVEST: ['amount', 'nav', 'date']
+};
+
+/**
+ * Transaction Service
+ * Edits, cancels and undoes ledger entries, rebuilding the affected holdings from the full ledger
+ * and keeping every prior version of a transaction as a revision for audit
+ */
+class TransactionService {
+
+  /**
+   * Get a transaction with its portfolio, scoped to the user
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} transactionId - Transaction ID
+   * @param {Object} options - Optional { session }
+   * @returns {Object|null} { transaction, portfolio } or null when not found
+   */
+  static async getUserTransaction(userId, transactionId, options = {}) {
+    const { session = null } = options;
+    const transaction = await Transaction.findById(transactionId).session(session);
+    if (!transaction) {
+      return null;
+    }
+
+    const portfolio = await Portfolio.findOne({ _id: transaction.portfolioId, userId }).session(session);
+    return portfolio ? { transaction, portfolio } : null;
+  }
+
+  /**
+   * Check the requested changes are allowed on the transaction
+   * @param {Object} transaction - Transaction document
+   * @param {Object} changes - Requested changes
+   * @returns {String|null} Error message, or null when allowed
+   */
+  static validateChanges(transaction, changes) {
+    const editable = EDITABLE_FIELDS[transaction.type];
+    if (Object.keys(changes).some(field => !editable.includes(field))) {
+      return `Only ${editable.join(', ')} can be edited on a ${transaction.type} transaction`;
+    }
+
+    // Both legs of a switch share one date and the switch-out proceeds fund the switch-in, so editing one leg
+    // would leave the pair out of balance
+    if (transaction.switchId) {
+      return 'A switch leg cannot be edited; cancel the switch and record it again';
+    }
+
+    return null;
+  }
+
+  /**
+   * Correct a transaction and rebuild its holding
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} transactionId - Transaction ID
+   * @param {Object} changes - Any of { units, nav, amount, date } allowed for the transaction type
+   * @returns {Object} Updated transaction and rebuilt holdings
+   */
+  static async updateTransaction(userId, transactionId, changes) {
+    return PortfolioService.runInTransaction(async session => {
+      const found = await this.getUserTransaction(userId, transactionId, { session });
+      if (!found) {
+        throw new Error('Transaction not found');
+      }
+
+      const { transaction, portfolio } = found;
+      const changeError = this.validateChanges(transaction, changes);
+      if (changeError) {
+        throw new Error(changeError);
+      }
+
+      const before = this.toSnapshot(transaction);
+      const nav = changes.nav ?? transaction.nav;
+
+      if (transaction.type === 'BUY' || transaction.type === 'SELL') {
+        transaction.units = changes.units ?? transaction.units;
+        transaction.amount = transaction.units * nav;
+      } else {
+        transaction.amount = changes.amount ?? transaction.amount;
+      }
+
+      if (transaction.type === 'DIVIDEND_REINVEST') {
+        transaction.units = PortfolioHelpers.calculateUnitsFromAmount(transaction.amount, nav);
+        if (transaction.units <= 0) {
+          throw new Error('Dividend is too small to reinvest any units');
+        }
+      }
+
+      transaction.nav = nav;
+      transaction.date = changes.date ?? transaction.date;
+      await transaction.save({ session });
+      await SnapshotService.invalidateFrom(userId, new Date(Math.min(before.date, transaction.date)), { session });
+
+      const holdings = await this.rebuildPortfolios([portfolio], session);
+
+      // Realized P&L is recomputed by the rebuild, so the revision records the stored result
+      const updated = await Transaction.findById(transaction._id).session(session);
+      await this.recordRevisions([{
+        transactionId: transaction._id,
+        portfolioId: portfolio._id,
+        userId,
+        action: 'EDIT',
+        before,
+        after: this.toSnapshot(updated)
+      }], session);
+
+      return { transaction: updated, holdings };
+    });
+  }
+
+  /**
+   * Cancel a transaction and rebuild its holding; cancelling either leg of a switch cancels both
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} transactionId - Transaction ID
+   * @returns {Object} Cancelled transactions and rebuilt holdings
+   */
+  static async cancelTransaction(userId, transactionId) {
+    return PortfolioService.runInTransaction(async session => {
+      const found = await this.getUserTransaction(userId, transactionId, { session });
+      if (!found) {
+        throw new Error('Transaction not found');
+      }
+
+      const { transaction } = found;
+      const legs = transaction.switchId
+        ? await Transaction.find({ switchId: transaction.switchId }).session(session)
+        : [transaction];
+
+      const portfolios = await Portfolio.find({ _id: { $in: legs.map(leg => leg.portfolioId) } }).session(session);
+
+      await Transaction.deleteMany({ _id: { $in: legs.map(leg => leg._id) } }, { session });
+      await SnapshotService.invalidateFrom(userId, new Date(Math.min(...legs.map(leg => leg.date))), { session });
+      const holdings = await this.rebuildPortfolios(portfolios, session);
+
+      await this.recordRevisions(legs.map(leg => ({
+        transactionId: leg._id,
+        portfolioId: leg.portfolioId,
+        userId,
+        action: 'CANCEL',
+        before: this.toSnapshot(leg),
+        after: null
+      })), session);
+
+      return { transactions: legs, holdings };
+    });
+  }
+
+  /**
+   * Undo the latest change to a transaction, restoring every transaction changed with it
+   * Undoing an undo reapplies the original change
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} transactionId - Transaction ID, which may belong to a cancelled transaction
+   * @returns {Object} Restored transactions (null where the undo removed one) and rebuilt holdings
+   */
+  static async undoLastChange(userId, transactionId) {
+    return PortfolioService.runInTransaction(async session => {
+      const latest = await TransactionRevision.findOne({ transactionId, userId })
+        .sort({ createdAt: -1 })
+        .session(session);
+      if (!latest) {
+        throw new Error('No changes to undo');
+      }
+
+      const group = await TransactionRevision.find({ groupId: latest.groupId }).session(session);
+      const portfolios = await Portfolio.find({ _id: { $in: group.map(revision => revision.portfolioId) }, userId }).session(session);
+      if (portfolios.length < new Set(group.map(revision => String(revision.portfolioId))).size) {
+        throw new Error('The fund has since been removed from the portfolio');
+      }
+
+      const revisions = [];
+      const transactions = [];
+      const changedDates = [];
+
+      for (const revision of group) {
+        const current = await Transaction.findById(revision.transactionId).session(session);
+        const before = current ? this.toSnapshot(current) : null;
+        const restored = await this.restoreSnapshot(revision, current, session);
+        changedDates.push(...[before, restored].filter(Boolean).map(transaction => transaction.date));
+
+        revisions.push({
+          transactionId: revision.transactionId,
+          portfolioId: revision.portfolioId,
+          userId,
+          action: 'UNDO',
+          before,
+          after: revision.before
+        });
+        transactions.push(restored);
+      }
+
+      const holdings = await this.rebuildPortfolios(portfolios, session);
+      await this.recordRevisions(revisions, session);
+      if (changedDates.length > 0) {
+        await SnapshotService.invalidateFrom(userId, new Date(Math.min(...changedDates)), { session });
+      }
+
+      return { transactions, holdings };
+    });
+  }
+
+  /**
+   * Get the revision history of a transaction, newest first
+   * @param {ObjectId} userId - User ID
+   * @param {ObjectId} transactionId - Transaction ID
+   * @returns {Array} Revisions
+   */
+  static async getRevisions(userId, transactionId) {
+    return TransactionRevision.find({ transactionId, userId }).sort({ createdAt: -1 });
+  }
+
+  /**
+   * Put a transaction back to the state captured before a revision
+   * @param {Object} revision - Revision to revert
+   * @param {Object|null} current - Current transaction, null when cancelled
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Object|null} Restored transaction, or null when it was removed
+   */
+  static async restoreSnapshot(revision, current, session) {
+    const snapshot = revision.before ? revision.before.toObject() : null;
+
+    if (!snapshot) {
+      if (current) {
+        await Transaction.deleteOne({ _id: current._id }, { session });
+      }
+      return null;
+    }
+
+    if (current) {
+      current.set(snapshot);
+      await current.save({ session });
+      return current;
+    }
+
+    // Re-create a cancelled transaction under its original ID and creation time so ledger order is kept
+    const transaction = new Transaction({
+      _id: revision.transactionId,
+      portfolioId: revision.portfolioId,
+      ...snapshot
+    });
+    await transaction.save({ session });
+    return transaction;
+  }
+
+  /**
+   * Rebuild holdings from the full ledger and keep first purchase details in step with the earliest BUY
+   * Throws 'Insufficient units to sell' when a sale would be left overselling
+   * @param {Array} portfolios - Affected portfolios
+   * @param {ClientSession} session - MongoDB session
+   * @returns {Array} Rebuilt holding of each portfolio
+   */
+  static async rebuildPortfolios(portfolios, session) {
+    const holdings = [];
+
+    for (const portfolio of portfolios) {
+      const replay = await PortfolioService.rebuildHolding(portfolio._id, portfolio.schemeCode, { session });
+
+      const firstBuy = await Transaction.findOne({ portfolioId: portfolio._id, type: 'BUY' })
+        .sort({ date: 1, createdAt: 1 })
+        .session(session);
+      if (firstBuy) {
+        await Portfolio.updateOne(
+          { _id: portfolio._id },
+          { purchaseDate: firstBuy.date, purchaseNav: firstBuy.nav },
+          { session }
+        );
+      }
+
+      holdings.push({
+        schemeCode: portfolio.schemeCode,
+        totalUnits: Math.max(replay.totalUnits, 0),
+        avgNav: replay.totalUnits > 0 ? replay.avgNav : 0,
+        investedValue: replay.totalUnits > 0 ? replay.investedValue : 0
+      });
+    }
+
+    return holdings;
+  }
+
+  /**
+   * Save revisions made in one change under a shared group ID
+   * @param {Array} revisions - Revision data
+   * @param {ClientSession} session - MongoDB session
+   */
+  static async recordRevisions(revisions, session) {
+    const groupId = new mongoose.Types.ObjectId();
+    await TransactionRevision.create(
+      revisions.map(revision => ({ ...revision, groupId })),
+      { session, ordered: true }
+    );
+  }
+
+  // Capture the user-visible fields of a transaction
+  static toSnapshot(transaction) {
+    return {
+      type: transaction.type,
+      units: transaction.units,
+      nav: transaction.nav,
+      amount: transaction.amount,
+      date: transaction.date,
+      realizedPL: transaction.realizedPL ?? null,
+      switchId: transaction.switchId || null,
+      planId: transaction.planId || null,
+      instalmentDate: transaction.instalmentDate || null,
+      createdAt: transaction.createdAt
+    };
+  }
+}
+
+export default TransactionService;
@@ -0,0 +1,88 @@
+// CSV formatting, parsing and streaming utilities - no external dependencies
+import StreamUtils from './stream-utils.js';
+
+class CsvUtils {
+  // Escape a value for a CSV cell, quoting it when it contains separators, quotes or line breaks
+  static escapeValue(value) {
+    if (value === null || value === undefined) return '';
+
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  // Build a CSV line from an array of values
+  static toRow(values) {
+    return values.map(value => this.escapeValue(value)).join(',');
+  }
+
+  // Build a CSV document from column headers and rows of values
+  static toCsv(headers, rows) {
+    return [headers, ...rows].map(row => this.toRow(row)).join('\r\n') + '\r\n';
+  }
+
+  // Write a CSV document to a writable stream; rows may be an array or an async iterable
+  static async writeCsv(output, headers, rows) {
+    await StreamUtils.write(output, this.toRow(headers) + '\r\n');
+
+    for await (const values of rows) {
+      await StreamUtils.write(output, this.toRow(values) + '\r\n');
+    }
+  }
+
+  // Parse a CSV document into rows of trimmed values, honouring quoted cells; blank lines are skipped
+  static parse(text) {
+    const rows = [];
+    let row = [];
+    let value = '';
+    let quoted = false;
+
+    const endValue = () => {
+      row.push(value.trim());
+      value = '';
+    };
+    const endRow = () => {
+      endValue();
+      if (row.some(cell => cell !== '')) {
+        rows.push(row);
+      }
+      row = [];
+    };
+
+    // Spreadsheet exports often start with a byte order mark
+    const input = text.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < input.length; i++) {
+      const char = input[i];
+
+      if (quoted) {
+        if (char === '"' && input[i + 1] === '"') {
+          value += '"';
+          i++;
+        } else if (char === '"') {
+          quoted = false;
+        } else {
+          value += char;
+        }
+      } else if (char === '"') {
+        quoted = true;
+      } else if (char === ',') {
+        endValue();
+      } else if (char === '\n' || char === '\r') {
+        if (char === '\r' && input[i + 1] === '\n') {
+          i++;
+        }
+        endRow();
+      } else {
+        value += char;
+      }
+    }
+
+    if (value !== '' || row.length > 0) {
+      endRow();
+    }
+
+    return rows;
+  }
+}
+
+export default CsvUtils;
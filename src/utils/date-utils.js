@@ -148,6 +148,65 @@ class DateUtils {
     return Math.ceil(timeDifference / (1000 * 3600 * 24));
   }
 
+  // Get the last millisecond of the given date
+  static endOfDay(date) {
+    if (!date || !(date instanceof Date)) {
+      return null;
+    }
+    
+    const end = new Date(date);
+    end.setHours(23, 59, 59, 999);
+    return end;
+  }
+
+  // Add calendar months to a date (negative values go back), clamping to the last day of shorter months
+  static addMonths(date, months) {
+    const result = new Date(date);
+    result.setDate(1);
+    result.setMonth(result.getMonth() + months);
+    
+    const lastDay = new Date(result.getFullYear(), result.getMonth() + 1, 0).getDate();
+    result.setDate(Math.min(date.getDate(), lastDay));
+    return result;
+  }
+
+  // Get midnight at the start of the given date
+  static startOfDay(date) {
+    if (!date || !(date instanceof Date)) {
+      return null;
+    }
+    
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  // Get the Indian financial year (April to March) of a date, e.g. '2025-26'
+  static getFinancialYear(date) {
+    if (!date || !(date instanceof Date)) {
+      return null;
+    }
+
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  // Get the first and last moment of a financial year given as 'YYYY-YY'
+  static getFinancialYearRange(financialYear) {
+    const match = /^(\d{4})-(\d{2})$/.exec(financialYear || '');
+    if (!match) {
+      return null;
+    }
+
+    const startYear = parseInt(match[1], 10);
+    if ((startYear + 1) % 100 !== parseInt(match[2], 10)) {
+      return null;
+    }
+
+    return {
+      start: new Date(startYear, 3, 1),
+      end: this.endOfDay(new Date(startYear + 1, 2, 31))
+    };
+  }
+
   // Sort dates in ascending order
   static sortDatesAscending(dates) {
     return dates.sort((a, b) => new Date(a) - new Date(b));
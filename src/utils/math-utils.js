@@ -9,6 +9,22 @@ class MathUtils {
     return Math.round(number * factor) / factor;
   }
 
+  // Round down to specified decimal places (guards against float noise like 2.9999999)
+  static floorTo(number, decimalPlaces = 2) {
+    if (typeof number !== 'number') return 0;
+    
+    const factor = Math.pow(10, decimalPlaces);
+    return Math.floor(parseFloat((number * factor).toFixed(6))) / factor;
+  }
+
+  // Round up to specified decimal places
+  static ceilTo(number, decimalPlaces = 2) {
+    if (typeof number !== 'number') return 0;
+    
+    const factor = Math.pow(10, decimalPlaces);
+    return Math.ceil(parseFloat((number * factor).toFixed(6))) / factor;
+  }
+
   // Calculate percentage change
   static percentageChange(oldValue, newValue) {
     if (typeof oldValue !== 'number' || typeof newValue !== 'number' || oldValue === 0) {
@@ -30,6 +46,94 @@ class MathUtils {
     return (Math.pow(endingValue / beginningValue, 1 / numberOfPeriods) - 1) * 100;
   }
 
+  // Net present value of dated cash flows ({ amount, date }) at an annual rate, discounted to the first flow
+  static xnpv(rate, cashFlows) {
+    const firstDate = cashFlows[0].date;
+    
+    return cashFlows.reduce((total, flow) => {
+      const years = (flow.date - firstDate) / (1000 * 60 * 60 * 24 * 365);
+      return total + flow.amount / Math.pow(1 + rate, years);
+    }, 0);
+  }
+
+  // Calculate extended internal rate of return (XIRR) of dated cash flows, in percent
+  // Outflows are negative and inflows positive; returns null when no rate solves the flows
+  static calculateXIRR(cashFlows, guess = 0.1) {
+    if (!Array.isArray(cashFlows) || cashFlows.length < 2) {
+      return null;
+    }
+    
+    const flows = [...cashFlows].sort((a, b) => a.date - b.date);
+    if (!flows.some(flow => flow.amount < 0) || !flows.some(flow => flow.amount > 0)) {
+      return null;
+    }
+    
+    // Flows on a single day have no time dimension to annualise over
+    if (flows[flows.length - 1].date - flows[0].date <= 0) {
+      return null;
+    }
+    
+    const tolerance = 1e-7;
+    const firstDate = flows[0].date;
+    const yearsOf = flow => (flow.date - firstDate) / (1000 * 60 * 60 * 24 * 365);
+    
+    // Newton-Raphson converges quickly from a sensible guess
+    let rate = guess;
+    for (let i = 0; i < 100; i++) {
+      let value = 0;
+      let derivative = 0;
+      
+      flows.forEach(flow => {
+        const years = yearsOf(flow);
+        const discount = Math.pow(1 + rate, years);
+        value += flow.amount / discount;
+        derivative -= (years * flow.amount) / (discount * (1 + rate));
+      });
+      
+      if (Math.abs(value) < tolerance) {
+        return rate * 100;
+      }
+      
+      const nextRate = rate - value / derivative;
+      if (!Number.isFinite(nextRate) || nextRate <= -1) {
+        break;
+      }
+      if (Math.abs(nextRate - rate) < 1e-10) {
+        return nextRate * 100;
+      }
+      rate = nextRate;
+    }
+    
+    // Fall back to bisection, widening the upper bound until the NPV changes sign
+    let low = -0.999999;
+    let high = 1;
+    let lowValue = this.xnpv(low, flows);
+    while (lowValue * this.xnpv(high, flows) > 0) {
+      high *= 2;
+      if (high > 1e6) {
+        return null;
+      }
+    }
+    
+    for (let i = 0; i < 300; i++) {
+      const mid = (low + high) / 2;
+      const midValue = this.xnpv(mid, flows);
+      
+      if (Math.abs(midValue) < tolerance || (high - low) / 2 < 1e-12) {
+        return mid * 100;
+      }
+      
+      if (lowValue * midValue < 0) {
+        high = mid;
+      } else {
+        low = mid;
+        lowValue = midValue;
+      }
+    }
+    
+    return ((low + high) / 2) * 100;
+  }
+
   // Calculate simple interest
   static simpleInterest(principal, rate, time) {
     if (typeof principal !== 'number' || 
@@ -86,6 +190,15 @@ class MathUtils {
     return Math.sqrt(variance);
   }
 
+  // Standard normal cumulative distribution, via the Abramowitz and Stegun 7.1.26 error function approximation
+  static normalCdf(z) {
+    const x = Math.abs(z) / Math.SQRT2;
+    const t = 1 / (1 + 0.3275911 * x);
+    const erf = 1 - (((((1.061405429 * t - 1.453152027) * t) + 1.421413741) * t - 0.284496736) * t + 0.254829592) * t * Math.exp(-x * x);
+
+    return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+  }
+
   // Find minimum value in array
   static min(values) {
     if (!Array.isArray(values) || values.length === 0) {
@@ -0,0 +1,30 @@
+// Writable stream utilities - no external dependencies
+
+class StreamUtils {
+  // Write a chunk, waiting for the stream to drain when its buffer is full
+  static write(output, chunk) {
+    if (output.destroyed) {
+      return Promise.reject(new Error('Output stream closed'));
+    }
+
+    if (output.write(chunk)) {
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve, reject) => {
+      const onDrain = () => {
+        output.off('close', onClose);
+        resolve();
+      };
+      const onClose = () => {
+        output.off('drain', onDrain);
+        reject(new Error('Output stream closed'));
+      };
+
+      output.once('drain', onDrain);
+      output.once('close', onClose);
+    });
+  }
+}
+
+export default StreamUtils;
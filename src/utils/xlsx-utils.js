@@ -0,0 +1,213 @@
+// XLSX writing utilities - streams a single-sheet workbook as a ZIP archive, no external dependencies
+import { Readable } from 'stream';
+import zlib from 'zlib';
+import StreamUtils from './stream-utils.js';
+
+const SPREADSHEET_NS = 'http://schemas.openxmlformats.org/spreadsheetml/2006/main';
+const RELATIONSHIP_NS = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+const XML_HEADER = '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n';
+
+// CRC-32 lookup table used by ZIP entries
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+class XlsxUtils {
+  // Update a running CRC-32 with a buffer
+  static crc32(buffer, crc = 0) {
+    let c = crc ^ 0xFFFFFFFF;
+    for (let i = 0; i < buffer.length; i++) {
+      c = CRC_TABLE[(c ^ buffer[i]) & 0xFF] ^ (c >>> 8);
+    }
+    return (c ^ 0xFFFFFFFF) >>> 0;
+  }
+
+  // Escape text for XML, dropping control characters XML cannot hold
+  static escapeXml(text) {
+    return String(text)
+      .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, '')
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Convert a zero-based column index to its letters, e.g. 27 is AB
+  static columnName(index) {
+    let name = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+      name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+    }
+    return name;
+  }
+
+  // Build a sheet row; numbers become numeric cells, other values inline strings and empty values are left out
+  static toRowXml(values, rowNumber, style = null) {
+    const styleAttribute = style !== null ? ` s="${style}"` : '';
+    const cells = values.map((value, index) => {
+      if (value === null || value === undefined || value === '') {
+        return '';
+      }
+
+      const ref = `${this.columnName(index)}${rowNumber}`;
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        return `<c r="${ref}"${styleAttribute}><v>${value}</v></c>`;
+      }
+
+      const text = value instanceof Date ? value.toISOString() : value;
+      return `<c r="${ref}" t="inlineStr"${styleAttribute}><is><t xml:space="preserve">${this.escapeXml(text)}</t></is></c>`;
+    });
+
+    return `<row r="${rowNumber}">${cells.join('')}</row>`;
+  }
+
+  // Stream the XML of a worksheet with a bold header row
+  static async *sheetXml(headers, rows) {
+    yield `${XML_HEADER}<worksheet xmlns="${SPREADSHEET_NS}"><sheetData>`;
+    yield this.toRowXml(headers, 1, 1);
+
+    let rowNumber = 1;
+    for await (const values of rows) {
+      yield this.toRowXml(values, ++rowNumber);
+    }
+
+    yield '</sheetData></worksheet>';
+  }
+
+  // Static parts of a workbook holding one sheet
+  static workbookParts(sheetName) {
+    const name = this.escapeXml(sheetName.replace(/[\\/?*[\]:]/g, ' ').slice(0, 31));
+
+    return {
+      '[Content_Types].xml': `${XML_HEADER}<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">` +
+        '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+        '<Default Extension="xml" ContentType="application/xml"/>' +
+        '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+        '<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>' +
+        '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+        '</Types>',
+      '_rels/.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/officeDocument" Target="xl/workbook.xml"/>` +
+        '</Relationships>',
+      'xl/workbook.xml': `${XML_HEADER}<workbook xmlns="${SPREADSHEET_NS}" xmlns:r="${RELATIONSHIP_NS}">` +
+        `<sheets><sheet name="${name}" sheetId="1" r:id="rId1"/></sheets>` +
+        '</workbook>',
+      'xl/_rels/workbook.xml.rels': `${XML_HEADER}<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">` +
+        `<Relationship Id="rId1" Type="${RELATIONSHIP_NS}/worksheet" Target="worksheets/sheet1.xml"/>` +
+        `<Relationship Id="rId2" Type="${RELATIONSHIP_NS}/styles" Target="styles.xml"/>` +
+        '</Relationships>',
+      'xl/styles.xml': `${XML_HEADER}<styleSheet xmlns="${SPREADSHEET_NS}">` +
+        '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+        '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+        '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+        '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+        '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>' +
+        '<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+        '<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>' +
+        '</styleSheet>'
+    };
+  }
+
+  // Write a workbook with one sheet to a writable stream; rows may be an array or an async iterable
+  // Each ZIP entry is deflated as it is written, so rows are never held in memory together
+  static async writeWorkbook(output, sheetName, headers, rows) {
+    const entries = [];
+    let offset = 0;
+
+    const writeEntry = async (name, source) => {
+      const nameBuffer = Buffer.from(name, 'utf8');
+      const { time, date } = this.toDosDateTime(new Date());
+      const entry = { nameBuffer, time, date, offset, crc: 0, size: 0, compressedSize: 0 };
+
+      // Sizes and CRC follow the data in a descriptor (flag bit 3); names are UTF-8 (bit 11)
+      const header = Buffer.alloc(30);
+      header.writeUInt32LE(0x04034b50, 0);
+      header.writeUInt16LE(20, 4);
+      header.writeUInt16LE(0x0808, 6);
+      header.writeUInt16LE(8, 8);
+      header.writeUInt16LE(time, 10);
+      header.writeUInt16LE(date, 12);
+      header.writeUInt16LE(nameBuffer.length, 26);
+      await StreamUtils.write(output, Buffer.concat([header, nameBuffer]));
+      offset += header.length + nameBuffer.length;
+
+      const deflate = zlib.createDeflateRaw();
+      const input = Readable.from((async function* () {
+        for await (const text of source) {
+          const buffer = Buffer.from(text, 'utf8');
+          entry.crc = XlsxUtils.crc32(buffer, entry.crc);
+          entry.size += buffer.length;
+          yield buffer;
+        }
+      })());
+      input.on('error', error => deflate.destroy(error));
+      input.pipe(deflate);
+
+      for await (const chunk of deflate) {
+        entry.compressedSize += chunk.length;
+        await StreamUtils.write(output, chunk);
+      }
+      offset += entry.compressedSize;
+
+      const descriptor = Buffer.alloc(16);
+      descriptor.writeUInt32LE(0x08074b50, 0);
+      descriptor.writeUInt32LE(entry.crc, 4);
+      descriptor.writeUInt32LE(entry.compressedSize, 8);
+      descriptor.writeUInt32LE(entry.size, 12);
+      await StreamUtils.write(output, descriptor);
+      offset += descriptor.length;
+
+      entries.push(entry);
+    };
+
+    const parts = this.workbookParts(sheetName);
+    for (const [name, xml] of Object.entries(parts)) {
+      await writeEntry(name, [xml]);
+    }
+    await writeEntry('xl/worksheets/sheet1.xml', this.sheetXml(headers, rows));
+
+    // Central directory, then the end of central directory record
+    const directoryOffset = offset;
+    let directorySize = 0;
+
+    for (const entry of entries) {
+      const record = Buffer.alloc(46);
+      record.writeUInt32LE(0x02014b50, 0);
+      record.writeUInt16LE(20, 4);
+      record.writeUInt16LE(20, 6);
+      record.writeUInt16LE(0x0808, 8);
+      record.writeUInt16LE(8, 10);
+      record.writeUInt16LE(entry.time, 12);
+      record.writeUInt16LE(entry.date, 14);
+      record.writeUInt32LE(entry.crc, 16);
+      record.writeUInt32LE(entry.compressedSize, 20);
+      record.writeUInt32LE(entry.size, 24);
+      record.writeUInt16LE(entry.nameBuffer.length, 28);
+      record.writeUInt32LE(entry.offset, 42);
+      await StreamUtils.write(output, Buffer.concat([record, entry.nameBuffer]));
+      directorySize += record.length + entry.nameBuffer.length;
+    }
+
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directorySize, 12);
+    end.writeUInt32LE(directoryOffset, 16);
+    await StreamUtils.write(output, end);
+  }
+
+  // Convert a date to the MS-DOS time and date fields used in ZIP headers
+  static toDosDateTime(date) {
+    return {
+      time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+      date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+  }
+}
+
+export default XlsxUtils;